@@ -0,0 +1,150 @@
+// backend/app.js
+// Express app and per-network contexts, shared by server.js and the tests
+import express from 'express';
+import { ethers } from 'ethers';
+import cors from 'cors';
+import web3Apis from './web3-apis/index.js';
+import web2Apis from './web2-apis/index.js';
+import { startRelayWorker } from './web3-apis/relay-worker.js';
+import { createRelayerPool } from './web3-apis/relayer.js';
+import { startIndexer } from './web3-apis/indexer.js';
+import { startChannelWorker } from './web3-apis/channel-worker.js';
+import { startStorageBilling } from './web3-apis/storage-billing.js';
+import { ts } from './log.js';
+
+// Contract ABI
+const CONTRACT_ABI = [
+  "function executePaymentIntent((address payer, bytes32 sessionId, uint256 amount, uint256 deadline, uint256 nonce, bytes signature), string serviceType) external",
+  "function executePaymentIntentBatch((address payer, bytes32 sessionId, uint256 amount, uint256 deadline, uint256 nonce, bytes signature)[] intents, string[] serviceTypes) external returns (uint256 settledCount)",
+  "function deposit(uint256 amount) external",
+  "function depositWithPermit(address user, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
+  "function withdraw(uint256 amount) external",
+  "function executeWithdrawIntent((address user, uint256 amount, address recipient, uint256 deadline, uint256 nonce, bytes signature) intent) external",
+  "function drawAllowance((address payer, address spender, bytes32 allowanceId, uint256 maxAmount, uint256 expiry, string[] serviceTypes, bytes signature) allowance, (bytes32 sessionId, uint256 amount, string serviceType, bytes signature) draw) external",
+  "function revokeAllowance(bytes32 allowanceId) external",
+  "function openChannel((address payer, address spender, bytes32 channelId, uint256 deposit, uint256 expiry, string serviceType, bytes signature) open) external",
+  "function closeChannel(bytes32 channelId, uint256 amount, bytes payerSignature, bytes spenderSignature) external",
+  "function expireChannel(bytes32 channelId) external",
+  "function refund(bytes32 sessionId, uint256 amount) external",
+  "function getNonce(address user) external view returns (uint256)",
+  "function getBalance(address user) external view returns (uint256)",
+  "function isSessionSettled(bytes32 sessionId) external view returns (bool)",
+  "function getAllowanceStatus(address payer, bytes32 allowanceId) external view returns (uint256 spent, bool revoked)",
+  "function getChannel(bytes32 channelId) external view returns (address payer, address spender, uint256 deposited, uint256 paid, uint256 expiry, bool closed, string serviceType)",
+  "function CHANNEL_CLOSE_WINDOW() external view returns (uint256)",
+  "function getSettlement(bytes32 sessionId) external view returns (address payer, uint256 amount, uint256 refunded)",
+  "function getDomainSeparator() external view returns (bytes32)",
+  "function getInfo() external view returns (address usdc, address service, string name, string version)",
+  "event Deposited(address indexed user, uint256 amount, uint256 timestamp)",
+  "event Withdrawn(address indexed user, uint256 amount, uint256 timestamp)",
+  "event PaymentExecuted(address indexed payer, bytes32 indexed sessionId, uint256 amount, string serviceType, uint256 timestamp)",
+  "event AllowanceDrawn(address indexed payer, bytes32 indexed allowanceId, bytes32 indexed sessionId, uint256 amount, uint256 timestamp)",
+  "event AllowanceRevoked(address indexed payer, bytes32 indexed allowanceId, uint256 timestamp)",
+  "event ChannelOpened(address indexed payer, bytes32 indexed channelId, address spender, uint256 deposit, uint256 expiry, uint256 timestamp)",
+  "event ChannelClosed(address indexed payer, bytes32 indexed channelId, uint256 paid, uint256 returned, uint256 timestamp)",
+  "event Refunded(address indexed payer, bytes32 indexed sessionId, uint256 amount, uint256 timestamp)",
+  "event PaymentFailed(address indexed payer, bytes32 indexed sessionId, uint256 index, string reason, uint256 timestamp)"
+];
+
+// Provider, relayer pool (nonces are managed locally per relayer key and chain) and contract per network.
+// With a service wallet key, `serviceRelayer` is a one-key pool sending the refunds only it may send.
+function createWeb3(config) {
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl, config.chainId, { staticNetwork: true });
+  const relayer = createRelayerPool({ provider, privateKeys: config.relayerPrivateKeys });
+  const relayerWallet = relayer.primary;
+  const serviceRelayer = config.servicePrivateKey
+    ? createRelayerPool({ provider, privateKeys: [config.servicePrivateKey] })
+    : null;
+  const contract = new ethers.Contract(config.contractAddress, CONTRACT_ABI, relayerWallet);
+  return {
+    contract,
+    relayerWallet,
+    relayer,
+    serviceRelayer,
+    provider,
+    network: config,
+    chainId: config.chainId,
+    SERVICE_WALLET: config.serviceWallet,
+    CONTRACT_ADDRESS: config.contractAddress,
+    RPC_URL: config.rpcUrl
+  };
+}
+
+/**
+ * Everything served for one network: web3 handles, the background relayer, the
+ * payment channel worker, the storage billing cycle and the event indexer. stop() ends the workers, the relayer's
+ * transaction monitor and the provider.
+ */
+function createNetworkContext(db, config, { indexer = true, channelWorker = true, storageBilling = true } = {}) {
+  const web3 = createWeb3(config);
+  const context = {
+    config,
+    web3,
+    // Background relayer: drains queued payment jobs (and resumes in-flight ones after a restart)
+    relayWorker: startRelayWorker({ db, web3 }),
+    // Follow escrow events into the transactions table
+    indexer: indexer ? startIndexer({ db, web3 }) : null,
+    // Settle payment channels that were stopped, went idle or are about to expire
+    channelWorker: channelWorker ? startChannelWorker({ db, web3 }) : null,
+    // Charge long-lived stored files to their owners' storage allowances
+    storageBilling: storageBilling ? startStorageBilling({ db, web3 }) : null,
+    stop() {
+      context.relayWorker.stop();
+      context.indexer?.stop();
+      context.channelWorker?.stop();
+      context.storageBilling?.stop();
+      web3.relayer.stop();
+      web3.serviceRelayer?.stop();
+      web3.provider.destroy();
+    }
+  };
+  return context;
+}
+
+/**
+ * Express app over a repository (db/index.js), a storage provider (storage/index.js)
+ * and network contexts keyed by chainId. Requests without a chainId are served by `defaultChainId`.
+ */
+function createApp({ db, networks, defaultChainId, storage = null }) {
+  const app = express();
+  // Browsers may only read X-PAYMENT-RESPONSE (x402 settlement) when it is exposed
+  app.use(cors({ exposedHeaders: ['X-PAYMENT-RESPONSE'] }));
+  app.use(express.json());
+
+  // Network contexts by chainId; routes pick one through selectNetwork (req.network / req.web3)
+  app.locals.networks = networks;
+  app.locals.defaultChainId = defaultChainId ?? networks.keys().next().value;
+  app.locals.db = db;
+  app.locals.storage = storage;
+
+  // Mount API routes
+  app.use('/api', web3Apis);
+  app.use('/api/web2', web2Apis);
+
+  // ============ ERROR HANDLING ============
+
+  app.use((err, req, res, next) => {
+    ts("Unhandled error:", err);
+    res.status(500).json({
+      error: "Internal server error",
+      message: err.message
+    });
+  });
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.status(200).json({ 
+      status: 'ok', 
+      timestamp: new Date().toISOString() 
+    });
+  });
+
+  return app;
+}
+
+export {
+  CONTRACT_ABI,
+  createWeb3,
+  createNetworkContext,
+  createApp
+};
@@ -2,9 +2,11 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
 
 /**
  * @title StreamPayEscrow
@@ -29,6 +31,20 @@ contract StreamPayEscrow is EIP712 {
     // Settled sessions (prevent double-spending)
     mapping(bytes32 => bool) public settledSessions;
 
+    // Payer, amount and refunded total of every settled session
+    mapping(bytes32 => Settlement) public settlements;
+
+    // Spending allowances: amount drawn and revocation, per payer and allowanceId
+    mapping(address => mapping(bytes32 => uint256)) public allowanceSpent;
+    mapping(address => mapping(bytes32 => bool)) public allowanceRevoked;
+
+    // Payment channels by channelId (ids share the sessionId space once settled)
+    mapping(bytes32 => Channel) public channels;
+
+    // How long after its expiry a channel can still be closed with a voucher;
+    // after that anyone can return the whole deposit to the payer
+    uint256 public constant CHANNEL_CLOSE_WINDOW = 1 hours;
+
     // Reentrancy guard
     uint256 private _status;
     uint256 private constant _NOT_ENTERED = 1;
@@ -45,6 +61,61 @@ contract StreamPayEscrow is EIP712 {
         bytes signature;
     }
 
+    struct WithdrawIntent {
+        address user;
+        uint256 amount; // USDC amount (6 decimals)
+        address recipient;
+        uint256 deadline;
+        uint256 nonce; // shared with payment intents
+        bytes signature;
+    }
+
+    // Signed once by the payer; `spender` then authorizes each draw up to `maxAmount`
+    struct SpendingAllowance {
+        address payer;
+        address spender;
+        bytes32 allowanceId;
+        uint256 maxAmount; // USDC amount (6 decimals)
+        uint256 expiry;
+        string[] serviceTypes;
+        bytes signature;
+    }
+
+    // One payment from an allowance, signed by its spender
+    struct AllowanceDraw {
+        bytes32 sessionId;
+        uint256 amount; // USDC amount (6 decimals)
+        string serviceType;
+        bytes signature;
+    }
+
+    // Signed once by the payer to lock `deposit` for the cumulative vouchers of one stream
+    struct ChannelOpen {
+        address payer;
+        address spender;
+        bytes32 channelId;
+        uint256 deposit; // USDC amount (6 decimals)
+        uint256 expiry;
+        string serviceType;
+        bytes signature;
+    }
+
+    struct Channel {
+        address payer;
+        uint96 deposit; // USDC amount (6 decimals)
+        address spender;
+        uint96 paid; // amount settled when closed
+        uint64 expiry;
+        bool closed;
+        string serviceType;
+    }
+
+    struct Settlement {
+        address payer;
+        uint96 amount; // USDC amount (6 decimals)
+        uint96 refunded; // total refunded so far
+    }
+
     // ============ EVENTS ============
 
     event Deposited(
@@ -67,6 +138,52 @@ contract StreamPayEscrow is EIP712 {
         uint256 timestamp
     );
 
+    event AllowanceDrawn(
+        address indexed payer,
+        bytes32 indexed allowanceId,
+        bytes32 indexed sessionId,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    event AllowanceRevoked(
+        address indexed payer,
+        bytes32 indexed allowanceId,
+        uint256 timestamp
+    );
+
+    event ChannelOpened(
+        address indexed payer,
+        bytes32 indexed channelId,
+        address spender,
+        uint256 deposit,
+        uint256 expiry,
+        uint256 timestamp
+    );
+
+    event ChannelClosed(
+        address indexed payer,
+        bytes32 indexed channelId,
+        uint256 paid,
+        uint256 returned,
+        uint256 timestamp
+    );
+
+    event Refunded(
+        address indexed payer,
+        bytes32 indexed sessionId,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    event PaymentFailed(
+        address indexed payer,
+        bytes32 indexed sessionId,
+        uint256 index,
+        string reason,
+        uint256 timestamp
+    );
+
     // ============ MODIFIERS ============
 
     modifier nonReentrant() {
@@ -108,6 +225,39 @@ contract StreamPayEscrow is EIP712 {
         emit Deposited(msg.sender, amount, block.timestamp);
     }
 
+    /**
+     * @notice Deposit USDC for `user` with an EIP-2612 permit, so a relayer can
+     *         fund the escrow of a wallet that holds no gas token
+     * @dev Only a permit that goes through lets others move `user`'s USDC, so a
+     *      standing approval of the escrow cannot be deposited without consent.
+     *      `user` itself may go ahead on the allowance a used permit left (e.g. one
+     *      front-run from the mempool). Funds are only ever credited to `user`.
+     * @param user Owner of the USDC and signer of the permit
+     * @param amount Amount of USDC (6 decimals), the permit value
+     * @param deadline Permit deadline
+     */
+    function depositWithPermit(
+        address user,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        require(amount > 0, "Amount must be > 0");
+
+        try IERC20Permit(address(usdcToken)).permit(user, address(this), amount, deadline, v, r, s) {
+        } catch {
+            require(msg.sender == user && usdcToken.allowance(user, address(this)) >= amount, "Permit failed");
+        }
+
+        usdcToken.safeTransferFrom(user, address(this), amount);
+
+        escrowBalances[user] += amount;
+
+        emit Deposited(user, amount, block.timestamp);
+    }
+
     /**
      * @notice Withdraw USDC from escrow
      * @param amount Amount of USDC (6 decimals)
@@ -125,6 +275,33 @@ contract StreamPayEscrow is EIP712 {
         emit Withdrawn(msg.sender, amount, block.timestamp);
     }
 
+    /**
+     * @notice Withdraw from escrow on the user's behalf with a signed WithdrawIntent,
+     *         so a relayer pays the gas
+     * @dev Uses the same nonce sequence as payment intents
+     * @param intent Withdraw intent signed by `intent.user`
+     */
+    function executeWithdrawIntent(WithdrawIntent calldata intent) external nonReentrant {
+        require(intent.amount > 0, "Amount must be > 0");
+        require(intent.recipient != address(0), "Invalid recipient");
+        require(block.timestamp <= intent.deadline, "Intent expired");
+
+        (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecover(
+            _hashWithdrawIntent(intent),
+            intent.signature
+        );
+        require(err == ECDSA.RecoverError.NoError && signer == intent.user, "Invalid signature");
+        require(intent.nonce == nonces[intent.user], "Invalid nonce");
+        require(escrowBalances[intent.user] >= intent.amount, "Insufficient balance");
+
+        nonces[intent.user]++;
+        escrowBalances[intent.user] -= intent.amount;
+
+        usdcToken.safeTransfer(intent.recipient, intent.amount);
+
+        emit Withdrawn(intent.user, intent.amount, block.timestamp);
+    }
+
     // ============ x402 PAYMENT INTENT ============
 
     /**
@@ -136,13 +313,231 @@ contract StreamPayEscrow is EIP712 {
         PaymentIntent calldata intent,
         string calldata serviceType
     ) external nonReentrant {
-        // Verify deadline
-        require(block.timestamp <= intent.deadline, "Intent expired");
+        string memory reason = _intentError(intent);
+        require(bytes(reason).length == 0, reason);
 
-        // Verify not already settled
-        require(!settledSessions[intent.sessionId], "Already settled");
+        _settleIntent(intent);
 
-        // Verify signature (x402)
+        // Transfer to service wallet
+        usdcToken.safeTransfer(serviceWallet, intent.amount);
+
+        emit PaymentExecuted(
+            intent.payer,
+            intent.sessionId,
+            intent.amount,
+            serviceType,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @notice Execute many x402 payment intents in one transaction
+     * @dev Invalid intents are skipped with a PaymentFailed event instead of
+     *      reverting the batch; the settled total is transferred once.
+     * @param intents Payment intents (same-payer intents must be in nonce order)
+     * @param serviceTypes Service identifier per intent
+     * @return settledCount Number of intents settled
+     */
+    function executePaymentIntentBatch(
+        PaymentIntent[] calldata intents,
+        string[] calldata serviceTypes
+    ) external nonReentrant returns (uint256 settledCount) {
+        require(intents.length == serviceTypes.length, "Length mismatch");
+
+        uint256 total;
+        for (uint256 i = 0; i < intents.length; i++) {
+            PaymentIntent calldata intent = intents[i];
+
+            string memory reason = _intentError(intent);
+            if (bytes(reason).length != 0) {
+                emit PaymentFailed(intent.payer, intent.sessionId, i, reason, block.timestamp);
+                continue;
+            }
+
+            _settleIntent(intent);
+            total += intent.amount;
+            settledCount++;
+
+            emit PaymentExecuted(
+                intent.payer,
+                intent.sessionId,
+                intent.amount,
+                serviceTypes[i],
+                block.timestamp
+            );
+        }
+
+        // Single transfer to service wallet for the whole batch
+        if (total > 0) {
+            usdcToken.safeTransfer(serviceWallet, total);
+        }
+    }
+
+    // ============ SPENDING ALLOWANCES ============
+
+    /**
+     * @notice Settle one payment from a signed spending allowance, without a new
+     *         signature from the payer
+     * @dev The draw must be signed by the allowance's spender, so a published
+     *      allowance cannot be drawn by anyone else. Each draw consumes its sessionId
+     *      like a payment intent and emits PaymentExecuted next to AllowanceDrawn.
+     *      Draws do not use the payer's nonce.
+     * @param allowance Spending allowance signed by `allowance.payer`
+     * @param draw Payment signed by `allowance.spender`
+     */
+    function drawAllowance(
+        SpendingAllowance calldata allowance,
+        AllowanceDraw calldata draw
+    ) external nonReentrant {
+        string memory reason = _drawError(allowance, draw);
+        require(bytes(reason).length == 0, reason);
+
+        allowanceSpent[allowance.payer][allowance.allowanceId] += draw.amount;
+        settledSessions[draw.sessionId] = true;
+        settlements[draw.sessionId] = Settlement(allowance.payer, SafeCast.toUint96(draw.amount), 0);
+        escrowBalances[allowance.payer] -= draw.amount;
+
+        usdcToken.safeTransfer(serviceWallet, draw.amount);
+
+        emit PaymentExecuted(allowance.payer, draw.sessionId, draw.amount, draw.serviceType, block.timestamp);
+        emit AllowanceDrawn(allowance.payer, allowance.allowanceId, draw.sessionId, draw.amount, block.timestamp);
+    }
+
+    /**
+     * @notice Stop any further draws from one of the sender's allowances
+     * @param allowanceId Id the allowance was signed with
+     */
+    function revokeAllowance(bytes32 allowanceId) external {
+        allowanceRevoked[msg.sender][allowanceId] = true;
+        emit AllowanceRevoked(msg.sender, allowanceId, block.timestamp);
+    }
+
+    // ============ PAYMENT CHANNELS ============
+
+    /**
+     * @notice Lock part of the payer's escrow into a payment channel
+     * @dev The payer then signs Vouchers for the cumulative amount owed so far, off-chain;
+     *      only the last one is settled, by closeChannel. Opening does not use the
+     *      payer's nonce: the channelId can never be opened again. Channel ids and
+     *      payment sessionIds share one namespace, so no intent or draw can settle
+     *      the channelId before closeChannel records its settlement.
+     * @param open Channel terms signed by `open.payer`
+     */
+    function openChannel(ChannelOpen calldata open) external nonReentrant {
+        require(open.deposit > 0, "Amount must be > 0");
+        require(block.timestamp < open.expiry, "Channel expired");
+        require(
+            channels[open.channelId].payer == address(0) && !settledSessions[open.channelId],
+            "Channel exists"
+        );
+        require(_isSignedBy(_hashChannelOpen(open), open.signature, open.payer), "Invalid signature");
+        require(escrowBalances[open.payer] >= open.deposit, "Insufficient balance");
+
+        escrowBalances[open.payer] -= open.deposit;
+        channels[open.channelId] = Channel({
+            payer: open.payer,
+            deposit: SafeCast.toUint96(open.deposit),
+            spender: open.spender,
+            paid: 0,
+            expiry: SafeCast.toUint64(open.expiry),
+            closed: false,
+            serviceType: open.serviceType
+        });
+
+        emit ChannelOpened(open.payer, open.channelId, open.spender, open.deposit, open.expiry, block.timestamp);
+    }
+
+    /**
+     * @notice Settle a channel with its latest voucher: `amount` goes to the service
+     *         wallet and the rest of the deposit back to the payer's escrow
+     * @dev The voucher must also be signed by the channel's spender, so the payer
+     *      cannot close with an older, smaller voucher. A zero amount needs no payer
+     *      signature. The channelId is settled as a session (PaymentExecuted, refundable).
+     * @param channelId Channel to close
+     * @param amount Cumulative USDC amount (6 decimals) of the voucher
+     * @param payerSignature Voucher signed by the payer
+     * @param spenderSignature Same voucher signed by the spender
+     */
+    function closeChannel(
+        bytes32 channelId,
+        uint256 amount,
+        bytes calldata payerSignature,
+        bytes calldata spenderSignature
+    ) external nonReentrant {
+        Channel storage channel = channels[channelId];
+        require(channel.payer != address(0), "Channel not found");
+        require(!channel.closed, "Channel closed");
+        require(block.timestamp <= channel.expiry + CHANNEL_CLOSE_WINDOW, "Channel timed out");
+        require(amount <= channel.deposit, "Exceeds deposit");
+
+        bytes32 digest = _hashVoucher(channelId, amount);
+        require(amount == 0 || _isSignedBy(digest, payerSignature, channel.payer), "Invalid signature");
+        require(_isSignedBy(digest, spenderSignature, channel.spender), "Invalid spender signature");
+
+        uint256 returned = channel.deposit - amount;
+        channel.closed = true;
+        channel.paid = SafeCast.toUint96(amount);
+        escrowBalances[channel.payer] += returned;
+
+        if (amount > 0) {
+            settledSessions[channelId] = true;
+            settlements[channelId] = Settlement(channel.payer, SafeCast.toUint96(amount), 0);
+            usdcToken.safeTransfer(serviceWallet, amount);
+            emit PaymentExecuted(channel.payer, channelId, amount, channel.serviceType, block.timestamp);
+        }
+
+        emit ChannelClosed(channel.payer, channelId, amount, returned, block.timestamp);
+    }
+
+    /**
+     * @notice Return the whole deposit of a channel that was not closed in time
+     * @dev Anyone can call it once CHANNEL_CLOSE_WINDOW has passed since the expiry
+     * @param channelId Channel to expire
+     */
+    function expireChannel(bytes32 channelId) external nonReentrant {
+        Channel storage channel = channels[channelId];
+        require(channel.payer != address(0), "Channel not found");
+        require(!channel.closed, "Channel closed");
+        require(block.timestamp > channel.expiry + CHANNEL_CLOSE_WINDOW, "Channel not timed out");
+
+        channel.closed = true;
+        escrowBalances[channel.payer] += channel.deposit;
+
+        emit ChannelClosed(channel.payer, channelId, 0, channel.deposit, block.timestamp);
+    }
+
+    // ============ REFUNDS ============
+
+    /**
+     * @notice Refund part or all of a settled session back into the payer's escrow
+     * @dev Only the service wallet, which received the payment, can refund; the USDC
+     *      is pulled from it, so it must have approved this contract. Refunds of one
+     *      session never add up to more than was paid for it.
+     * @param sessionId Settled session to refund
+     * @param amount Amount of USDC (6 decimals)
+     */
+    function refund(bytes32 sessionId, uint256 amount) external nonReentrant {
+        require(msg.sender == serviceWallet, "Only service wallet");
+        require(amount > 0, "Amount must be > 0");
+
+        Settlement storage settlement = settlements[sessionId];
+        require(settlement.payer != address(0), "Session not settled");
+        require(amount <= settlement.amount - settlement.refunded, "Exceeds refundable amount");
+
+        settlement.refunded += SafeCast.toUint96(amount);
+        escrowBalances[settlement.payer] += amount;
+
+        usdcToken.safeTransferFrom(serviceWallet, address(this), amount);
+
+        emit Refunded(settlement.payer, sessionId, amount, block.timestamp);
+    }
+
+    // ============ INTERNAL ============
+
+    /**
+     * @dev EIP-712 digest of a payment intent (x402)
+     */
+    function _hashPaymentIntent(PaymentIntent calldata intent) internal view returns (bytes32) {
         bytes32 structHash = keccak256(
             abi.encode(
                 keccak256(
@@ -155,33 +550,186 @@ contract StreamPayEscrow is EIP712 {
                 intent.nonce
             )
         );
+        return _hashTypedDataV4(structHash);
+    }
 
-        bytes32 digest = _hashTypedDataV4(structHash);
-        address signer = digest.recover(intent.signature);
+    /**
+     * @dev EIP-712 digest of a withdraw intent
+     */
+    function _hashWithdrawIntent(WithdrawIntent calldata intent) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                keccak256(
+                    "WithdrawIntent(address user,uint256 amount,address recipient,uint256 deadline,uint256 nonce)"
+                ),
+                intent.user,
+                intent.amount,
+                intent.recipient,
+                intent.deadline,
+                intent.nonce
+            )
+        );
+        return _hashTypedDataV4(structHash);
+    }
 
-        require(signer == intent.payer, "Invalid signature");
-        require(intent.nonce == nonces[intent.payer], "Invalid nonce");
+    /**
+     * @dev EIP-712 digest of a spending allowance; serviceTypes is encoded as the
+     *      hash of its concatenated element hashes
+     */
+    function _hashSpendingAllowance(SpendingAllowance calldata allowance) internal view returns (bytes32) {
+        bytes32[] memory typeHashes = new bytes32[](allowance.serviceTypes.length);
+        for (uint256 i = 0; i < typeHashes.length; i++) {
+            typeHashes[i] = keccak256(bytes(allowance.serviceTypes[i]));
+        }
+        bytes32 structHash = keccak256(
+            abi.encode(
+                keccak256(
+                    "SpendingAllowance(address payer,address spender,bytes32 allowanceId,uint256 maxAmount,uint256 expiry,string[] serviceTypes)"
+                ),
+                allowance.payer,
+                allowance.spender,
+                allowance.allowanceId,
+                allowance.maxAmount,
+                allowance.expiry,
+                keccak256(abi.encodePacked(typeHashes))
+            )
+        );
+        return _hashTypedDataV4(structHash);
+    }
 
-        // Update state
-        nonces[intent.payer]++;
-        settledSessions[intent.sessionId] = true;
+    /**
+     * @dev EIP-712 digest of a draw on `payer`'s allowance
+     */
+    function _hashAllowanceDraw(address payer, bytes32 allowanceId, AllowanceDraw calldata draw) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                keccak256(
+                    "AllowanceDraw(address payer,bytes32 allowanceId,bytes32 sessionId,uint256 amount,string serviceType)"
+                ),
+                payer,
+                allowanceId,
+                draw.sessionId,
+                draw.amount,
+                keccak256(bytes(draw.serviceType))
+            )
+        );
+        return _hashTypedDataV4(structHash);
+    }
 
-        // Verify balance
-        require(escrowBalances[intent.payer] >= intent.amount, "Insufficient balance");
+    /**
+     * @dev EIP-712 digest of a channel opening
+     */
+    function _hashChannelOpen(ChannelOpen calldata open) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                keccak256(
+                    "ChannelOpen(address payer,address spender,bytes32 channelId,uint256 deposit,uint256 expiry,string serviceType)"
+                ),
+                open.payer,
+                open.spender,
+                open.channelId,
+                open.deposit,
+                open.expiry,
+                keccak256(bytes(open.serviceType))
+            )
+        );
+        return _hashTypedDataV4(structHash);
+    }
 
-        // Deduct from escrow
-        escrowBalances[intent.payer] -= intent.amount;
+    /**
+     * @dev EIP-712 digest of a cumulative voucher on a channel
+     */
+    function _hashVoucher(bytes32 channelId, uint256 amount) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                keccak256("Voucher(bytes32 channelId,uint256 amount)"),
+                channelId,
+                amount
+            )
+        );
+        return _hashTypedDataV4(structHash);
+    }
 
-        // Transfer to service wallet
-        usdcToken.safeTransfer(serviceWallet, intent.amount);
+    /**
+     * @dev Whether `signature` over `digest` recovers to `signer`
+     */
+    function _isSignedBy(bytes32 digest, bytes calldata signature, address signer) internal pure returns (bool) {
+        (address recovered, ECDSA.RecoverError err, ) = ECDSA.tryRecover(digest, signature);
+        return err == ECDSA.RecoverError.NoError && recovered == signer;
+    }
 
-        emit PaymentExecuted(
-            intent.payer,
-            intent.sessionId,
-            intent.amount,
-            serviceType,
-            block.timestamp
+    /**
+     * @dev Reason a draw cannot be settled right now, or "" if it can
+     */
+    function _drawError(
+        SpendingAllowance calldata allowance,
+        AllowanceDraw calldata draw
+    ) internal view returns (string memory) {
+        if (draw.amount == 0) return "Amount must be > 0";
+        if (block.timestamp > allowance.expiry) return "Allowance expired";
+        if (allowanceRevoked[allowance.payer][allowance.allowanceId]) return "Allowance revoked";
+        if (settledSessions[draw.sessionId]) return "Already settled";
+        if (channels[draw.sessionId].payer != address(0)) return "Session is a channel";
+
+        if (!_isSignedBy(_hashSpendingAllowance(allowance), allowance.signature, allowance.payer)) {
+            return "Invalid signature";
+        }
+        if (!_isSignedBy(
+            _hashAllowanceDraw(allowance.payer, allowance.allowanceId, draw),
+            draw.signature,
+            allowance.spender
+        )) return "Invalid spender signature";
+
+        if (!_allowsServiceType(allowance.serviceTypes, draw.serviceType)) return "Service not allowed";
+        if (allowanceSpent[allowance.payer][allowance.allowanceId] + draw.amount > allowance.maxAmount) {
+            return "Exceeds allowance";
+        }
+        if (escrowBalances[allowance.payer] < draw.amount) return "Insufficient balance";
+
+        return "";
+    }
+
+    function _allowsServiceType(string[] calldata serviceTypes, string calldata serviceType) internal pure returns (bool) {
+        bytes32 wanted = keccak256(bytes(serviceType));
+        for (uint256 i = 0; i < serviceTypes.length; i++) {
+            if (keccak256(bytes(serviceTypes[i])) == wanted) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @dev Reason an intent cannot be settled right now, or "" if it can
+     */
+    function _intentError(PaymentIntent calldata intent) internal view returns (string memory) {
+        // Verify deadline
+        if (block.timestamp > intent.deadline) return "Intent expired";
+
+        // Verify not already settled, nor settled later by closeChannel
+        if (settledSessions[intent.sessionId]) return "Already settled";
+        if (channels[intent.sessionId].payer != address(0)) return "Session is a channel";
+
+        // Verify signature (x402)
+        (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecover(
+            _hashPaymentIntent(intent),
+            intent.signature
         );
+        if (err != ECDSA.RecoverError.NoError || signer != intent.payer) return "Invalid signature";
+        if (intent.nonce != nonces[intent.payer]) return "Invalid nonce";
+
+        // Verify balance
+        if (escrowBalances[intent.payer] < intent.amount) return "Insufficient balance";
+
+        return "";
+    }
+
+    /**
+     * @dev Consume nonce and session, deduct from escrow (transfer is done by the caller)
+     */
+    function _settleIntent(PaymentIntent calldata intent) internal {
+        nonces[intent.payer]++;
+        settledSessions[intent.sessionId] = true;
+        settlements[intent.sessionId] = Settlement(intent.payer, SafeCast.toUint96(intent.amount), 0);
+        escrowBalances[intent.payer] -= intent.amount;
     }
 
     // ============ VIEW FUNCTIONS ============
@@ -207,6 +755,52 @@ contract StreamPayEscrow is EIP712 {
         return settledSessions[sessionId];
     }
 
+    /**
+     * @notice Get the amount drawn from an allowance, and whether it was revoked
+     */
+    function getAllowanceStatus(address payer, bytes32 allowanceId) external view returns (
+        uint256 spent,
+        bool revoked
+    ) {
+        return (allowanceSpent[payer][allowanceId], allowanceRevoked[payer][allowanceId]);
+    }
+
+    /**
+     * @notice Get a payment channel (a zero payer means it was never opened)
+     */
+    function getChannel(bytes32 channelId) external view returns (
+        address payer,
+        address spender,
+        uint256 deposited,
+        uint256 paid,
+        uint256 expiry,
+        bool closed,
+        string memory serviceType
+    ) {
+        Channel memory channel = channels[channelId];
+        return (
+            channel.payer,
+            channel.spender,
+            channel.deposit,
+            channel.paid,
+            channel.expiry,
+            channel.closed,
+            channel.serviceType
+        );
+    }
+
+    /**
+     * @notice Get the payer, amount and refunded total of a settled session
+     */
+    function getSettlement(bytes32 sessionId) external view returns (
+        address payer,
+        uint256 amount,
+        uint256 refunded
+    ) {
+        Settlement memory settlement = settlements[sessionId];
+        return (settlement.payer, settlement.amount, settlement.refunded);
+    }
+
     /**
      * @notice Get domain separator (EIP-712)
      */
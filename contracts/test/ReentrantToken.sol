@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+interface IStreamPayEscrow {
+    function deposit(uint256 amount) external;
+    function withdraw(uint256 amount) external;
+}
+
+/**
+ * @title ReentrantToken
+ * @notice ERC20 that calls back into the escrow from its next transfer, to test the reentrancy guard
+ */
+contract ReentrantToken is ERC20 {
+    enum Attack {
+        None,
+        Deposit,
+        Withdraw
+    }
+
+    IStreamPayEscrow public escrow;
+    Attack public attack;
+
+    constructor() ERC20("Reentrant Token", "REENTER") {}
+
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @notice Re-enter `escrow_` with `attack_` during the next transfer
+     */
+    function arm(address escrow_, Attack attack_) external {
+        escrow = IStreamPayEscrow(escrow_);
+        attack = attack_;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, value);
+
+        Attack pending = attack;
+        if (pending == Attack.None) return;
+        attack = Attack.None;
+
+        if (pending == Attack.Deposit) {
+            escrow.deposit(1);
+        } else {
+            escrow.withdraw(1);
+        }
+    }
+}
@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DatabaseError, UNIQUE_VIOLATION } from '../errors.js';
+import { conditions } from '../where.js';
+import { TABLES } from '../schema.js';
+
+// Postgres compares "5" and 5 as equal once the literal is cast to the column type
+function equal(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return typeof a === typeof b ? a === b : String(a) === String(b);
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  // NULLS LAST, as in Postgres for ascending order
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b !== 'number') return compare(a, Number(b));
+  if (typeof b === 'number' && typeof a !== 'number') return compare(Number(a), b);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function matches(row, where) {
+  return conditions(where).every(([column, op, value]) => {
+    const v = row[column];
+    switch (op) {
+      case 'eq': return equal(v, value);
+      case 'isNull': return v === null || v === undefined;
+      case 'notNull': return v !== null && v !== undefined;
+      case 'in': return value.some(x => equal(v, x));
+      case 'neq': return v !== null && v !== undefined && !equal(v, value);
+      case 'gt': return v != null && compare(v, value) > 0;
+      case 'gte': return v != null && compare(v, value) >= 0;
+      case 'lt': return v != null && compare(v, value) < 0;
+      case 'lte': return v != null && compare(v, value) <= 0;
+      case 'between': return v != null && compare(v, value[0]) >= 0 && compare(v, value[1]) <= 0;
+      default: throw new Error(`Unsupported operator ${op}`);
+    }
+  });
+}
+
+function project(row, columns = '*') {
+  const copy = structuredClone(row);
+  if (columns === '*') return copy;
+  const names = columns.split(',').map(c => c.trim()).filter(Boolean);
+  return Object.fromEntries(names.map(name => [name, copy[name] ?? null]));
+}
+
+/**
+ * Embedded in-process database for local runs and tests. Enforces the keys,
+ * unique constraints and defaults in db/schema.js. With `file`, the data is
+ * loaded from and written back to that JSON file after every change.
+ */
+function createMemoryAdapter({ file = null, tables = TABLES } = {}) {
+  let state = { tables: {}, sequences: {} };
+  if (file && fs.existsSync(file)) {
+    state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  function definition(table) {
+    const def = tables[table];
+    if (!def) throw new DatabaseError(`relation "${table}" does not exist`, '42P01');
+    return def;
+  }
+
+  function rowsOf(table) {
+    definition(table);
+    state.tables[table] ||= [];
+    return state.tables[table];
+  }
+
+  function persist() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, file);
+  }
+
+  // Nulls never conflict, as in Postgres
+  function assertUnique(table, row, ignore = null) {
+    const { unique = [], primaryKey: [pk] } = definition(table);
+    const keys = [{ columns: [pk] }, ...unique];
+    for (const { columns, where } of keys) {
+      if (where && !where(row)) continue;
+      if (columns.some(c => row[c] === null || row[c] === undefined)) continue;
+      const clash = rowsOf(table).find(other => other !== ignore
+        && (!where || where(other))
+        && columns.every(c => equal(other[c], row[c])));
+      if (clash) {
+        throw new DatabaseError(`duplicate key value violates unique constraint on ${table} (${columns.join(', ')})`, UNIQUE_VIOLATION);
+      }
+    }
+  }
+
+  function build(table, values) {
+    const { primaryKey: [pk, generated], defaults = {} } = definition(table);
+    const row = {};
+    for (const [column, value] of Object.entries(defaults)) {
+      row[column] = typeof value === 'function' ? value() : value;
+    }
+    Object.assign(row, structuredClone(values));
+    if (row[pk] === undefined || row[pk] === null) {
+      if (generated === 'serial') {
+        state.sequences[table] = (state.sequences[table] || 0) + 1;
+        row[pk] = state.sequences[table];
+      } else if (generated === 'uuid') {
+        row[pk] = crypto.randomUUID();
+      } else {
+        throw new DatabaseError(`null value in column "${pk}" of relation "${table}"`, '23502');
+      }
+    } else if (generated === 'serial' && typeof row[pk] === 'number') {
+      state.sequences[table] = Math.max(state.sequences[table] || 0, row[pk]);
+    }
+    return row;
+  }
+
+  function sorted(rows, order) {
+    if (!order) return rows;
+    const dir = order.ascending === false ? -1 : 1;
+    return [...rows].sort((a, b) => compare(a[order.column], b[order.column]) * dir);
+  }
+
+  function query(table, { where, order, limit, offset = 0 } = {}) {
+    const rows = sorted(rowsOf(table).filter(row => matches(row, where)), order);
+    return { page: rows.slice(offset, limit != null ? offset + limit : undefined), total: rows.length };
+  }
+
+  return {
+    name: 'memory',
+
+    async select(table, { columns, ...options } = {}) {
+      return query(table, options).page.map(row => project(row, columns));
+    },
+
+    async selectPage(table, { columns, ...options } = {}) {
+      const { page, total } = query(table, options);
+      return { rows: page.map(row => project(row, columns)), total };
+    },
+
+    async insert(table, rows, { columns } = {}) {
+      const list = [].concat(rows).map(values => build(table, values));
+      const inserted = [];
+      try {
+        for (const row of list) {
+          assertUnique(table, row);
+          rowsOf(table).push(row);
+          inserted.push(row);
+        }
+      } catch (error) {
+        // Statements are atomic: drop the rows of this insert that already went in
+        state.tables[table] = rowsOf(table).filter(row => !inserted.includes(row));
+        throw error;
+      }
+      persist();
+      return list.map(row => project(row, columns));
+    },
+
+    async update(table, where, patch, { columns } = {}) {
+      const targets = rowsOf(table).filter(row => matches(row, where));
+      const before = targets.map(row => ({ ...row }));
+      try {
+        for (const row of targets) {
+          Object.assign(row, structuredClone(patch));
+          assertUnique(table, row, row);
+        }
+      } catch (error) {
+        targets.forEach((row, i) => {
+          for (const key of Object.keys(row)) delete row[key];
+          Object.assign(row, before[i]);
+        });
+        throw error;
+      }
+      persist();
+      return targets.map(row => project(row, columns));
+    },
+
+    async upsert(table, rows, { onConflict, columns } = {}) {
+      const keys = onConflict ? onConflict.split(',').map(c => c.trim()) : [definition(table).primaryKey[0]];
+      const out = [];
+      for (const values of [].concat(rows)) {
+        const existing = rowsOf(table).find(row => keys.every(k => equal(row[k], values[k])));
+        if (existing) {
+          Object.assign(existing, structuredClone(values));
+          out.push(existing);
+        } else {
+          const row = build(table, values);
+          assertUnique(table, row);
+          rowsOf(table).push(row);
+          out.push(row);
+        }
+      }
+      persist();
+      return out.map(row => project(row, columns));
+    },
+
+    async remove(table, where) {
+      state.tables[table] = rowsOf(table).filter(row => !matches(row, where));
+      persist();
+    }
+  };
+}
+
+export {
+  createMemoryAdapter
+};
@@ -0,0 +1,82 @@
+import { createClient } from '@supabase/supabase-js';
+import { DatabaseError } from '../errors.js';
+import { conditions } from '../where.js';
+
+function applyWhere(query, where) {
+  let q = query;
+  for (const [column, op, value] of conditions(where)) {
+    switch (op) {
+      case 'eq': q = q.eq(column, value); break;
+      case 'isNull': q = q.is(column, null); break;
+      case 'notNull': q = q.not(column, 'is', null); break;
+      case 'in': q = q.in(column, value); break;
+      case 'neq': q = q.neq(column, value); break;
+      case 'gt': q = q.gt(column, value); break;
+      case 'gte': q = q.gte(column, value); break;
+      case 'lt': q = q.lt(column, value); break;
+      case 'lte': q = q.lte(column, value); break;
+      case 'between': q = q.gte(column, value[0]).lte(column, value[1]); break;
+      default: throw new Error(`Unsupported operator ${op}`);
+    }
+  }
+  return q;
+}
+
+function applyOrder(query, order) {
+  if (!order) return query;
+  return query.order(order.column, { ascending: order.ascending !== false });
+}
+
+function unwrap({ data, error }) {
+  if (error) throw new DatabaseError(error.message, error.code);
+  return data || [];
+}
+
+/**
+ * Adapter over a Supabase (PostgREST) project
+ */
+function createSupabaseAdapter({ url, key }) {
+  if (!url || !key) {
+    throw new Error('Missing Supabase credentials. Please set SUPABASE_URL and SUPABASE_ANON_KEY in your .env file');
+  }
+  const client = createClient(url, key);
+
+  return {
+    name: 'supabase',
+
+    async select(table, { where, columns = '*', order, limit, offset } = {}) {
+      let q = applyOrder(applyWhere(client.from(table).select(columns), where), order);
+      if (offset != null) q = q.range(offset, offset + (limit ?? 1000) - 1);
+      else if (limit != null) q = q.limit(limit);
+      return unwrap(await q);
+    },
+
+    // Rows of one page plus the total number of matching rows
+    async selectPage(table, { where, columns = '*', order, limit, offset = 0 } = {}) {
+      const q = applyOrder(applyWhere(client.from(table).select(columns, { count: 'exact' }), where), order)
+        .range(offset, offset + limit - 1);
+      const result = await q;
+      return { rows: unwrap(result), total: result.count || 0 };
+    },
+
+    async insert(table, rows, { columns = '*' } = {}) {
+      return unwrap(await client.from(table).insert(rows).select(columns));
+    },
+
+    async update(table, where, patch, { columns = '*' } = {}) {
+      return unwrap(await applyWhere(client.from(table).update(patch), where).select(columns));
+    },
+
+    async upsert(table, rows, { onConflict, columns = '*' } = {}) {
+      return unwrap(await client.from(table).upsert(rows, { onConflict }).select(columns));
+    },
+
+    async remove(table, where) {
+      unwrap(await applyWhere(client.from(table).delete(), where));
+    }
+  };
+}
+
+export {
+  createSupabaseAdapter
+};
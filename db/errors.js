@@ -0,0 +1,18 @@
+/**
+ * Error raised by a database adapter. `code` follows Postgres SQLSTATE where one
+ * applies (e.g. '23505' for a unique violation) so callers can handle both adapters alike.
+ */
+class DatabaseError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'DatabaseError';
+    this.code = code;
+  }
+}
+
+const UNIQUE_VIOLATION = '23505';
+
+export {
+  DatabaseError,
+  UNIQUE_VIOLATION
+};
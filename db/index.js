@@ -0,0 +1,27 @@
+import { createSupabaseAdapter } from './adapters/supabase.js';
+import { createMemoryAdapter } from './adapters/memory.js';
+import { createRepository } from './repository.js';
+
+/**
+ * Open the repository for the configured adapter.
+ *   DB_ADAPTER=supabase  SUPABASE_URL + SUPABASE_ANON_KEY (schema from db/migrations)
+ *   DB_ADAPTER=memory    embedded store; DB_FILE persists it as JSON across restarts
+ * Without DB_ADAPTER, Supabase is used when SUPABASE_URL is set, memory otherwise.
+ */
+function openDatabase(env = process.env) {
+  const adapter = env.DB_ADAPTER || (env.SUPABASE_URL ? 'supabase' : 'memory');
+  switch (adapter) {
+    case 'supabase':
+      return createRepository(createSupabaseAdapter({ url: env.SUPABASE_URL, key: env.SUPABASE_ANON_KEY }));
+    case 'memory':
+      return createRepository(createMemoryAdapter({ file: env.DB_FILE || null }));
+    default:
+      throw new Error(`Unknown DB_ADAPTER "${adapter}" (expected supabase or memory)`);
+  }
+}
+
+export { openDatabase, createRepository };
+export { createSupabaseAdapter } from './adapters/supabase.js';
+export { createMemoryAdapter } from './adapters/memory.js';
+export { DatabaseError, UNIQUE_VIOLATION } from './errors.js';
+export { op } from './where.js';
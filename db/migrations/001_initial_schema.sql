@@ -0,0 +1,76 @@
+-- 001: core application tables
+-- Apply in order (psql, or the Supabase SQL editor). Every statement is idempotent so
+-- projects whose tables were created by hand can run the full set safely.
+
+create table if not exists users (
+  id bigserial primary key,
+  address text not null unique,
+  created_at timestamptz not null default now()
+);
+
+-- Pay-per-call AI usage, one row per settled session
+create table if not exists api_sessions (
+  id bigserial primary key,
+  user_address text not null,
+  calls_count integer not null default 0,
+  amount_usdc numeric(20, 6),
+  tx_hash text,
+  created_at timestamptz not null default now()
+);
+create index if not exists api_sessions_user_address_idx on api_sessions (user_address, created_at desc);
+
+create table if not exists catalog_videos (
+  id bigserial primary key,
+  url text not null unique,
+  duration_seconds integer,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists video_purchases (
+  id bigserial primary key,
+  user_address text not null,
+  video_id bigint not null references catalog_videos (id),
+  amount_usdc numeric(20, 6),
+  tx_hash text,
+  purchased_at timestamptz not null default now(),
+  unique (user_address, video_id)
+);
+
+create table if not exists video_stream_sessions (
+  id bigserial primary key,
+  user_address text not null,
+  video_id bigint not null references catalog_videos (id),
+  seconds_streamed integer,
+  amount_usdc numeric(20, 6),
+  tx_hash text,
+  created_at timestamptz not null default now()
+);
+create index if not exists video_stream_sessions_user_address_idx on video_stream_sessions (user_address, created_at desc);
+
+-- Deposits, withdrawals and payments per user
+create table if not exists transactions (
+  id bigserial primary key,
+  user_id bigint references users (id),
+  service text not null,
+  ref_id bigint,
+  amount_usdc numeric(20, 6),
+  tx_hash text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists storage_files (
+  id bigserial primary key,
+  user_address text not null,
+  filename text not null,
+  size_bytes bigint not null default 0,
+  content_type text,
+  file_cid text not null,
+  uploaded_at timestamptz not null default now(),
+  deleted_at timestamptz,
+  storage_min integer,
+  amount_usdc numeric(20, 6),
+  tx_hash text,
+  created_at timestamptz not null default now()
+);
+create index if not exists storage_files_user_address_idx on storage_files (user_address, created_at desc);
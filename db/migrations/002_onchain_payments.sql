@@ -0,0 +1,62 @@
+-- 002: relayed payment jobs, escrow event indexing and payment claims
+
+-- Queued and in-flight PaymentIntents (web3-apis/jobs.js); numeric chain values are decimal strings
+create table if not exists relay_jobs (
+  id uuid primary key default gen_random_uuid(),
+  chain_id bigint,
+  session_id text not null,
+  payer text not null,
+  service_type text not null,
+  amount text not null,
+  intent jsonb not null,
+  metadata jsonb not null default '{}'::jsonb,
+  status text not null default 'queued',
+  tx_hash text,
+  submit_block bigint,
+  block_number bigint,
+  gas_used text,
+  gas_cost_wei text,
+  error text,
+  error_code text,
+  attempts integer not null default 0,
+  batch_size integer not null default 1,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  submitted_at timestamptz,
+  confirmed_at timestamptz
+);
+alter table relay_jobs add column if not exists chain_id bigint;
+-- One live (not failed) job per intent session
+create unique index if not exists relay_jobs_live_session_idx on relay_jobs (session_id) where status <> 'failed';
+create index if not exists relay_jobs_status_idx on relay_jobs (chain_id, status, created_at);
+create index if not exists relay_jobs_payer_idx on relay_jobs (chain_id, payer, status);
+
+-- Last block the escrow indexer has processed, per network and contract
+create table if not exists indexer_cursors (
+  name text primary key,
+  block_number bigint not null,
+  updated_at timestamptz not null default now()
+);
+
+-- Indexed escrow events are keyed by (tx_hash, log_index)
+alter table transactions add column if not exists chain_id bigint;
+alter table transactions add column if not exists log_index integer;
+alter table transactions add column if not exists block_number bigint;
+alter table transactions add column if not exists block_hash text;
+alter table transactions add column if not exists session_id text;
+create unique index if not exists transactions_tx_hash_log_index_idx on transactions (tx_hash, log_index);
+create index if not exists transactions_block_idx on transactions (chain_id, block_number);
+
+-- Settlements already backing a purchase, session or usage record (web3-apis/claims.js)
+create table if not exists payment_claims (
+  id bigserial primary key,
+  tx_hash text not null,
+  log_index integer not null,
+  session_id text not null,
+  payer text not null,
+  service_type text not null,
+  amount text not null,
+  claimed_for text,
+  created_at timestamptz not null default now(),
+  unique (tx_hash, log_index)
+);
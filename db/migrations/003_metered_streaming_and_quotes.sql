@@ -0,0 +1,40 @@
+-- 003: server-metered streaming, the price registry and signed payment quotes
+
+alter table catalog_videos add column if not exists price_per_second_usdc numeric(20, 6);
+
+alter table video_stream_sessions add column if not exists session_id text;
+alter table video_stream_sessions add column if not exists status text;
+alter table video_stream_sessions add column if not exists price_per_second_usdc numeric(20, 6);
+alter table video_stream_sessions add column if not exists payment_session_id text;
+alter table video_stream_sessions add column if not exists started_at timestamptz;
+alter table video_stream_sessions add column if not exists last_heartbeat_at timestamptz;
+alter table video_stream_sessions add column if not exists stopped_at timestamptz;
+create unique index if not exists video_stream_sessions_session_id_idx on video_stream_sessions (session_id);
+
+-- Rows take effect at effective_from; services without one use the built-in defaults (web3-apis/pricing.js)
+create table if not exists service_prices (
+  id bigserial primary key,
+  service_type text not null,
+  unit text not null,
+  price_usdc numeric(20, 6) not null,
+  effective_from timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  unique (service_type, effective_from)
+);
+
+-- Server-signed quotes a PaymentIntent's sessionId must commit to (web3-apis/quotes.js)
+create table if not exists payment_quotes (
+  id uuid primary key default gen_random_uuid(),
+  session_id text not null unique,
+  service_type text not null,
+  amount text not null,
+  metadata jsonb not null default '{}'::jsonb,
+  payer text,
+  salt text not null,
+  expires_at timestamptz not null,
+  signer text not null,
+  signature text not null,
+  used_at timestamptz,
+  job_id uuid,
+  created_at timestamptz not null default now()
+);
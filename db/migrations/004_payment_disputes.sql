@@ -0,0 +1,26 @@
+-- 004: disputes on settled payment sessions and the refunds that resolve them
+
+-- One dispute per settled session (web2-apis/disputes.js); amounts are decimal strings in USDC base units
+create table if not exists payment_disputes (
+  id uuid primary key default gen_random_uuid(),
+  chain_id bigint not null,
+  session_id text not null,
+  user_address text not null,
+  service text,
+  payment_tx_hash text,
+  amount text not null,
+  reason text not null,
+  status text not null default 'open',
+  refund_amount text,
+  refund_tx_hash text,
+  resolved_by text,
+  resolution_note text,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  resolved_at timestamptz,
+  refunded_at timestamptz,
+  unique (chain_id, session_id)
+);
+create index if not exists payment_disputes_user_idx on payment_disputes (user_address, created_at);
+create index if not exists payment_disputes_status_idx on payment_disputes (status, created_at);
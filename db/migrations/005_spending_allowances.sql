@@ -0,0 +1,21 @@
+-- 005: signed spending allowances drawn by the server without a new signature per payment
+
+-- One row per signed SpendingAllowance (web3-apis/allowances.js); amounts are decimal strings in USDC base units.
+-- spent includes draws that were sent but are not mined yet.
+create table if not exists spending_allowances (
+  id uuid primary key default gen_random_uuid(),
+  chain_id bigint not null,
+  allowance_id text not null,
+  payer text not null,
+  spender text not null,
+  max_amount text not null,
+  expiry timestamptz not null,
+  service_types jsonb not null default '[]'::jsonb,
+  signature text not null,
+  spent text not null default '0',
+  status text not null default 'active',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (chain_id, payer, allowance_id)
+);
+create index if not exists spending_allowances_payer_idx on spending_allowances (chain_id, payer, created_at);
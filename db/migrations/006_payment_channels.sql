@@ -0,0 +1,35 @@
+-- 006: payment channels settled with the latest cumulative voucher, for per-second streaming
+
+-- One row per channel opened through the relayer (web3-apis/channels.js); amounts are decimal
+-- strings in USDC base units. voucher_amount/voucher_signature hold the latest voucher, which is
+-- the one closeChannel settles.
+create table if not exists payment_channels (
+  id uuid primary key default gen_random_uuid(),
+  chain_id bigint not null,
+  channel_id text not null,
+  payer text not null,
+  spender text not null,
+  deposit text not null,
+  expiry timestamptz not null,
+  service_type text not null,
+  open_signature text not null,
+  status text not null default 'open',
+  voucher_amount text not null default '0',
+  voucher_signature text,
+  voucher_at timestamptz,
+  stream_session_id text,
+  open_tx_hash text,
+  close_tx_hash text,
+  paid text,
+  attempts integer not null default 0,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  closed_at timestamptz,
+  unique (chain_id, channel_id)
+);
+create index if not exists payment_channels_payer_idx on payment_channels (chain_id, payer, created_at);
+create index if not exists payment_channels_status_idx on payment_channels (chain_id, status, created_at);
+
+-- Metered sessions paid through a channel instead of a PaymentIntent
+alter table video_stream_sessions add column if not exists channel_id text;
@@ -0,0 +1,33 @@
+-- 007: server-computed storage billing (size x minutes stored at the registry's gb_minute rate)
+
+-- Storage is paid up to billed_through; everything after it is accrued and unpaid
+alter table storage_files add column if not exists billed_through timestamptz;
+update storage_files set billed_through = coalesce(deleted_at, uploaded_at) where billed_through is null and tx_hash is not null;
+update storage_files set billed_through = uploaded_at where billed_through is null;
+
+-- One row per billed period of a file (web3-apis/storage-billing.js); amounts are decimal strings
+-- in USDC base units. A period is quoted before deletion or drawn from a storage allowance by the
+-- billing cycle, and paid through the quote in quote_session_id.
+create table if not exists storage_charges (
+  id uuid primary key default gen_random_uuid(),
+  file_id bigint not null references storage_files (id),
+  user_address text not null,
+  chain_id bigint not null,
+  period_start timestamptz not null,
+  period_end timestamptz not null,
+  minutes integer not null,
+  size_bytes bigint not null,
+  amount text not null,
+  reason text not null,
+  status text not null default 'quoted',
+  quote_session_id text,
+  tx_hash text,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  paid_at timestamptz
+);
+-- A period is billed once: only one charge per start that has not failed or expired
+create unique index if not exists storage_charges_period_idx on storage_charges (file_id, period_start)
+  where status not in ('failed', 'expired');
+create index if not exists storage_charges_user_idx on storage_charges (user_address, created_at);
@@ -0,0 +1,12 @@
+-- 008: pluggable storage providers (storage/index.js) and unpinning after a retention window
+
+-- Provider that pinned the file (pinata, local or kubo); files before this migration were all on Pinata
+alter table storage_files add column if not exists storage_provider text;
+update storage_files set storage_provider = 'pinata' where storage_provider is null;
+
+-- When the retention worker released the file's pin. The content itself is only unpinned
+-- once no other file row holds the same CID.
+alter table storage_files add column if not exists unpinned_at timestamptz;
+
+create index if not exists storage_files_cid_idx on storage_files (storage_provider, file_cid);
+create index if not exists storage_files_unpin_idx on storage_files (deleted_at) where unpinned_at is null;
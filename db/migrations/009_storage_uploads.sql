@@ -0,0 +1,34 @@
+-- 009: resumable chunked uploads (web2-apis/storage-uploads.js)
+
+-- One row per upload in progress. Parts are part_size bytes (the last one is the rest), kept
+-- on the server's disk until the upload is completed into storage_files (file_id).
+create table if not exists storage_uploads (
+  id uuid primary key default gen_random_uuid(),
+  user_address text not null,
+  filename text not null,
+  content_type text,
+  size_bytes bigint not null,
+  part_size integer not null,
+  part_count integer not null,
+  status text not null default 'uploading',
+  file_id bigint references storage_files (id),
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+create index if not exists storage_uploads_user_idx on storage_uploads (user_address, created_at);
+create index if not exists storage_uploads_expiry_idx on storage_uploads (expires_at)
+  where status in ('uploading', 'completing');
+
+-- Parts received so far; sending a part again replaces it
+create table if not exists storage_upload_parts (
+  id bigserial primary key,
+  upload_id uuid not null references storage_uploads (id),
+  part_number integer not null,
+  size_bytes bigint not null,
+  sha256 text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (upload_id, part_number)
+);
@@ -0,0 +1,7 @@
+-- 010: content fingerprints for deduplication and integrity checks (storage/cid.js)
+
+-- sha256 (hex) of the stored bytes, next to file_cid, the CID computed before pinning
+alter table storage_files add column if not exists content_sha256 text;
+
+create index if not exists storage_files_sha256_idx on storage_files (storage_provider, content_sha256)
+  where deleted_at is null;
@@ -0,0 +1,26 @@
+-- 011: download access to stored files (web2-apis/storage-downloads.js)
+
+-- The stored content a catalog video plays, so its buyers may download that file.
+-- Videos served from an IPFS gateway get it from their URL.
+alter table catalog_videos add column if not exists file_cid text;
+update catalog_videos set file_cid = substring(url from '/ipfs/(Qm[1-9A-HJ-NP-Za-km-z]{44})')
+  where file_cid is null;
+create index if not exists catalog_videos_file_cid_idx on catalog_videos (file_cid)
+  where file_cid is not null;
+
+-- Wallets an owner shared a file with, until revoked
+create table if not exists storage_shares (
+  id bigserial primary key,
+  file_id bigint not null references storage_files (id),
+  owner_address text not null,
+  grantee_address text not null,
+  created_at timestamptz not null default now(),
+  revoked_at timestamptz,
+  unique (file_id, grantee_address)
+);
+create index if not exists storage_shares_grantee_idx on storage_shares (grantee_address)
+  where revoked_at is null;
+
+-- Files by content, for download links asked for by CID
+create index if not exists storage_files_cid_idx on storage_files (file_cid)
+  where deleted_at is null;
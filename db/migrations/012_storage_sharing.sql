@@ -0,0 +1,32 @@
+-- 012: sharing, publishing and pay-per-download of stored files (web2-apis/storage-sharing.js)
+
+-- A published file may be downloaded by any signed-in wallet: free without a price,
+-- otherwise for download_price_usdc per download (storage_downloads)
+alter table storage_files add column if not exists published_at timestamptz;
+alter table storage_files add column if not exists download_price_usdc numeric(20, 6);
+create index if not exists storage_files_published_idx on storage_files (published_at desc)
+  where published_at is not null and deleted_at is null;
+
+-- One row per download link issued (web2-apis/storage-downloads.js), with how the wallet had
+-- access. Paid downloads are quoted first and paid through the quote in quote_session_id;
+-- amounts are decimal strings in USDC base units, '0' for downloads that cost nothing.
+create table if not exists storage_downloads (
+  id uuid primary key default gen_random_uuid(),
+  file_id bigint not null references storage_files (id),
+  owner_address text not null,
+  user_address text not null,
+  access text not null,
+  chain_id bigint,
+  amount text not null default '0',
+  status text not null default 'granted',
+  quote_session_id text,
+  tx_hash text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  paid_at timestamptz
+);
+create index if not exists storage_downloads_user_idx on storage_downloads (user_address, created_at);
+create index if not exists storage_downloads_owner_idx on storage_downloads (owner_address, paid_at)
+  where status = 'paid';
+create unique index if not exists storage_downloads_tx_idx on storage_downloads (tx_hash)
+  where tx_hash is not null;
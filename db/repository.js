@@ -0,0 +1,685 @@
+import { op } from './where.js';
+
+// Data access for every table the API touches. Routes and workers only call these
+// methods; the adapter underneath (Supabase or the embedded memory store) decides
+// how the query is run. Methods throw DatabaseError on failure.
+
+const USER_COLUMNS = 'id, address, created_at';
+const API_SESSION_COLUMNS = 'id, user_address, calls_count, amount_usdc, tx_hash, created_at';
+const VIDEO_COLUMNS = 'id, url, duration_seconds, active, price_per_second_usdc, file_cid';
+const PURCHASE_COLUMNS = 'id, user_address, video_id, amount_usdc, tx_hash, purchased_at';
+const STREAM_SESSION_COLUMNS = 'id, user_address, video_id, session_id, status, seconds_streamed, price_per_second_usdc, amount_usdc, payment_session_id, channel_id, tx_hash, started_at, last_heartbeat_at, stopped_at, created_at';
+const TX_COLUMNS = 'id, chain_id, user_id, service, ref_id, amount_usdc, tx_hash, log_index, block_number, block_hash, session_id, created_at';
+const JOB_COLUMNS = 'id, chain_id, session_id, payer, service_type, amount, intent, metadata, status, tx_hash, submit_block, block_number, gas_used, gas_cost_wei, error, error_code, attempts, batch_size, created_at, updated_at, submitted_at, confirmed_at';
+const QUOTE_COLUMNS = 'id, session_id, service_type, amount, metadata, payer, salt, expires_at, signer, signature, used_at, job_id, created_at';
+const PRICE_COLUMNS = 'service_type, unit, price_usdc, effective_from';
+const ALLOWANCE_COLUMNS = 'id, chain_id, allowance_id, payer, spender, max_amount, expiry, service_types, signature, spent, status, created_at, updated_at';
+const STORAGE_CHARGE_COLUMNS = 'id, file_id, user_address, chain_id, period_start, period_end, minutes, size_bytes, amount, reason, status, quote_session_id, tx_hash, error, created_at, updated_at, paid_at';
+const SHARE_COLUMNS = 'id, file_id, owner_address, grantee_address, created_at, revoked_at';
+const DOWNLOAD_COLUMNS = 'id, file_id, owner_address, user_address, access, chain_id, amount, status, quote_session_id, tx_hash, created_at, updated_at, paid_at';
+const UPLOAD_COLUMNS = 'id, user_address, filename, content_type, size_bytes, part_size, part_count, status, file_id, error, created_at, updated_at, expires_at';
+const CHANNEL_COLUMNS = 'id, chain_id, channel_id, payer, spender, deposit, expiry, service_type, open_signature, status, voucher_amount, voucher_signature, voucher_at, stream_session_id, open_tx_hash, close_tx_hash, paid, attempts, error, created_at, updated_at, closed_at';
+const DISPUTE_COLUMNS = 'id, chain_id, session_id, user_address, service, payment_tx_hash, amount, reason, status, refund_amount, refund_tx_hash, resolved_by, resolution_note, error, created_at, updated_at, resolved_at, refunded_at';
+
+const lower = (value) => String(value || '').toLowerCase();
+
+/**
+ * Repository over a database adapter (see db/adapters)
+ */
+function createRepository(adapter) {
+  const first = async (table, options) => (await adapter.select(table, { ...options, limit: 1 }))[0] || null;
+  const insertOne = async (table, row, columns) => (await adapter.insert(table, row, { columns }))[0] || null;
+  const updateOne = async (table, where, patch, columns) => (await adapter.update(table, where, patch, { columns }))[0] || null;
+
+  const users = {
+    async upsertByAddress(address) {
+      const rows = await adapter.upsert('users', { address: lower(address) }, { onConflict: 'address', columns: USER_COLUMNS });
+      return rows[0] || null;
+    },
+
+    async findIdByAddress(address) {
+      const row = await first('users', { where: { address: lower(address) }, columns: 'id' });
+      return row?.id ?? null;
+    }
+  };
+
+  const apiSessions = {
+    listByUser(address, { limit } = {}) {
+      return adapter.select('api_sessions', {
+        where: { user_address: lower(address) },
+        columns: API_SESSION_COLUMNS,
+        order: { column: 'created_at', ascending: false },
+        limit
+      });
+    },
+
+    create(row) {
+      return insertOne('api_sessions', row, API_SESSION_COLUMNS);
+    }
+  };
+
+  const catalogVideos = {
+    listActive() {
+      return adapter.select('catalog_videos', {
+        where: { active: true },
+        columns: VIDEO_COLUMNS,
+        order: { column: 'id', ascending: true }
+      });
+    },
+
+    findById(id) {
+      return first('catalog_videos', { where: { id: Number(id) }, columns: VIDEO_COLUMNS });
+    },
+
+    findByUrl(url) {
+      return first('catalog_videos', { where: { url: String(url) }, columns: VIDEO_COLUMNS });
+    },
+
+    listByIds(ids) {
+      if (ids.length === 0) return Promise.resolve([]);
+      return adapter.select('catalog_videos', { where: { id: op.in(ids) }, columns: VIDEO_COLUMNS });
+    },
+
+    // Videos playing the stored content `cid`
+    listByCid(cid) {
+      return adapter.select('catalog_videos', { where: { file_cid: cid }, columns: VIDEO_COLUMNS });
+    }
+  };
+
+  const videoPurchases = {
+    // One purchase per (user, video); buying again replaces the payment on record
+    async upsert(row) {
+      const rows = await adapter.upsert('video_purchases', row, { onConflict: 'user_address,video_id', columns: PURCHASE_COLUMNS });
+      return rows[0] || null;
+    },
+
+    listByUser(address) {
+      return adapter.select('video_purchases', {
+        where: { user_address: lower(address) },
+        columns: PURCHASE_COLUMNS,
+        order: { column: 'purchased_at', ascending: false }
+      });
+    },
+
+    // The user's purchase of any of these videos
+    findByUserForVideos(address, videoIds) {
+      if (videoIds.length === 0) return Promise.resolve(null);
+      return first('video_purchases', {
+        where: { user_address: lower(address), video_id: op.in(videoIds.map(Number)) },
+        columns: PURCHASE_COLUMNS
+      });
+    }
+  };
+
+  const videoStreamSessions = {
+    create(row) {
+      return insertOne('video_stream_sessions', row, STREAM_SESSION_COLUMNS);
+    },
+
+    findBySessionId(address, sessionId) {
+      return first('video_stream_sessions', {
+        where: { user_address: lower(address), session_id: lower(sessionId) },
+        columns: STREAM_SESSION_COLUMNS
+      });
+    },
+
+    findActiveForVideo(address, videoId) {
+      return first('video_stream_sessions', {
+        where: { user_address: lower(address), video_id: Number(videoId), status: 'active' },
+        columns: STREAM_SESSION_COLUMNS
+      });
+    },
+
+    // `guard` holds extra column values the row must still have (compare-and-set);
+    // resolves to null when it no longer matches
+    update(id, patch, guard = {}) {
+      return updateOne('video_stream_sessions', { ...guard, id }, patch, STREAM_SESSION_COLUMNS);
+    },
+
+    listByUser(address) {
+      return adapter.select('video_stream_sessions', {
+        where: { user_address: lower(address) },
+        columns: STREAM_SESSION_COLUMNS,
+        order: { column: 'created_at', ascending: false }
+      });
+    }
+  };
+
+  const transactions = {
+    // Indexed escrow events are keyed by (tx_hash, log_index)
+    upsertIndexed(rows) {
+      if (rows.length === 0) return Promise.resolve([]);
+      return adapter.upsert('transactions', rows, { onConflict: 'tx_hash,log_index', columns: TX_COLUMNS });
+    },
+
+    listIndexedInRange(chainId, fromBlock, toBlock) {
+      return adapter.select('transactions', {
+        where: { chain_id: chainId, log_index: op.notNull(), block_number: op.between([fromBlock, toBlock]) },
+        columns: 'id, tx_hash, log_index'
+      });
+    },
+
+    removeByIds(ids) {
+      if (ids.length === 0) return Promise.resolve();
+      return adapter.remove('transactions', { id: op.in(ids) });
+    },
+
+    pageIndexedByUser(userId, { offset, limit, ascending = false }) {
+      return adapter.selectPage('transactions', {
+        where: { user_id: userId, log_index: op.notNull() },
+        columns: TX_COLUMNS,
+        order: { column: 'created_at', ascending },
+        offset,
+        limit
+      });
+    },
+
+    setRefId(id, refId) {
+      return updateOne('transactions', { id }, { ref_id: refId }, TX_COLUMNS);
+    },
+
+    // Indexed PaymentExecuted row of a session (refunds of it share the session_id)
+    findPaymentBySession(chainId, sessionId) {
+      return first('transactions', {
+        where: { chain_id: chainId, session_id: lower(sessionId), service: op.neq('refund'), log_index: op.notNull() },
+        columns: TX_COLUMNS
+      });
+    }
+  };
+
+  const storageFiles = {
+    findActiveByCid(address, cid) {
+      return first('storage_files', {
+        where: { user_address: lower(address), file_cid: cid, deleted_at: null },
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    create(row) {
+      return insertOne('storage_files', row, '*');
+    },
+
+    listByUser(address, { includeDeleted = true } = {}) {
+      return adapter.select('storage_files', {
+        where: { user_address: lower(address), ...(includeDeleted ? {} : { deleted_at: null }) },
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    findById(id) {
+      return first('storage_files', { where: { id } });
+    },
+
+    listByIds(ids) {
+      if (ids.length === 0) return Promise.resolve([]);
+      return adapter.select('storage_files', { where: { id: op.in(ids) } });
+    },
+
+    // Active files anyone signed in may download, newest first
+    listPublished({ limit } = {}) {
+      return adapter.select('storage_files', {
+        where: { published_at: op.notNull(), deleted_at: null },
+        order: { column: 'published_at', ascending: false },
+        limit
+      });
+    },
+
+    // Active files of any user holding `cid`, newest first
+    listActiveByCid(cid) {
+      return adapter.select('storage_files', {
+        where: { file_cid: cid, deleted_at: null },
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    // An active file with this content, by CID or sha256, optionally at one provider or of one user
+    findActiveContent({ cid, sha256, provider, address }) {
+      return first('storage_files', {
+        where: {
+          deleted_at: null,
+          ...(cid ? { file_cid: cid } : { content_sha256: String(sha256).toLowerCase() }),
+          ...(provider ? { storage_provider: provider } : {}),
+          ...(address ? { user_address: lower(address) } : {})
+        },
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    findOwned(id, address) {
+      return first('storage_files', { where: { id, user_address: lower(address) } });
+    },
+
+    updateOwned(id, address, patch) {
+      return updateOne('storage_files', { id, user_address: lower(address) }, patch, '*');
+    },
+
+    // Files still stored whose paid period ended before `cutoff`, oldest billing first
+    listActiveBilledBefore(cutoff, { limit } = {}) {
+      return adapter.select('storage_files', {
+        where: { deleted_at: null, billed_through: op.lt(cutoff) },
+        order: { column: 'billed_through', ascending: true },
+        limit
+      });
+    },
+
+    // Files on `provider` deleted before `cutoff` whose pin was not released yet, oldest first
+    listUnpinDue(provider, cutoff, { limit } = {}) {
+      return adapter.select('storage_files', {
+        where: { storage_provider: provider, deleted_at: op.lt(cutoff), unpinned_at: null },
+        order: { column: 'deleted_at', ascending: true },
+        limit
+      });
+    },
+
+    // Files of any user still holding a pin on `cid` at `provider`
+    listPinnedByCid(provider, cid) {
+      return adapter.select('storage_files', {
+        where: { storage_provider: provider, file_cid: cid, unpinned_at: null }
+      });
+    },
+
+    // Resolves to null when the row no longer matches `guard` (see videoStreamSessions.update)
+    update(id, patch, guard = {}) {
+      return updateOne('storage_files', { ...guard, id }, patch, '*');
+    }
+  };
+
+  const storageCharges = {
+    // Throws DatabaseError with code UNIQUE_VIOLATION if the period is already being billed
+    create(row) {
+      return insertOne('storage_charges', row, STORAGE_CHARGE_COLUMNS);
+    },
+
+    // Charges of a file that are quoted or sent but not settled yet
+    listOpenForFile(fileId) {
+      return adapter.select('storage_charges', {
+        where: { file_id: Number(fileId), status: op.in(['quoted', 'submitted']) },
+        columns: STORAGE_CHARGE_COLUMNS,
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    listByUser(address) {
+      return adapter.select('storage_charges', {
+        where: { user_address: lower(address) },
+        columns: STORAGE_CHARGE_COLUMNS,
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    // Resolves to null when the row no longer matches `guard` (see videoStreamSessions.update)
+    update(id, patch, guard = {}) {
+      return updateOne('storage_charges', { ...guard, id }, { ...patch, updated_at: new Date().toISOString() }, STORAGE_CHARGE_COLUMNS);
+    }
+  };
+
+  const storageShares = {
+    // Sharing a file again with the same wallet renews its share
+    async upsert(row) {
+      const rows = await adapter.upsert('storage_shares', {
+        ...row,
+        owner_address: lower(row.owner_address),
+        grantee_address: lower(row.grantee_address),
+        revoked_at: null
+      }, { onConflict: 'file_id,grantee_address', columns: SHARE_COLUMNS });
+      return rows[0] || null;
+    },
+
+    // The share of a file with `address`, unless revoked
+    findActive(fileId, address) {
+      return first('storage_shares', {
+        where: { file_id: Number(fileId), grantee_address: lower(address), revoked_at: null },
+        columns: SHARE_COLUMNS
+      });
+    },
+
+    listActiveForFile(fileId) {
+      return adapter.select('storage_shares', {
+        where: { file_id: Number(fileId), revoked_at: null },
+        columns: SHARE_COLUMNS,
+        order: { column: 'created_at', ascending: true }
+      });
+    },
+
+    listActiveForGrantee(address) {
+      return adapter.select('storage_shares', {
+        where: { grantee_address: lower(address), revoked_at: null },
+        columns: SHARE_COLUMNS,
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    // Resolves to null when the file was not shared with `address`, or no longer is
+    revoke(fileId, address) {
+      return updateOne('storage_shares', { file_id: Number(fileId), grantee_address: lower(address), revoked_at: null },
+        { revoked_at: new Date().toISOString() }, SHARE_COLUMNS);
+    }
+  };
+
+  const storageDownloads = {
+    create(row) {
+      return insertOne('storage_downloads', row, DOWNLOAD_COLUMNS);
+    },
+
+    findById(id) {
+      return first('storage_downloads', { where: { id }, columns: DOWNLOAD_COLUMNS });
+    },
+
+    findByTx(txHash) {
+      return first('storage_downloads', { where: { tx_hash: lower(txHash) }, columns: DOWNLOAD_COLUMNS });
+    },
+
+    // The wallet's latest download of a file still waiting for payment
+    findQuoted(fileId, address) {
+      return first('storage_downloads', {
+        where: { file_id: Number(fileId), user_address: lower(address), status: 'quoted' },
+        columns: DOWNLOAD_COLUMNS,
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    // Downloads the wallet was given, paid or free
+    listByUser(address) {
+      return adapter.select('storage_downloads', {
+        where: { user_address: lower(address), status: op.in(['granted', 'paid']) },
+        columns: DOWNLOAD_COLUMNS,
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    // Paid downloads of the wallet's files
+    listPaidByOwner(address) {
+      return adapter.select('storage_downloads', {
+        where: { owner_address: lower(address), status: 'paid' },
+        columns: DOWNLOAD_COLUMNS,
+        order: { column: 'paid_at', ascending: false }
+      });
+    },
+
+    // Resolves to null when the row no longer matches `guard` (see videoStreamSessions.update)
+    update(id, patch, guard = {}) {
+      return updateOne('storage_downloads', { ...guard, id }, { ...patch, updated_at: new Date().toISOString() }, DOWNLOAD_COLUMNS);
+    }
+  };
+
+  const storageUploads = {
+    create(row) {
+      return insertOne('storage_uploads', row, UPLOAD_COLUMNS);
+    },
+
+    findOwned(id, address) {
+      return first('storage_uploads', { where: { id, user_address: lower(address) }, columns: UPLOAD_COLUMNS });
+    },
+
+    // Uploads still uploading (or stuck completing) past their expiry
+    listExpired(now, { limit } = {}) {
+      return adapter.select('storage_uploads', {
+        where: { status: op.in(['uploading', 'completing']), expires_at: op.lt(now) },
+        columns: UPLOAD_COLUMNS,
+        order: { column: 'expires_at', ascending: true },
+        limit
+      });
+    },
+
+    // Resolves to null when the row no longer matches `guard` (see videoStreamSessions.update)
+    update(id, patch, guard = {}) {
+      return updateOne('storage_uploads', { ...guard, id }, { ...patch, updated_at: new Date().toISOString() }, UPLOAD_COLUMNS);
+    }
+  };
+
+  const storageUploadParts = {
+    // Sending a part again replaces the earlier one
+    async upsert(row) {
+      const rows = await adapter.upsert('storage_upload_parts', { ...row, updated_at: new Date().toISOString() }, { onConflict: 'upload_id,part_number' });
+      return rows[0] || null;
+    },
+
+    listByUpload(uploadId) {
+      return adapter.select('storage_upload_parts', {
+        where: { upload_id: uploadId },
+        order: { column: 'part_number', ascending: true }
+      });
+    }
+  };
+
+  const relayJobs = {
+    create(row) {
+      return insertOne('relay_jobs', row, JOB_COLUMNS);
+    },
+
+    findById(id) {
+      return first('relay_jobs', { where: { id }, columns: JOB_COLUMNS });
+    },
+
+    update(id, patch) {
+      return updateOne('relay_jobs', { id }, { ...patch, updated_at: new Date().toISOString() }, JOB_COLUMNS);
+    },
+
+    // Latest job for a session that is still in flight or already succeeded
+    findLiveBySession(sessionId) {
+      return first('relay_jobs', {
+        where: { session_id: lower(sessionId), status: op.neq('failed') },
+        columns: JOB_COLUMNS,
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    listForPayer(payer, chainId, statuses) {
+      return adapter.select('relay_jobs', {
+        where: { chain_id: chainId, payer: lower(payer), status: op.in(statuses) },
+        columns: JOB_COLUMNS
+      });
+    },
+
+    // Oldest first, so jobs are relayed in the order they were accepted
+    listByStatus(chainId, status, limit) {
+      return adapter.select('relay_jobs', {
+        where: { chain_id: chainId, status },
+        columns: JOB_COLUMNS,
+        order: { column: 'created_at', ascending: true },
+        limit
+      });
+    }
+  };
+
+  const paymentQuotes = {
+    create(row) {
+      return insertOne('payment_quotes', row, QUOTE_COLUMNS);
+    },
+
+    findBySessionId(sessionId) {
+      return first('payment_quotes', { where: { session_id: lower(sessionId) }, columns: QUOTE_COLUMNS });
+    },
+
+    // Resolves to null when the row no longer matches `guard` (see videoStreamSessions.update)
+    update(id, patch, guard = {}) {
+      return updateOne('payment_quotes', { ...guard, id }, patch, QUOTE_COLUMNS);
+    }
+  };
+
+  const paymentClaims = {
+    // Throws DatabaseError with code UNIQUE_VIOLATION if the log was already claimed
+    create(row) {
+      return insertOne('payment_claims', row, '*');
+    },
+
+    remove(txHash, logIndex) {
+      return adapter.remove('payment_claims', { tx_hash: txHash, log_index: logIndex });
+    },
+
+    findBySession(sessionId) {
+      return first('payment_claims', { where: { session_id: lower(sessionId) } });
+    }
+  };
+
+  const spendingAllowances = {
+    // Throws DatabaseError with code UNIQUE_VIOLATION if the allowanceId is already registered
+    create(row) {
+      return insertOne('spending_allowances', row, ALLOWANCE_COLUMNS);
+    },
+
+    findById(id) {
+      return first('spending_allowances', { where: { id }, columns: ALLOWANCE_COLUMNS });
+    },
+
+    findByAllowanceId(chainId, payer, allowanceId) {
+      return first('spending_allowances', {
+        where: { chain_id: chainId, payer: lower(payer), allowance_id: lower(allowanceId) },
+        columns: ALLOWANCE_COLUMNS
+      });
+    },
+
+    // Oldest first, which is the order draws use them in
+    listByPayer(chainId, payer) {
+      return adapter.select('spending_allowances', {
+        where: { chain_id: chainId, payer: lower(payer) },
+        columns: ALLOWANCE_COLUMNS,
+        order: { column: 'created_at', ascending: true }
+      });
+    },
+
+    // Resolves to null when the row no longer matches `guard` (see videoStreamSessions.update)
+    update(id, patch, guard = {}) {
+      return updateOne('spending_allowances', { ...guard, id }, { ...patch, updated_at: new Date().toISOString() }, ALLOWANCE_COLUMNS);
+    }
+  };
+
+  const paymentChannels = {
+    // Throws DatabaseError with code UNIQUE_VIOLATION if the channelId is already registered
+    create(row) {
+      return insertOne('payment_channels', row, CHANNEL_COLUMNS);
+    },
+
+    findById(id) {
+      return first('payment_channels', { where: { id }, columns: CHANNEL_COLUMNS });
+    },
+
+    findByChannelId(chainId, channelId) {
+      return first('payment_channels', {
+        where: { chain_id: chainId, channel_id: lower(channelId) },
+        columns: CHANNEL_COLUMNS
+      });
+    },
+
+    listByPayer(chainId, payer) {
+      return adapter.select('payment_channels', {
+        where: { chain_id: chainId, payer: lower(payer) },
+        columns: CHANNEL_COLUMNS,
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    // Oldest first, so the channel worker settles them in order
+    listByStatus(chainId, statuses, { limit } = {}) {
+      return adapter.select('payment_channels', {
+        where: { chain_id: chainId, status: op.in(statuses) },
+        columns: CHANNEL_COLUMNS,
+        order: { column: 'created_at', ascending: true },
+        limit
+      });
+    },
+
+    // Resolves to null when the row no longer matches `guard` (see videoStreamSessions.update)
+    update(id, patch, guard = {}) {
+      return updateOne('payment_channels', { ...guard, id }, { ...patch, updated_at: new Date().toISOString() }, CHANNEL_COLUMNS);
+    }
+  };
+
+  const paymentDisputes = {
+    // Throws DatabaseError with code UNIQUE_VIOLATION if the session is already disputed
+    create(row) {
+      return insertOne('payment_disputes', row, DISPUTE_COLUMNS);
+    },
+
+    findById(id) {
+      return first('payment_disputes', { where: { id }, columns: DISPUTE_COLUMNS });
+    },
+
+    listByUser(address) {
+      return adapter.select('payment_disputes', {
+        where: { user_address: lower(address) },
+        columns: DISPUTE_COLUMNS,
+        order: { column: 'created_at', ascending: false }
+      });
+    },
+
+    // Oldest first, so operators work through the queue in order
+    listByStatus(statuses, { limit } = {}) {
+      return adapter.select('payment_disputes', {
+        where: statuses ? { status: op.in(statuses) } : {},
+        columns: DISPUTE_COLUMNS,
+        order: { column: 'created_at', ascending: true },
+        limit
+      });
+    },
+
+    // Resolves to null when the row no longer matches `guard` (see videoStreamSessions.update)
+    update(id, patch, guard = {}) {
+      return updateOne('payment_disputes', { ...guard, id }, { ...patch, updated_at: new Date().toISOString() }, DISPUTE_COLUMNS);
+    },
+
+    // Complete the dispute whose refund landed on-chain; a no-op for refunds outside the workflow
+    markRefunded(chainId, sessionId, txHash) {
+      const at = new Date().toISOString();
+      return updateOne(
+        'payment_disputes',
+        { chain_id: chainId, session_id: lower(sessionId), status: 'refunding' },
+        { status: 'refunded', refund_tx_hash: lower(txHash), error: null, refunded_at: at, updated_at: at },
+        DISPUTE_COLUMNS
+      );
+    }
+  };
+
+  const indexerCursors = {
+    async get(name) {
+      const row = await first('indexer_cursors', { where: { name }, columns: 'name, block_number' });
+      return row ? Number(row.block_number) : null;
+    },
+
+    async set(name, blockNumber) {
+      await adapter.upsert('indexer_cursors', { name, block_number: blockNumber, updated_at: new Date().toISOString() }, { onConflict: 'name' });
+    }
+  };
+
+  const servicePrices = {
+    // Past, current and scheduled rows, oldest first
+    listAll() {
+      return adapter.select('service_prices', {
+        columns: PRICE_COLUMNS,
+        order: { column: 'effective_from', ascending: true }
+      });
+    }
+  };
+
+  return {
+    adapter: adapter.name,
+    // Cheapest round trip that proves the database is reachable and migrated
+    async ping() {
+      await adapter.select('users', { columns: 'id', limit: 1 });
+    },
+    users,
+    apiSessions,
+    catalogVideos,
+    videoPurchases,
+    videoStreamSessions,
+    transactions,
+    storageFiles,
+    storageCharges,
+    storageShares,
+    storageDownloads,
+    storageUploads,
+    storageUploadParts,
+    relayJobs,
+    paymentQuotes,
+    paymentClaims,
+    paymentDisputes,
+    spendingAllowances,
+    paymentChannels,
+    indexerCursors,
+    servicePrices
+  };
+}
+
+export {
+  createRepository
+};
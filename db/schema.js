@@ -0,0 +1,145 @@
+// Table definitions the memory adapter enforces. They mirror the keys, unique
+// constraints and defaults in db/migrations, which remain the source of truth
+// for Supabase; keep both in step when adding a migration.
+//   primaryKey: column, generated as 'serial' or 'uuid' when not supplied (or 'none')
+//   unique:     column lists; `where` makes it a partial index
+//   defaults:   values (or functions) for columns left out of an insert
+const now = () => new Date().toISOString();
+
+const TABLES = {
+  users: {
+    primaryKey: ['id', 'serial'],
+    unique: [{ columns: ['address'] }],
+    defaults: { created_at: now }
+  },
+  api_sessions: {
+    primaryKey: ['id', 'serial'],
+    defaults: { created_at: now }
+  },
+  catalog_videos: {
+    primaryKey: ['id', 'serial'],
+    unique: [{ columns: ['url'] }],
+    defaults: { active: true, price_per_second_usdc: null, file_cid: null, created_at: now }
+  },
+  video_purchases: {
+    primaryKey: ['id', 'serial'],
+    unique: [{ columns: ['user_address', 'video_id'] }],
+    defaults: { purchased_at: now }
+  },
+  video_stream_sessions: {
+    primaryKey: ['id', 'serial'],
+    unique: [{ columns: ['session_id'] }],
+    defaults: { created_at: now }
+  },
+  transactions: {
+    primaryKey: ['id', 'serial'],
+    unique: [{ columns: ['tx_hash', 'log_index'] }],
+    defaults: { created_at: now }
+  },
+  storage_files: {
+    primaryKey: ['id', 'serial'],
+    defaults: { uploaded_at: now, deleted_at: null, billed_through: null, storage_provider: null, unpinned_at: null, content_sha256: null, published_at: null, download_price_usdc: null, created_at: now }
+  },
+  storage_shares: {
+    primaryKey: ['id', 'serial'],
+    unique: [{ columns: ['file_id', 'grantee_address'] }],
+    defaults: { created_at: now, revoked_at: null }
+  },
+  storage_downloads: {
+    primaryKey: ['id', 'uuid'],
+    unique: [{ columns: ['tx_hash'], where: row => row.tx_hash != null }],
+    defaults: { chain_id: null, amount: '0', status: 'granted', quote_session_id: null, tx_hash: null, created_at: now, updated_at: now, paid_at: null }
+  },
+  relay_jobs: {
+    primaryKey: ['id', 'uuid'],
+    // One live (not failed) job per intent session
+    unique: [{ columns: ['session_id'], where: row => row.status !== 'failed' }],
+    defaults: { status: 'queued', attempts: 0, batch_size: 1, created_at: now, updated_at: now }
+  },
+  indexer_cursors: {
+    primaryKey: ['name', 'none'],
+    defaults: { updated_at: now }
+  },
+  payment_claims: {
+    primaryKey: ['id', 'serial'],
+    unique: [{ columns: ['tx_hash', 'log_index'] }],
+    defaults: { created_at: now }
+  },
+  service_prices: {
+    primaryKey: ['id', 'serial'],
+    unique: [{ columns: ['service_type', 'effective_from'] }],
+    defaults: { created_at: now }
+  },
+  payment_quotes: {
+    primaryKey: ['id', 'uuid'],
+    unique: [{ columns: ['session_id'] }],
+    defaults: { used_at: null, job_id: null, created_at: now }
+  },
+  payment_disputes: {
+    primaryKey: ['id', 'uuid'],
+    unique: [{ columns: ['chain_id', 'session_id'] }],
+    defaults: {
+      status: 'open',
+      refund_amount: null,
+      refund_tx_hash: null,
+      resolved_by: null,
+      resolution_note: null,
+      error: null,
+      created_at: now,
+      updated_at: now,
+      resolved_at: null,
+      refunded_at: null
+    }
+  },
+  spending_allowances: {
+    primaryKey: ['id', 'uuid'],
+    unique: [{ columns: ['chain_id', 'payer', 'allowance_id'] }],
+    defaults: { service_types: [], spent: '0', status: 'active', created_at: now, updated_at: now }
+  },
+  storage_charges: {
+    primaryKey: ['id', 'uuid'],
+    // A period is billed once: only one charge per start that has not failed or expired
+    unique: [{ columns: ['file_id', 'period_start'], where: row => !['failed', 'expired'].includes(row.status) }],
+    defaults: {
+      status: 'quoted',
+      quote_session_id: null,
+      tx_hash: null,
+      error: null,
+      created_at: now,
+      updated_at: now,
+      paid_at: null
+    }
+  },
+  storage_uploads: {
+    primaryKey: ['id', 'uuid'],
+    defaults: { status: 'uploading', content_type: null, file_id: null, error: null, created_at: now, updated_at: now }
+  },
+  storage_upload_parts: {
+    primaryKey: ['id', 'serial'],
+    unique: [{ columns: ['upload_id', 'part_number'] }],
+    defaults: { created_at: now, updated_at: now }
+  },
+  payment_channels: {
+    primaryKey: ['id', 'uuid'],
+    unique: [{ columns: ['chain_id', 'channel_id'] }],
+    defaults: {
+      status: 'open',
+      voucher_amount: '0',
+      voucher_signature: null,
+      voucher_at: null,
+      stream_session_id: null,
+      open_tx_hash: null,
+      close_tx_hash: null,
+      paid: null,
+      attempts: 0,
+      error: null,
+      created_at: now,
+      updated_at: now,
+      closed_at: null
+    }
+  }
+};
+
+export {
+  TABLES
+};
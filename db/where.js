@@ -0,0 +1,36 @@
+// Filters shared by all adapters. A `where` object maps columns to either a plain
+// value (equality, `null` meaning IS NULL) or one of the operators below:
+//   { status: op.in(['queued', 'submitted']), deleted_at: null, block_number: op.between([10, 20]) }
+const OP = Symbol('op');
+
+function operator(name) {
+  return (value) => ({ [OP]: name, value });
+}
+
+const op = {
+  in: operator('in'),
+  neq: operator('neq'),
+  gt: operator('gt'),
+  gte: operator('gte'),
+  lt: operator('lt'),
+  lte: operator('lte'),
+  // inclusive range: op.between([from, to])
+  between: operator('between'),
+  notNull: () => ({ [OP]: 'notNull' })
+};
+
+// [column, operator, value] triples for a where object
+function conditions(where = {}) {
+  return Object.entries(where).map(([column, value]) => {
+    // A missing value is a caller bug; treating it as "any" or IS NULL would widen the match
+    if (value === undefined) throw new Error(`where.${column} is undefined`);
+    if (value === null) return [column, 'isNull', null];
+    if (typeof value === 'object' && value[OP]) return [column, value[OP], value.value];
+    return [column, 'eq', value];
+  });
+}
+
+export {
+  op,
+  conditions
+};
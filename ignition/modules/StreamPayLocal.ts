@@ -0,0 +1,12 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+
+// Mock USDC and an escrow for a local Hardhat node. Public networks are deployed
+// with scripts/deploy.js against the real USDC.
+export default buildModule("StreamPayLocalModule", (m) => {
+  const serviceWallet = m.getParameter("serviceWallet", m.getAccount(0));
+
+  const usdc = m.contract("MockUSDC");
+  const escrow = m.contract("StreamPayEscrow", [usdc, serviceWallet]);
+
+  return { usdc, escrow };
+});
@@ -0,0 +1,9 @@
+// Timestamped console logger shared by the server, routes and workers
+function ts(...args) {
+  const t = new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', hour12: false });
+  console.log(`[${t}]`, ...args);
+}
+
+export {
+  ts
+};
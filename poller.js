@@ -0,0 +1,53 @@
+import { ts } from './log.js';
+
+/**
+ * Run `task` now and then every `pollMs` after each run ends, one run at a time, until
+ * stopped. A failed run is logged with `name` and the next one is still scheduled.
+ * Returns { wake(), stop(), stopped }: wake() runs the task again as soon as it is idle.
+ */
+function startPoller(task, pollMs, { name = 'Poller' } = {}) {
+  let running = false;
+  let stopped = false;
+  let woken = false;
+  let timer = null;
+
+  function schedule(delay) {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(tick, delay);
+  }
+
+  async function tick() {
+    if (running || stopped) return;
+    running = true;
+    woken = false;
+    try {
+      await task();
+    } catch (error) {
+      ts(`${name} error:`, error.message);
+    } finally {
+      running = false;
+      schedule(woken ? 0 : pollMs);
+    }
+  }
+
+  schedule(0);
+
+  return {
+    wake() {
+      if (running) woken = true;
+      else schedule(0);
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+    get stopped() {
+      return stopped;
+    }
+  };
+}
+
+export {
+  startPoller
+};
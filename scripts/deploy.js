@@ -1,38 +1,62 @@
 // scripts/deploy.js
 import { ethers } from "ethers";
 import fs from 'fs';
-import { config } from 'dotenv';
+import path from 'path';
+// Load environment variables (before the network registry reads them)
+import 'dotenv/config';
+import { NETWORKS, DEFAULT_NETWORK, DEPLOYMENTS_DIR, getNetworkConfig } from '../web3-apis/networks.js';
 
-// Load environment variables
-config();
+// Usage: node scripts/deploy.js [--network fuji|avalanche|localhost]  (or NETWORK=...)
+function selectedNetwork() {
+  const i = process.argv.indexOf('--network');
+  return (i !== -1 ? process.argv[i + 1] : process.env.NETWORK) || DEFAULT_NETWORK;
+}
 
 async function main() {
-  console.log("\n🚀 Deploying StreamPayEscrow...");
+  const networkKey = selectedNetwork();
+  if (!NETWORKS[networkKey]) {
+    console.error(`❌ Unknown network "${networkKey}". Known networks: ${Object.keys(NETWORKS).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+  const network = getNetworkConfig(networkKey);
+
+  console.log(`\n🚀 Deploying StreamPayEscrow to ${network.name}...`);
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
 
   // Configuration
-  const USDC_ADDRESS = "0x5425890298aed601595a70AB815c96711a31Bc65"; // Fuji USDC
-  const SERVICE_WALLET = "0x6021e09E8Cd947701E2368D60239C04486118f18"; // Your business wallet
+  const USDC_ADDRESS = network.usdcAddress;
+  const SERVICE_WALLET = network.serviceWallet; // Your business wallet
   
   // Get environment variables
-  const PRIVATE_KEY = process.env.RELAYER_PRIVATE_KEY;
-  const RPC_URL = process.env.RPC_URL;
+  const PRIVATE_KEY = network.relayerPrivateKeys[0];
+  const RPC_URL = network.rpcUrl;
   
-  if (!PRIVATE_KEY || !RPC_URL) {
-    console.error("❌ Missing environment variables:");
-    console.error("   RELAYER_PRIVATE_KEY:", PRIVATE_KEY ? "✅" : "❌");
-    console.error("   RPC_URL:", RPC_URL ? "✅" : "❌");
+  if (!PRIVATE_KEY || !RPC_URL || !USDC_ADDRESS || !SERVICE_WALLET) {
+    const p = network.envPrefix;
+    console.error("❌ Missing configuration for", network.name + ":");
+    console.error(`   ${p}_RELAYER_PRIVATE_KEY or RELAYER_PRIVATE_KEY:`, PRIVATE_KEY ? "✅" : "❌");
+    console.error(`   ${p}_RPC_URL:`, RPC_URL ? "✅" : "❌");
+    console.error(`   ${p}_USDC_ADDRESS:`, USDC_ADDRESS ? "✅" : "❌");
+    console.error(`   ${p}_SERVICE_WALLET:`, SERVICE_WALLET ? "✅" : "❌");
     console.error("\nPlease set these in your .env file");
     return;
   }
 
   // Setup provider and wallet
   const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  if (Number(chainId) !== network.chainId) {
+    console.error(`❌ ${RPC_URL} is chain ${chainId}, expected ${network.chainId} for ${network.name}`);
+    process.exitCode = 1;
+    return;
+  }
   const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
   const deployerAddress = wallet.address;
   
   // Check balance
   console.log("📋 Configuration:");
+  console.log("   Network:", network.name, `(chainId ${network.chainId})`);
   console.log("   USDC Token:", USDC_ADDRESS);
   console.log("   Service Wallet (receives payments):", SERVICE_WALLET);
   console.log("   RPC URL:", RPC_URL);
@@ -41,12 +65,12 @@ async function main() {
   console.log("   Address:", deployerAddress);
   
   const balance = await provider.getBalance(deployerAddress);
-  console.log("   Balance:", ethers.formatEther(balance), "AVAX");
+  console.log("   Balance:", ethers.formatEther(balance), network.nativeSymbol);
   console.log("");
 
   // Check balance
   if (balance < ethers.parseEther("0.1")) {
-    console.log("⚠️  WARNING: Low AVAX balance. You need at least 0.1 AVAX for deployment.");
+    console.log(`⚠️  WARNING: Low ${network.nativeSymbol} balance. You need at least 0.1 ${network.nativeSymbol} for deployment.`);
     console.log("   Please fund your deployer wallet:", deployerAddress);
     console.log("");
     return;
@@ -92,8 +116,8 @@ async function main() {
 
   // Save deployment info
   const deploymentInfo = {
-    network: "fuji",
-    chainId: 43113,
+    network: network.key,
+    chainId: network.chainId,
     contractAddress: contractAddress,
     usdcAddress: USDC_ADDRESS,
     serviceWallet: SERVICE_WALLET,
@@ -103,12 +127,15 @@ async function main() {
     blockNumber: deployTx.blockNumber
   };
 
+  // The server picks the contract address up from here (see web3-apis/networks.js)
+  const deploymentFile = path.join(DEPLOYMENTS_DIR, `${network.key}.json`);
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
   fs.writeFileSync(
-    'deployment.json',
+    deploymentFile,
     JSON.stringify(deploymentInfo, null, 2)
   );
 
-  console.log("💾 Deployment info saved to deployment.json");
+  console.log("💾 Deployment info saved to", path.relative(process.cwd(), deploymentFile));
   console.log("");
 } 
 
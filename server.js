@@ -1,124 +1,85 @@
 // backend/server.js
-import express from 'express';
 import { ethers } from 'ethers';
-import cors from 'cors';
 import 'dotenv/config';
-import web3Apis from './web3-apis/index.js';
-import web2Apis from './web2-apis/index.js';
-import { supabase } from './web2-apis/db.js';
-
-// timestamped logger
-function ts(...args) {
-  const t = new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', hour12: false });
-  // eslint-disable-next-line no-console
-  console.log(`[${t}]`, ...args);
-}
-
-const app = express();
-app.use(cors());
-app.use(express.json());
+import { openDatabase } from './db/index.js';
+import { openStorage } from './storage/index.js';
+import { startRetentionWorker } from './storage/retention.js';
+import { createApp, createNetworkContext } from './app.js';
+import { enabledNetworks, DEFAULT_NETWORK } from './web3-apis/networks.js';
+import { ts } from './log.js';
 
 // ============ CONFIGURATION ============
 
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-const USDC_ADDRESS = "0x5425890298aed601595a70AB815c96711a31Bc65";
-const SERVICE_WALLET = "0x6021e09E8Cd947701E2368D60239C04486118f18";
-const RELAYER_PRIVATE_KEY = process.env.RELAYER_PRIVATE_KEY; // Server wallet
-const RPC_URL = process.env.RPC_URL;
+// One escrow deployment per network (see web3-apis/networks.js)
+const networkConfigs = enabledNetworks();
 
 // Validate environment variables
-if (!CONTRACT_ADDRESS) {
-  ts("CONTRACT_ADDRESS not set in .env");
-  process.exit(1);
-}
-
-if (!RELAYER_PRIVATE_KEY) {
-  ts("RELAYER_PRIVATE_KEY not set in .env");
-  process.exit(1);
+for (const config of networkConfigs) {
+  if (!config.contractAddress) {
+    ts(`${config.envPrefix}_CONTRACT_ADDRESS not set for ${config.name}`);
+    process.exit(1);
+  }
+  if (config.relayerPrivateKeys.length === 0) {
+    ts("RELAYER_PRIVATE_KEY not set in .env for", config.name);
+    process.exit(1);
+  }
 }
 
-// Contract ABI
-const CONTRACT_ABI = [
-  "function executePaymentIntent((address payer, bytes32 sessionId, uint256 amount, uint256 deadline, uint256 nonce, bytes signature), string serviceType) external",
-  "function deposit(uint256 amount) external",
-  "function withdraw(uint256 amount) external",
-  "function getNonce(address user) external view returns (uint256)",
-  "function getBalance(address user) external view returns (uint256)",
-  "function isSessionSettled(bytes32 sessionId) external view returns (bool)",
-  "function getDomainSeparator() external view returns (bytes32)",
-  "function getInfo() external view returns (address usdc, address service, string name, string version)"
-];
-
-// Setup provider and wallet
-const provider = new ethers.JsonRpcProvider(RPC_URL);
-const relayerWallet = new ethers.Wallet(RELAYER_PRIVATE_KEY, provider);
-const contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, relayerWallet);
-
-// Check relayer balance on startup
-(async () => {
+// Check relayer balances on startup
+async function checkRelayerBalances(web3) {
   try {
-    const balance = await provider.getBalance(relayerWallet.address);
-    const balanceAVAX = ethers.formatEther(balance);
-    ts("Relayer Balance:", balanceAVAX, "AVAX");
-    
-    if (parseFloat(balanceAVAX) < 0.1) {
-      ts("WARNING: Low AVAX balance");
-      ts("   Please fund relayer wallet:", relayerWallet.address);
+    for (const wallet of web3.relayer.wallets) {
+      const balance = await web3.provider.getBalance(wallet.address);
+      const balanceNative = ethers.formatEther(balance);
+      ts(`Relayer Balance (${web3.network.name}):`, wallet.address, balanceNative, web3.network.nativeSymbol);
+
+      if (parseFloat(balanceNative) < 0.1) {
+        ts(`WARNING: Low ${web3.network.nativeSymbol} balance`);
+        ts("   Please fund relayer wallet:", wallet.address);
+      }
     }
     ts("" + "-".repeat(60));
   } catch (error) {
-    ts("Failed to check relayer balance:", error.message);
+    ts("Failed to check relayer balance on", web3.network.name + ":", error.message);
   }
-})();
+}
+
+// Repository over Supabase or the embedded store (see db/index.js)
+const db = openDatabase();
+if (db.adapter === 'memory' && !process.env.DB_ADAPTER) {
+  ts("SUPABASE_URL not set, using the embedded database" + (process.env.DB_FILE ? " (" + process.env.DB_FILE + ")" : " (not persisted)"));
+}
 
-// Test Supabase connection on startup
+// Test database connection on startup
 (async () => {
   try {
-    const { data, error } = await supabase.from('users').select('id').limit(1);
-    if (error) {
-      ts("Supabase connection failed:", error.message);
-    } else {
-      ts("Supabase connected successfully");
-      ts("Database accessible");
-    }
+    await db.ping();
+    ts("Database connected successfully (" + db.adapter + ")");
     ts("" + "-".repeat(60));
   } catch (error) {
-    ts("Supabase connection error:", error.message);
+    ts("Database connection failed:", error.message);
   }
 })();
 
-// Store web3 and database instances in app locals for access in routes
-app.locals.web3 = {
-  contract,
-  relayerWallet,
-  provider,
-  SERVICE_WALLET,
-  CONTRACT_ADDRESS,
-  RPC_URL
-};
-
-app.locals.db = supabase;
-
-// Mount API routes
-app.use('/api', web3Apis);
-app.use('/api/web2', web2Apis);
-
-// ============ ERROR HANDLING ============
-
-app.use((err, req, res, next) => {
-  ts("Unhandled error:", err);
-  res.status(500).json({
-    error: "Internal server error",
-    message: err.message
-  });
-});
+// Pinata, a local directory or an IPFS node (see storage/index.js)
+const storage = openStorage();
+ts("Storage provider:", storage.name);
+// Unpin deleted files once their retention window is over
+startRetentionWorker({ db, storage });
+
+const networks = new Map();
+for (const config of networkConfigs) {
+  const context = createNetworkContext(db, config, { indexer: process.env.INDEXER_ENABLED !== 'false' });
+  checkRelayerBalances(context.web3);
+  networks.set(config.chainId, context);
+  ts("Serving", config.name, "(chainId " + config.chainId + ") escrow", config.contractAddress);
+}
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'ok', 
-    timestamp: new Date().toISOString() 
-  });
+const app = createApp({
+  db,
+  storage,
+  networks,
+  defaultChainId: (networkConfigs.find(c => c.key === DEFAULT_NETWORK) || networkConfigs[0]).chainId
 });
 
 // ============ START SERVER ============
@@ -127,4 +88,4 @@ const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   ts("Server started successfully");
   ts("Listening on port:", PORT);
-});
\ No newline at end of file
+});
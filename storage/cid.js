@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import { Transform } from 'stream';
+
+// CIDs as `ipfs add` computes them by default, and Pinata pins them: CIDv0 over a UnixFS
+// file DAG of 256 KiB chunks (dag-pb leaves, no raw leaves) in the balanced layout, with
+// up to 174 links per node. The same bytes always get the same CID, so the backend knows
+// a file's CID before pinning it.
+
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const CIDV0 = /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/;
+
+function base58(bytes) {
+  let value = BigInt('0x' + Buffer.from(bytes).toString('hex'));
+  let out = '';
+  while (value > 0n) {
+    out = BASE58_ALPHABET[Number(value % 58n)] + out;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    out = '1' + out;
+  }
+  return out;
+}
+
+function varint(value) {
+  const bytes = [];
+  let n = BigInt(value);
+  while (n >= 0x80n) {
+    bytes.push(Number((n & 0x7fn) | 0x80n));
+    n >>= 7n;
+  }
+  bytes.push(Number(n));
+  return Buffer.from(bytes);
+}
+
+// Protobuf fields: (number, wire type 0) varints and (number, wire type 2) byte strings
+const varintField = (number, value) => Buffer.concat([varint(number << 3), varint(value)]);
+const bytesField = (number, bytes) => Buffer.concat([varint((number << 3) | 2), varint(bytes.length), bytes]);
+
+// UnixFS Data { Type = File (2), Data, filesize, blocksizes }
+function unixfsFile({ data = null, fileSize, blockSizes = [] }) {
+  return Buffer.concat([
+    varintField(1, 2),
+    ...(data && data.length > 0 ? [bytesField(2, data)] : []),
+    varintField(3, fileSize),
+    ...blockSizes.map(size => varintField(4, size))
+  ]);
+}
+
+// dag-pb PBNode, links first as in the canonical encoding. Links carry an empty Name like Kubo's.
+function dagPbNode(links, data) {
+  return Buffer.concat([
+    ...links.map(link => bytesField(2, Buffer.concat([
+      bytesField(1, link.hash),
+      bytesField(2, Buffer.alloc(0)),
+      varintField(3, link.tsize)
+    ]))),
+    bytesField(1, data)
+  ]);
+}
+
+// Link to an encoded block, as its parent holds it
+function blockLink(block, fileSize, childrenTsize = 0) {
+  const hash = Buffer.concat([Buffer.from([0x12, 0x20]), crypto.createHash('sha256').update(block).digest()]);
+  return { hash, fileSize, tsize: block.length + childrenTsize };
+}
+
+function parentOf(links) {
+  const fileSize = links.reduce((sum, l) => sum + l.fileSize, 0);
+  const block = dagPbNode(links, unixfsFile({ fileSize, blockSizes: links.map(l => l.fileSize) }));
+  return blockLink(block, fileSize, links.reduce((sum, l) => sum + l.tsize, 0));
+}
+
+/**
+ * Incremental CID of a file: update(chunk) with its bytes in order, then cid() once.
+ * Only the pending links of each tree level are kept, not the content.
+ */
+function createCidBuilder() {
+  let pending = Buffer.alloc(0);
+  let leaves = 0;
+  // levels[0] holds leaves not yet under a parent, levels[1] their parents, and so on
+  const levels = [[]];
+
+  function push(level, link) {
+    if (!levels[level]) levels[level] = [];
+    levels[level].push(link);
+    if (levels[level].length === MAX_LINKS) {
+      const full = levels[level];
+      levels[level] = [];
+      push(level + 1, parentOf(full));
+    }
+  }
+
+  function addLeaf(chunk) {
+    leaves += 1;
+    push(0, blockLink(dagPbNode([], unixfsFile({ data: chunk, fileSize: chunk.length })), chunk.length));
+  }
+
+  return {
+    update(chunk) {
+      pending = pending.length ? Buffer.concat([pending, chunk]) : Buffer.from(chunk);
+      while (pending.length >= CHUNK_SIZE) {
+        addLeaf(pending.subarray(0, CHUNK_SIZE));
+        pending = pending.subarray(CHUNK_SIZE);
+      }
+    },
+
+    cid() {
+      // A last partial chunk, or the only (empty) leaf of an empty file
+      if (pending.length > 0 || leaves === 0) addLeaf(pending);
+      pending = Buffer.alloc(0);
+      // Close every level bottom-up; the root is the single node left on the top level
+      for (let level = 0; ; level++) {
+        const links = levels[level];
+        const top = level === levels.length - 1;
+        if (top && links.length === 1) return base58(links[0].hash);
+        levels[level] = [];
+        if (links.length > 0) push(level + 1, parentOf(links));
+      }
+    }
+  };
+}
+
+/**
+ * Pass-through that fingerprints the content flowing through it. Once it has ended,
+ * `fingerprint.result()` is { cid, sha256, size }.
+ */
+function createFingerprint() {
+  const builder = createCidBuilder();
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  let result = null;
+  const fingerprint = new Transform({
+    transform(chunk, encoding, callback) {
+      builder.update(chunk);
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      result = { cid: builder.cid(), sha256: hash.digest('hex'), size };
+      callback();
+    }
+  });
+  fingerprint.result = () => result;
+  return fingerprint;
+}
+
+function cidOf(buffer) {
+  const builder = createCidBuilder();
+  builder.update(buffer);
+  return builder.cid();
+}
+
+const isCid = (value) => CIDV0.test(String(value || ''));
+
+export {
+  createCidBuilder,
+  createFingerprint,
+  cidOf,
+  isCid
+};
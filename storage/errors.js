@@ -0,0 +1,15 @@
+/**
+ * Error raised by a storage provider. `status` is the HTTP status the storage routes
+ * answer with: 502 when the provider failed or refused the request, 404 for unknown content.
+ */
+class StorageError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+  }
+}
+
+export {
+  StorageError
+};
@@ -0,0 +1,34 @@
+import { createPinataProvider } from './providers/pinata.js';
+import { createLocalProvider } from './providers/local.js';
+import { createKuboProvider } from './providers/kubo.js';
+
+/**
+ * Open the configured storage provider. Every provider pins, unpins, stats and reads by CID:
+ * { name, pin({ stream, filename, contentType }) -> { cid, size },
+ * unpin(cid), stat(cid) -> { cid, size, pinned } | null,
+ * read(cid, { start, end }) -> Readable of those bytes (inclusive) or all | null }.
+ * Clients never get gateway URLs; content reaches them through download links.
+ *   STORAGE_PROVIDER=pinata  PINATA_JWT (+ PINATA_GATEWAY_URL)
+ *   STORAGE_PROVIDER=local   files under STORAGE_DIR
+ *   STORAGE_PROVIDER=kubo    IPFS_API_URL of an IPFS node
+ * Without STORAGE_PROVIDER, Pinata is used when PINATA_JWT is set, local otherwise.
+ */
+function openStorage(env = process.env) {
+  const provider = env.STORAGE_PROVIDER || (env.PINATA_JWT ? 'pinata' : 'local');
+  switch (provider) {
+    case 'pinata':
+      return createPinataProvider({ jwt: env.PINATA_JWT, gatewayUrl: env.PINATA_GATEWAY_URL || undefined });
+    case 'local':
+      return createLocalProvider({ directory: env.STORAGE_DIR || 'storage-data' });
+    case 'kubo':
+      return createKuboProvider({ apiUrl: env.IPFS_API_URL || undefined });
+    default:
+      throw new Error(`Unknown STORAGE_PROVIDER "${provider}" (expected pinata, local or kubo)`);
+  }
+}
+
+export { openStorage };
+export { createPinataProvider } from './providers/pinata.js';
+export { createLocalProvider } from './providers/local.js';
+export { createKuboProvider } from './providers/kubo.js';
+export { StorageError } from './errors.js';
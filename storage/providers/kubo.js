@@ -0,0 +1,90 @@
+import axios from 'axios';
+import FormData from 'form-data';
+import { StorageError } from '../errors.js';
+import { metered } from '../streams.js';
+
+// The Kubo RPC API answers errors as { Message, Code, Type }
+function kuboError(err, action) {
+  return new StorageError(`IPFS ${action} failed: ${err?.response?.data?.Message || err.message}`);
+}
+
+const isNotPinned = (err) => /not pinned/i.test(err?.response?.data?.Message || '');
+
+/**
+ * Provider over an IPFS node's HTTP RPC API (Kubo, https://docs.ipfs.tech/reference/kubo/rpc/).
+ * Content is added with the default CIDv0 import settings (the ones storage/cid.js computes),
+ * pinned recursively and read back with `cat`.
+ */
+function createKuboProvider({ apiUrl = 'http://127.0.0.1:5001' } = {}) {
+  // Every RPC call is a POST
+  const rpc = (command, params, body, config = {}) =>
+    axios.post(`${apiUrl}/api/v0/${command}`, body ?? null, { params, ...config });
+
+  return {
+    name: 'kubo',
+
+    async pin({ stream, filename, contentType }) {
+      // Streamed through to the provider; the meter counts what was sent
+      const body = metered(stream);
+      const fd = new FormData();
+      fd.append('file', body, { filename, contentType });
+      try {
+        const { data } = await rpc('add', { pin: true, 'cid-version': 0, chunker: 'size-262144', 'raw-leaves': false }, fd, {
+          headers: fd.getHeaders(),
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity,
+        });
+        if (!data?.Hash) throw new StorageError('IPFS node did not return a CID');
+        return { cid: data.Hash, size: body.bytes };
+      } catch (err) {
+        if (err instanceof StorageError) throw err;
+        throw kuboError(err, 'pin');
+      }
+    },
+
+    // Unpinning content that is not pinned is not an error
+    async unpin(cid) {
+      try {
+        await rpc('pin/rm', { arg: cid });
+      } catch (err) {
+        if (isNotPinned(err)) return;
+        throw kuboError(err, 'unpin');
+      }
+    },
+
+    async stat(cid) {
+      try {
+        await rpc('pin/ls', { arg: cid, type: 'recursive' });
+      } catch (err) {
+        if (isNotPinned(err)) return null;
+        throw kuboError(err, 'stat');
+      }
+      try {
+        const { data } = await rpc('files/stat', { arg: `/ipfs/${cid}` });
+        return { cid, size: Number(data.Size), pinned: true };
+      } catch (err) {
+        throw kuboError(err, 'stat');
+      }
+    },
+
+    // Bytes start..end (inclusive) of the content, or all of it
+    async read(cid, { start, end } = {}) {
+      const params = { arg: cid };
+      if (start !== undefined) {
+        params.offset = start;
+        if (end !== undefined) params.length = end - start + 1;
+      }
+      try {
+        const { data } = await rpc('cat', params, null, { responseType: 'stream' });
+        return data;
+      } catch (err) {
+        // Error bodies arrive as streams too
+        throw new StorageError(`IPFS read failed: ${err.message}`);
+      }
+    }
+  };
+}
+
+export {
+  createKuboProvider
+};
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { createFingerprint, isCid } from '../cid.js';
+
+/**
+ * Content-addressed provider on the local filesystem: each file is stored once under
+ * `directory`, named by its CID. Nothing serves the directory; content is only read
+ * through download links (web2-apis/storage-downloads.js).
+ */
+function createLocalProvider({ directory }) {
+  if (!directory) {
+    throw new Error('Missing STORAGE_DIR for the local storage provider');
+  }
+  const root = path.resolve(directory);
+  // Anything but a CID cannot name one of its files
+  const fileFor = (cid) => (isCid(cid) ? path.join(root, cid) : null);
+
+  return {
+    name: 'local',
+    directory: root,
+
+    async pin({ stream }) {
+      await fs.mkdir(root, { recursive: true });
+      // Written aside and renamed once the CID is known, so a reader never sees a partial file
+      const tmp = path.join(root, `.upload-${crypto.randomUUID()}`);
+      const fingerprint = createFingerprint();
+      try {
+        await pipeline(stream, fingerprint, createWriteStream(tmp));
+      } catch (err) {
+        await fs.rm(tmp, { force: true });
+        throw err;
+      }
+      const { cid, size } = fingerprint.result();
+      await fs.rename(tmp, fileFor(cid));
+      return { cid, size };
+    },
+
+    async unpin(cid) {
+      const file = fileFor(cid);
+      if (file) await fs.rm(file, { force: true });
+    },
+
+    async stat(cid) {
+      const file = fileFor(cid);
+      if (!file) return null;
+      try {
+        const stats = await fs.stat(file);
+        return { cid, size: stats.size, pinned: true };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    // Bytes start..end (inclusive) of the content, or all of it; null when it is not stored
+    async read(cid, { start, end } = {}) {
+      const file = fileFor(cid);
+      if (!file) return null;
+      let handle;
+      try {
+        handle = await fs.open(file);
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+      return handle.createReadStream({ start, end });
+    }
+  };
+}
+
+export {
+  createLocalProvider
+};
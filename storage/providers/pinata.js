@@ -0,0 +1,95 @@
+import axios from 'axios';
+import FormData from 'form-data';
+import { StorageError } from '../errors.js';
+import { metered } from '../streams.js';
+
+const PINATA_API_URL = 'https://api.pinata.cloud';
+
+// Pinata answers errors as { error: "..." } or { error: { reason, details } }
+function pinataError(err, action) {
+  const error = err?.response?.data?.error;
+  const reason = typeof error === 'string' ? error : error?.details || error?.reason;
+  return new StorageError(`Pinata ${action} failed: ${reason || err.message}`);
+}
+
+/**
+ * Provider pinning to Pinata (https://docs.pinata.cloud), read back from its IPFS gateway
+ */
+function createPinataProvider({ jwt, gatewayUrl = 'https://gateway.pinata.cloud/ipfs' }) {
+  if (!jwt) {
+    throw new Error('Missing Pinata credentials. Please set PINATA_JWT in your .env file');
+  }
+  const headers = { Authorization: `Bearer ${jwt}` };
+
+  return {
+    name: 'pinata',
+
+    async pin({ stream, filename, contentType }) {
+      // Streamed through to the provider; the meter counts what was sent
+      const body = metered(stream);
+      const fd = new FormData();
+      fd.append('file', body, { filename, contentType });
+      // The CID storage/cid.js computes
+      fd.append('pinataOptions', JSON.stringify({ cidVersion: 0 }));
+      try {
+        const { data } = await axios.post(`${PINATA_API_URL}/pinning/pinFileToIPFS`, fd, {
+          headers: { ...headers, ...fd.getHeaders() },
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity,
+        });
+        if (!data?.IpfsHash) throw new StorageError('Pinata did not return a CID');
+        return { cid: data.IpfsHash, size: body.bytes };
+      } catch (err) {
+        if (err instanceof StorageError) throw err;
+        throw pinataError(err, 'pin');
+      }
+    },
+
+    // Unpinning content that is not pinned is not an error
+    async unpin(cid) {
+      try {
+        await axios.delete(`${PINATA_API_URL}/pinning/unpin/${encodeURIComponent(cid)}`, { headers });
+      } catch (err) {
+        if (err?.response?.status === 404) return;
+        throw pinataError(err, 'unpin');
+      }
+    },
+
+    async stat(cid) {
+      try {
+        const { data } = await axios.get(`${PINATA_API_URL}/data/pinList`, {
+          headers,
+          params: { hashContains: cid, status: 'pinned', pageLimit: 1 },
+        });
+        const row = data?.rows?.find(r => r.ipfs_pin_hash === cid);
+        return row ? { cid, size: Number(row.size), pinned: true } : null;
+      } catch (err) {
+        throw pinataError(err, 'stat');
+      }
+    },
+
+    // Bytes start..end (inclusive) of the content from the gateway, or all of it; null when it is not found
+    async read(cid, { start, end } = {}) {
+      const ranged = start !== undefined;
+      let response;
+      try {
+        response = await axios.get(`${gatewayUrl}/${cid}`, {
+          responseType: 'stream',
+          headers: ranged ? { Range: `bytes=${start}-${end ?? ''}` } : {},
+        });
+      } catch (err) {
+        if (err?.response?.status === 404) return null;
+        throw new StorageError(`Pinata read failed: ${err.message}`);
+      }
+      if (ranged && response.status !== 206) {
+        response.data.destroy();
+        throw new StorageError('Pinata gateway did not serve the requested range');
+      }
+      return response.data;
+    }
+  };
+}
+
+export {
+  createPinataProvider
+};
@@ -0,0 +1,47 @@
+import { expireStaleUploads } from './uploads.js';
+import { ts } from '../log.js';
+import { startPoller } from '../poller.js';
+
+// Deleted files stay pinned this long before their content is released
+const STORAGE_RETENTION_HOURS = Number(process.env.STORAGE_RETENTION_HOURS || 72);
+const STORAGE_RETENTION_POLL_MS = Number(process.env.STORAGE_RETENTION_POLL_MS || 60 * 60 * 1000);
+
+/**
+ * Release the pins of files deleted more than STORAGE_RETENTION_HOURS before `now`.
+ * Content is shared by CID, so it is only unpinned from the provider once no other file
+ * row still holds it (active, or deleted but within its retention window).
+ */
+async function releaseExpiredPins(db, storage, { now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - STORAGE_RETENTION_HOURS * 3600 * 1000);
+  const due = await db.storageFiles.listUnpinDue(storage.name, cutoff.toISOString(), { limit: 200 });
+  for (const file of due) {
+    try {
+      const holders = (await db.storageFiles.listPinnedByCid(storage.name, file.file_cid))
+        .filter(f => f.id !== file.id && (!f.deleted_at || new Date(f.deleted_at) >= cutoff));
+      if (holders.length === 0) {
+        await storage.unpin(file.file_cid);
+        ts("Storage: unpinned", file.file_cid, "from", storage.name);
+      }
+      await db.storageFiles.update(file.id, { unpinned_at: now.toISOString() }, { unpinned_at: null });
+    } catch (error) {
+      ts("Storage: unpinning file", file.id, "failed:", error.message);
+    }
+  }
+}
+
+/**
+ * Background worker unpinning deleted files once their retention window is over, and
+ * expiring resumable uploads that were abandoned
+ */
+function startRetentionWorker({ db, storage }) {
+  return startPoller(async () => {
+    await releaseExpiredPins(db, storage);
+    await expireStaleUploads(db);
+  }, STORAGE_RETENTION_POLL_MS, { name: 'Storage retention' });
+}
+
+export {
+  STORAGE_RETENTION_HOURS,
+  releaseExpiredPins,
+  startRetentionWorker
+};
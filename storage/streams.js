@@ -0,0 +1,34 @@
+import { Transform } from 'stream';
+import { StorageError } from './errors.js';
+
+/**
+ * Pass-through that counts the bytes flowing through it (`meter.bytes`) and feeds them
+ * to `meter.hash` (a crypto Hash) when given one. Past `limit` bytes it fails with a 413.
+ */
+function createMeter(hash = null, limit = Infinity) {
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      meter.bytes += chunk.length;
+      if (meter.bytes > limit) return callback(new StorageError(`Content is larger than ${limit} bytes`, 413));
+      if (hash) hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+  meter.bytes = 0;
+  meter.hash = hash;
+  return meter;
+}
+
+// `source` piped into a meter; errors of the source are passed on, so a consumer reading
+// the meter (e.g. an HTTP upload) fails instead of waiting for more data
+function metered(source, hash = null) {
+  const meter = createMeter(hash);
+  source.on('error', (err) => meter.destroy(err));
+  source.pipe(meter);
+  return meter;
+}
+
+export {
+  createMeter,
+  metered
+};
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createMeter } from './streams.js';
+import { createFingerprint } from './cid.js';
+
+// Parts of resumable uploads (web2-apis/storage-uploads.js) are kept here until the upload
+// is completed, aborted or expires; upload state itself is in storage_uploads
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'streampay-uploads'));
+
+const uploadDir = (uploadId) => path.join(UPLOAD_DIR, String(uploadId).replace(/[^a-zA-Z0-9-]/g, ''));
+const partFile = (uploadId, number) => path.join(uploadDir(uploadId), String(Number(number)));
+
+/**
+ * Store part `number` of an upload from `stream`, replacing an earlier copy of it.
+ * Resolves to { size, sha256 }; fails with a 413 StorageError past `maxBytes`.
+ */
+async function writePart(uploadId, number, stream, { maxBytes = Infinity } = {}) {
+  await fs.mkdir(uploadDir(uploadId), { recursive: true });
+  // Written aside and renamed, so completing never reads half of a part being re-sent
+  const tmp = `${partFile(uploadId, number)}.${crypto.randomUUID()}`;
+  const meter = createMeter(crypto.createHash('sha256'), maxBytes);
+  try {
+    await pipeline(stream, meter, createWriteStream(tmp));
+  } catch (err) {
+    await fs.rm(tmp, { force: true });
+    throw err;
+  }
+  await fs.rename(tmp, partFile(uploadId, number));
+  return { size: meter.bytes, sha256: meter.hash.digest('hex') };
+}
+
+// Parts 1..count read back to back, as one stream of the whole file
+function readParts(uploadId, count) {
+  return Readable.from((async function* parts() {
+    for (let number = 1; number <= count; number++) {
+      yield* createReadStream(partFile(uploadId, number));
+    }
+  })());
+}
+
+/**
+ * Write `stream` to a temporary file while fingerprinting it, so its CID is known before
+ * it is pinned. Resolves to { cid, sha256, size, open(), remove() }: open() reads the
+ * content back, remove() deletes the file once done with it.
+ */
+async function spoolContent(stream) {
+  await fs.mkdir(UPLOAD_DIR, { recursive: true });
+  const file = path.join(UPLOAD_DIR, `.spool-${crypto.randomUUID()}`);
+  const fingerprint = createFingerprint();
+  try {
+    await pipeline(stream, fingerprint, createWriteStream(file));
+  } catch (err) {
+    await fs.rm(file, { force: true });
+    throw err;
+  }
+  return {
+    ...fingerprint.result(),
+    open: () => createReadStream(file),
+    remove: () => fs.rm(file, { force: true })
+  };
+}
+
+// Fingerprint { cid, sha256, size } of an upload's parts, read in order
+async function fingerprintParts(uploadId, count) {
+  const fingerprint = createFingerprint();
+  fingerprint.resume();
+  await pipeline(readParts(uploadId, count), fingerprint);
+  return fingerprint.result();
+}
+
+async function removePart(uploadId, number) {
+  await fs.rm(partFile(uploadId, number), { force: true });
+}
+
+async function removeParts(uploadId) {
+  await fs.rm(uploadDir(uploadId), { recursive: true, force: true });
+}
+
+/**
+ * Expire resumable uploads past their expires_at that were never completed, and drop
+ * their parts. `now` is the time expiry is checked against.
+ */
+async function expireStaleUploads(db, { now = new Date() } = {}) {
+  const stale = await db.storageUploads.listExpired(now.toISOString(), { limit: 200 });
+  for (const upload of stale) {
+    const expired = await db.storageUploads.update(upload.id, { status: 'expired' }, { status: upload.status });
+    if (expired) await removeParts(upload.id);
+  }
+}
+
+export {
+  writePart,
+  readParts,
+  spoolContent,
+  fingerprintParts,
+  removePart,
+  removeParts,
+  expireStaleUploads
+};
@@ -0,0 +1,814 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import { anyValue } from "@nomicfoundation/hardhat-ethers-chai-matchers/withArgs";
+// @ts-expect-error the API is plain JavaScript without type declarations
+import { PAYMENT_INTENT_TYPES, WITHDRAW_INTENT_TYPES } from "../web3-apis/intent.js";
+// @ts-expect-error
+import { SPENDING_ALLOWANCE_TYPES, ALLOWANCE_DRAW_TYPES } from "../web3-apis/allowances.js";
+// @ts-expect-error
+import { CHANNEL_OPEN_TYPES, VOUCHER_TYPES } from "../web3-apis/channels.js";
+
+const { ethers, networkHelpers } = await network.connect();
+
+const USDC = (amount: string) => ethers.parseUnits(amount, 6);
+
+// Mirrors the ReentrantToken.Attack enum
+const Attack = { None: 0, Deposit: 1, Withdraw: 2 };
+
+describe("StreamPayEscrow", function () {
+  async function deployEscrowFixture() {
+    const [deployer, payer, other, service] = await ethers.getSigners();
+
+    const usdc = await ethers.deployContract("MockUSDC");
+    const escrow = await ethers.deployContract("StreamPayEscrow", [
+      await usdc.getAddress(),
+      service.address,
+    ]);
+
+    await usdc.mint(payer.address, USDC("100"));
+    await usdc.connect(payer).approve(await escrow.getAddress(), ethers.MaxUint256);
+    await escrow.connect(payer).deposit(USDC("10"));
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "StreamPay",
+      version: "1",
+      chainId,
+      verifyingContract: await escrow.getAddress(),
+    };
+
+    return { deployer, payer, other, service, usdc, escrow, domain };
+  }
+
+  type Fixture = Awaited<ReturnType<typeof deployEscrowFixture>>;
+
+  // Signed PaymentIntent for `signer`, defaulting to the payer's next nonce and a one hour deadline
+  async function signIntent(
+    { escrow, domain }: Fixture,
+    signer: Fixture["payer"],
+    overrides: Partial<{ payer: string; sessionId: string; amount: bigint; deadline: bigint; nonce: bigint }> = {},
+    signingDomain = domain,
+  ) {
+    const payer = overrides.payer ?? signer.address;
+    const message = {
+      payer,
+      sessionId: overrides.sessionId ?? ethers.hexlify(ethers.randomBytes(32)),
+      amount: overrides.amount ?? USDC("1"),
+      deadline: overrides.deadline ?? BigInt(await networkHelpers.time.latest()) + 3600n,
+      nonce: overrides.nonce ?? (await escrow.getNonce(payer)),
+    };
+    const signature = await signer.signTypedData(signingDomain, PAYMENT_INTENT_TYPES, message);
+    return { ...message, signature };
+  }
+
+  describe("deposit", function () {
+    it("moves USDC into escrow and credits the sender", async function () {
+      const { payer, usdc, escrow } = await networkHelpers.loadFixture(deployEscrowFixture);
+
+      await expect(escrow.connect(payer).deposit(USDC("5")))
+        .to.emit(escrow, "Deposited")
+        .withArgs(payer.address, USDC("5"), anyValue);
+
+      expect(await escrow.getBalance(payer.address)).to.equal(USDC("15"));
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(USDC("15"));
+      expect(await usdc.balanceOf(payer.address)).to.equal(USDC("85"));
+    });
+
+    it("rejects a zero amount", async function () {
+      const { payer, escrow } = await networkHelpers.loadFixture(deployEscrowFixture);
+
+      await expect(escrow.connect(payer).deposit(0)).to.be.revertedWith("Amount must be > 0");
+    });
+
+    it("reverts without an allowance", async function () {
+      const { other, usdc, escrow } = await networkHelpers.loadFixture(deployEscrowFixture);
+      await usdc.mint(other.address, USDC("1"));
+
+      await expect(escrow.connect(other).deposit(USDC("1"))).to.be.revertedWithCustomError(
+        usdc,
+        "ERC20InsufficientAllowance",
+      );
+    });
+  });
+
+  describe("depositWithPermit", function () {
+    const PERMIT_TYPES = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+
+    // USDC permit from `signer` with the escrow as spender
+    async function signPermit({ usdc, escrow, domain }: Fixture, signer: Fixture["payer"], value: bigint, owner = signer.address) {
+      const deadline = BigInt(await networkHelpers.time.latest()) + 3600n;
+      const permitDomain = { name: "USD Coin", version: "1", chainId: domain.chainId, verifyingContract: await usdc.getAddress() };
+      const message = { owner, spender: await escrow.getAddress(), value, nonce: await usdc.nonces(owner), deadline };
+      const { v, r, s } = ethers.Signature.from(await signer.signTypedData(permitDomain, PERMIT_TYPES, message));
+      return [owner, value, deadline, v, r, s] as const;
+    }
+
+    it("lets anyone deposit for the permit signer", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, other, usdc, escrow } = fixture;
+      await usdc.mint(other.address, USDC("3"));
+      const permit = await signPermit(fixture, other, USDC("3"));
+
+      await expect(escrow.connect(deployer).depositWithPermit(...permit))
+        .to.emit(escrow, "Deposited")
+        .withArgs(other.address, USDC("3"), anyValue);
+
+      expect(await escrow.getBalance(other.address)).to.equal(USDC("3"));
+      expect(await escrow.getBalance(deployer.address)).to.equal(0n);
+      expect(await usdc.balanceOf(other.address)).to.equal(0n);
+    });
+
+    it("lets only the owner deposit on a permit that was already submitted", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, other, usdc, escrow } = fixture;
+      await usdc.mint(other.address, USDC("3"));
+      const [owner, value, deadline, v, r, s] = await signPermit(fixture, other, USDC("3"));
+      await usdc.permit(owner, await escrow.getAddress(), value, deadline, v, r, s);
+
+      await expect(escrow.connect(deployer).depositWithPermit(owner, value, deadline, v, r, s)).to.be.revertedWith("Permit failed");
+      await expect(escrow.connect(other).depositWithPermit(owner, value, deadline, v, r, s)).to.emit(escrow, "Deposited");
+      expect(await escrow.getBalance(other.address)).to.equal(USDC("3"));
+    });
+
+    it("does not deposit a standing approval for someone else", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, payer, escrow } = fixture;
+      const balance = await escrow.getBalance(payer.address);
+      const junk = ethers.hexlify(ethers.randomBytes(32));
+
+      await expect(escrow.connect(deployer).depositWithPermit(payer.address, USDC("1"), 0n, 27, junk, junk)).to.be.revertedWith("Permit failed");
+      expect(await escrow.getBalance(payer.address)).to.equal(balance);
+    });
+
+    it("rejects a permit not signed by the owner", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      await fixture.usdc.mint(fixture.other.address, USDC("3"));
+      const permit = await signPermit(fixture, fixture.deployer, USDC("3"), fixture.other.address);
+
+      await expect(fixture.escrow.depositWithPermit(...permit)).to.be.revertedWith("Permit failed");
+    });
+
+    it("rejects an expired permit", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      await fixture.usdc.mint(fixture.other.address, USDC("3"));
+      const permit = await signPermit(fixture, fixture.other, USDC("3"));
+      await networkHelpers.time.increaseTo(permit[2] + 1n);
+
+      await expect(fixture.escrow.depositWithPermit(...permit)).to.be.revertedWith("Permit failed");
+    });
+  });
+
+  describe("withdraw", function () {
+    it("returns USDC to the sender", async function () {
+      const { payer, usdc, escrow } = await networkHelpers.loadFixture(deployEscrowFixture);
+
+      await expect(escrow.connect(payer).withdraw(USDC("4")))
+        .to.emit(escrow, "Withdrawn")
+        .withArgs(payer.address, USDC("4"), anyValue);
+
+      expect(await escrow.getBalance(payer.address)).to.equal(USDC("6"));
+      expect(await usdc.balanceOf(payer.address)).to.equal(USDC("94"));
+    });
+
+    it("rejects a zero amount", async function () {
+      const { payer, escrow } = await networkHelpers.loadFixture(deployEscrowFixture);
+
+      await expect(escrow.connect(payer).withdraw(0)).to.be.revertedWith("Amount must be > 0");
+    });
+
+    it("rejects more than the escrow balance", async function () {
+      const { payer, other, escrow } = await networkHelpers.loadFixture(deployEscrowFixture);
+
+      await expect(escrow.connect(payer).withdraw(USDC("10.000001"))).to.be.revertedWith("Insufficient balance");
+      await expect(escrow.connect(other).withdraw(1)).to.be.revertedWith("Insufficient balance");
+    });
+  });
+
+  describe("executeWithdrawIntent", function () {
+    // Signed WithdrawIntent for `signer`, defaulting to 1 USDC to the signer at its next nonce
+    async function signWithdraw(
+      { escrow, domain }: Fixture,
+      signer: Fixture["payer"],
+      overrides: Partial<{ user: string; amount: bigint; recipient: string; deadline: bigint; nonce: bigint }> = {},
+    ) {
+      const user = overrides.user ?? signer.address;
+      const message = {
+        user,
+        amount: overrides.amount ?? USDC("1"),
+        recipient: overrides.recipient ?? signer.address,
+        deadline: overrides.deadline ?? BigInt(await networkHelpers.time.latest()) + 3600n,
+        nonce: overrides.nonce ?? (await escrow.getNonce(user)),
+      };
+      const signature = await signer.signTypedData(domain, WITHDRAW_INTENT_TYPES, message);
+      return { ...message, signature };
+    }
+
+    it("pays the signed amount to the recipient, relayed by anyone", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, payer, other, usdc, escrow } = fixture;
+      const intent = await signWithdraw(fixture, payer, { amount: USDC("4"), recipient: other.address });
+
+      await expect(escrow.connect(deployer).executeWithdrawIntent(intent))
+        .to.emit(escrow, "Withdrawn")
+        .withArgs(payer.address, USDC("4"), anyValue);
+
+      expect(await escrow.getBalance(payer.address)).to.equal(USDC("6"));
+      expect(await usdc.balanceOf(other.address)).to.equal(USDC("4"));
+      expect(await escrow.getNonce(payer.address)).to.equal(1n);
+    });
+
+    it("shares the nonce sequence with payment intents", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const payment = await signIntent(fixture, fixture.payer, { nonce: 0n });
+      await fixture.escrow.executeWithdrawIntent(await signWithdraw(fixture, fixture.payer, { nonce: 0n }));
+
+      await expect(fixture.escrow.executePaymentIntent(payment, "ai")).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("rejects an intent signed by someone other than the user", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const intent = await signWithdraw(fixture, fixture.other, { user: fixture.payer.address, recipient: fixture.other.address });
+
+      await expect(fixture.escrow.executeWithdrawIntent(intent)).to.be.revertedWith("Invalid signature");
+    });
+
+    it("rejects an intent whose recipient was changed after signing", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const intent = await signWithdraw(fixture, fixture.payer);
+
+      await expect(
+        fixture.escrow.executeWithdrawIntent({ ...intent, recipient: fixture.other.address }),
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("rejects a replayed intent", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const intent = await signWithdraw(fixture, fixture.payer);
+      await fixture.escrow.executeWithdrawIntent(intent);
+
+      await expect(fixture.escrow.executeWithdrawIntent(intent)).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("rejects an intent after its deadline", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const intent = await signWithdraw(fixture, fixture.payer);
+      await networkHelpers.time.increaseTo(intent.deadline + 1n);
+
+      await expect(fixture.escrow.executeWithdrawIntent(intent)).to.be.revertedWith("Intent expired");
+    });
+
+    it("rejects more than the escrow balance", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const intent = await signWithdraw(fixture, fixture.payer, { amount: USDC("10.000001") });
+
+      await expect(fixture.escrow.executeWithdrawIntent(intent)).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("rejects the zero address as recipient", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const intent = await signWithdraw(fixture, fixture.payer, { recipient: ethers.ZeroAddress });
+
+      await expect(fixture.escrow.executeWithdrawIntent(intent)).to.be.revertedWith("Invalid recipient");
+    });
+  });
+
+  describe("executePaymentIntent", function () {
+    it("settles a signed intent to the service wallet", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, payer, service, usdc, escrow } = fixture;
+      const intent = await signIntent(fixture, payer);
+
+      // Anyone may relay the intent; the payer is recovered from the signature
+      await expect(escrow.connect(deployer).executePaymentIntent(intent, "ai"))
+        .to.emit(escrow, "PaymentExecuted")
+        .withArgs(payer.address, intent.sessionId, intent.amount, "ai", anyValue);
+
+      expect(await escrow.getBalance(payer.address)).to.equal(USDC("9"));
+      expect(await escrow.getNonce(payer.address)).to.equal(1n);
+      expect(await escrow.isSessionSettled(intent.sessionId)).to.equal(true);
+      expect(await usdc.balanceOf(service.address)).to.equal(USDC("1"));
+    });
+
+    describe("signature recovery", function () {
+      it("rejects an intent signed by someone other than the payer", async function () {
+        const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+        const intent = await signIntent(fixture, fixture.other, { payer: fixture.payer.address });
+
+        await expect(fixture.escrow.executePaymentIntent(intent, "ai")).to.be.revertedWith("Invalid signature");
+      });
+
+      it("rejects an intent whose amount was changed after signing", async function () {
+        const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+        const intent = await signIntent(fixture, fixture.payer);
+
+        await expect(
+          fixture.escrow.executePaymentIntent({ ...intent, amount: intent.amount + 1n }, "ai"),
+        ).to.be.revertedWith("Invalid signature");
+      });
+
+      it("rejects an intent signed for another escrow deployment", async function () {
+        const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+        const intent = await signIntent(fixture, fixture.payer, {}, {
+          ...fixture.domain,
+          verifyingContract: fixture.other.address,
+        });
+
+        await expect(fixture.escrow.executePaymentIntent(intent, "ai")).to.be.revertedWith("Invalid signature");
+      });
+
+      it("rejects a malformed signature", async function () {
+        const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+        const intent = await signIntent(fixture, fixture.payer);
+
+        await expect(
+          fixture.escrow.executePaymentIntent({ ...intent, signature: "0x1234" }, "ai"),
+        ).to.be.revertedWith("Invalid signature");
+      });
+    });
+
+    describe("nonces", function () {
+      it("rejects a nonce that was already used", async function () {
+        const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+        await fixture.escrow.executePaymentIntent(await signIntent(fixture, fixture.payer), "ai");
+        const intent = await signIntent(fixture, fixture.payer, { nonce: 0n });
+
+        await expect(fixture.escrow.executePaymentIntent(intent, "ai")).to.be.revertedWith("Invalid nonce");
+      });
+
+      it("rejects a nonce ahead of the current one", async function () {
+        const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+        const intent = await signIntent(fixture, fixture.payer, { nonce: 1n });
+
+        await expect(fixture.escrow.executePaymentIntent(intent, "ai")).to.be.revertedWith("Invalid nonce");
+      });
+    });
+
+    describe("deadlines", function () {
+      it("accepts an intent in the block of its deadline", async function () {
+        const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+        const deadline = BigInt(await networkHelpers.time.latest()) + 60n;
+        const intent = await signIntent(fixture, fixture.payer, { deadline });
+        await networkHelpers.time.setNextBlockTimestamp(deadline);
+
+        await expect(fixture.escrow.executePaymentIntent(intent, "ai")).to.emit(fixture.escrow, "PaymentExecuted");
+      });
+
+      it("rejects an intent after its deadline", async function () {
+        const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+        const intent = await signIntent(fixture, fixture.payer);
+        await networkHelpers.time.increaseTo(intent.deadline + 1n);
+
+        await expect(fixture.escrow.executePaymentIntent(intent, "ai")).to.be.revertedWith("Intent expired");
+      });
+    });
+
+    describe("session replay", function () {
+      it("rejects a second settlement of the same intent", async function () {
+        const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+        const intent = await signIntent(fixture, fixture.payer);
+        await fixture.escrow.executePaymentIntent(intent, "ai");
+
+        await expect(fixture.escrow.executePaymentIntent(intent, "ai")).to.be.revertedWith("Already settled");
+      });
+
+      it("rejects a new intent that reuses a settled sessionId", async function () {
+        const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+        const first = await signIntent(fixture, fixture.payer);
+        await fixture.escrow.executePaymentIntent(first, "ai");
+        const second = await signIntent(fixture, fixture.payer, { sessionId: first.sessionId });
+
+        await expect(fixture.escrow.executePaymentIntent(second, "ai")).to.be.revertedWith("Already settled");
+      });
+    });
+
+    it("rejects an intent above the escrow balance", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const intent = await signIntent(fixture, fixture.payer, { amount: USDC("10.000001") });
+
+      await expect(fixture.escrow.executePaymentIntent(intent, "ai")).to.be.revertedWith("Insufficient balance");
+    });
+  });
+
+  describe("executePaymentIntentBatch", function () {
+    it("settles valid intents and reports the rest with PaymentFailed", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { payer, other, service, usdc, escrow } = fixture;
+      const first = await signIntent(fixture, payer, { nonce: 0n });
+      const forged = await signIntent(fixture, other, { payer: payer.address, nonce: 1n });
+      const second = await signIntent(fixture, payer, { nonce: 1n, amount: USDC("2") });
+
+      const tx = escrow.executePaymentIntentBatch([first, forged, second], ["ai", "ai", "storage"]);
+      await expect(tx)
+        .to.emit(escrow, "PaymentFailed")
+        .withArgs(payer.address, forged.sessionId, 1n, "Invalid signature", anyValue);
+      await expect(tx)
+        .to.emit(escrow, "PaymentExecuted")
+        .withArgs(payer.address, second.sessionId, USDC("2"), "storage", anyValue);
+
+      expect(await escrow.getNonce(payer.address)).to.equal(2n);
+      expect(await escrow.isSessionSettled(forged.sessionId)).to.equal(false);
+      expect(await usdc.balanceOf(service.address)).to.equal(USDC("3"));
+    });
+
+    it("rejects mismatched intent and service type lists", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const intent = await signIntent(fixture, fixture.payer);
+
+      await expect(fixture.escrow.executePaymentIntentBatch([intent], [])).to.be.revertedWith("Length mismatch");
+    });
+  });
+
+  describe("drawAllowance", function () {
+    // Allowance from the payer with the deployer as spender: 5 USDC for an hour of ai and storage
+    async function signAllowance(
+      { domain }: Fixture,
+      signer: Fixture["payer"],
+      spender: string,
+      overrides: Partial<{ payer: string; maxAmount: bigint; expiry: bigint; serviceTypes: string[] }> = {},
+    ) {
+      const message = {
+        payer: overrides.payer ?? signer.address,
+        spender,
+        allowanceId: ethers.hexlify(ethers.randomBytes(32)),
+        maxAmount: overrides.maxAmount ?? USDC("5"),
+        expiry: overrides.expiry ?? BigInt(await networkHelpers.time.latest()) + 3600n,
+        serviceTypes: overrides.serviceTypes ?? ["ai", "storage"],
+      };
+      const signature = await signer.signTypedData(domain, SPENDING_ALLOWANCE_TYPES, message);
+      return { ...message, signature };
+    }
+
+    async function signDraw(
+      { domain }: Fixture,
+      signer: Fixture["payer"],
+      allowance: { payer: string; allowanceId: string },
+      amount: bigint,
+      serviceType = "ai",
+      sessionId = ethers.hexlify(ethers.randomBytes(32)),
+    ) {
+      const draw = { sessionId, amount, serviceType };
+      const signature = await signer.signTypedData(domain, ALLOWANCE_DRAW_TYPES, {
+        payer: allowance.payer,
+        allowanceId: allowance.allowanceId,
+        ...draw,
+      });
+      return { ...draw, signature };
+    }
+
+    it("settles draws signed by the spender without a new payer signature", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, payer, service, usdc, escrow } = fixture;
+      const allowance = await signAllowance(fixture, payer, deployer.address);
+      const draw = await signDraw(fixture, deployer, allowance, USDC("2"));
+
+      const tx = escrow.connect(service).drawAllowance(allowance, draw);
+      await expect(tx)
+        .to.emit(escrow, "PaymentExecuted")
+        .withArgs(payer.address, draw.sessionId, USDC("2"), "ai", anyValue);
+      await expect(tx)
+        .to.emit(escrow, "AllowanceDrawn")
+        .withArgs(payer.address, allowance.allowanceId, draw.sessionId, USDC("2"), anyValue);
+
+      expect(await escrow.getBalance(payer.address)).to.equal(USDC("8"));
+      expect(await usdc.balanceOf(service.address)).to.equal(USDC("2"));
+      expect(await escrow.getAllowanceStatus(payer.address, allowance.allowanceId)).to.deep.equal([USDC("2"), false]);
+      // Draws leave the payer's nonce alone
+      expect(await escrow.getNonce(payer.address)).to.equal(0n);
+    });
+
+    it("enforces the cap across draws", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, payer, escrow } = fixture;
+      const allowance = await signAllowance(fixture, payer, deployer.address);
+
+      await escrow.drawAllowance(allowance, await signDraw(fixture, deployer, allowance, USDC("2")));
+      await escrow.drawAllowance(allowance, await signDraw(fixture, deployer, allowance, USDC("3"), "storage"));
+
+      await expect(
+        escrow.drawAllowance(allowance, await signDraw(fixture, deployer, allowance, 1n)),
+      ).to.be.revertedWith("Exceeds allowance");
+    });
+
+    it("rejects a draw not signed by the spender", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, payer, other, escrow } = fixture;
+      const allowance = await signAllowance(fixture, payer, deployer.address);
+      const draw = await signDraw(fixture, other, allowance, USDC("1"));
+
+      await expect(escrow.connect(other).drawAllowance(allowance, draw)).to.be.revertedWith("Invalid spender signature");
+    });
+
+    it("rejects an allowance whose cap was changed after signing", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, payer, escrow } = fixture;
+      const allowance = await signAllowance(fixture, payer, deployer.address);
+      const tampered = { ...allowance, maxAmount: USDC("9") };
+
+      await expect(
+        escrow.drawAllowance(tampered, await signDraw(fixture, deployer, allowance, USDC("1"))),
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("rejects a service type the allowance does not list", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, payer, escrow } = fixture;
+      const allowance = await signAllowance(fixture, payer, deployer.address);
+
+      await expect(
+        escrow.drawAllowance(allowance, await signDraw(fixture, deployer, allowance, USDC("1"), "video-purchase")),
+      ).to.be.revertedWith("Service not allowed");
+    });
+
+    it("rejects draws after the expiry", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, payer, escrow } = fixture;
+      const allowance = await signAllowance(fixture, payer, deployer.address);
+      await networkHelpers.time.increaseTo(allowance.expiry + 1n);
+
+      await expect(
+        escrow.drawAllowance(allowance, await signDraw(fixture, deployer, allowance, USDC("1"))),
+      ).to.be.revertedWith("Allowance expired");
+    });
+
+    it("rejects draws once the payer revokes the allowance", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, payer, escrow } = fixture;
+      const allowance = await signAllowance(fixture, payer, deployer.address);
+
+      await expect(escrow.connect(payer).revokeAllowance(allowance.allowanceId))
+        .to.emit(escrow, "AllowanceRevoked")
+        .withArgs(payer.address, allowance.allowanceId, anyValue);
+
+      await expect(
+        escrow.drawAllowance(allowance, await signDraw(fixture, deployer, allowance, USDC("1"))),
+      ).to.be.revertedWith("Allowance revoked");
+    });
+
+    it("rejects a draw that reuses a settled sessionId", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, payer, escrow } = fixture;
+      const allowance = await signAllowance(fixture, payer, deployer.address);
+      const draw = await signDraw(fixture, deployer, allowance, USDC("1"));
+      await escrow.drawAllowance(allowance, draw);
+
+      await expect(escrow.drawAllowance(allowance, draw)).to.be.revertedWith("Already settled");
+    });
+
+    it("rejects a draw above the escrow balance", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, payer, escrow } = fixture;
+      const allowance = await signAllowance(fixture, payer, deployer.address, { maxAmount: USDC("50") });
+
+      await expect(
+        escrow.drawAllowance(allowance, await signDraw(fixture, deployer, allowance, USDC("11"))),
+      ).to.be.revertedWith("Insufficient balance");
+    });
+  });
+
+  describe("payment channels", function () {
+    // Channel from the payer with the deployer as spender: 5 USDC locked for an hour of video-stream
+    async function openChannel(overrides: Partial<{ deposit: bigint; expiry: bigint }> = {}) {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { deployer, payer, domain } = fixture;
+      const message = {
+        payer: payer.address,
+        spender: deployer.address,
+        channelId: ethers.hexlify(ethers.randomBytes(32)),
+        deposit: overrides.deposit ?? USDC("5"),
+        expiry: overrides.expiry ?? BigInt(await networkHelpers.time.latest()) + 3600n,
+        serviceType: "video-stream",
+      };
+      const open = { ...message, signature: await payer.signTypedData(domain, CHANNEL_OPEN_TYPES, message) };
+      return { ...fixture, open };
+    }
+
+    function signVoucher({ domain }: Fixture, signer: Fixture["payer"], channelId: string, amount: bigint) {
+      return signer.signTypedData(domain, VOUCHER_TYPES, { channelId, amount });
+    }
+
+    it("locks the deposit out of the payer's escrow balance", async function () {
+      const { deployer, payer, escrow, open } = await openChannel();
+
+      await expect(escrow.openChannel(open))
+        .to.emit(escrow, "ChannelOpened")
+        .withArgs(payer.address, open.channelId, deployer.address, USDC("5"), open.expiry, anyValue);
+
+      expect(await escrow.getBalance(payer.address)).to.equal(USDC("5"));
+      expect(await escrow.getChannel(open.channelId)).to.deep.equal([
+        payer.address, deployer.address, USDC("5"), 0n, open.expiry, false, "video-stream",
+      ]);
+      await expect(escrow.openChannel(open)).to.be.revertedWith("Channel exists");
+    });
+
+    it("keeps channel ids out of payment sessions", async function () {
+      const fixture = await openChannel();
+      const { deployer, payer, escrow, open } = fixture;
+      await escrow.openChannel(open);
+      const intent = await signIntent(fixture, payer, { sessionId: open.channelId });
+
+      await expect(escrow.executePaymentIntent(intent, "ai")).to.be.revertedWith("Session is a channel");
+
+      const amount = USDC("1");
+      await escrow.closeChannel(
+        open.channelId,
+        amount,
+        await signVoucher(fixture, payer, open.channelId, amount),
+        await signVoucher(fixture, deployer, open.channelId, amount),
+      );
+      expect(await escrow.getSettlement(open.channelId)).to.deep.equal([payer.address, amount, 0n]);
+      await expect(escrow.executePaymentIntent(intent, "ai")).to.be.revertedWith("Already settled");
+    });
+
+    it("settles only the latest voucher and returns the rest of the deposit", async function () {
+      const fixture = await openChannel();
+      const { deployer, payer, service, usdc, escrow, open } = fixture;
+      await escrow.openChannel(open);
+      const amount = USDC("1.25");
+
+      const tx = escrow.closeChannel(
+        open.channelId,
+        amount,
+        await signVoucher(fixture, payer, open.channelId, amount),
+        await signVoucher(fixture, deployer, open.channelId, amount),
+      );
+      await expect(tx)
+        .to.emit(escrow, "PaymentExecuted")
+        .withArgs(payer.address, open.channelId, amount, "video-stream", anyValue);
+      await expect(tx)
+        .to.emit(escrow, "ChannelClosed")
+        .withArgs(payer.address, open.channelId, amount, USDC("3.75"), anyValue);
+
+      expect(await escrow.getBalance(payer.address)).to.equal(USDC("8.75"));
+      expect(await usdc.balanceOf(service.address)).to.equal(amount);
+      expect(await escrow.isSessionSettled(open.channelId)).to.equal(true);
+      expect(await escrow.getSettlement(open.channelId)).to.deep.equal([payer.address, amount, 0n]);
+    });
+
+    it("needs the spender's signature on the voucher it closes with", async function () {
+      const fixture = await openChannel();
+      const { deployer, payer, escrow, open } = fixture;
+      await escrow.openChannel(open);
+      const early = await signVoucher(fixture, payer, open.channelId, USDC("0.5"));
+      await signVoucher(fixture, payer, open.channelId, USDC("2"));
+
+      // The payer cannot close on an older, smaller voucher by itself
+      await expect(
+        escrow.connect(payer).closeChannel(open.channelId, USDC("0.5"), early, early),
+      ).to.be.revertedWith("Invalid spender signature");
+      await expect(
+        escrow.closeChannel(
+          open.channelId,
+          USDC("0.5"),
+          await signVoucher(fixture, deployer, open.channelId, USDC("0.5")),
+          await signVoucher(fixture, deployer, open.channelId, USDC("0.5")),
+        ),
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("rejects a voucher above the deposit and a second close", async function () {
+      const fixture = await openChannel();
+      const { deployer, payer, escrow, open } = fixture;
+      await escrow.openChannel(open);
+      const close = async (amount: bigint) =>
+        escrow.closeChannel(
+          open.channelId,
+          amount,
+          await signVoucher(fixture, payer, open.channelId, amount),
+          await signVoucher(fixture, deployer, open.channelId, amount),
+        );
+
+      await expect(close(USDC("5") + 1n)).to.be.revertedWith("Exceeds deposit");
+      await close(USDC("5"));
+      await expect(close(USDC("5"))).to.be.revertedWith("Channel closed");
+    });
+
+    it("returns the whole deposit once the close window has passed", async function () {
+      const fixture = await openChannel();
+      const { deployer, payer, other, escrow, open } = fixture;
+      await escrow.openChannel(open);
+
+      await expect(escrow.connect(other).expireChannel(open.channelId)).to.be.revertedWith("Channel not timed out");
+      await networkHelpers.time.increaseTo(open.expiry + (await escrow.CHANNEL_CLOSE_WINDOW()) + 1n);
+
+      const amount = USDC("1");
+      await expect(
+        escrow.closeChannel(
+          open.channelId,
+          amount,
+          await signVoucher(fixture, payer, open.channelId, amount),
+          await signVoucher(fixture, deployer, open.channelId, amount),
+        ),
+      ).to.be.revertedWith("Channel timed out");
+      await expect(escrow.connect(other).expireChannel(open.channelId))
+        .to.emit(escrow, "ChannelClosed")
+        .withArgs(payer.address, open.channelId, 0n, USDC("5"), anyValue);
+      expect(await escrow.getBalance(payer.address)).to.equal(USDC("10"));
+    });
+
+    it("rejects a deposit above the escrow balance", async function () {
+      const { escrow, open } = await openChannel({ deposit: USDC("11") });
+
+      await expect(escrow.openChannel(open)).to.be.revertedWith("Insufficient balance");
+    });
+  });
+
+  describe("refund", function () {
+    // Payer settles a 2 USDC session; the service wallet approves the escrow to pull refunds
+    async function settledSession() {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { payer, service, usdc, escrow } = fixture;
+      const intent = await signIntent(fixture, payer, { amount: USDC("2") });
+      await escrow.executePaymentIntent(intent, "video_stream");
+      await usdc.connect(service).approve(await escrow.getAddress(), ethers.MaxUint256);
+      return { ...fixture, sessionId: intent.sessionId };
+    }
+
+    it("credits the payer's escrow from the service wallet", async function () {
+      const { payer, service, usdc, escrow, sessionId } = await settledSession();
+
+      await expect(escrow.connect(service).refund(sessionId, USDC("2")))
+        .to.emit(escrow, "Refunded")
+        .withArgs(payer.address, sessionId, USDC("2"), anyValue);
+
+      expect(await escrow.getBalance(payer.address)).to.equal(USDC("10"));
+      expect(await usdc.balanceOf(service.address)).to.equal(0n);
+      expect(await escrow.getSettlement(sessionId)).to.deep.equal([payer.address, USDC("2"), USDC("2")]);
+    });
+
+    it("allows partial refunds up to the settled amount", async function () {
+      const { service, escrow, sessionId } = await settledSession();
+
+      await escrow.connect(service).refund(sessionId, USDC("1.5"));
+      await expect(escrow.connect(service).refund(sessionId, USDC("1"))).to.be.revertedWith("Exceeds refundable amount");
+      await escrow.connect(service).refund(sessionId, USDC("0.5"));
+      await expect(escrow.connect(service).refund(sessionId, 1n)).to.be.revertedWith("Exceeds refundable amount");
+    });
+
+    it("rejects callers other than the service wallet", async function () {
+      const { payer, escrow, sessionId } = await settledSession();
+
+      await expect(escrow.connect(payer).refund(sessionId, USDC("1"))).to.be.revertedWith("Only service wallet");
+    });
+
+    it("rejects a session that was never settled", async function () {
+      const { service, escrow } = await settledSession();
+
+      await expect(escrow.connect(service).refund(ethers.ZeroHash, USDC("1"))).to.be.revertedWith("Session not settled");
+    });
+
+    it("rejects a zero amount", async function () {
+      const { service, escrow, sessionId } = await settledSession();
+
+      await expect(escrow.connect(service).refund(sessionId, 0)).to.be.revertedWith("Amount must be > 0");
+    });
+
+    it("records every session settled in a batch", async function () {
+      const fixture = await networkHelpers.loadFixture(deployEscrowFixture);
+      const { payer, escrow } = fixture;
+      const first = await signIntent(fixture, payer, { nonce: 0n });
+      const second = await signIntent(fixture, payer, { nonce: 1n, amount: USDC("3") });
+
+      await escrow.executePaymentIntentBatch([first, second], ["ai", "storage"]);
+
+      expect(await escrow.getSettlement(second.sessionId)).to.deep.equal([payer.address, USDC("3"), 0n]);
+    });
+  });
+
+  describe("reentrancy", function () {
+    async function deployReentrantFixture() {
+      const [, attacker, service] = await ethers.getSigners();
+
+      const token = await ethers.deployContract("ReentrantToken");
+      const escrow = await ethers.deployContract("StreamPayEscrow", [await token.getAddress(), service.address]);
+
+      await token.mint(attacker.address, USDC("10"));
+      await token.connect(attacker).approve(await escrow.getAddress(), ethers.MaxUint256);
+      await escrow.connect(attacker).deposit(USDC("5"));
+
+      return { attacker, token, escrow };
+    }
+
+    it("blocks re-entering deposit from a token transfer", async function () {
+      const { attacker, token, escrow } = await networkHelpers.loadFixture(deployReentrantFixture);
+      await token.arm(await escrow.getAddress(), Attack.Deposit);
+
+      await expect(escrow.connect(attacker).deposit(USDC("1"))).to.be.revertedWith("ReentrancyGuard: reentrant call");
+    });
+
+    it("blocks re-entering withdraw from a token transfer", async function () {
+      const { attacker, token, escrow } = await networkHelpers.loadFixture(deployReentrantFixture);
+      await token.arm(await escrow.getAddress(), Attack.Withdraw);
+
+      await expect(escrow.connect(attacker).withdraw(USDC("1"))).to.be.revertedWith("ReentrancyGuard: reentrant call");
+      expect(await escrow.getBalance(attacker.address)).to.equal(USDC("5"));
+    });
+  });
+});
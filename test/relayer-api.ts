@@ -0,0 +1,1510 @@
+import { expect } from "chai";
+import hre, { network } from "hardhat";
+import { ethers } from "ethers";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import type { AddressInfo } from "node:net";
+import type { Server } from "node:http";
+// @ts-expect-error the API is plain JavaScript without type declarations
+import { createApp, createNetworkContext } from "../app.js";
+// @ts-expect-error
+import { createMemoryAdapter, createRepository } from "../db/index.js";
+// @ts-expect-error
+import { getNetworkConfig } from "../web3-apis/networks.js";
+// @ts-expect-error
+import { PAYMENT_INTENT_TYPES, WITHDRAW_INTENT_TYPES } from "../web3-apis/intent.js";
+// @ts-expect-error
+import { SPENDING_ALLOWANCE_TYPES } from "../web3-apis/allowances.js";
+// @ts-expect-error
+import { CHANNEL_OPEN_TYPES, VOUCHER_TYPES } from "../web3-apis/channels.js";
+// @ts-expect-error
+import { settleDueChannels } from "../web3-apis/channel-worker.js";
+// @ts-expect-error
+import { billStorageCycle } from "../web3-apis/storage-billing.js";
+// @ts-expect-error
+import { createLocalProvider } from "../storage/index.js";
+// @ts-expect-error
+import { releaseExpiredPins } from "../storage/retention.js";
+// @ts-expect-error
+import { signToken } from "../web2-apis/auth.js";
+// @ts-expect-error
+import { createJob, updateJob } from "../web3-apis/jobs.js";
+// @ts-expect-error
+import { UNIQUE_VIOLATION } from "../db/errors.js";
+// @ts-expect-error
+import { startIndexer } from "../web3-apis/indexer.js";
+
+// Accounts of the local Hardhat node
+const MNEMONIC = "test test test test test test test test test test test junk";
+const account = (index: number) => ethers.HDNodeWallet.fromPhrase(MNEMONIC, "", `m/44'/60'/0'/0/${index}`);
+
+const USDC = (amount: string) => ethers.parseUnits(amount, 6);
+
+// The relayer API against a Hardhat node served over JSON-RPC, as the server talks to a real chain
+describe("relayer API", function () {
+  let node: Awaited<ReturnType<typeof network.createServer>>;
+  let provider: ethers.JsonRpcProvider;
+  let server: Server;
+  let context: { stop(): void; web3: unknown };
+  let db: any;
+  let adapter: any;
+  let baseUrl: string;
+  let storageDir: string;
+  let storage: any;
+  let escrow: ethers.Contract;
+  let usdc: ethers.Contract;
+  let chainId: bigint;
+
+  const relayer = account(0);
+  const payer = account(1);
+  const service = account(2);
+  const depositor = account(4);
+
+  async function deploy(name: string, args: unknown[] = []) {
+    const { abi, bytecode } = await hre.artifacts.readArtifact(name);
+    const contract = await new ethers.ContractFactory(abi, bytecode, relayer.connect(provider)).deploy(...args);
+    await contract.waitForDeployment();
+    return contract as ethers.Contract;
+  }
+
+  // `token` is a session from signIn, for the /web2 routes
+  async function api(method: string, path: string, body?: unknown, token?: string) {
+    const headers: Record<string, string> = body ? { "Content-Type": "application/json" } : {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(`${baseUrl}/api${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: (await res.json()) as any };
+  }
+
+  async function quote(metadata: Record<string, unknown> = { calls: 1 }) {
+    const { status, body } = await api("POST", "/quotes", { serviceType: "ai", metadata, payer: payer.address });
+    expect(status).to.equal(201);
+    return body;
+  }
+
+  // Intent for a quote, signed by `signer` (the payer unless overridden) and paid from its escrow
+  async function signIntent(
+    q: { sessionId: string; amount: string; expiresAt: number },
+    overrides: Partial<{ payer: string; nonce: bigint; deadline: bigint }> = {},
+    signer: ethers.Wallet | ethers.HDNodeWallet = payer,
+  ) {
+    const from = overrides.payer ?? signer.address;
+    const { body } = await api("GET", `/nonce/${from}`);
+    const message = {
+      payer: from,
+      sessionId: q.sessionId,
+      amount: BigInt(q.amount),
+      deadline: overrides.deadline ?? BigInt(q.expiresAt),
+      nonce: overrides.nonce ?? BigInt(body.nonce),
+    };
+    const domain = { name: "StreamPay", version: "1", chainId, verifyingContract: await escrow.getAddress() };
+    const signature = await signer.signTypedData(domain, PAYMENT_INTENT_TYPES, message);
+    return {
+      ...message,
+      amount: message.amount.toString(),
+      deadline: message.deadline.toString(),
+      nonce: message.nonce.toString(),
+      signature,
+    };
+  }
+
+  async function waitForJob(jobId: string) {
+    for (let i = 0; i < 100; i++) {
+      const { body } = await api("GET", `/payments/${jobId}`);
+      if (body.status === "confirmed" || body.status === "failed") return body;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+  }
+
+  // Mint `amount` USDC to `wallet` and deposit it into the escrow. Sent from the wallet:
+  // transactions from the relayer's key would race the server's nonces
+  async function fund(wallet: ethers.HDNodeWallet, amount: bigint) {
+    const signer = wallet.connect(provider);
+    await (await (usdc.connect(signer) as ethers.Contract).mint(wallet.address, amount)).wait();
+    await (await (usdc.connect(signer) as ethers.Contract).approve(await escrow.getAddress(), ethers.MaxUint256)).wait();
+    await (await (escrow.connect(signer) as ethers.Contract).deposit(amount)).wait();
+  }
+
+  // Pay a quote from `wallet`'s escrow through /api/execute-payment; returns the tx hash
+  async function payQuote(wallet: ethers.HDNodeWallet, q: { sessionId: string; amount: string; expiresAt: number; serviceType: string }) {
+    const paymentIntent = await signIntent(q, {}, wallet);
+    const { body } = await api("POST", "/execute-payment", { paymentIntent, serviceType: q.serviceType });
+    const job = await waitForJob(body.jobId);
+    expect(job.status).to.equal("confirmed");
+    return job.txHash as string;
+  }
+
+  // Store `content` as a file of the signed-in wallet through /web2/storage/upload
+  async function upload(token: string, content: string, name = "notes.txt", type = "text/plain") {
+    const form = new FormData();
+    form.append("file", new Blob([content], { type }), name);
+    const res = await fetch(`${baseUrl}/api/web2/storage/upload`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+      body: form,
+    });
+    expect(res.status).to.equal(200);
+    return (await res.json()) as any;
+  }
+
+  // Sign-In with Ethereum through /web2/auth, returning the session token
+  async function signIn(wallet: ethers.HDNodeWallet) {
+    const challenge = await api("POST", "/web2/auth/challenge", { address: wallet.address });
+    const signature = await wallet.signMessage(challenge.body.message);
+    const { body } = await api("POST", "/web2/auth/verify", { message: challenge.body.message, signature });
+    return body.token as string;
+  }
+
+  before(async function () {
+    node = await network.createServer();
+    const { address, port } = await node.listen();
+    const rpcUrl = `http://${address}:${port}`;
+    // No response caching: nonces must be read fresh between the setup transactions
+    provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { cacheTimeout: -1 });
+    ({ chainId } = await provider.getNetwork());
+
+    usdc = await deploy("MockUSDC");
+    escrow = await deploy("StreamPayEscrow", [await usdc.getAddress(), service.address]);
+
+    const asPayer = (contract: ethers.Contract) => contract.connect(payer.connect(provider)) as ethers.Contract;
+    await (await usdc.mint(payer.address, USDC("10"))).wait();
+    await (await asPayer(usdc).approve(await escrow.getAddress(), ethers.MaxUint256)).wait();
+    await (await asPayer(escrow).deposit(USDC("1"))).wait();
+    await (await usdc.mint(depositor.address, USDC("5"))).wait();
+
+    const config = getNetworkConfig("localhost", {
+      LOCALHOST_RPC_URL: rpcUrl,
+      LOCALHOST_CONTRACT_ADDRESS: await escrow.getAddress(),
+      LOCALHOST_USDC_ADDRESS: await usdc.getAddress(),
+      LOCALHOST_SERVICE_WALLET: service.address,
+      LOCALHOST_RELAYER_PRIVATE_KEY: relayer.privateKey,
+      LOCALHOST_SERVICE_PRIVATE_KEY: service.privateKey,
+    });
+    adapter = createMemoryAdapter();
+    db = createRepository(adapter);
+    // The channel worker's passes are run by the tests themselves
+    context = createNetworkContext(db, config, { indexer: false, channelWorker: false, storageBilling: false });
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "streampay-storage-"));
+    storage = createLocalProvider({ directory: storageDir });
+    const app = createApp({ db, storage, networks: new Map([[config.chainId, context]]) });
+
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  after(async function () {
+    context?.stop();
+    if (server) {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+    provider?.destroy();
+    await node?.close();
+    if (storageDir) fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  describe("GET /api/nonce/:address", function () {
+    it("returns the on-chain nonce", async function () {
+      const { status, body } = await api("GET", `/nonce/${payer.address}`);
+
+      expect(status).to.equal(200);
+      expect(body).to.deep.equal({ address: payer.address, nonce: "0" });
+    });
+  });
+
+  describe("GET /api/balance/:address", function () {
+    it("returns the escrow balance in base units and USDC", async function () {
+      const { status, body } = await api("GET", `/balance/${payer.address}`);
+
+      expect(status).to.equal(200);
+      expect(body).to.deep.equal({ address: payer.address, balance: "1000000", balanceUSDC: "1.0" });
+    });
+
+    it("reports zero for an unknown wallet", async function () {
+      const { body } = await api("GET", `/balance/${ethers.ZeroAddress}`);
+
+      expect(body.balance).to.equal("0");
+    });
+  });
+
+  describe("POST /api/execute-payment", function () {
+    it("queues a quoted intent and relays it on-chain", async function () {
+      const q = await quote({ calls: 2 });
+      const paymentIntent = await signIntent(q);
+
+      const { status, body } = await api("POST", "/execute-payment", { paymentIntent, serviceType: "ai" });
+      expect(status).to.equal(202);
+      expect(body.statusUrl).to.equal(`/api/payments/${body.jobId}`);
+
+      const job = await waitForJob(body.jobId);
+      expect(job.status).to.equal("confirmed");
+      expect(job.amount).to.equal(q.amount);
+
+      const receipt = await provider.getTransactionReceipt(job.txHash);
+      expect(receipt?.status).to.equal(1);
+      expect(await escrow.isSessionSettled(q.sessionId)).to.equal(true);
+      expect(await usdc.balanceOf(service.address)).to.equal(BigInt(q.amount));
+
+      const nonce = await api("GET", `/nonce/${payer.address}`);
+      expect(nonce.body.nonce).to.equal("1");
+      const balance = await api("GET", `/balance/${payer.address}`);
+      expect(balance.body.balance).to.equal((USDC("1") - BigInt(q.amount)).toString());
+    });
+
+    it("answers a replayed intent with the existing job", async function () {
+      const q = await quote();
+      const paymentIntent = await signIntent(q);
+      const first = await api("POST", "/execute-payment", { paymentIntent, serviceType: "ai" });
+      await waitForJob(first.body.jobId);
+
+      const { status, body } = await api("POST", "/execute-payment", { paymentIntent, serviceType: "ai" });
+
+      expect(status).to.equal(200);
+      expect(body).to.include({ duplicate: true, jobId: first.body.jobId, status: "confirmed" });
+    });
+
+    it("rejects missing fields", async function () {
+      const { status, body } = await api("POST", "/execute-payment", { serviceType: "ai" });
+
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("Missing required fields");
+    });
+
+    it("rejects an intent that was not quoted", async function () {
+      const paymentIntent = await signIntent({
+        sessionId: ethers.hexlify(ethers.randomBytes(32)),
+        amount: "20000",
+        expiresAt: Math.floor(Date.now() / 1000) + 300,
+      });
+
+      const { status, body } = await api("POST", "/execute-payment", { paymentIntent, serviceType: "ai" });
+
+      expect(status).to.equal(400);
+      expect(body.code).to.equal("QUOTE_REQUIRED");
+    });
+
+    it("rejects an amount that differs from the quote", async function () {
+      const q = await quote();
+      const paymentIntent = await signIntent({ ...q, amount: (BigInt(q.amount) - 1n).toString() });
+
+      const { status, body } = await api("POST", "/execute-payment", { paymentIntent, serviceType: "ai" });
+
+      expect(status).to.equal(400);
+      expect(body.code).to.equal("QUOTE_MISMATCH");
+    });
+
+    it("rejects a signature that is not the payer's", async function () {
+      const q = await quote();
+      const paymentIntent = await signIntent(q, { payer: payer.address }, account(3));
+
+      const { status, body } = await api("POST", "/execute-payment", { paymentIntent, serviceType: "ai" });
+
+      expect(status).to.equal(401);
+      expect(body).to.include({ code: "INVALID_SIGNATURE", signer: account(3).address });
+    });
+
+    it("rejects a used or future nonce", async function () {
+      const used = await api("POST", "/execute-payment", {
+        paymentIntent: await signIntent(await quote(), { nonce: 0n }),
+        serviceType: "ai",
+      });
+      expect(used.status).to.equal(409);
+      expect(used.body.code).to.equal("NONCE_USED");
+
+      const ahead = await api("POST", "/execute-payment", {
+        paymentIntent: await signIntent(await quote(), { nonce: 99n }),
+        serviceType: "ai",
+      });
+      expect(ahead.status).to.equal(409);
+      expect(ahead.body.code).to.equal("NONCE_TOO_HIGH");
+    });
+
+    it("rejects an intent past its deadline", async function () {
+      const q = await quote();
+      const paymentIntent = await signIntent(q, { deadline: BigInt(Math.floor(Date.now() / 1000) - 3600) });
+
+      const { status, body } = await api("POST", "/execute-payment", { paymentIntent, serviceType: "ai" });
+
+      expect(status).to.equal(410);
+      expect(body.code).to.equal("INTENT_EXPIRED");
+    });
+
+    it("rejects an intent above the escrow balance", async function () {
+      const q = await quote({ calls: 100 });
+      const paymentIntent = await signIntent(q);
+
+      const { status, body } = await api("POST", "/execute-payment", { paymentIntent, serviceType: "ai" });
+
+      expect(status).to.equal(400);
+      expect(body.code).to.equal("INSUFFICIENT_BALANCE");
+      expect(await escrow.isSessionSettled(q.sessionId)).to.equal(false);
+    });
+    it("keeps one live job per session", async function () {
+      // A chain no relay worker serves, so the jobs stay queued
+      const job = {
+        chainId: 1,
+        serviceType: "ai",
+        intent: {
+          payer: payer.address,
+          sessionId: ethers.hexlify(ethers.randomBytes(32)),
+          amount: 1n,
+          deadline: 1n,
+          nonce: 0n,
+          signature: "0x",
+        },
+      };
+      const first = await createJob(db, job);
+
+      const duplicate = await createJob(db, job).catch((err: any) => err);
+      expect(duplicate.code).to.equal(UNIQUE_VIOLATION);
+
+      await updateJob(db, first.id, { status: "failed" });
+      const retry = await createJob(db, job);
+      expect(retry.id).to.not.equal(first.id);
+    });
+  });
+
+  describe("paid records", function () {
+    const customer = account(16);
+    let customerToken: string;
+
+    before(async function () {
+      await fund(customer, USDC("1"));
+      customerToken = await signIn(customer);
+    });
+
+    it("records a video purchase only for the video its quote was for", async function () {
+      const [bought, other] = await adapter.insert("catalog_videos", [
+        { url: `https://videos.test/bought-${Date.now()}` },
+        { url: `https://videos.test/other-${Date.now()}` },
+      ]);
+      const unbound = await api("POST", "/quotes", { serviceType: "video-purchase", metadata: {}, payer: customer.address });
+      expect(unbound.status).to.equal(400);
+      expect(unbound.body.code).to.equal("INVALID_USAGE");
+      const bound = await api("POST", "/quotes", { serviceType: "video-purchase", metadata: { videoId: bought.id }, payer: customer.address });
+      const txHash = await payQuote(customer, bound.body);
+
+      const mismatch = await api("POST", "/web2/video-purchases", { video_id: other.id, tx_hash: txHash }, customerToken);
+      expect(mismatch.status).to.equal(400);
+      expect(mismatch.body.code).to.equal("SESSION_MISMATCH");
+
+      const { status, body } = await api("POST", "/web2/video-purchases", { video_id: bought.id, tx_hash: txHash }, customerToken);
+      expect(status).to.equal(200);
+      expect(body.purchase).to.include({ video_id: bought.id, amount_usdc: 0.04 });
+    });
+
+    it("records AI usage with the calls its quote was for", async function () {
+      const { body: q } = await api("POST", "/quotes", { serviceType: "ai", metadata: { calls: 3 }, payer: customer.address });
+      const txHash = await payQuote(customer, q);
+
+      const inflated = await api("POST", "/web2/ai/record", { calls_count: 50, tx_hash: txHash }, customerToken);
+      expect(inflated.status).to.equal(400);
+      expect(inflated.body.code).to.equal("SESSION_MISMATCH");
+
+      const { status, body } = await api("POST", "/web2/ai/record", { tx_hash: txHash }, customerToken);
+      expect(status).to.equal(200);
+      expect(body.record).to.include({ calls_count: 3, amount_usdc: 0.06 });
+    });
+
+    it("charges AI calls through x402 on the request itself", async function () {
+      const call = async (headers: Record<string, string> = {}) => {
+        const res = await fetch(`${baseUrl}/api/web2/ai/calls`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${customerToken}`, ...headers },
+          body: JSON.stringify({ calls_count: 2 }),
+        });
+        return { res, body: (await res.json()) as any };
+      };
+
+      const unpaid = await call();
+      expect(unpaid.res.status).to.equal(402);
+      const [requirement] = unpaid.body.accepts;
+      expect(requirement).to.include({ scheme: "streampay-intent", serviceType: "ai", maxAmountRequired: USDC("0.04").toString() });
+
+      const message = {
+        payer: customer.address,
+        sessionId: requirement.sessionId,
+        amount: BigInt(requirement.maxAmountRequired),
+        deadline: BigInt(requirement.expiresAt),
+        nonce: BigInt(requirement.nonce),
+      };
+      const signature = await customer.signTypedData(requirement.domain, PAYMENT_INTENT_TYPES, message);
+      const paymentIntent = {
+        ...message,
+        amount: message.amount.toString(),
+        deadline: message.deadline.toString(),
+        nonce: message.nonce.toString(),
+        signature,
+      };
+      const header = Buffer.from(JSON.stringify({ x402Version: 1, scheme: "streampay-intent", payload: { paymentIntent } })).toString("base64");
+
+      const paid = await call({ "X-PAYMENT": header });
+      expect(paid.res.status).to.equal(200);
+      expect(paid.body.record).to.include({ calls_count: 2, amount_usdc: 0.04 });
+      const settlement = JSON.parse(Buffer.from(paid.res.headers.get("x-payment-response") || "", "base64").toString());
+      expect(settlement).to.include({ success: true, transaction: paid.body.record.tx_hash });
+      expect(await escrow.isSessionSettled(requirement.sessionId)).to.equal(true);
+
+      // One settlement pays for one request
+      expect((await call({ "X-PAYMENT": header })).res.status).to.equal(402);
+    });
+  });
+
+  describe("POST /api/execute-deposit", function () {
+    // USDC permit for the escrow, signed with the parameters from GET /api/permit/:address
+    async function signPermit(value: bigint, signer: ethers.HDNodeWallet = depositor) {
+      const { body: params } = await api("GET", `/permit/${depositor.address}`);
+      const deadline = BigInt(Math.floor(Date.now() / 1000) + 3600);
+      const message = { owner: depositor.address, spender: params.spender, value, nonce: BigInt(params.nonce), deadline };
+      const signature = await signer.signTypedData(params.domain, params.types, message);
+      return { owner: depositor.address, value: value.toString(), deadline: deadline.toString(), signature };
+    }
+
+    it("serves the permit domain and nonce", async function () {
+      const { status, body } = await api("GET", `/permit/${depositor.address}`);
+
+      expect(status).to.equal(200);
+      expect(body).to.deep.include({ owner: depositor.address, spender: await escrow.getAddress(), nonce: "0" });
+      expect(body.domain).to.deep.equal({
+        name: "USD Coin",
+        version: "1",
+        chainId: chainId.toString(),
+        verifyingContract: await usdc.getAddress(),
+      });
+    });
+
+    it("deposits for a wallet that pays no gas and records the Deposited event", async function () {
+      const gasBefore = await provider.getBalance(depositor.address);
+      const permit = await signPermit(USDC("2"));
+
+      const { status, body } = await api("POST", "/execute-deposit", { permit });
+
+      expect(status).to.equal(200);
+      expect(body).to.include({ status: "confirmed", balance: "2000000", balanceUSDC: "2.0" });
+      expect(body.deposit).to.include({ service: "deposit", amount_usdc: 2, tx_hash: body.txHash.toLowerCase() });
+      expect(await usdc.balanceOf(depositor.address)).to.equal(USDC("3"));
+      expect(await provider.getBalance(depositor.address)).to.equal(gasBefore);
+
+      const balance = await api("GET", `/balance/${depositor.address}`);
+      expect(balance.body.balance).to.equal("2000000");
+    });
+
+    it("rejects a permit that was already used", async function () {
+      const permit = await signPermit(USDC("1"));
+      await api("POST", "/execute-deposit", { permit });
+
+      const { status, body } = await api("POST", "/execute-deposit", { permit });
+
+      expect(status).to.equal(401);
+      expect(body.code).to.equal("INVALID_SIGNATURE");
+    });
+
+    it("rejects a permit not signed by the owner", async function () {
+      const permit = await signPermit(USDC("1"), account(3));
+
+      const { status, body } = await api("POST", "/execute-deposit", { permit });
+
+      expect(status).to.equal(401);
+      expect(body.code).to.equal("INVALID_SIGNATURE");
+    });
+
+    it("rejects deposits below the relayed minimum", async function () {
+      const permit = await signPermit(USDC("0.5"));
+
+      const { status, body } = await api("POST", "/execute-deposit", { permit });
+
+      expect(status).to.equal(400);
+      expect(body.code).to.equal("AMOUNT_TOO_SMALL");
+    });
+
+    it("rejects more than the wallet's USDC balance", async function () {
+      const permit = await signPermit(USDC("50"));
+
+      const { status, body } = await api("POST", "/execute-deposit", { permit });
+
+      expect(status).to.equal(400);
+      expect(body.code).to.equal("INSUFFICIENT_USDC");
+    });
+  });
+
+  describe("POST /api/execute-withdraw", function () {
+    const recipient = account(5);
+
+    // WithdrawIntent from the depositor, at the nonce served by GET /api/nonce/:address
+    async function signWithdraw(amount: bigint, overrides: Partial<{ nonce: bigint }> = {}, signer = depositor) {
+      const { body } = await api("GET", `/nonce/${depositor.address}`);
+      const message = {
+        user: depositor.address,
+        amount,
+        recipient: recipient.address,
+        deadline: BigInt(Math.floor(Date.now() / 1000) + 3600),
+        nonce: overrides.nonce ?? BigInt(body.nonce),
+      };
+      const domain = { name: "StreamPay", version: "1", chainId, verifyingContract: await escrow.getAddress() };
+      const signature = await signer.signTypedData(domain, WITHDRAW_INTENT_TYPES, message);
+      return {
+        ...message,
+        amount: amount.toString(),
+        deadline: message.deadline.toString(),
+        nonce: message.nonce.toString(),
+        signature,
+      };
+    }
+
+    it("withdraws to the recipient without gas from the user and records the Withdrawn event", async function () {
+      const gasBefore = await provider.getBalance(depositor.address);
+      const escrowBefore = await escrow.getBalance(depositor.address);
+      const withdrawIntent = await signWithdraw(USDC("1"));
+
+      const { status, body } = await api("POST", "/execute-withdraw", { withdrawIntent });
+
+      expect(status).to.equal(200);
+      expect(body).to.include({ status: "confirmed", recipient: recipient.address });
+      expect(body.balance).to.equal((escrowBefore - USDC("1")).toString());
+      expect(body.withdrawal).to.include({ service: "withdraw", amount_usdc: 1, tx_hash: body.txHash.toLowerCase() });
+      expect(await usdc.balanceOf(recipient.address)).to.equal(USDC("1"));
+      expect(await provider.getBalance(depositor.address)).to.equal(gasBefore);
+
+      const nonce = await api("GET", `/nonce/${depositor.address}`);
+      expect(nonce.body.nonce).to.equal("1");
+    });
+
+    it("rejects a replayed intent", async function () {
+      const withdrawIntent = await signWithdraw(USDC("1"), { nonce: 0n });
+
+      const { status, body } = await api("POST", "/execute-withdraw", { withdrawIntent });
+
+      expect(status).to.equal(409);
+      expect(body.code).to.equal("NONCE_USED");
+    });
+
+    it("rejects a signature that is not the user's", async function () {
+      const withdrawIntent = await signWithdraw(USDC("1"), {}, account(3));
+
+      const { status, body } = await api("POST", "/execute-withdraw", { withdrawIntent });
+
+      expect(status).to.equal(401);
+      expect(body.code).to.equal("INVALID_SIGNATURE");
+    });
+
+    it("rejects more than the escrow balance", async function () {
+      const withdrawIntent = await signWithdraw(USDC("100"));
+
+      const { status, body } = await api("POST", "/execute-withdraw", { withdrawIntent });
+
+      expect(status).to.equal(400);
+      expect(body.code).to.equal("INSUFFICIENT_BALANCE");
+    });
+  });
+
+  describe("indexer", function () {
+    const holder = account(17);
+    let indexDb: any;
+    let indexer: { wake(): void; stop(): void } | null = null;
+
+    const asHolder = (contract: ethers.Contract) => contract.connect(holder.connect(provider)) as ethers.Contract;
+
+    async function until(check: () => Promise<boolean>) {
+      for (let i = 0; i < 100; i++) {
+        if (await check()) return;
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+      throw new Error("Indexer did not catch up");
+    }
+
+    const indexed = async (txHash: string) =>
+      (await indexDb.transactions.listIndexedInRange((context.web3 as any).chainId, 0, await provider.getBlockNumber()))
+        .some((row: { tx_hash: string }) => row.tx_hash === txHash.toLowerCase());
+
+    // A deposit followed by another block, so it is behind the head when the indexer looks
+    async function depositBehindHead() {
+      const receipt = await (await asHolder(escrow).deposit(USDC("1"))).wait();
+      await (await asHolder(usdc).mint(holder.address, 1n)).wait();
+      return receipt.hash as string;
+    }
+
+    before(async function () {
+      // Its own database: the rows indexed here stay out of the API's
+      indexDb = createRepository(createMemoryAdapter());
+      await (await asHolder(usdc).mint(holder.address, USDC("5"))).wait();
+      await (await asHolder(usdc).approve(await escrow.getAddress(), ethers.MaxUint256)).wait();
+    });
+
+    afterEach(function () {
+      indexer?.stop();
+      indexer = null;
+    });
+
+    it("indexes every block after the cursor, across passes and restarts", async function () {
+      const web3 = context.web3 as any;
+      const cursorName = `escrow:${web3.chainId}:${(await escrow.getAddress()).toLowerCase()}`;
+      indexer = startIndexer({ db: indexDb, web3 });
+      await until(async () => (await indexDb.indexerCursors.get(cursorName)) != null);
+
+      const between = await depositBehindHead();
+      indexer!.wake();
+      await until(() => indexed(between));
+
+      indexer!.stop();
+      const whileDown = await depositBehindHead();
+      indexer = startIndexer({ db: indexDb, web3 });
+      await until(() => indexed(whileDown));
+      const head = await provider.getBlockNumber();
+      await until(async () => (await indexDb.indexerCursors.get(cursorName)) === head);
+    });
+  });
+
+  describe("disputes", function () {
+    const operator = account(6);
+    let payerToken: string;
+    let operatorToken: string;
+
+    // A quoted AI payment from the payer, relayed and confirmed; returns its sessionId
+    async function settlePayment() {
+      const q = await quote();
+      const paymentIntent = await signIntent(q);
+      const { body } = await api("POST", "/execute-payment", { paymentIntent, serviceType: "ai" });
+      const job = await waitForJob(body.jobId);
+      expect(job.status).to.equal("confirmed");
+      return { sessionId: q.sessionId as string, amount: BigInt(q.amount), txHash: job.txHash as string };
+    }
+
+    async function openDispute(sessionId: string) {
+      const { status, body } = await api("POST", "/web2/disputes/open", { session_id: sessionId, reason: "Call errored" }, payerToken);
+      expect(status).to.equal(201);
+      return body.dispute;
+    }
+
+    before(async function () {
+      process.env.OPERATOR_ADDRESSES = operator.address;
+      payerToken = await signIn(payer);
+      operatorToken = await signIn(operator);
+    });
+
+    after(function () {
+      delete process.env.OPERATOR_ADDRESSES;
+    });
+
+    it("opens a dispute on a settled payment and lists it", async function () {
+      const payment = await settlePayment();
+
+      const dispute = await openDispute(payment.sessionId);
+
+      expect(dispute).to.include({
+        status: "open",
+        session_id: payment.sessionId.toLowerCase(),
+        user_address: payer.address.toLowerCase(),
+        service: "ai",
+        payment_tx_hash: payment.txHash.toLowerCase(),
+        amount: payment.amount.toString(),
+      });
+      const { body } = await api("POST", "/web2/disputes/list", {}, payerToken);
+      expect(body.disputes.map((d: { id: string }) => d.id)).to.include(dispute.id);
+
+      const again = await api("POST", "/web2/disputes/open", { session_id: payment.sessionId, reason: "Again" }, payerToken);
+      expect(again.status).to.equal(409);
+      expect(again.body.code).to.equal("ALREADY_DISPUTED");
+    });
+
+    it("rejects a dispute on another wallet's payment", async function () {
+      const payment = await settlePayment();
+      const token = await signIn(depositor);
+
+      const { status, body } = await api("POST", "/web2/disputes/open", { session_id: payment.sessionId, reason: "Not mine" }, token);
+
+      expect(status).to.equal(403);
+      expect(body.code).to.equal("NOT_PAYER");
+    });
+
+    it("rejects a session that was never settled", async function () {
+      const { status, body } = await api("POST", "/web2/disputes/open", { session_id: ethers.ZeroHash, reason: "Missing" }, payerToken);
+
+      expect(status).to.equal(404);
+      expect(body.code).to.equal("SESSION_NOT_SETTLED");
+    });
+
+    it("keeps the review queue to operators", async function () {
+      const { status } = await api("POST", "/web2/disputes/queue", {}, payerToken);
+
+      expect(status).to.equal(403);
+    });
+
+    it("refunds an approved dispute into the payer's escrow and records the Refunded event", async function () {
+      const payment = await settlePayment();
+      const dispute = await openDispute(payment.sessionId);
+      const queue = await api("POST", "/web2/disputes/queue", {}, operatorToken);
+      expect(queue.body.disputes.map((d: { id: string }) => d.id)).to.include(dispute.id);
+      const escrowBefore = await escrow.getBalance(payer.address);
+
+      const { status, body } = await api("POST", "/web2/disputes/approve", { dispute_id: dispute.id, note: "Refunded" }, operatorToken);
+
+      expect(status).to.equal(200);
+      expect(body.status).to.equal("confirmed");
+      expect(body.dispute).to.include({
+        status: "refunded",
+        refund_amount: payment.amount.toString(),
+        refund_tx_hash: body.txHash.toLowerCase(),
+        resolved_by: operator.address.toLowerCase(),
+      });
+      expect(body.refund).to.include({ service: "refund", session_id: payment.sessionId.toLowerCase() });
+      expect(await escrow.getBalance(payer.address)).to.equal(escrowBefore + payment.amount);
+
+      const history = await api("POST", "/web2/transactions", { page_size: 100 }, payerToken);
+      const refund = history.body.items.find((row: { service: string; tx_hash: string }) => row.service === "refund" && row.tx_hash === body.txHash.toLowerCase());
+      expect(refund.dispute).to.include({ id: dispute.id, status: "refunded" });
+
+      const again = await api("POST", "/web2/disputes/approve", { dispute_id: dispute.id }, operatorToken);
+      expect(again.status).to.equal(409);
+      expect(again.body.code).to.equal("DISPUTE_RESOLVED");
+    });
+
+    it("refunds part of a payment when the operator names an amount", async function () {
+      const payment = await settlePayment();
+      const dispute = await openDispute(payment.sessionId);
+      const partial = payment.amount / 2n;
+
+      const { body } = await api("POST", "/web2/disputes/approve", {
+        dispute_id: dispute.id,
+        amount_usdc: ethers.formatUnits(partial, 6),
+      }, operatorToken);
+
+      expect(body.dispute).to.include({ status: "refunded", refund_amount: partial.toString() });
+      const settlement = await escrow.getSettlement(payment.sessionId);
+      expect(settlement.refunded).to.equal(partial);
+    });
+
+    it("denies a dispute without a refund", async function () {
+      const payment = await settlePayment();
+      const dispute = await openDispute(payment.sessionId);
+
+      const { status, body } = await api("POST", "/web2/disputes/deny", { dispute_id: dispute.id, note: "Service was delivered" }, operatorToken);
+
+      expect(status).to.equal(200);
+      expect(body.dispute).to.include({ status: "denied", resolution_note: "Service was delivered" });
+      const settlement = await escrow.getSettlement(payment.sessionId);
+      expect(settlement.refunded).to.equal(0n);
+    });
+  });
+
+  describe("spending allowances", function () {
+    let payerToken: string;
+
+    // SpendingAllowance from `signer` over the params served by GET /api/allowance-params
+    async function signAllowance(
+      overrides: Partial<{ spender: string; maxAmount: bigint; serviceTypes: string[] }> = {},
+      signer: ethers.HDNodeWallet = payer,
+    ) {
+      const { body: params } = await api("GET", "/allowance-params");
+      const message = {
+        payer: payer.address,
+        spender: overrides.spender ?? params.spender,
+        allowanceId: params.allowanceId,
+        maxAmount: overrides.maxAmount ?? USDC("0.05"),
+        expiry: BigInt(Math.floor(Date.now() / 1000) + 3600),
+        serviceTypes: overrides.serviceTypes ?? ["ai"],
+      };
+      const signature = await signer.signTypedData(params.domain, SPENDING_ALLOWANCE_TYPES, message);
+      return { ...message, maxAmount: message.maxAmount.toString(), expiry: message.expiry.toString(), signature };
+    }
+
+    async function register(allowance: Awaited<ReturnType<typeof signAllowance>>) {
+      const { status, body } = await api("POST", "/allowances", { allowance });
+      expect(status).to.equal(201);
+      return body;
+    }
+
+    async function draw(allowanceId?: string) {
+      const q = await quote();
+      const res = await api("POST", "/web2/allowances/draw", { session_id: q.sessionId, allowance_id: allowanceId }, payerToken);
+      return { ...res, quote: q };
+    }
+
+    before(async function () {
+      payerToken = await signIn(payer);
+    });
+
+    it("pays quotes from a signed allowance until its cap", async function () {
+      const allowance = await register(await signAllowance());
+      expect(allowance).to.include({ status: "active", remaining: USDC("0.05").toString() });
+      const escrowBefore = await escrow.getBalance(payer.address);
+
+      const first = await draw(allowance.allowanceId);
+      expect(first.status).to.equal(200);
+      expect(first.body.payment).to.include({ service: "ai", session_id: first.quote.sessionId.toLowerCase() });
+      expect(first.body.allowance.remaining).to.equal(USDC("0.03").toString());
+      const second = await draw(allowance.allowanceId);
+      expect(second.status).to.equal(200);
+
+      expect(await escrow.getBalance(payer.address)).to.equal(escrowBefore - USDC("0.04"));
+      expect(await escrow.isSessionSettled(second.quote.sessionId)).to.equal(true);
+      const { body } = await api("GET", `/allowances/${payer.address}`);
+      const listed = body.allowances.find((a: { allowanceId: string }) => a.allowanceId === allowance.allowanceId);
+      expect(listed).to.include({ spent: USDC("0.04").toString(), remaining: USDC("0.01").toString() });
+
+      const third = await draw(allowance.allowanceId);
+      expect(third.status).to.equal(402);
+      expect(third.body.code).to.equal("NO_ALLOWANCE");
+      expect(await escrow.isSessionSettled(third.quote.sessionId)).to.equal(false);
+    });
+
+    it("rejects an allowance signed by another wallet", async function () {
+      const allowance = await signAllowance({}, account(3));
+
+      const { status, body } = await api("POST", "/allowances", { allowance });
+
+      expect(status).to.equal(401);
+      expect(body.code).to.equal("INVALID_SIGNATURE");
+    });
+
+    it("rejects an allowance for a spender other than the server", async function () {
+      const allowance = await signAllowance({ spender: account(3).address });
+
+      const { status, body } = await api("POST", "/allowances", { allowance });
+
+      expect(status).to.equal(400);
+      expect(body.code).to.equal("INVALID_SPENDER");
+    });
+
+    it("only draws for the service types the allowance lists", async function () {
+      const allowance = await register(await signAllowance({ serviceTypes: ["storage"] }));
+
+      const { status, body } = await draw(allowance.allowanceId);
+
+      expect(status).to.equal(402);
+      expect(body.code).to.equal("NO_ALLOWANCE");
+    });
+
+    it("stops drawing from a revoked allowance", async function () {
+      const allowance = await register(await signAllowance());
+
+      const revoked = await api("POST", "/web2/allowances/revoke", { allowance_id: allowance.allowanceId }, payerToken);
+      expect(revoked.body.allowance).to.include({ status: "revoked", remaining: "0" });
+
+      const { status } = await draw(allowance.allowanceId);
+      expect(status).to.equal(402);
+    });
+  });
+
+  describe("payment channels", function () {
+    let payerToken: string;
+    let videoId: number;
+
+    // ChannelOpen from `signer` over the params served by GET /api/channel-params
+    async function signChannel(
+      overrides: Partial<{ spender: string; deposit: bigint }> = {},
+      signer: ethers.HDNodeWallet = payer,
+    ) {
+      const { body: params } = await api("GET", "/channel-params");
+      const message = {
+        payer: payer.address,
+        spender: overrides.spender ?? params.spender,
+        channelId: params.channelId,
+        deposit: overrides.deposit ?? USDC("0.1"),
+        expiry: BigInt(Math.floor(Date.now() / 1000) + 3600),
+        serviceType: "video-stream",
+      };
+      const signature = await signer.signTypedData(params.domain, CHANNEL_OPEN_TYPES, message);
+      return { ...message, deposit: message.deposit.toString(), expiry: message.expiry.toString(), signature };
+    }
+
+    async function openChannel() {
+      const { status, body } = await api("POST", "/channels", { channel: await signChannel() });
+      expect(status).to.equal(201);
+      return body;
+    }
+
+    async function signVoucher(channelId: string, amount: bigint, signer: ethers.HDNodeWallet = payer) {
+      const domain = { name: "StreamPay", version: "1", chainId, verifyingContract: await escrow.getAddress() };
+      const signature = await signer.signTypedData(domain, VOUCHER_TYPES, { channelId, amount });
+      return { amount: amount.toString(), signature };
+    }
+
+    // Start streaming the test video, paid through `channelId`
+    async function startStream(channelId: string) {
+      const { status, body } = await api("POST", "/web2/stream/start", { video_id: videoId, channel_id: channelId }, payerToken);
+      expect(status).to.equal(200);
+      return body.session;
+    }
+
+    // Back-date the last heartbeat, so the next one credits `seconds` watched
+    async function watch(session: { id: number }, seconds: number) {
+      await db.videoStreamSessions.update(session.id, {
+        last_heartbeat_at: new Date(Date.now() - seconds * 1000).toISOString(),
+      });
+    }
+
+    before(async function () {
+      payerToken = await signIn(payer);
+      // 0.001 USDC per second
+      [{ id: videoId }] = await adapter.insert("catalog_videos", { url: "https://videos.test/channel.mp4", duration_seconds: 600, price_per_second_usdc: 0.001 });
+    });
+
+    it("streams on vouchers and settles the latest one through /video-stream-sessions", async function () {
+      const escrowBefore = await escrow.getBalance(payer.address);
+      const channel = await openChannel();
+      expect(channel).to.include({ status: "open", deposit: USDC("0.1").toString(), voucherAmount: "0" });
+      expect(await escrow.getBalance(payer.address)).to.equal(escrowBefore - USDC("0.1"));
+
+      const session = await startStream(channel.channelId);
+      expect(session.channel_id).to.equal(channel.channelId);
+      await watch(session, 10);
+      const heartbeat = await api("POST", "/web2/stream/heartbeat", {
+        session_id: session.session_id,
+        voucher: await signVoucher(channel.channelId, USDC("0.01")),
+      }, payerToken);
+      expect(heartbeat.status).to.equal(200);
+      expect(heartbeat.body.channel.voucherAmount).to.equal(USDC("0.01").toString());
+
+      const stale = await api("POST", `/channels/${channel.channelId}/voucher`, await signVoucher(channel.channelId, USDC("0.005")));
+      expect(stale.status).to.equal(409);
+      expect(stale.body.code).to.equal("VOUCHER_NOT_INCREASING");
+
+      const stopped = await api("POST", "/web2/stream/stop", { session_id: session.session_id }, payerToken);
+      expect(stopped.body.payment).to.equal(null);
+      expect(stopped.body.channel.status).to.equal("closing");
+
+      const { status, body } = await api("POST", "/web2/video-stream-sessions", { session_id: session.session_id }, payerToken);
+      expect(status).to.equal(200);
+      expect(body.session).to.include({ status: "settled", amount_usdc: 0.01 });
+      expect(body.channel).to.include({ status: "closed", paid: USDC("0.01").toString(), closeTxHash: body.session.tx_hash });
+      expect(await escrow.getBalance(payer.address)).to.equal(escrowBefore - USDC("0.01"));
+      expect(await escrow.getSettlement(channel.channelId)).to.deep.equal([payer.address, USDC("0.01"), 0n]);
+    });
+
+    it("asks for a voucher once the stream outruns the latest one", async function () {
+      const channel = await openChannel();
+      const session = await startStream(channel.channelId);
+
+      await watch(session, 30);
+      const covered = await api("POST", "/web2/stream/heartbeat", { session_id: session.session_id }, payerToken);
+      expect(covered.status).to.equal(200);
+      await watch(session, 30);
+      const { status, body } = await api("POST", "/web2/stream/heartbeat", { session_id: session.session_id }, payerToken);
+
+      expect(status).to.equal(402);
+      expect(body).to.include({ code: "VOUCHER_REQUIRED", owed: USDC("0.06").toString() });
+    });
+
+    it("rejects a voucher not signed by the payer", async function () {
+      const channel = await openChannel();
+
+      const { status, body } = await api(
+        "POST",
+        `/channels/${channel.channelId}/voucher`,
+        await signVoucher(channel.channelId, USDC("0.01"), account(3)),
+      );
+
+      expect(status).to.equal(401);
+      expect(body.code).to.equal("INVALID_SIGNATURE");
+    });
+
+    it("rejects a channel for a spender other than the server", async function () {
+      const { status, body } = await api("POST", "/channels", { channel: await signChannel({ spender: account(3).address }) });
+
+      expect(status).to.equal(400);
+      expect(body.code).to.equal("INVALID_SPENDER");
+    });
+
+    it("settles idle channels from the worker with their latest voucher", async function () {
+      const channel = await openChannel();
+      await api("POST", `/channels/${channel.channelId}/voucher`, await signVoucher(channel.channelId, USDC("0.02")));
+
+      await settleDueChannels(db, context.web3);
+      expect((await api("GET", `/channels/${channel.channelId}`)).body.status).to.equal("open");
+      await settleDueChannels(db, context.web3, { now: Date.now() + 3600 * 1000 });
+
+      const { body } = await api("GET", `/channels/${channel.channelId}`);
+      expect(body).to.include({ status: "closed", paid: USDC("0.02").toString() });
+      expect(await escrow.isSessionSettled(channel.channelId)).to.equal(true);
+    });
+  });
+  describe("storage billing", function () {
+    const owner = account(7);
+    const GIB = 1024 ** 3;
+    let ownerToken: string;
+
+    // A 1 GiB file stored for `minutes` and never paid for: 0.00001 USDC per GB-minute
+    async function storedFile(minutes: number) {
+      const uploadedAt = new Date(Date.now() - minutes * 60000).toISOString();
+      const [file] = await adapter.insert("storage_files", {
+        user_address: owner.address.toLowerCase(),
+        filename: "archive.tar",
+        size_bytes: GIB,
+        file_cid: `bafy${minutes}${Date.now()}`,
+        uploaded_at: uploadedAt,
+        billed_through: uploadedAt,
+      });
+      return file;
+    }
+
+    before(async function () {
+      await fund(owner, USDC("1"));
+      ownerToken = await signIn(owner);
+    });
+
+    it("quotes the storage owed and deletes the file once it is paid", async function () {
+      const file = await storedFile(2880);
+
+      const { status, body } = await api("POST", "/web2/storage/quote", { id: file.id }, ownerToken);
+      expect(status).to.equal(200);
+      expect(body.due).to.include({ minutes: 2880, amount: USDC("0.0288").toString() });
+      expect(body.payment.amount).to.equal(body.due.amount);
+
+      const unpaid = await api("POST", "/web2/storage/delete", { id: file.id }, ownerToken);
+      expect(unpaid.status).to.equal(402);
+      expect(unpaid.body.code).to.equal("PAYMENT_REQUIRED");
+
+      const txHash = await payQuote(owner, body.payment);
+      const deleted = await api("POST", "/web2/storage/delete", { id: file.id, tx_hash: txHash }, ownerToken);
+      expect(deleted.status).to.equal(200);
+      expect(deleted.body.file).to.include({ amount_usdc: 0.0288, tx_hash: txHash.toLowerCase(), storage_min: 2880 });
+      expect(deleted.body.charge).to.include({ status: "paid", amount: USDC("0.0288").toString() });
+      expect(deleted.body.file.deleted_at).to.not.equal(null);
+    });
+
+    it("rejects a payment made for another quote", async function () {
+      const file = await storedFile(600);
+      const { body } = await api("POST", "/web2/storage/quote", { id: file.id }, ownerToken);
+      const other = await api("POST", "/quotes", {
+        serviceType: "storage",
+        metadata: { sizeBytes: GIB, minutes: 600 },
+        payer: owner.address,
+      });
+      expect(other.body.amount).to.equal(body.payment.amount);
+      const txHash = await payQuote(owner, other.body);
+
+      const { status, body: rejected } = await api("POST", "/web2/storage/delete", { id: file.id, tx_hash: txHash }, ownerToken);
+
+      expect(status).to.equal(400);
+      expect(rejected.code).to.equal("SESSION_MISMATCH");
+      const [row] = await adapter.select("storage_files", { where: { id: file.id } });
+      expect(row.deleted_at).to.equal(null);
+    });
+
+    it("charges long-lived files to a storage allowance and reports what is still unpaid", async function () {
+      const { body: params } = await api("GET", "/allowance-params");
+      const message = {
+        payer: owner.address,
+        spender: params.spender,
+        allowanceId: params.allowanceId,
+        maxAmount: USDC("0.05"),
+        expiry: BigInt(Math.floor(Date.now() / 1000) + 3600),
+        serviceTypes: ["storage"],
+      };
+      const signature = await owner.signTypedData(params.domain, SPENDING_ALLOWANCE_TYPES, message);
+      const allowance = { ...message, maxAmount: message.maxAmount.toString(), expiry: message.expiry.toString(), signature };
+      expect((await api("POST", "/allowances", { allowance })).status).to.equal(201);
+      const before = await api("POST", "/web2/storage/stats", {}, ownerToken);
+      const recent = await storedFile(60);
+      const longLived = await storedFile(2880);
+
+      await billStorageCycle(db, context.web3);
+
+      const [row] = await adapter.select("storage_files", { where: { id: longLived.id } });
+      expect(row.amount_usdc).to.equal(0.0288);
+      expect(new Date(row.billed_through).getTime()).to.be.greaterThan(Date.now() - 60000);
+      const [untouched] = await adapter.select("storage_files", { where: { id: recent.id } });
+      expect(untouched.billed_through).to.equal(recent.billed_through);
+
+      const { body: stats } = await api("POST", "/web2/storage/stats", {}, ownerToken);
+      const baseUnits = (amount: number) => Math.round(amount * 1e6);
+      expect(baseUnits(stats.totalSpentUSDC)).to.equal(baseUnits(before.body.totalSpentUSDC) + 28800);
+      // Other unpaid files may have accrued a minute more in between
+      expect(baseUnits(stats.accruedUnpaidUSDC) - baseUnits(before.body.accruedUnpaidUSDC)).to.be.within(600, 630);
+      const { body: usage } = await api("POST", "/web2/storage/usage", {}, ownerToken);
+      expect(usage.history.filter((item: { action: string }) => item.action === "charge")).to.have.length(1);
+    });
+  });
+  describe("storage providers", function () {
+    const uploader = account(8);
+    let uploaderToken: string;
+    let payerToken: string;
+
+    before(async function () {
+      uploaderToken = await signIn(uploader);
+      payerToken = await signIn(payer);
+    });
+
+    it("pins uploads by content and serves them only through download links", async function () {
+      const uploaded = await upload(uploaderToken, "hello from the local provider");
+      const { file } = uploaded;
+
+      expect(file).to.include({ storage_provider: "local", size_bytes: 29 });
+      expect(file.file_cid).to.match(/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/);
+      expect(uploaded).to.not.have.property("gateway_url");
+      expect((await fetch(`${baseUrl}/ipfs/${file.file_cid}`)).status).to.equal(404);
+      const link = await api("POST", "/web2/storage/download-url", { id: file.id }, uploaderToken);
+      expect(await (await fetch(`${baseUrl}${link.body.url}`)).text()).to.equal("hello from the local provider");
+      const { body } = await api("POST", "/web2/storage/stat", { id: file.id }, uploaderToken);
+      expect(body).to.include({ pinned: true, size: 29 });
+      expect(body).to.not.have.property("url");
+
+      const again = await upload(uploaderToken, "hello from the local provider", "copy.txt");
+      expect(again).to.include({ idempotent: true });
+      expect(again.file.id).to.equal(file.id);
+    });
+
+    it("computes the CID before pinning and does not pin stored content again", async function () {
+      const pin = storage.pin;
+      let pins = 0;
+      storage.pin = (...args: unknown[]) => {
+        pins += 1;
+        return pin(...args);
+      };
+      try {
+        const first = await upload(uploaderToken, "hello world");
+        // As `ipfs add` computes it
+        expect(first.file).to.include({
+          file_cid: "Qmf412jQZiuVUtdgnB36FXFX7xg5V6KEbSJ4dpQuhkLyfD",
+          content_sha256: "b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9",
+        });
+        const second = await upload(payerToken, "hello world", "greeting.txt");
+        // Whether other wallets hold the same bytes is not for the uploader to learn
+        expect(second).to.not.have.property("deduplicated");
+        expect(second.file).to.include({ filename: "greeting.txt", file_cid: first.file.file_cid });
+        expect(pins).to.equal(1);
+      } finally {
+        storage.pin = pin;
+      }
+    });
+
+    it("checks content by CID or hash so clients can skip the upload", async function () {
+      const stored = await upload(uploaderToken, "checked content");
+
+      const own = await api("POST", "/web2/storage/check", { cid: stored.file.file_cid }, uploaderToken);
+      expect(own.body).to.include({ exists: true, idempotent: true });
+      expect(own.body.file.id).to.equal(stored.file.id);
+      // Another wallet's content is not theirs for knowing its CID or hash
+      for (const known of [{ cid: stored.file.file_cid }, { sha256: stored.file.content_sha256 }]) {
+        const { status, body } = await api("POST", "/web2/storage/check", known, payerToken);
+        expect(status).to.equal(200);
+        expect(body).to.deep.equal({ exists: false });
+      }
+      const { body: files } = await api("POST", "/web2/storage/files", {}, payerToken);
+      expect(files.files.map((f: { file_cid: string }) => f.file_cid)).to.not.include(stored.file.file_cid);
+
+      const unknown = await api("POST", "/web2/storage/check", { sha256: "00".repeat(32) }, payerToken);
+      expect(unknown.body).to.deep.equal({ exists: false });
+      expect((await api("POST", "/web2/storage/check", { cid: "not-a-cid" }, payerToken)).status).to.equal(400);
+    });
+
+    it("unpins deleted files after the retention window, once no other file holds the content", async function () {
+      const mine = await upload(uploaderToken, "shared content");
+      const theirs = await upload(payerToken, "shared content");
+      expect(theirs).to.not.have.property("deduplicated");
+      expect(theirs.file.file_cid).to.equal(mine.file.file_cid);
+      const afterRetention = () => ({ now: new Date(Date.now() + 73 * 3600 * 1000) });
+
+      expect((await api("POST", "/web2/storage/delete", { id: mine.file.id }, uploaderToken)).status).to.equal(200);
+      await releaseExpiredPins(db, storage);
+      expect((await storage.stat(mine.file.file_cid))?.pinned).to.equal(true);
+      await releaseExpiredPins(db, storage, afterRetention());
+      expect((await storage.stat(mine.file.file_cid))?.pinned).to.equal(true);
+      const [released] = await adapter.select("storage_files", { where: { id: mine.file.id } });
+      expect(released.unpinned_at).to.not.equal(null);
+
+      await api("POST", "/web2/storage/delete", { id: theirs.file.id }, payerToken);
+      await releaseExpiredPins(db, storage, afterRetention());
+
+      expect(await storage.stat(mine.file.file_cid)).to.equal(null);
+      expect(await storage.read(mine.file.file_cid)).to.equal(null);
+    });
+  });
+  describe("downloads", function () {
+    const owner = account(10);
+    const grantee = account(11);
+    const buyer = account(12);
+    let ownerToken: string;
+    let granteeToken: string;
+    let buyerToken: string;
+    let file: { id: number; file_cid: string; content_sha256: string };
+
+    async function downloadUrl(token: string, body: Record<string, unknown>) {
+      return api("POST", "/web2/storage/download-url", body, token);
+    }
+
+    before(async function () {
+      ownerToken = await signIn(owner);
+      granteeToken = await signIn(grantee);
+      buyerToken = await signIn(buyer);
+      ({ file } = await upload(ownerToken, "0123456789abcdefghij", "clip.mp4", "video/mp4"));
+    });
+
+    it("issues signed links to the owner only and serves the content through them", async function () {
+      const denied = await downloadUrl(granteeToken, { id: file.id });
+      expect(denied.status).to.equal(403);
+      expect(denied.body.code).to.equal("ACCESS_DENIED");
+      expect((await downloadUrl(granteeToken, { id: 999999 })).status).to.equal(404);
+
+      const { status, body } = await downloadUrl(ownerToken, { id: file.id });
+      expect(status).to.equal(200);
+      expect(body).to.include({ access: "owner", file_cid: file.file_cid, sha256: file.content_sha256 });
+      expect(new Date(body.expires_at).getTime()).to.be.greaterThan(Date.now());
+
+      // No session needed: the link is the grant
+      const res = await fetch(`${baseUrl}${body.url}`);
+      expect(res.status).to.equal(200);
+      expect(res.headers.get("accept-ranges")).to.equal("bytes");
+      expect(res.headers.get("content-type")).to.equal("video/mp4");
+      expect(res.headers.get("content-disposition")).to.match(/^inline; filename="clip\.mp4"/);
+      expect(res.headers.get("x-content-type-options")).to.equal("nosniff");
+      expect(res.headers.get("etag")).to.match(/^"[\w-]{22}"$/);
+      expect(await res.text()).to.equal("0123456789abcdefghij");
+    });
+
+    it("serves byte ranges", async function () {
+      const { body } = await downloadUrl(ownerToken, { file_cid: file.file_cid });
+
+      const middle = await fetch(`${baseUrl}${body.url}`, { headers: { Range: "bytes=5-9" } });
+      expect(middle.status).to.equal(206);
+      expect(middle.headers.get("content-range")).to.equal("bytes 5-9/20");
+      expect(await middle.text()).to.equal("56789");
+      const suffix = await fetch(`${baseUrl}${body.url}`, { headers: { Range: "bytes=-4" } });
+      expect(await suffix.text()).to.equal("ghij");
+      const rest = await fetch(`${baseUrl}${body.url}`, { headers: { Range: "bytes=15-" } });
+      expect(rest.headers.get("content-length")).to.equal("5");
+      expect(await rest.text()).to.equal("fghij");
+
+      const past = await fetch(`${baseUrl}${body.url}`, { headers: { Range: "bytes=20-" } });
+      expect(past.status).to.equal(416);
+      expect(past.headers.get("content-range")).to.equal("bytes */20");
+      // A range for other content is ignored
+      const stale = await fetch(`${baseUrl}${body.url}`, { headers: { Range: "bytes=5-9", "If-Range": '"QmOther"' } });
+      expect(stale.status).to.equal(200);
+      expect(await stale.text()).to.equal("0123456789abcdefghij");
+    });
+
+    it("downloads content that is not media as an attachment", async function () {
+      for (const type of ["text/html", "image/svg+xml"]) {
+        const { file: page } = await upload(ownerToken, `<script>alert("${type}")</script>`, "page.html", type);
+        const { body } = await downloadUrl(ownerToken, { id: page.id });
+
+        const res = await fetch(`${baseUrl}${body.url}`);
+        expect(res.status).to.equal(200);
+        expect(res.headers.get("content-type")).to.equal("application/octet-stream");
+        expect(res.headers.get("content-disposition")).to.match(/^attachment; filename="page\.html"/);
+        expect(res.headers.get("x-content-type-options")).to.equal("nosniff");
+        expect(res.headers.get("content-security-policy")).to.equal("sandbox");
+      }
+    });
+
+    it("grants wallets the file is shared with until the share is revoked", async function () {
+      const [share] = await adapter.insert("storage_shares", {
+        file_id: file.id,
+        owner_address: owner.address.toLowerCase(),
+        grantee_address: grantee.address.toLowerCase(),
+      });
+
+      const { status, body } = await downloadUrl(granteeToken, { id: file.id });
+      expect(status).to.equal(200);
+      expect(body.access).to.equal("shared");
+      expect((await fetch(`${baseUrl}${body.url}`)).status).to.equal(200);
+
+      await adapter.update("storage_shares", { id: share.id }, { revoked_at: new Date().toISOString() });
+      const revoked = await fetch(`${baseUrl}${body.url}`);
+      expect(revoked.status).to.equal(403);
+      expect((await downloadUrl(granteeToken, { id: file.id })).status).to.equal(403);
+    });
+
+    it("grants buyers of a catalog video playing the file", async function () {
+      expect((await downloadUrl(buyerToken, { file_cid: file.file_cid })).status).to.equal(403);
+      const [video] = await adapter.insert("catalog_videos", { url: `https://videos.test/ipfs/${file.file_cid}`, file_cid: file.file_cid });
+      await adapter.insert("video_purchases", { user_address: buyer.address.toLowerCase(), video_id: video.id, amount_usdc: 1, tx_hash: ethers.hexlify(ethers.randomBytes(32)) });
+
+      const { status, body } = await downloadUrl(buyerToken, { file_cid: file.file_cid });
+      expect(status).to.equal(200);
+      expect(body.access).to.equal("purchased");
+      expect(body).to.not.have.property("file_cid");
+      expect(body).to.not.have.property("sha256");
+      expect(body.url).to.not.include(file.file_cid);
+      const res = await fetch(`${baseUrl}${body.url}`, { headers: { Range: "bytes=0-3" } });
+      expect(await res.text()).to.equal("0123");
+    });
+
+    it("rejects forged, expired and session tokens as links", async function () {
+      const { body } = await downloadUrl(ownerToken, { id: file.id });
+      const [payload, signature] = body.url.split("/").pop().split(".");
+      const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+      const forged = Buffer.from(JSON.stringify({ ...claims, fid: 1 })).toString("base64url");
+      const base = body.url.slice(0, body.url.lastIndexOf("/") + 1);
+
+      expect((await fetch(`${baseUrl}${base}${forged}.${signature}`)).status).to.equal(401);
+      const expired = signToken({ ...claims, exp: Math.floor(Date.now() / 1000) - 1 }, "download");
+      expect((await fetch(`${baseUrl}${base}${expired}`)).status).to.equal(401);
+      expect((await fetch(`${baseUrl}${base}${ownerToken}`)).status).to.equal(401);
+      // Nor is a link a session
+      expect((await api("POST", "/web2/storage/files", {}, `${payload}.${signature}`)).status).to.equal(401);
+    });
+  });
+
+  describe("sharing and paid downloads", function () {
+    const seller = account(13);
+    const buyer = account(14);
+    const friend = account(15);
+    let sellerToken: string;
+    let buyerToken: string;
+    let friendToken: string;
+
+    before(async function () {
+      await fund(buyer, USDC("1"));
+      sellerToken = await signIn(seller);
+      buyerToken = await signIn(buyer);
+      friendToken = await signIn(friend);
+    });
+
+    it("shares files with wallets until the owner revokes them", async function () {
+      const { file } = await upload(sellerToken, "draft chapter", "chapter.pdf", "application/pdf");
+      expect((await api("POST", "/web2/storage/share", { id: file.id, grantee: "0x1234" }, sellerToken)).status).to.equal(400);
+      expect((await api("POST", "/web2/storage/share", { id: file.id, grantee: friend.address }, friendToken)).status).to.equal(404);
+
+      const shared = await api("POST", "/web2/storage/share", { id: file.id, grantee: friend.address }, sellerToken);
+      expect(shared.status).to.equal(200);
+      expect(shared.body.share).to.include({ grantee_address: friend.address.toLowerCase(), revoked_at: null });
+      const { body: received } = await api("POST", "/web2/storage/shared", {}, friendToken);
+      expect(received.files.map((f: { id: number }) => f.id)).to.include(file.id);
+      expect(received.files[0]).to.not.have.property("amount_usdc");
+      expect(received.files[0]).to.not.have.property("file_cid");
+
+      const link = await api("POST", "/web2/storage/download-url", { id: file.id }, friendToken);
+      expect(link.body.access).to.equal("shared");
+      expect(await (await fetch(`${baseUrl}${link.body.url}`)).text()).to.equal("draft chapter");
+
+      expect((await api("POST", "/web2/storage/unshare", { id: file.id, grantee: friend.address }, sellerToken)).status).to.equal(200);
+      expect((await api("POST", "/web2/storage/shares", { id: file.id }, sellerToken)).body.shares).to.deep.equal([]);
+      expect((await fetch(`${baseUrl}${link.body.url}`)).status).to.equal(403);
+      expect((await api("POST", "/web2/storage/download-url", { id: file.id }, friendToken)).status).to.equal(403);
+    });
+
+    it("publishes files for every wallet without revealing their CIDs", async function () {
+      const { file } = await upload(sellerToken, "open handbook", "handbook.pdf", "application/pdf");
+      expect((await api("POST", "/web2/storage/download-url", { id: file.id }, friendToken)).status).to.equal(403);
+
+      const published = await api("POST", "/web2/storage/publish", { id: file.id }, sellerToken);
+      expect(published.body.file.published_at).to.not.equal(null);
+      const { body: listing } = await api("POST", "/web2/storage/published", {}, friendToken);
+      const entry = listing.files.find((f: { id: number }) => f.id === file.id);
+      expect(entry).to.include({ filename: "handbook.pdf", download_price_usdc: null });
+      expect(entry).to.not.have.property("file_cid");
+      expect((await api("POST", "/web2/storage/download-url", { id: file.id }, friendToken)).body.access).to.equal("public");
+
+      await api("POST", "/web2/storage/unpublish", { id: file.id }, sellerToken);
+      expect((await api("POST", "/web2/storage/download-url", { id: file.id }, friendToken)).status).to.equal(403);
+      expect((await api("POST", "/web2/storage/update", { id: file.id, published_at: new Date().toISOString() }, sellerToken)).status).to.equal(400);
+    });
+
+    it("sells downloads of priced files and tracks the revenue", async function () {
+      const { file } = await upload(sellerToken, "premium report", "report.pdf", "application/pdf");
+      expect((await api("POST", "/web2/storage/publish", { id: file.id, price_usdc: "-1" }, sellerToken)).status).to.equal(400);
+      await api("POST", "/web2/storage/publish", { id: file.id, price_usdc: "0.25" }, sellerToken);
+
+      const unpaid = await api("POST", "/web2/storage/download-url", { id: file.id }, buyerToken);
+      expect(unpaid.status).to.equal(402);
+      expect(unpaid.body).to.include({ code: "PAYMENT_REQUIRED", price_usdc: 0.25 });
+      expect(unpaid.body.payment).to.include({ serviceType: "storage-download", amount: USDC("0.25").toString() });
+      const again = await api("POST", "/web2/storage/download-url", { id: file.id }, buyerToken);
+      expect(again.body.payment.sessionId).to.equal(unpaid.body.payment.sessionId);
+
+      const txHash = await payQuote(buyer, unpaid.body.payment);
+      const { status, body } = await api("POST", "/web2/storage/download-url", { id: file.id, tx_hash: txHash }, buyerToken);
+      expect(status).to.equal(200);
+      expect(body.access).to.equal("paid");
+      expect(body.download).to.include({ status: "paid", amount: USDC("0.25").toString(), tx_hash: txHash.toLowerCase() });
+      expect(await (await fetch(`${baseUrl}${body.url}`)).text()).to.equal("premium report");
+      // The payment bought that one link, for the buyer as for anyone else
+      const reused = await api("POST", "/web2/storage/download-url", { id: file.id, tx_hash: txHash }, buyerToken);
+      expect(reused.status).to.equal(409);
+      expect(reused.body.code).to.equal("DOWNLOAD_USED");
+      expect((await api("POST", "/web2/storage/download-url", { id: file.id, tx_hash: txHash }, friendToken)).status).to.equal(409);
+      const next = await api("POST", "/web2/storage/download-url", { id: file.id }, buyerToken);
+      expect(next.status).to.equal(402);
+      expect(next.body.payment.sessionId).to.not.equal(unpaid.body.payment.sessionId);
+
+      const { body: stats } = await api("POST", "/web2/storage/stats", {}, sellerToken);
+      expect(stats.totalRevenueUSDC).to.equal(0.25);
+      expect(stats.revenueByFile).to.deep.equal([{ file_id: file.id, filename: "report.pdf", downloads: 1, revenueUSDC: 0.25 }]);
+      const { body: usage } = await api("POST", "/web2/storage/usage", {}, buyerToken);
+      const item = usage.history.find((h: { action: string }) => h.action === "download");
+      expect(item).to.include({ access: "paid", fileName: "report.pdf", cost: 0.25, txHash: txHash.toLowerCase(), ipfsCid: null });
+    });
+  });
+
+  describe("resumable uploads", function () {
+    const uploader = account(9);
+    const PART = 64 * 1024;
+    // Three parts: two full ones and the rest
+    const content = Buffer.alloc(2 * PART + 1000, "streampay");
+    let token: string;
+
+    async function putPart(uploadId: string, number: number, bytes: Buffer) {
+      const res = await fetch(`${baseUrl}/api/web2/storage/uploads/${uploadId}/parts/${number}`, {
+        method: "PUT",
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/octet-stream" },
+        body: bytes,
+      });
+      return { status: res.status, body: (await res.json()) as any };
+    }
+
+    const part = (number: number) => content.subarray((number - 1) * PART, number * PART);
+
+    async function start() {
+      const { status, body } = await api("POST", "/web2/storage/uploads", {
+        filename: "video.bin",
+        size_bytes: content.length,
+        content_type: "application/octet-stream",
+        part_size: PART,
+      }, token);
+      expect(status).to.equal(201);
+      expect(body.upload).to.include({ status: "uploading", part_count: 3, uploaded_bytes: 0 });
+      return body.upload;
+    }
+
+    before(async function () {
+      token = await signIn(uploader);
+    });
+
+    it("takes parts in any order, reports progress and completes into a stored file", async function () {
+      const upload = await start();
+
+      expect((await putPart(upload.id, 3, part(3))).status).to.equal(200);
+      const first = await putPart(upload.id, 1, part(1));
+      expect(first.body.upload).to.include({ uploaded_bytes: PART + 1000 });
+      expect(first.body.upload.missing_parts).to.deep.equal([2]);
+
+      const early = await api("POST", `/web2/storage/uploads/${upload.id}/complete`, {}, token);
+      expect(early.status).to.equal(409);
+      expect(early.body).to.deep.include({ code: "PARTS_MISSING", missing_parts: [2] });
+      const short = await putPart(upload.id, 2, part(2).subarray(1));
+      expect(short.status).to.equal(400);
+      expect(short.body.code).to.equal("PART_SIZE_MISMATCH");
+      await putPart(upload.id, 2, part(2));
+      const { body: state } = await api("GET", `/web2/storage/uploads/${upload.id}`, undefined, token);
+      expect(state.upload).to.include({ progress: 1, uploaded_bytes: content.length });
+
+      const { status, body } = await api("POST", `/web2/storage/uploads/${upload.id}/complete`, {}, token);
+      expect(status).to.equal(200);
+      expect(body.file).to.include({ filename: "video.bin", size_bytes: content.length, storage_provider: "local" });
+      expect(body.upload).to.include({ status: "completed", file_id: body.file.id });
+      const link = await api("POST", "/web2/storage/download-url", { id: body.file.id }, token);
+      const served = Buffer.from(await (await fetch(`${baseUrl}${link.body.url}`)).arrayBuffer());
+      expect(served.equals(content)).to.equal(true);
+    });
+
+    it("drops the parts of an aborted upload", async function () {
+      const upload = await start();
+      await putPart(upload.id, 1, part(1));
+
+      const aborted = await api("POST", `/web2/storage/uploads/${upload.id}/abort`, {}, token);
+      expect(aborted.body.upload.status).to.equal("aborted");
+
+      expect((await putPart(upload.id, 2, part(2))).status).to.equal(409);
+      const other = await api("GET", `/web2/storage/uploads/${upload.id}`, undefined, await signIn(payer));
+      expect(other.status).to.equal(404);
+    });
+  });
+});
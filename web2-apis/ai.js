@@ -1,19 +1,18 @@
 import express from 'express';
-import { supabase } from './db.js';
+import { ethers } from 'ethers';
+import { verifyQuotedClaim, releasePaymentClaim } from '../web3-apis/claims.js';
+import { RelayError } from '../web3-apis/errors.js';
+import { SERVICE_TYPES } from '../web3-apis/services.js';
+import { requirePayment } from '../web3-apis/x402.js';
+import { disputeIndex } from './disputes.js';
 
 const router = express.Router();
  
 
 router.post('/stats', async (req, res) => {
   try {
-    const user_address = String((req.body?.user_address) || '').toLowerCase();
-    if (!user_address) return res.status(400).json({ error: 'user_address is required' });
-
-    const { data: all, error } = await supabase
-      .from('api_sessions')
-      .select('calls_count, amount_usdc, created_at')
-      .eq('user_address', user_address);
-    if (error) return res.status(500).json({ error: error.message });
+    const { db } = req.app.locals;
+    const all = await db.apiSessions.listByUser(req.auth.address);
 
     const totalCalls = (all || []).reduce((a, r) => a + (r.calls_count || 0), 0);
     const totalSpent = (all || []).reduce((a, r) => a + Number(r.amount_usdc || 0), 0);
@@ -36,16 +35,9 @@ router.post('/stats', async (req, res) => {
 
 router.post('/history', async (req, res) => {
   try {
-    const user_address = String((req.body?.user_address) || '').toLowerCase();
-    if (!user_address) return res.status(400).json({ error: 'user_address is required' });
-
-    const { data, error } = await supabase
-      .from('api_sessions')
-      .select('id, calls_count, amount_usdc, tx_hash, created_at')
-      .eq('user_address', user_address)
-      .order('created_at', { ascending: false })
-      .limit(100);
-    if (error) return res.status(500).json({ error: error.message });
+    const { db } = req.app.locals;
+    const data = await db.apiSessions.listByUser(req.auth.address, { limit: 100 });
+    const disputes = await disputeIndex(db, req.auth.address);
 
     const items = (data || []).map((r, idx) => ({
       id: String(r.id),
@@ -54,6 +46,7 @@ router.post('/history', async (req, res) => {
       calls: r.calls_count || 0,
       cost: Number(r.amount_usdc || 0),
       txHash: r.tx_hash || null,
+      dispute: disputes.forTx(r.tx_hash),
     }));
 
     return res.json({ history: items });
@@ -64,14 +57,8 @@ router.post('/history', async (req, res) => {
 
 router.post('/cost', async (req, res) => {
   try {
-    const user_address = String((req.body?.user_address) || '').toLowerCase();
-    if (!user_address) return res.status(400).json({ error: 'user_address is required' });
-
-    const { data, error } = await supabase
-      .from('api_sessions')
-      .select('amount_usdc, calls_count, created_at')
-      .eq('user_address', user_address);
-    if (error) return res.status(500).json({ error: error.message });
+    const { db } = req.app.locals;
+    const data = await db.apiSessions.listByUser(req.auth.address);
 
     const now = new Date();
     const startOfWeek = new Date(now);
@@ -114,31 +101,67 @@ router.post('/cost', async (req, res) => {
 export default router;
 
 // New: record finalized usage entry after tx is processed (preferred flow)
-// Body: { user_address, calls_count, amount_usdc, tx_hash, details? }
+// The tx must contain an unused AI PaymentExecuted from the caller settling an AI quote in full;
+// the amount is taken from the chain and the calls from the quote (metadata.calls).
+// Body: { tx_hash, calls_count?, amount_usdc?, details? }
 router.post('/record', async (req, res) => {
   try {
-    const { user_address, calls_count, amount_usdc, tx_hash, details } = req.body || {};
-    if (!user_address) return res.status(400).json({ error: 'user_address is required' });
-    if (calls_count == null) return res.status(400).json({ error: 'calls_count is required' });
-    if (amount_usdc == null) return res.status(400).json({ error: 'amount_usdc is required' });
+    const { calls_count, amount_usdc, tx_hash, details } = req.body || {};
     if (!tx_hash) return res.status(400).json({ error: 'tx_hash is required' });
 
+    const { db } = req.app.locals;
+    const { claim, quote } = await verifyQuotedClaim(db, req.web3, {
+      txHash: tx_hash,
+      payer: req.auth.address,
+      serviceType: SERVICE_TYPES.AI,
+      amountUsdc: amount_usdc,
+      claimedFor: 'api_sessions',
+    });
+    const calls = Number(quote.metadata?.calls ?? 1);
+    if (calls_count != null && Number(calls_count) !== calls) {
+      await releasePaymentClaim(db, claim);
+      return res.status(400).json({ error: `Payment was quoted for ${calls} calls`, code: 'SESSION_MISMATCH' });
+    }
+
     const payload = {
-      user_address: String(user_address).toLowerCase(),
-      calls_count: Number(calls_count),
-      amount_usdc: Number(amount_usdc),
-      tx_hash: String(tx_hash),
+      user_address: req.auth.address,
+      calls_count: calls,
+      amount_usdc: claim.amountUsdc,
+      tx_hash: claim.txHash,
     };
 
-    const { data, error } = await supabase
-      .from('api_sessions')
-      .insert(payload)
-      .select('id, user_address, calls_count, amount_usdc, tx_hash, created_at')
-      .limit(1);
+    let record;
+    try {
+      record = await db.apiSessions.create(payload);
+    } catch (err) {
+      await releasePaymentClaim(db, claim);
+      throw err;
+    }
+    return res.json({ success: true, record });
+  } catch (e) {
+    if (e instanceof RelayError) return res.status(e.status).json(e.toJSON());
+    return res.status(500).json({ error: e?.message || 'Internal error' });
+  }
+});
+
+// Calls asked for in a paid request; priceUsage rejects anything but a positive integer
+const requestedCalls = (req) => ({ calls: req.body?.calls_count ?? 1 });
 
-    if (error) return res.status(500).json({ error: error.message });
-    return res.json({ success: true, record: data?.[0] || null });
+// Pay for AI calls in the request itself (x402): without X-PAYMENT it answers 402 with the
+// quote to sign; with one, the calls are recorded once the payment is mined.
+// Body: { calls_count? } (default 1)
+router.post('/calls', requirePayment({ serviceType: SERVICE_TYPES.AI, usage: requestedCalls }), async (req, res) => {
+  try {
+    const { db } = req.app.locals;
+    const record = await db.apiSessions.create({
+      user_address: req.auth.address,
+      calls_count: Number(requestedCalls(req).calls),
+      amount_usdc: Number(ethers.formatUnits(req.payment.amount, 6)),
+      tx_hash: req.payment.txHash,
+    });
+    return res.json({ success: true, record });
   } catch (e) {
+    // A 5xx releases the payment for another request (see requirePayment)
     return res.status(500).json({ error: e?.message || 'Internal error' });
   }
 });
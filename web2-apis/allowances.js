@@ -0,0 +1,67 @@
+// web2-apis/allowances.js
+// Payments drawn from the signed-in wallet's spending allowances (web3-apis/allowances.js),
+// so a quote is paid without prompting the wallet again.
+import express from 'express';
+import { ethers } from 'ethers';
+import { drawFromAllowance, allowanceBalances, serializeAllowance } from '../web3-apis/allowances.js';
+import { RelayError } from '../web3-apis/errors.js';
+
+const router = express.Router();
+
+function sendError(res, err) {
+  if (err instanceof RelayError) return res.status(err.status).json(err.toJSON());
+  return res.status(500).json({ error: err?.message || 'Internal error' });
+}
+
+// POST /allowances/draw - pay a quote from an allowance
+// Body: { session_id, allowance_id? } (session_id of a quote from POST /api/quotes, /stream/stop, ...)
+// Replies 200 once mined, or 202 while pending; the tx_hash backs records like a relayed intent's
+router.post('/draw', async (req, res) => {
+  try {
+    const { db } = req.app.locals;
+    const { session_id, allowance_id } = req.body || {};
+    if (!ethers.isHexString(session_id, 32)) return res.status(400).json({ error: 'session_id must be a 32-byte hex string' });
+    if (allowance_id != null && !ethers.isHexString(allowance_id, 32)) {
+      return res.status(400).json({ error: 'allowance_id must be a 32-byte hex string' });
+    }
+
+    const result = await drawFromAllowance(db, req.web3, {
+      payer: req.auth.address,
+      sessionId: session_id,
+      allowanceId: allowance_id || null,
+    });
+    if (result.pending) {
+      return res.status(202).json({ success: true, status: 'submitted', txHash: result.hash, allowance: result.allowance });
+    }
+    return res.json({
+      success: true,
+      status: 'confirmed',
+      txHash: result.receipt.hash,
+      blockNumber: result.receipt.blockNumber,
+      payment: result.rows.find(row => row.session_id === result.quote.session_id) || null,
+      allowance: result.allowance,
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// POST /allowances/revoke - stop this server drawing from an allowance
+// Body: { allowance_id }. revokeAllowance on the escrow also blocks draws on-chain.
+router.post('/revoke', async (req, res) => {
+  try {
+    const { db } = req.app.locals;
+    const { allowance_id } = req.body || {};
+    if (!ethers.isHexString(allowance_id, 32)) return res.status(400).json({ error: 'allowance_id must be a 32-byte hex string' });
+
+    const row = await db.spendingAllowances.findByAllowanceId(req.web3.chainId, req.auth.address, allowance_id);
+    if (!row) return res.status(404).json({ error: 'Allowance not found' });
+    const revoked = await db.spendingAllowances.update(row.id, { status: 'revoked' });
+    const [balance] = await allowanceBalances(req.web3, [revoked]);
+    return res.json({ success: true, allowance: serializeAllowance(balance) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+export default router;
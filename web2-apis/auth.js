@@ -0,0 +1,233 @@
+// web2-apis/auth.js
+// Sign-In with Ethereum (EIP-4361) challenge/verify flow and session middleware.
+import express from 'express';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { ts } from '../log.js';
+
+const router = express.Router();
+
+const AUTH_STATEMENT = 'Sign in to StreamPay';
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const SESSION_TTL_SEC = Number(process.env.AUTH_SESSION_TTL_SEC || 24 * 60 * 60);
+const DEFAULT_CHAIN_ID = 43113;
+
+let AUTH_SECRET = process.env.AUTH_SECRET;
+if (!AUTH_SECRET) {
+  // Tokens stop validating on restart without a fixed secret, which is fine for local use only
+  AUTH_SECRET = crypto.randomBytes(32).toString('hex');
+  ts('AUTH_SECRET not set in .env, using an ephemeral secret (sessions reset on restart)');
+}
+
+// Outstanding challenges: nonce -> { address, expiresAt }
+const challenges = new Map();
+
+function pruneChallenges() {
+  const now = Date.now();
+  for (const [nonce, c] of challenges) {
+    if (c.expiresAt <= now) challenges.delete(nonce);
+  }
+}
+
+function base64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+// Tokens of other purposes (see signToken) are keyed apart, so none verifies as a session
+function hmac(data, purpose) {
+  const mac = crypto.createHmac('sha256', AUTH_SECRET);
+  if (purpose) mac.update(`${purpose}:`);
+  return mac.update(data).digest();
+}
+
+// Signed token: base64url(claims).base64url(hmac(claims)), for `purpose` when it is not a session
+function signToken(claims, purpose) {
+  const payload = base64url(JSON.stringify(claims));
+  return `${payload}.${base64url(hmac(payload, purpose))}`;
+}
+
+// The claims of a token signed for `purpose`, or null when it is forged or past its `exp`
+function readToken(token, purpose) {
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return null;
+  const expected = hmac(payload, purpose);
+  const given = Buffer.from(sig, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims?.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+// Session token
+function issueToken(address) {
+  const now = Math.floor(Date.now() / 1000);
+  const token = signToken({ sub: address, iat: now, exp: now + SESSION_TTL_SEC });
+  return { token, expiresAt: new Date((now + SESSION_TTL_SEC) * 1000).toISOString() };
+}
+
+function verifyToken(token) {
+  const claims = readToken(token);
+  return claims?.sub ? claims : null;
+}
+
+function authDomain(req) {
+  return process.env.AUTH_DOMAIN || req.get('host');
+}
+
+function authUri(req) {
+  return process.env.AUTH_URI || `${req.protocol}://${req.get('host')}`;
+}
+
+// Build the EIP-4361 message the wallet signs
+function buildMessage({ domain, address, uri, chainId, nonce, issuedAt, expirationTime }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    AUTH_STATEMENT,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`,
+  ].join('\n');
+}
+
+function parseMessage(message) {
+  const lines = String(message || '').split('\n');
+  const header = lines[0]?.match(/^(.+) wants you to sign in with your Ethereum account:$/);
+  if (!header) return null;
+  const fields = {};
+  for (const line of lines.slice(2)) {
+    const m = line.match(/^([A-Za-z ]+): (.+)$/);
+    if (m) fields[m[1]] = m[2];
+  }
+  return {
+    domain: header[1],
+    address: lines[1],
+    uri: fields['URI'],
+    chainId: Number(fields['Chain ID']),
+    nonce: fields['Nonce'],
+    issuedAt: fields['Issued At'],
+    expirationTime: fields['Expiration Time'],
+  };
+}
+
+// Address a request body claims to act for (lowercased), if any
+function claimedAddress(body) {
+  const addr = body?.user_address || body?.address;
+  return addr ? String(addr).toLowerCase() : null;
+}
+
+/**
+ * Require a valid session token and expose the caller's address as req.auth.address.
+ * Requests whose body names a different user_address/address are rejected.
+ */
+function requireAuth(req, res, next) {
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  if (!token) return res.status(401).json({ error: 'Missing bearer token' });
+  const claims = verifyToken(token);
+  if (!claims) return res.status(401).json({ error: 'Invalid or expired session token' });
+
+  const address = String(claims.sub).toLowerCase();
+  const claimed = claimedAddress(req.body);
+  if (claimed && claimed !== address) {
+    return res.status(403).json({ error: 'Address does not match authenticated wallet' });
+  }
+  req.auth = { address };
+  return next();
+}
+
+// Wallets allowed to resolve disputes (OPERATOR_ADDRESSES, comma separated)
+function operatorAddresses() {
+  return (process.env.OPERATOR_ADDRESSES || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Require the wallet signed in through requireAuth to be an operator
+ */
+function requireOperator(req, res, next) {
+  if (!req.auth || !operatorAddresses().includes(req.auth.address)) {
+    return res.status(403).json({ error: 'Operator access required' });
+  }
+  return next();
+}
+
+// POST /auth/challenge
+// Body: { address, chainId? }
+router.post('/challenge', (req, res) => {
+  try {
+    const { address, chainId } = req.body || {};
+    if (!address || !ethers.isAddress(address)) return res.status(400).json({ error: 'valid address is required' });
+
+    pruneChallenges();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const now = Date.now();
+    const message = buildMessage({
+      domain: authDomain(req),
+      address: ethers.getAddress(address),
+      uri: authUri(req),
+      chainId: Number(chainId) || req.network?.config.chainId || DEFAULT_CHAIN_ID,
+      nonce,
+      issuedAt: new Date(now).toISOString(),
+      expirationTime: new Date(now + CHALLENGE_TTL_MS).toISOString(),
+    });
+    challenges.set(nonce, { address: address.toLowerCase(), expiresAt: now + CHALLENGE_TTL_MS });
+
+    return res.json({ message, nonce });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// POST /auth/verify
+// Body: { message, signature }
+router.post('/verify', (req, res) => {
+  try {
+    const { message, signature } = req.body || {};
+    if (!message || !signature) return res.status(400).json({ error: 'message and signature are required' });
+
+    const parsed = parseMessage(message);
+    if (!parsed || !ethers.isAddress(parsed.address)) return res.status(400).json({ error: 'Malformed sign-in message' });
+    if (parsed.domain !== authDomain(req)) return res.status(400).json({ error: 'Sign-in message domain mismatch' });
+
+    const challenge = challenges.get(parsed.nonce);
+    if (!challenge || challenge.expiresAt <= Date.now()) return res.status(401).json({ error: 'Unknown or expired nonce' });
+    if (challenge.address !== parsed.address.toLowerCase()) return res.status(401).json({ error: 'Nonce was issued for a different address' });
+    if (parsed.expirationTime && new Date(parsed.expirationTime).getTime() <= Date.now()) {
+      return res.status(401).json({ error: 'Sign-in message expired' });
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(message, signature);
+    } catch {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    if (recovered.toLowerCase() !== challenge.address) return res.status(401).json({ error: 'Invalid signature' });
+
+    // Single use
+    challenges.delete(parsed.nonce);
+
+    const { token, expiresAt } = issueToken(challenge.address);
+    return res.json({ success: true, token, address: challenge.address, expiresAt });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// GET /auth/session - echo the authenticated address
+router.get('/session', requireAuth, (req, res) => {
+  return res.json({ address: req.auth.address });
+});
+
+export { requireAuth, requireOperator, claimedAddress, signToken, readToken };
+
+export default router;
@@ -0,0 +1,231 @@
+// web2-apis/disputes.js
+// Disputes on settled payment sessions: wallets open them from their history, operators
+// approve (the refund is sent from the service wallet) or deny them.
+import express from 'express';
+import { ethers } from 'ethers';
+import { requireOperator } from './auth.js';
+import { getSettlement, relayRefund } from '../web3-apis/refunds.js';
+import { RelayError } from '../web3-apis/errors.js';
+import { UNIQUE_VIOLATION } from '../db/index.js';
+
+const router = express.Router();
+
+const MAX_REASON_LENGTH = 1000;
+// Operators may resolve disputes in these states; 'failed' means the refund did not go through
+const RESOLVABLE = ['open', 'failed'];
+
+const toUsdc = (amount) => (amount != null ? Number(ethers.formatUnits(BigInt(amount), 6)) : null);
+
+// Dispute row with its amounts in USDC next to the base units
+function disputeView(row) {
+  return {
+    ...row,
+    amount_usdc: toUsdc(row.amount),
+    refund_amount_usdc: toUsdc(row.refund_amount)
+  };
+}
+
+/**
+ * A wallet's disputes, looked up by payment session or payment tx hash, for merging
+ * into history rows as `dispute` (null when the payment was never disputed)
+ */
+async function disputeIndex(db, address) {
+  const disputes = (await db.paymentDisputes.listByUser(address)).map(disputeView);
+  const bySession = new Map(disputes.map(d => [d.session_id, d]));
+  const byTx = new Map(disputes.filter(d => d.payment_tx_hash).map(d => [d.payment_tx_hash, d]));
+  return {
+    forSession: (sessionId) => (sessionId && bySession.get(String(sessionId).toLowerCase())) || null,
+    forTx: (txHash) => (txHash && byTx.get(String(txHash).toLowerCase())) || null
+  };
+}
+
+// Service and tx of a settled session: the indexed payment, else the relay job that
+// settled it or the claim of a record it backs (when the indexer has not seen it yet)
+async function findPayment(db, chainId, sessionId) {
+  const row = await db.transactions.findPaymentBySession(chainId, sessionId);
+  if (row) return { service: row.service, txHash: row.tx_hash };
+  const job = await db.relayJobs.findLiveBySession(sessionId);
+  if (job?.tx_hash) return { service: job.service_type, txHash: job.tx_hash.toLowerCase() };
+  const claim = await db.paymentClaims.findBySession(sessionId);
+  if (claim) return { service: claim.service_type, txHash: claim.tx_hash };
+  return { service: null, txHash: null };
+}
+
+function sendError(res, err) {
+  if (err instanceof RelayError) return res.status(err.status).json(err.toJSON());
+  return res.status(500).json({ error: err?.message || 'Internal error' });
+}
+
+// POST /disputes/open - dispute one of the caller's settled payments
+// Body: { session_id, reason } (session_id is the PaymentIntent sessionId, as in /transactions)
+router.post('/open', async (req, res) => {
+  try {
+    const { db } = req.app.locals;
+    const { session_id, reason } = req.body || {};
+    if (!ethers.isHexString(session_id, 32)) return res.status(400).json({ error: 'session_id must be a 32-byte hex string' });
+    if (typeof reason !== 'string' || !reason.trim()) return res.status(400).json({ error: 'reason is required' });
+    if (reason.length > MAX_REASON_LENGTH) return res.status(400).json({ error: `reason must be at most ${MAX_REASON_LENGTH} characters` });
+
+    const sessionId = session_id.toLowerCase();
+    const settlement = await getSettlement(req.web3, sessionId);
+    if (!settlement) {
+      throw new RelayError(404, 'SESSION_NOT_SETTLED', 'Session was never settled on this escrow');
+    }
+    if (settlement.payer.toLowerCase() !== req.auth.address) {
+      throw new RelayError(403, 'NOT_PAYER', 'Session was paid by a different wallet');
+    }
+
+    const payment = await findPayment(db, req.web3.chainId, sessionId);
+
+    let dispute;
+    try {
+      dispute = await db.paymentDisputes.create({
+        chain_id: req.web3.chainId,
+        session_id: sessionId,
+        user_address: req.auth.address,
+        service: payment.service,
+        payment_tx_hash: payment.txHash,
+        amount: settlement.amount.toString(),
+        reason: reason.trim()
+      });
+    } catch (err) {
+      if (err.code === UNIQUE_VIOLATION) {
+        throw new RelayError(409, 'ALREADY_DISPUTED', 'This session has already been disputed');
+      }
+      throw err;
+    }
+    return res.status(201).json({ success: true, dispute: disputeView(dispute) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// POST /disputes/list - the caller's disputes, newest first
+router.post('/list', async (req, res) => {
+  try {
+    const { db } = req.app.locals;
+    const disputes = await db.paymentDisputes.listByUser(req.auth.address);
+    return res.json({ disputes: disputes.map(disputeView) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// ============ OPERATORS ============
+
+// POST /disputes/queue - disputes to review, oldest first
+// Body: { status? } (a status or list of them; defaults to open, failed and refunding)
+router.post('/queue', requireOperator, async (req, res) => {
+  try {
+    const { db } = req.app.locals;
+    const { status } = req.body || {};
+    const statuses = status ? [].concat(status).map(String) : [...RESOLVABLE, 'refunding'];
+    const disputes = await db.paymentDisputes.listByStatus(statuses, { limit: 200 });
+    return res.json({ disputes: disputes.map(disputeView) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Dispute an operator may still resolve, with the network its session was settled on
+async function findResolvable(req) {
+  const { db, networks } = req.app.locals;
+  const { dispute_id } = req.body || {};
+  if (!dispute_id) throw new RelayError(400, 'MISSING_DISPUTE', 'dispute_id is required');
+  const dispute = await db.paymentDisputes.findById(String(dispute_id));
+  if (!dispute) throw new RelayError(404, 'DISPUTE_NOT_FOUND', 'Dispute not found');
+  if (!RESOLVABLE.includes(dispute.status)) {
+    throw new RelayError(409, 'DISPUTE_RESOLVED', `Dispute is ${dispute.status}`);
+  }
+  const network = networks.get(Number(dispute.chain_id));
+  if (!network) {
+    throw new RelayError(409, 'UNSUPPORTED_NETWORK', `chainId ${dispute.chain_id} is not served here`);
+  }
+  return { dispute, web3: network.web3 };
+}
+
+// POST /disputes/approve - refund the session into the payer's escrow
+// Body: { dispute_id, amount_usdc?, note? } (defaults to everything not refunded yet)
+// Replies 200 once the refund is mined, or 202 while it is pending (the indexer completes it)
+router.post('/approve', requireOperator, async (req, res) => {
+  try {
+    const { db } = req.app.locals;
+    const { amount_usdc, note } = req.body || {};
+    const { dispute, web3 } = await findResolvable(req);
+
+    let amount;
+    if (amount_usdc != null) {
+      try {
+        amount = ethers.parseUnits(String(amount_usdc), 6);
+      } catch {
+        throw new RelayError(400, 'INVALID_AMOUNT', 'amount_usdc is not a valid USDC amount');
+      }
+    } else {
+      amount = (await getSettlement(web3, dispute.session_id))?.refundable ?? 0n;
+    }
+
+    // Claim the dispute first, so a second approval cannot send another refund
+    const refunding = await db.paymentDisputes.update(dispute.id, {
+      status: 'refunding',
+      refund_amount: amount.toString(),
+      refund_tx_hash: null,
+      resolved_by: req.auth.address,
+      resolution_note: note ? String(note) : null,
+      resolved_at: new Date().toISOString(),
+      error: null
+    }, { status: dispute.status });
+    if (!refunding) throw new RelayError(409, 'DISPUTE_RESOLVED', 'Dispute was resolved meanwhile');
+
+    let result;
+    try {
+      result = await relayRefund(db, web3, { sessionId: dispute.session_id, amount });
+    } catch (err) {
+      const failed = await db.paymentDisputes.update(dispute.id, { status: 'failed', error: err.message });
+      if (err instanceof RelayError) {
+        return res.status(err.status).json({ ...err.toJSON(), dispute: disputeView(failed) });
+      }
+      throw err;
+    }
+
+    if (result.pending) {
+      const pending = await db.paymentDisputes.update(dispute.id, { refund_tx_hash: result.hash.toLowerCase() });
+      return res.status(202).json({ success: true, status: 'submitted', txHash: result.hash, dispute: disputeView(pending) });
+    }
+
+    // Indexing the Refunded event has marked the dispute refunded
+    const refunded = await db.paymentDisputes.findById(dispute.id);
+    return res.json({
+      success: true,
+      status: 'confirmed',
+      txHash: result.receipt.hash,
+      refund: result.rows.find(row => row.service === 'refund') || null,
+      dispute: disputeView(refunded)
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// POST /disputes/deny
+// Body: { dispute_id, note? }
+router.post('/deny', requireOperator, async (req, res) => {
+  try {
+    const { db } = req.app.locals;
+    const { note } = req.body || {};
+    const { dispute } = await findResolvable(req);
+    const denied = await db.paymentDisputes.update(dispute.id, {
+      status: 'denied',
+      resolved_by: req.auth.address,
+      resolution_note: note ? String(note) : null,
+      resolved_at: new Date().toISOString()
+    }, { status: dispute.status });
+    if (!denied) throw new RelayError(409, 'DISPUTE_RESOLVED', 'Dispute was resolved meanwhile');
+    return res.json({ success: true, dispute: disputeView(denied) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+export { disputeIndex, disputeView };
+
+export default router;
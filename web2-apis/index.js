@@ -1,8 +1,18 @@
 // web2-apis/index.js
 import express from 'express';
-import { supabase } from './db.js';
 import aiRouter from './ai.js';
 import storageRouter from './storage.js';
+import downloadsRouter from './storage-downloads.js';
+import streamingRouter from './streaming.js';
+import disputesRouter, { disputeIndex } from './disputes.js';
+import allowancesRouter from './allowances.js';
+import { selectNetwork } from '../web3-apis/networks.js';
+import authRouter, { requireAuth } from './auth.js';
+import { indexTransaction } from '../web3-apis/indexer.js';
+import { verifyPaymentClaim, verifyQuotedClaim, releasePaymentClaim } from '../web3-apis/claims.js';
+import { RelayError } from '../web3-apis/errors.js';
+import { SERVICE_TYPES } from '../web3-apis/services.js';
+import { settleChannel, recordStreamPayment, serializeChannel } from '../web3-apis/channels.js';
 
 const router = express.Router();
 
@@ -11,31 +21,29 @@ router.post('/health', (req, res) => {
   return res.json({ ok: true, service: 'web2-apis' });
 });
 
+// Payment checks run against the network picked by chainId (query, X-Chain-Id header or body)
+router.use(selectNetwork);
+
+router.use('/auth', authRouter);
+
+// Download links carry their own signed grant (see POST /storage/download-url)
+router.use('/storage/download', downloadsRouter);
+
+// Everything below requires a signed-in wallet
+router.use(requireAuth);
+
 router.use('/ai', aiRouter);
 router.use('/storage', storageRouter);
+router.use('/stream', streamingRouter);
+router.use('/disputes', disputesRouter);
+router.use('/allowances', allowancesRouter);
 
 // Upsert a user profile by address (per schema: id, address, created_at)
 router.post('/users/upsert', async (req, res) => {
   try {
-    const { address } = req.body || {};
-
-    if (!address || typeof address !== 'string') {
-      return res.status(400).json({ error: 'address is required' });
-    }
-
-    const payload = { address: address.toLowerCase() };
-
-    const { data, error } = await supabase
-      .from('users')
-      .upsert(payload, { onConflict: 'address' })
-      .select('id, address, created_at')
-      .limit(1);
-
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
-
-    return res.json({ success: true, user: data?.[0] || payload });
+    const { db } = req.app.locals;
+    const user = await db.users.upsertByAddress(req.auth.address);
+    return res.json({ success: true, user: user || { address: req.auth.address } });
   } catch (err) {
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
@@ -44,220 +52,252 @@ router.post('/users/upsert', async (req, res) => {
 // List active videos from catalog_videos
 router.post('/videos', async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('catalog_videos')
-      .select('id, url, duration_seconds, active')
-      .eq('active', true)
-      .order('id', { ascending: true });
-    if (error) return res.status(500).json({ error: error.message });
-    return res.json({ videos: data || [] });
+    const { db } = req.app.locals;
+    const videos = await db.catalogVideos.listActive();
+    return res.json({ videos });
   } catch (err) {
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
 // Helper to resolve catalog video id from url if not provided
-async function resolveVideoIdFromUrl(url) {
+async function resolveVideoIdFromUrl(db, url) {
   if (!url) return null;
-  const { data, error } = await supabase
-    .from('catalog_videos')
-    .select('id')
-    .eq('url', url)
-    .limit(1)
-    .maybeSingle();
-  if (error) return null;
-  return data?.id ?? null;
+  try {
+    const video = await db.catalogVideos.findByUrl(url);
+    return video?.id ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// Settle a channel-backed session: close its channel with the latest voucher, unless the
+// channel worker already did, which records the settled amount and tx on the session.
+// Replies 202 while the close is pending.
+async function settleChannelSession(req, res, session) {
+  const { db } = req.app.locals;
+  if (session.status === 'settled') return res.json({ success: true, session });
+  if (session.status !== 'stopped') return res.status(409).json({ error: `Session is ${session.status}` });
+
+  let channel = await db.paymentChannels.findByChannelId(req.web3.chainId, session.channel_id);
+  if (!channel) return res.status(404).json({ error: 'Channel not found', code: 'CHANNEL_NOT_FOUND' });
+  if (channel.status === 'open' || channel.status === 'closing') channel = await settleChannel(db, req.web3, channel);
+  if (channel.status === 'closed') await recordStreamPayment(db, req.web3, channel, channel.close_tx_hash);
+
+  const current = await db.videoStreamSessions.findBySessionId(req.auth.address, session.session_id);
+  if (current.status === 'settled') return res.json({ success: true, session: current, channel: serializeChannel(channel) });
+  if (channel.status === 'failed') {
+    return res.status(502).json({ error: channel.error || 'Channel could not be closed', code: 'CHANNEL_CLOSE_FAILED', channel: serializeChannel(channel) });
+  }
+  return res.status(202).json({ success: true, status: channel.status, session: current, channel: serializeChannel(channel) });
+}
+
+// Settle a server-metered session (see /stream/stop) with its verified payment
+async function settleMeteredSession(req, res, session_id, tx_hash) {
+  const { db } = req.app.locals;
+  const session = await db.videoStreamSessions.findBySessionId(req.auth.address, session_id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  if (session.channel_id) return settleChannelSession(req, res, session);
+  if (session.status !== 'stopped') return res.status(409).json({ error: `Session is ${session.status}` });
+  if (!tx_hash) return res.status(400).json({ error: 'tx_hash is required' });
+
+  const claim = await verifyPaymentClaim(db, req.web3, {
+    txHash: tx_hash,
+    payer: req.auth.address,
+    serviceType: SERVICE_TYPES.VIDEO_STREAM,
+    amountUsdc: session.amount_usdc,
+    claimedFor: 'video_stream_sessions',
+  });
+  if (claim.sessionId !== session.payment_session_id) {
+    await releasePaymentClaim(db, claim);
+    return res.status(400).json({ error: 'Payment was made for a different session', code: 'SESSION_MISMATCH' });
+  }
+
+  let settled;
+  try {
+    settled = await db.videoStreamSessions.update(session.id, { status: 'settled', tx_hash: claim.txHash }, { status: 'stopped' });
+  } catch (err) {
+    await releasePaymentClaim(db, claim);
+    throw err;
+  }
+  if (!settled) {
+    await releasePaymentClaim(db, claim);
+    return res.status(409).json({ error: 'Session already settled' });
+  }
+  return res.json({ success: true, session: settled });
 }
 
 // Insert a streaming session record
+// With session_id: settle a server-metered session (channel sessions need no tx_hash). Otherwise insert a one-off row, where
+// amount_usdc is only stored when backed by a verified tx_hash
 router.post('/video-stream-sessions', async (req, res) => {
   try {
-    const { user_address, video_id, url, seconds_streamed, amount_usdc, tx_hash } = req.body || {};
-    if (!user_address) return res.status(400).json({ error: 'user_address is required' });
+    const { db } = req.app.locals;
+    const { video_id, url, seconds_streamed, amount_usdc, tx_hash, session_id } = req.body || {};
+    if (session_id) return await settleMeteredSession(req, res, session_id, tx_hash);
     let vid = video_id;
-    if (!vid && url) vid = await resolveVideoIdFromUrl(url);
+    if (!vid && url) vid = await resolveVideoIdFromUrl(db, url);
     if (!vid) return res.status(400).json({ error: 'video_id or url required' });
+    const claim = tx_hash
+      ? await verifyPaymentClaim(db, req.web3, {
+        txHash: tx_hash,
+        payer: req.auth.address,
+        serviceType: SERVICE_TYPES.VIDEO_STREAM,
+        amountUsdc: amount_usdc,
+        claimedFor: 'video_stream_sessions',
+      })
+      : null;
     const payload = {
-      user_address: String(user_address).toLowerCase(),
+      user_address: req.auth.address,
       video_id: Number(vid),
       seconds_streamed: typeof seconds_streamed === 'number' ? seconds_streamed : null,
-      amount_usdc: amount_usdc != null ? Number(amount_usdc) : null,
-      tx_hash: tx_hash || null,
+      amount_usdc: claim ? claim.amountUsdc : null,
+      tx_hash: claim ? claim.txHash : null,
     };
-    const { data, error } = await supabase
-      .from('video_stream_sessions')
-      .insert(payload)
-      .select('id, user_address, video_id, seconds_streamed, amount_usdc, tx_hash, created_at')
-      .limit(1);
-    if (error) return res.status(500).json({ error: error.message });
-    return res.json({ success: true, session: data?.[0] || null });
+    let session;
+    try {
+      session = await db.videoStreamSessions.create(payload);
+    } catch (err) {
+      await releasePaymentClaim(db, claim);
+      throw err;
+    }
+    return res.json({ success: true, session });
   } catch (err) {
+    if (err instanceof RelayError) return res.status(err.status).json(err.toJSON());
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
 // Insert or upsert a video purchase
+// The tx must settle a video-purchase quote for this video (POST /api/quotes with metadata.videoId)
 router.post('/video-purchases', async (req, res) => {
   try {
-    const { user_address, video_id, url, amount_usdc, tx_hash } = req.body || {};
-    if (!user_address) return res.status(400).json({ error: 'user_address is required' });
-    if (amount_usdc == null) return res.status(400).json({ error: 'amount_usdc is required' });
+    const { db } = req.app.locals;
+    const { video_id, url, amount_usdc, tx_hash } = req.body || {};
     if (!tx_hash) return res.status(400).json({ error: 'tx_hash is required' });
     let vid = video_id;
-    if (!vid && url) vid = await resolveVideoIdFromUrl(url);
+    if (!vid && url) vid = await resolveVideoIdFromUrl(db, url);
     if (!vid) return res.status(400).json({ error: 'video_id or url required' });
+    const { claim, quote } = await verifyQuotedClaim(db, req.web3, {
+      txHash: tx_hash,
+      payer: req.auth.address,
+      serviceType: SERVICE_TYPES.VIDEO_PURCHASE,
+      amountUsdc: amount_usdc,
+      claimedFor: 'video_purchases',
+    });
+    if (String(quote.metadata?.videoId) !== String(vid)) {
+      await releasePaymentClaim(db, claim);
+      return res.status(400).json({ error: 'Payment was made for a different video', code: 'SESSION_MISMATCH' });
+    }
     const payload = {
-      user_address: String(user_address).toLowerCase(),
+      user_address: req.auth.address,
       video_id: Number(vid),
-      amount_usdc: Number(amount_usdc),
-      tx_hash: String(tx_hash),
+      amount_usdc: claim.amountUsdc,
+      tx_hash: claim.txHash,
     };
-    const { data, error } = await supabase
-      .from('video_purchases')
-      .upsert(payload, { onConflict: 'user_address,video_id' })
-      .select('id, user_address, video_id, amount_usdc, tx_hash, purchased_at')
-      .limit(1);
-    if (error) return res.status(500).json({ error: error.message });
-    return res.json({ success: true, purchase: data?.[0] || null });
+    let purchase;
+    try {
+      purchase = await db.videoPurchases.upsert(payload);
+    } catch (err) {
+      await releasePaymentClaim(db, claim);
+      throw err;
+    }
+    return res.json({ success: true, purchase });
   } catch (err) {
+    if (err instanceof RelayError) return res.status(err.status).json(err.toJSON());
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-// Get purchases for a user, with basic video info merged
+// Get purchases for a user, with basic video info and any dispute of the payment merged
 router.post('/users/purchases', async (req, res) => {
   try {
-    const addr = String((req.body?.address || req.body?.user_address || '')).toLowerCase();
-    if (!addr) return res.status(400).json({ error: 'address is required' });
-    const { data: purchases, error: err1 } = await supabase
-      .from('video_purchases')
-      .select('id, user_address, video_id, amount_usdc, tx_hash, purchased_at')
-      .eq('user_address', addr)
-      .order('purchased_at', { ascending: false });
-    if (err1) return res.status(500).json({ error: err1.message });
-    const ids = (purchases || []).map(p => p.video_id);
-    let videosById = {};
-    if (ids.length > 0) {
-      const { data: vids, error: err2 } = await supabase
-        .from('catalog_videos')
-        .select('id, url, duration_seconds, active')
-        .in('id', ids);
-      if (err2) return res.status(500).json({ error: err2.message });
-      videosById = Object.fromEntries((vids || []).map(v => [v.id, v]));
-    }
-    const result = (purchases || []).map(p => ({ ...p, video: videosById[p.video_id] || null }));
+    const { db } = req.app.locals;
+    const purchases = await db.videoPurchases.listByUser(req.auth.address);
+    const vids = await db.catalogVideos.listByIds(purchases.map(p => p.video_id));
+    const videosById = Object.fromEntries(vids.map(v => [v.id, v]));
+    const disputes = await disputeIndex(db, req.auth.address);
+    const result = purchases.map(p => ({ ...p, video: videosById[p.video_id] || null, dispute: disputes.forTx(p.tx_hash) }));
     return res.json({ purchases: result });
   } catch (err) {
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-// Get stream sessions for a user, with basic video info merged
+// Get stream sessions for a user, with basic video info and any dispute of the payment merged
 router.post('/users/stream-sessions', async (req, res) => {
   try {
-    const addr = String((req.body?.address || req.body?.user_address || '')).toLowerCase();
-    if (!addr) return res.status(400).json({ error: 'address is required' });
-    const { data: sessions, error: err1 } = await supabase
-      .from('video_stream_sessions')
-      .select('id, user_address, video_id, seconds_streamed, amount_usdc, tx_hash, created_at')
-      .eq('user_address', addr)
-      .order('created_at', { ascending: false });
-    if (err1) return res.status(500).json({ error: err1.message });
-    const ids = (sessions || []).map(s => s.video_id);
-    let videosById = {};
-    if (ids.length > 0) {
-      const { data: vids, error: err2 } = await supabase
-        .from('catalog_videos')
-        .select('id, url, duration_seconds, active')
-        .in('id', ids);
-      if (err2) return res.status(500).json({ error: err2.message });
-      videosById = Object.fromEntries((vids || []).map(v => [v.id, v]));
-    }
-    const result = (sessions || []).map(s => ({ ...s, video: videosById[s.video_id] || null }));
+    const { db } = req.app.locals;
+    const sessions = await db.videoStreamSessions.listByUser(req.auth.address);
+    const vids = await db.catalogVideos.listByIds(sessions.map(s => s.video_id));
+    const videosById = Object.fromEntries(vids.map(v => [v.id, v]));
+    const disputes = await disputeIndex(db, req.auth.address);
+    const result = sessions.map(s => ({
+      ...s,
+      video: videosById[s.video_id] || null,
+      dispute: disputes.forSession(s.payment_session_id) || disputes.forTx(s.tx_hash),
+    }));
     return res.json({ sessions: result });
   } catch (err) {
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-// Transactions: list by user_address with pagination and sorting
+// Transactions: list by user_address with pagination and sorting (indexed on-chain events only).
+// Payments and their refunds carry the session's dispute, if any.
 router.post('/transactions', async (req, res) => {
   try {
-    const user_address = String((req.body?.user_address || '')).toLowerCase();
-    if (!user_address) return res.status(400).json({ error: 'user_address is required' });
-
+    const { db } = req.app.locals;
     const page = Math.max(1, parseInt(String(req.body?.page ?? '1'), 10) || 1);
     const page_size = Math.min(100, Math.max(1, parseInt(String(req.body?.page_size ?? '10'), 10) || 10));
     const sort = String(req.body?.sort || 'recent'); // recent | oldest
     const orderAscending = sort === 'oldest';
 
     // resolve user id
-    const { data: userRow, error: userErr } = await supabase
-      .from('users')
-      .select('id')
-      .eq('address', user_address)
-      .maybeSingle();
-    if (userErr) return res.status(500).json({ error: userErr.message });
-    if (!userRow?.id) return res.json({ items: [], total: 0, page, page_size });
-
-    const from = (page - 1) * page_size;
-    const to = from + page_size - 1;
-
-    const { data, error, count } = await supabase
-      .from('transactions')
-      .select('id, user_id, service, ref_id, amount_usdc, tx_hash, created_at', { count: 'exact' })
-      .eq('user_id', userRow.id)
-      .order('created_at', { ascending: orderAscending })
-      .range(from, to);
-
-    if (error) return res.status(500).json({ error: error.message });
-
-    return res.json({ items: data || [], total: count || 0, page, page_size });
+    const userId = await db.users.findIdByAddress(req.auth.address);
+    if (!userId) return res.json({ items: [], total: 0, page, page_size });
+
+    const { rows, total } = await db.transactions.pageIndexedByUser(userId, {
+      offset: (page - 1) * page_size,
+      limit: page_size,
+      ascending: orderAscending,
+    });
+
+    const disputes = await disputeIndex(db, req.auth.address);
+    const items = rows.map(row => ({ ...row, dispute: disputes.forSession(row.session_id) }));
+
+    return res.json({ items, total, page, page_size });
   } catch (err) {
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-// Helper to resolve user_id from users table for a given address
-async function resolveUserId(address) {
-  const addr = String(address || '').toLowerCase();
-  if (!addr) return null;
-  const { data, error } = await supabase
-    .from('users')
-    .select('id')
-    .eq('address', addr)
-    .maybeSingle();
-  if (error) throw new Error(error.message);
-  return data?.id ?? null;
-}
+// Index a reported deposit/withdraw straight from its receipt instead of trusting the
+// client; the background indexer would pick it up anyway, this just makes it immediate.
+// Body: { tx_hash, ref_id? }
+async function recordIndexedTransaction(req, res, service) {
+  const { tx_hash, ref_id } = req.body || {};
+  if (!tx_hash) return res.status(400).json({ error: 'tx_hash is required' });
 
-// Record a deposit transaction
-router.post('/transactions/deposit', async (req, res) => {
-  try {
-    const { user_address, amount_usdc, tx_hash, ref_id } = req.body || {};
-    if (!user_address) return res.status(400).json({ error: 'user_address is required' });
-    if (amount_usdc == null) return res.status(400).json({ error: 'amount_usdc is required' });
-    if (!tx_hash) return res.status(400).json({ error: 'tx_hash is required' });
+  const { db } = req.app.locals;
+  const user_id = await db.users.findIdByAddress(req.auth.address);
+  if (!user_id) return res.status(400).json({ error: 'user not found' });
 
-    const user_id = await resolveUserId(user_address);
-    if (!user_id) return res.status(400).json({ error: 'user not found' });
+  const rows = await indexTransaction(db, req.web3, String(tx_hash));
+  if (!rows) return res.status(409).json({ error: 'Transaction not mined yet' });
+  const row = rows.find(r => r.service === service && r.user_id === user_id);
+  if (!row) return res.status(400).json({ error: `No ${service} by this wallet in transaction` });
 
-    const payload = {
-      user_id,
-      service: 'deposit',
-      ref_id: ref_id != null ? Number(ref_id) : null,
-      amount_usdc: Number(amount_usdc),
-      tx_hash: String(tx_hash),
-    };
+  if (ref_id == null) return res.json({ success: true, tx: row });
 
-    const { data, error } = await supabase
-      .from('transactions')
-      .insert(payload)
-      .select('id, user_id, service, ref_id, amount_usdc, tx_hash, created_at')
-      .limit(1);
-    if (error) return res.status(500).json({ error: error.message });
+  const updated = await db.transactions.setRefId(row.id, Number(ref_id));
+  return res.json({ success: true, tx: updated || row });
+}
 
-    return res.json({ success: true, tx: data?.[0] || null });
+// Record a deposit transaction
+router.post('/transactions/deposit', async (req, res) => {
+  try {
+    return await recordIndexedTransaction(req, res, 'deposit');
   } catch (err) {
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
@@ -266,30 +306,7 @@ router.post('/transactions/deposit', async (req, res) => {
 // Record a withdraw transaction
 router.post('/transactions/withdraw', async (req, res) => {
   try {
-    const { user_address, amount_usdc, tx_hash, ref_id } = req.body || {};
-    if (!user_address) return res.status(400).json({ error: 'user_address is required' });
-    if (amount_usdc == null) return res.status(400).json({ error: 'amount_usdc is required' });
-    if (!tx_hash) return res.status(400).json({ error: 'tx_hash is required' });
-
-    const user_id = await resolveUserId(user_address);
-    if (!user_id) return res.status(400).json({ error: 'user not found' });
-
-    const payload = {
-      user_id,
-      service: 'withdraw',
-      ref_id: ref_id != null ? Number(ref_id) : null,
-      amount_usdc: Number(amount_usdc),
-      tx_hash: String(tx_hash),
-    };
-
-    const { data, error } = await supabase
-      .from('transactions')
-      .insert(payload)
-      .select('id, user_id, service, ref_id, amount_usdc, tx_hash, created_at')
-      .limit(1);
-    if (error) return res.status(500).json({ error: error.message });
-
-    return res.json({ success: true, tx: data?.[0] || null });
+    return await recordIndexedTransaction(req, res, 'withdraw');
   } catch (err) {
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
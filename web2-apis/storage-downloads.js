@@ -0,0 +1,277 @@
+import crypto from 'crypto';
+import express from 'express';
+import { pipeline } from 'stream/promises';
+import { ethers } from 'ethers';
+import { signToken, readToken } from './auth.js';
+import { RelayError } from '../web3-apis/errors.js';
+import { SERVICE_TYPES } from '../web3-apis/services.js';
+import { createQuote, getQuoteBySession, serializeQuote } from '../web3-apis/quotes.js';
+import { getDomain } from '../web3-apis/intent.js';
+import { verifyPaymentClaim, releasePaymentClaim } from '../web3-apis/claims.js';
+import { StorageError } from '../storage/errors.js';
+import { storageProvider } from './storage-uploads.js';
+
+// Downloads of stored files: POST /storage/download-url gives the file's owner, wallets it
+// is shared with, buyers of a catalog video playing it and, for a published file, anyone
+// signed in a signed link, valid for DOWNLOAD_TOKEN_TTL_SEC. Published files with a price
+// are paid per download: the link is only given for the settled payment of a quote. Every
+// link is recorded in storage_downloads. GET /storage/download/:token needs no session: the
+// token is the grant, checked again on every request, and the content is proxied from the
+// storage provider with HTTP range support.
+
+const router = express.Router();
+
+const DOWNLOAD_TOKEN_TTL_SEC = Number(process.env.DOWNLOAD_TOKEN_TTL_SEC || 15 * 60);
+const TOKEN_PURPOSE = 'download';
+
+const lower = (value) => String(value || '').toLowerCase();
+
+const usdcToBaseUnits = (amount) => ethers.parseUnits(String(amount ?? 0), 6);
+
+// Names the file's content in links and ETags without giving away its CID, which anyone
+// with a link could read from the token and take to a gateway
+const contentTag = (file) => crypto.createHash('sha256').update(String(file.file_cid)).digest('base64url').slice(0, 22);
+
+// Published with a price: downloads by wallets without other access are paid
+const isForSale = (file) => Boolean(file.published_at) && usdcToBaseUnits(file.download_price_usdc) > 0n;
+
+/**
+ * Why `address` may download `file`: 'owner', 'shared', 'purchased' (it bought a catalog
+ * video playing the file's content), 'public' (published for free) or 'paid' (the paid
+ * download `downloadId` is its own); null when it may not.
+ */
+async function downloadAccess(db, address, file, { downloadId } = {}) {
+  if (file.user_address === lower(address)) return 'owner';
+  if (await db.storageShares.findActive(file.id, address)) return 'shared';
+  const videos = await db.catalogVideos.listByCid(file.file_cid);
+  if (await db.videoPurchases.findByUserForVideos(address, videos.map(v => v.id))) return 'purchased';
+  if (file.published_at && !isForSale(file)) return 'public';
+  if (downloadId) {
+    const download = await db.storageDownloads.findById(downloadId);
+    if (download?.status === 'paid' && String(download.file_id) === String(file.id) && download.user_address === lower(address)) {
+      return 'paid';
+    }
+  }
+  return null;
+}
+
+/**
+ * The active file `address` asks to download, by id or by CID, and its access to it
+ * (see downloadAccess): { file, access }. By CID, the caller's own copy is preferred.
+ * A file the caller may only buy comes with a null access. Throws RelayError when there
+ * is no such file or the caller has no access to it.
+ */
+async function authorizeDownload(db, address, { id, cid }) {
+  const files = id != null
+    ? [await db.storageFiles.findById(id)].filter(f => f && !f.deleted_at)
+    : await db.storageFiles.listActiveByCid(String(cid));
+  if (files.length === 0) throw new RelayError(404, 'FILE_NOT_FOUND', 'File not found');
+
+  const own = (file) => (file.user_address === lower(address) ? 1 : 0);
+  for (const file of [...files].sort((a, b) => own(b) - own(a))) {
+    const access = await downloadAccess(db, address, file);
+    if (access) return { file, access };
+  }
+  const forSale = files.find(isForSale);
+  if (forSale) return { file: forSale, access: null };
+  throw new RelayError(403, 'ACCESS_DENIED', 'Only the owner, wallets the file is shared with and buyers of its video may download it');
+}
+
+// Record a free download of `file` by `address` with `access`
+function recordDownload(db, file, address, access) {
+  return db.storageDownloads.create({
+    file_id: file.id,
+    owner_address: file.user_address,
+    user_address: lower(address),
+    access,
+    amount: '0',
+    status: 'granted'
+  });
+}
+
+/**
+ * Quote a paid download of `file` for `buyer` at the file's current price. An unexpired
+ * quote for it is served again. Resolves to { download, quote }.
+ */
+async function quoteDownload(db, web3, file, buyer, { now = new Date() } = {}) {
+  const amount = usdcToBaseUnits(file.download_price_usdc);
+  const quoted = await db.storageDownloads.findQuoted(file.id, buyer);
+  if (quoted) {
+    const quote = quoted.quote_session_id ? await getQuoteBySession(db, quoted.quote_session_id) : null;
+    const lapsed = !quote || (!quote.used_at && new Date(quote.expires_at).getTime() <= now.getTime());
+    if (!lapsed && BigInt(quoted.amount) === amount) {
+      return { download: quoted, quote: serializeQuote(quote, await getDomain(web3)) };
+    }
+    // Paid already, the payment is still claimed with its tx_hash
+    if (!quote?.used_at) await db.storageDownloads.update(quoted.id, { status: 'expired' }, { status: 'quoted' });
+  }
+
+  let download = await db.storageDownloads.create({
+    file_id: file.id,
+    owner_address: file.user_address,
+    user_address: lower(buyer),
+    access: 'paid',
+    chain_id: web3.chainId,
+    amount: amount.toString(),
+    status: 'quoted'
+  });
+  const quote = await createQuote(db, web3, {
+    serviceType: SERVICE_TYPES.STORAGE_DOWNLOAD,
+    amount,
+    payer: lower(buyer),
+    metadata: { fileId: file.id, downloadId: download.id }
+  });
+  download = await db.storageDownloads.update(download.id, { quote_session_id: quote.sessionId });
+  return { download, quote };
+}
+
+/**
+ * Settle `buyer`'s quoted download of `file` with the reported payment `txHash`, which must
+ * be the verified, unused settlement of that quote. Each payment buys one link: reported
+ * again, it is refused.
+ * Resolves to the paid download; throws RelayError.
+ */
+async function payDownload(db, web3, file, buyer, txHash) {
+  if (await db.storageDownloads.findByTx(txHash)) {
+    throw new RelayError(409, 'DOWNLOAD_USED', 'This payment was already used for a download, pay a new quote for another');
+  }
+  const download = await db.storageDownloads.findQuoted(file.id, buyer);
+  if (!download) {
+    throw new RelayError(409, 'NO_QUOTE', 'No download of this file is quoted, request a link without tx_hash first');
+  }
+  const claim = await verifyPaymentClaim(db, web3, {
+    txHash,
+    payer: buyer,
+    serviceType: SERVICE_TYPES.STORAGE_DOWNLOAD,
+    amountUsdc: ethers.formatUnits(BigInt(download.amount), 6),
+    claimedFor: 'storage_downloads'
+  });
+  if (claim.sessionId !== download.quote_session_id) {
+    await releasePaymentClaim(db, claim);
+    throw new RelayError(400, 'SESSION_MISMATCH', 'Payment was made for a different download');
+  }
+  const paid = await db.storageDownloads.update(download.id, {
+    status: 'paid',
+    tx_hash: claim.txHash,
+    paid_at: new Date().toISOString()
+  }, { status: 'quoted' });
+  if (!paid) {
+    await releasePaymentClaim(db, claim);
+    throw new RelayError(409, 'DOWNLOAD_PAID', 'Download was paid concurrently');
+  }
+  return paid;
+}
+
+// Download token for `address` to fetch `file` through `download`: { token, expiresAt }
+function issueDownloadToken(file, address, download) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + DOWNLOAD_TOKEN_TTL_SEC;
+  const claims = { sub: lower(address), fid: file.id, tag: contentTag(file), did: download.id, iat: now, exp };
+  return { token: signToken(claims, TOKEN_PURPOSE), expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * The one byte range a Range header asks for out of `size` bytes: { start, end }, inclusive.
+ * null when there is none or it is not a single bytes range (the whole file is sent), and
+ * false when it cannot be satisfied.
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+  if (match[1] === '') {
+    // The last n bytes
+    const suffix = Number(match[2]);
+    if (suffix === 0) return false;
+    return size > 0 ? { start: Math.max(0, size - suffix), end: size - 1 } : false;
+  }
+  const start = Number(match[1]);
+  if (match[2] !== '' && Number(match[2]) < start) return null;
+  if (start >= size) return false;
+  return { start, end: match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1) };
+}
+
+// The uploader picks content_type, so only media a browser plays or shows without running
+// it is served inline (SVG can carry script); anything else downloads as opaque bytes
+function inlineMediaType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (!/^(video|audio|image)\/[a-z0-9.+-]+$/.test(type) || type === 'image/svg+xml') return null;
+  return type;
+}
+
+// Content-Disposition for a file name, readable with or without RFC 5987 support
+function contentDisposition(type, filename) {
+  const fallback = String(filename || 'download').replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(String(filename || 'download'))}`;
+}
+
+// GET /storage/download/:token - the file's content; Range gets 206 with those bytes
+router.get('/:token', async (req, res) => {
+  try {
+    const storage = storageProvider(req, res);
+    if (!storage) return;
+    const claims = readToken(req.params.token, TOKEN_PURPOSE);
+    if (!claims?.sub || !claims?.fid) {
+      return res.status(401).json({ error: 'Download link is invalid or has expired', code: 'INVALID_TOKEN' });
+    }
+
+    const { db } = req.app.locals;
+    const file = await db.storageFiles.findById(claims.fid);
+    if (!file || file.deleted_at || contentTag(file) !== claims.tag) {
+      return res.status(404).json({ error: 'File not found', code: 'FILE_NOT_FOUND' });
+    }
+    // A share revoked since the link was issued ends it
+    if (!(await downloadAccess(db, claims.sub, file, { downloadId: claims.did }))) {
+      return res.status(403).json({ error: 'Access to this file was withdrawn', code: 'ACCESS_DENIED' });
+    }
+    if (file.storage_provider && file.storage_provider !== storage.name) {
+      return res.status(409).json({ error: `File is stored with ${file.storage_provider}, not ${storage.name}` });
+    }
+
+    const size = Number(file.size_bytes || 0);
+    const etag = `"${contentTag(file)}"`;
+    // A Range for another version of the content (If-Range) gets the whole file
+    const ifRange = req.get('if-range');
+    const range = ifRange && ifRange !== etag ? null : parseRange(req.get('range'), size);
+    if (range === false) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).json({ error: 'Requested range is not satisfiable' });
+    }
+
+    const body = req.method === 'HEAD' ? null : await storage.read(file.file_cid, range || {});
+    if (req.method !== 'HEAD' && !body) {
+      return res.status(404).json({ error: 'File content is no longer stored', code: 'CONTENT_NOT_FOUND' });
+    }
+
+    const mediaType = inlineMediaType(file.content_type);
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': mediaType || 'application/octet-stream',
+      'Content-Length': String(range ? range.end - range.start + 1 : size),
+      'Content-Disposition': contentDisposition(mediaType ? 'inline' : 'attachment', file.filename),
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': 'sandbox',
+      'Cache-Control': 'private, no-transform',
+      ETag: etag,
+    });
+    if (range) res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.status(range ? 206 : 200);
+    if (!body) return res.end();
+    await pipeline(body, res);
+  } catch (err) {
+    // Failing midway, the client sees a short body and may resume with a Range
+    if (res.headersSent) return res.destroy();
+    if (err instanceof StorageError) return res.status(err.status).json({ error: err.message });
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+export {
+  downloadAccess,
+  authorizeDownload,
+  recordDownload,
+  quoteDownload,
+  payDownload,
+  issueDownloadToken
+};
+
+export default router;
@@ -0,0 +1,156 @@
+import express from 'express';
+import { ethers } from 'ethers';
+
+// Sharing and publishing stored files. An owner shares a file with wallets (POST
+// /storage/share, /storage/unshare), or publishes it for every signed-in wallet (POST
+// /storage/publish), free or for a USDC price per download. Downloads themselves go
+// through /storage/download-url (storage-downloads.js), which checks this access.
+
+const router = express.Router();
+
+// What wallets other than the owner see of a file; billing fields and the CID stay private
+function sharedFile(file) {
+  return {
+    id: file.id,
+    filename: file.filename,
+    size_bytes: file.size_bytes,
+    content_type: file.content_type,
+    uploaded_at: file.uploaded_at,
+    owner_address: file.user_address,
+  };
+}
+
+// The caller's active file `id`, or an error reply
+async function ownActiveFile(req, res, id) {
+  if (!id) {
+    res.status(400).json({ error: 'id is required' });
+    return null;
+  }
+  const file = await req.app.locals.db.storageFiles.findOwned(id, req.auth.address);
+  if (!file) {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+  if (file.deleted_at) {
+    res.status(409).json({ error: 'File is deleted' });
+    return null;
+  }
+  return file;
+}
+
+// POST /storage/share - let a wallet download one of your files
+// body: { id, grantee }; `address` would name the caller (see requireAuth)
+router.post('/share', async (req, res) => {
+  try {
+    const { id, grantee } = req.body || {};
+    const file = await ownActiveFile(req, res, id);
+    if (!file) return;
+    if (!ethers.isAddress(grantee)) return res.status(400).json({ error: 'grantee must be a wallet address' });
+    if (grantee.toLowerCase() === file.user_address) return res.status(400).json({ error: 'Files cannot be shared with their owner' });
+
+    const share = await req.app.locals.db.storageShares.upsert({ file_id: file.id, owner_address: file.user_address, grantee_address: grantee });
+    return res.json({ success: true, share });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// POST /storage/unshare - revoke a wallet's share; download links it was given stop working
+// body: { id, grantee }
+router.post('/unshare', async (req, res) => {
+  try {
+    const { id, grantee } = req.body || {};
+    const file = await ownActiveFile(req, res, id);
+    if (!file) return;
+    if (!grantee) return res.status(400).json({ error: 'grantee is required' });
+
+    const share = await req.app.locals.db.storageShares.revoke(file.id, grantee);
+    if (!share) return res.status(404).json({ error: 'File is not shared with this wallet' });
+    return res.json({ success: true, share });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// POST /storage/shares - wallets one of your files is shared with
+router.post('/shares', async (req, res) => {
+  try {
+    const file = await ownActiveFile(req, res, req.body?.id);
+    if (!file) return;
+    const shares = await req.app.locals.db.storageShares.listActiveForFile(file.id);
+    return res.json({ shares });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// POST /storage/shared - files other wallets shared with you
+router.post('/shared', async (req, res) => {
+  try {
+    const { db } = req.app.locals;
+    const shares = await db.storageShares.listActiveForGrantee(req.auth.address);
+    const files = await db.storageFiles.listByIds(shares.map(s => s.file_id));
+    const filesById = new Map(files.filter(f => !f.deleted_at).map(f => [String(f.id), f]));
+    const result = shares
+      .filter(s => filesById.has(String(s.file_id)))
+      .map(s => ({ ...sharedFile(filesById.get(String(s.file_id))), shared_at: s.created_at }));
+    return res.json({ files: result });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// POST /storage/publish - let every signed-in wallet download one of your files
+// body: { id, price_usdc? }, the price of each download; free without one
+router.post('/publish', async (req, res) => {
+  try {
+    const { id, price_usdc } = req.body || {};
+    const file = await ownActiveFile(req, res, id);
+    if (!file) return;
+    let price;
+    try {
+      price = ethers.parseUnits(String(price_usdc ?? 0), 6);
+    } catch {
+      return res.status(400).json({ error: 'price_usdc must be a USDC amount with up to 6 decimals' });
+    }
+    if (price < 0n) return res.status(400).json({ error: 'price_usdc cannot be negative' });
+
+    const updated = await req.app.locals.db.storageFiles.update(file.id, {
+      published_at: file.published_at || new Date().toISOString(),
+      download_price_usdc: price > 0n ? Number(ethers.formatUnits(price, 6)) : null,
+    }, { deleted_at: null });
+    if (!updated) return res.status(409).json({ error: 'File is deleted' });
+    return res.json({ success: true, file: updated });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// POST /storage/unpublish - downloads are back to the owner and the wallets it is shared with
+router.post('/unpublish', async (req, res) => {
+  try {
+    const file = await ownActiveFile(req, res, req.body?.id);
+    if (!file) return;
+    const updated = await req.app.locals.db.storageFiles.update(file.id, { published_at: null, download_price_usdc: null });
+    return res.json({ success: true, file: updated });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// POST /storage/published - files published by any wallet, newest first
+router.post('/published', async (req, res) => {
+  try {
+    const files = await req.app.locals.db.storageFiles.listPublished({ limit: 100 });
+    const result = files.map(f => ({
+      ...sharedFile(f),
+      published_at: f.published_at,
+      download_price_usdc: f.download_price_usdc == null ? null : Number(f.download_price_usdc),
+    }));
+    return res.json({ files: result });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+export default router;
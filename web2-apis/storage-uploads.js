@@ -0,0 +1,311 @@
+import express from 'express';
+import { StorageError } from '../storage/errors.js';
+import { metered } from '../storage/streams.js';
+import { writePart, readParts, spoolContent, fingerprintParts, removePart, removeParts } from '../storage/uploads.js';
+import { ts } from '../log.js';
+
+// Resumable uploads: POST /storage/uploads starts one, each part is PUT as raw bytes to
+// /storage/uploads/:id/parts/:number (in any order, again after a dropped connection), and
+// POST /storage/uploads/:id/complete streams the parts to the storage provider as one file.
+
+const router = express.Router();
+
+const UPLOAD_MAX_BYTES = 1024 * 1024 * 1024;
+const UPLOAD_MIN_PART_BYTES = 64 * 1024;
+const UPLOAD_MAX_PART_BYTES = 64 * 1024 * 1024;
+const UPLOAD_DEFAULT_PART_BYTES = 8 * 1024 * 1024;
+const UPLOAD_MAX_PARTS = 10000;
+// Uploads not completed within this long are expired and their parts removed
+const UPLOAD_TTL_HOURS = Number(process.env.UPLOAD_TTL_HOURS || 24);
+
+// The app's storage provider (storage/index.js), or a 503 when none is configured
+function storageProvider(req, res) {
+  const { storage } = req.app.locals;
+  if (!storage) res.status(503).json({ error: 'File storage is not configured' });
+  return storage;
+}
+
+/**
+ * Pin content with the fingerprint { cid, sha256, size }, unless an active file (of any
+ * user) already holds it at the provider. `open()` returns a fresh stream of the content.
+ * Resolves to { cid, sha256, size, deduplicated }.
+ */
+async function pinContent(db, storage, { fingerprint, open, filename, contentType }) {
+  const holder = await db.storageFiles.findActiveContent({ cid: fingerprint.cid, provider: storage.name });
+  if (holder) return { ...fingerprint, deduplicated: true };
+
+  const pinned = await storage.pin({ stream: open(), filename, contentType });
+  if (pinned.cid !== fingerprint.cid) {
+    // The provider's CID is the one content is served by; deduplication misses this file
+    ts("Storage:", storage.name, "pinned", pinned.cid, "for content computed as", fingerprint.cid);
+  }
+  return { ...fingerprint, cid: pinned.cid, deduplicated: false };
+}
+
+/**
+ * multer storage engine spooling each file to disk while computing its CID, then pinning
+ * it to the app's storage provider unless the content is stored already. No upload is
+ * ever buffered whole in memory. The file gets `cid`, `sha256`, `size` and `deduplicated`.
+ */
+function providerStorage() {
+  return {
+    _handleFile(req, file, cb) {
+      const { db, storage } = req.app.locals;
+      if (!storage) return cb(new StorageError('File storage is not configured', 503));
+      const stream = metered(file.stream);
+      // busboy ends a file cut at the size limit normally; fail it so nothing truncated is kept
+      file.stream.on('limit', () => stream.destroy(new StorageError('File is too large', 413)));
+      let spool = null;
+      spoolContent(stream)
+        .then((spooled) => {
+          spool = spooled;
+          return pinContent(db, storage, {
+            fingerprint: { cid: spool.cid, sha256: spool.sha256, size: spool.size },
+            open: spool.open,
+            filename: file.originalname,
+            contentType: file.mimetype,
+          });
+        })
+        .finally(() => spool?.remove())
+        .then(stored => cb(null, stored), cb);
+    },
+
+    // A file pinned for a request that failed afterwards, unless another file row holds its content
+    _removeFile(req, file, cb) {
+      const { db, storage } = req.app.locals;
+      if (!file.cid || file.deduplicated || !storage) return cb(null);
+      db.storageFiles.listPinnedByCid(storage.name, file.cid)
+        .then(holders => (holders.length === 0 ? storage.unpin(file.cid) : null))
+        .then(() => cb(null), cb);
+    }
+  };
+}
+
+/**
+ * Record pinned content as a user's file. Content the user already has as an active file
+ * resolves to that file: { file, idempotent }.
+ */
+async function saveStoredFile(db, storage, { userAddress, filename, sizeBytes, contentType, cid, sha256 }) {
+  const existing = await db.storageFiles.findActiveByCid(userAddress, cid);
+  if (existing) return { file: existing, idempotent: true };
+
+  const uploadedAt = new Date().toISOString();
+  const file = await db.storageFiles.create({
+    user_address: userAddress,
+    filename,
+    size_bytes: sizeBytes,
+    content_type: contentType || null,
+    file_cid: cid,
+    content_sha256: sha256 || null,
+    storage_provider: storage.name,
+    uploaded_at: uploadedAt,
+    billed_through: uploadedAt,
+  });
+  return { file, idempotent: false };
+}
+
+// Size part `number` must have: part_size, except for the last part, which is the rest
+function expectedPartSize(upload, number) {
+  const size = Number(upload.size_bytes);
+  const partSize = Number(upload.part_size);
+  return number < upload.part_count ? partSize : size - partSize * (upload.part_count - 1);
+}
+
+// Upload row with the parts received so far and the progress they make
+async function withProgress(db, upload) {
+  const parts = await db.storageUploadParts.listByUpload(upload.id);
+  const received = new Set(parts.map(p => Number(p.part_number)));
+  const uploadedBytes = parts.reduce((sum, p) => sum + Number(p.size_bytes), 0);
+  const missing = [];
+  for (let number = 1; number <= upload.part_count; number++) {
+    if (!received.has(number)) missing.push(number);
+  }
+  return {
+    ...upload,
+    parts: parts.map(p => ({ part_number: Number(p.part_number), size_bytes: Number(p.size_bytes), sha256: p.sha256 })),
+    missing_parts: missing,
+    uploaded_bytes: uploadedBytes,
+    progress: uploadedBytes / Number(upload.size_bytes),
+  };
+}
+
+// The caller's upload, answered with 404/410 when it does not exist or has expired
+async function findUpload(req, res) {
+  const { db } = req.app.locals;
+  const upload = await db.storageUploads.findOwned(req.params.id, req.auth.address);
+  if (!upload) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+  if (upload.status === 'expired' || (upload.status === 'uploading' && new Date(upload.expires_at) <= new Date())) {
+    res.status(410).json({ error: 'Upload has expired', code: 'UPLOAD_EXPIRED' });
+    return null;
+  }
+  return upload;
+}
+
+const isUuid = (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value));
+
+router.param('id', (req, res, next, id) => {
+  if (!isUuid(id)) return res.status(404).json({ error: 'Upload not found' });
+  next();
+});
+
+// POST /storage/uploads - start a resumable upload
+// body: { filename, size_bytes, content_type?, part_size? }
+router.post('/', async (req, res) => {
+  try {
+    const { filename, size_bytes, content_type, part_size } = req.body || {};
+    if (!filename || typeof filename !== 'string') return res.status(400).json({ error: 'filename is required' });
+    const size = Number(size_bytes);
+    if (!Number.isSafeInteger(size) || size <= 0) return res.status(400).json({ error: 'size_bytes must be a positive integer' });
+    if (size > UPLOAD_MAX_BYTES) return res.status(413).json({ error: `size_bytes is larger than ${UPLOAD_MAX_BYTES} bytes` });
+    const partSize = part_size == null ? UPLOAD_DEFAULT_PART_BYTES : Number(part_size);
+    if (!Number.isSafeInteger(partSize) || partSize < UPLOAD_MIN_PART_BYTES || partSize > UPLOAD_MAX_PART_BYTES) {
+      return res.status(400).json({ error: `part_size must be between ${UPLOAD_MIN_PART_BYTES} and ${UPLOAD_MAX_PART_BYTES} bytes` });
+    }
+    const partCount = Math.ceil(size / partSize);
+    if (partCount > UPLOAD_MAX_PARTS) return res.status(400).json({ error: `Uploads have at most ${UPLOAD_MAX_PARTS} parts, use a larger part_size` });
+
+    const { db } = req.app.locals;
+    const upload = await db.storageUploads.create({
+      user_address: req.auth.address,
+      filename,
+      content_type: content_type ? String(content_type) : null,
+      size_bytes: size,
+      part_size: partSize,
+      part_count: partCount,
+      expires_at: new Date(Date.now() + UPLOAD_TTL_HOURS * 3600 * 1000).toISOString(),
+    });
+    return res.status(201).json({ upload: await withProgress(db, upload) });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// GET /storage/uploads/:id - upload state, received parts and progress
+router.get('/:id', async (req, res) => {
+  try {
+    const upload = await findUpload(req, res);
+    if (!upload) return;
+    return res.json({ upload: await withProgress(req.app.locals.db, upload) });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// PUT /storage/uploads/:id/parts/:number - one part as the raw request body (application/octet-stream)
+router.put('/:id/parts/:number', async (req, res) => {
+  try {
+    if (req.is('application/json') || req.is('application/x-www-form-urlencoded') || req.is('multipart/form-data')) {
+      return res.status(415).json({ error: 'Parts are sent as the raw request body (application/octet-stream)' });
+    }
+    const upload = await findUpload(req, res);
+    if (!upload) return;
+    if (upload.status !== 'uploading') return res.status(409).json({ error: `Upload is ${upload.status}` });
+    const number = Number(req.params.number);
+    if (!Number.isInteger(number) || number < 1 || number > upload.part_count) {
+      return res.status(400).json({ error: `Part number must be between 1 and ${upload.part_count}` });
+    }
+
+    const expected = expectedPartSize(upload, number);
+    const { size, sha256 } = await writePart(upload.id, number, req, { maxBytes: expected });
+    if (size !== expected) {
+      await removePart(upload.id, number);
+      return res.status(400).json({ error: `Part ${number} must be ${expected} bytes, got ${size}`, code: 'PART_SIZE_MISMATCH' });
+    }
+
+    const { db } = req.app.locals;
+    await db.storageUploadParts.upsert({ upload_id: upload.id, part_number: number, size_bytes: size, sha256 });
+    return res.json({ part: { part_number: number, size_bytes: size, sha256 }, upload: await withProgress(db, upload) });
+  } catch (err) {
+    if (err instanceof StorageError) return res.status(err.status).json({ error: err.message });
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// POST /storage/uploads/:id/complete - assemble the parts and store them as a file, as /storage/upload does
+router.post('/:id/complete', async (req, res) => {
+  try {
+    const storage = storageProvider(req, res);
+    if (!storage) return;
+    const { db } = req.app.locals;
+    const upload = await findUpload(req, res);
+    if (!upload) return;
+    if (upload.status === 'completed') {
+      // Completing again answers with the file it produced
+      const file = await db.storageFiles.findOwned(upload.file_id, req.auth.address);
+      return res.json({ success: true, file, upload });
+    }
+    if (upload.status !== 'uploading') return res.status(409).json({ error: `Upload is ${upload.status}` });
+
+    const state = await withProgress(db, upload);
+    if (state.missing_parts.length > 0) {
+      return res.status(409).json({ error: 'Upload is missing parts', code: 'PARTS_MISSING', missing_parts: state.missing_parts });
+    }
+    const claimed = await db.storageUploads.update(upload.id, { status: 'completing' }, { status: 'uploading' });
+    if (!claimed) return res.status(409).json({ error: 'Upload is already being completed' });
+
+    let saved;
+    let stored;
+    try {
+      const fingerprint = await fingerprintParts(upload.id, upload.part_count);
+      if (fingerprint.size !== Number(upload.size_bytes)) {
+        throw new StorageError(`Assembled ${fingerprint.size} bytes, expected ${upload.size_bytes}`, 500);
+      }
+      stored = await pinContent(db, storage, {
+        fingerprint,
+        open: () => readParts(upload.id, upload.part_count),
+        filename: upload.filename,
+        contentType: upload.content_type,
+      });
+      saved = await saveStoredFile(db, storage, {
+        userAddress: upload.user_address,
+        filename: upload.filename,
+        sizeBytes: stored.size,
+        contentType: upload.content_type,
+        cid: stored.cid,
+        sha256: stored.sha256,
+      });
+    } catch (err) {
+      // Back to uploading, so the client can complete again (or re-send parts)
+      await db.storageUploads.update(upload.id, { status: 'uploading', error: err.message }, { status: 'completing' });
+      throw err;
+    }
+
+    const completed = await db.storageUploads.update(upload.id, { status: 'completed', file_id: saved.file.id, error: null }, { status: 'completing' });
+    await removeParts(upload.id);
+    return res.json({
+      success: true,
+      file: saved.file,
+      ...(saved.idempotent ? { idempotent: true } : {}),
+      upload: completed,
+    });
+  } catch (err) {
+    if (err instanceof StorageError) return res.status(err.status).json({ error: err.message });
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// POST /storage/uploads/:id/abort - give up an upload and drop its parts
+router.post('/:id/abort', async (req, res) => {
+  try {
+    const upload = await findUpload(req, res);
+    if (!upload) return;
+    if (upload.status !== 'uploading') return res.status(409).json({ error: `Upload is ${upload.status}` });
+    const aborted = await req.app.locals.db.storageUploads.update(upload.id, { status: 'aborted' }, { status: 'uploading' });
+    if (!aborted) return res.status(409).json({ error: 'Upload is being completed' });
+    await removeParts(upload.id);
+    return res.json({ success: true, upload: aborted });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+export {
+  UPLOAD_MAX_BYTES,
+  storageProvider,
+  providerStorage,
+  saveStoredFile
+};
+export default router;
@@ -1,147 +1,239 @@
 import express from 'express';
 import multer from 'multer';
-import axios from 'axios';
-import FormData from 'form-data';
-import { supabase } from './db.js';
+import { ethers } from 'ethers';
+import { claimedAddress } from './auth.js';
+import { RelayError } from '../web3-apis/errors.js';
+import { StorageError } from '../storage/errors.js';
+import { isCid } from '../storage/cid.js';
+import {
+  minutesBetween,
+  accruedStorage,
+  serializeDue,
+  quoteStorageCharge,
+  payStorageCharge
+} from '../web3-apis/storage-billing.js';
+import { disputeIndex } from './disputes.js';
+import { authorizeDownload, recordDownload, quoteDownload, payDownload, issueDownloadToken } from './storage-downloads.js';
+import sharingRouter from './storage-sharing.js';
+import uploadsRouter, { UPLOAD_MAX_BYTES, storageProvider, providerStorage, saveStoredFile } from './storage-uploads.js';
 
 const router = express.Router();
 
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 * 1024 } });
+// Files are streamed to the storage provider as they arrive (see providerStorage)
+const upload = multer({ storage: providerStorage(), limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 } });
 
-const PINATA_JWT = process.env.PINATA_JWT;
-const PINATA_GATEWAY_URL = process.env.PINATA_GATEWAY_URL || 'https://gateway.pinata.cloud/ipfs';
-
-function minutesBetween(a, b) {
-  const diffMs = Math.max(0, b.getTime() - a.getTime());
-  return Math.floor(diffMs / 60000);
+// upload.single('file'), answering size limits and provider failures instead of passing them on
+function receiveFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File is larger than ${UPLOAD_MAX_BYTES} bytes` });
+    }
+    if (err instanceof StorageError) return res.status(err.status).json({ error: err.message });
+    next(err);
+  });
 }
 
+// Resumable chunked uploads
+router.use('/uploads', uploadsRouter);
+
+// Sharing and publishing files
+router.use(sharingRouter);
+
 // POST /storage/upload
-// form-data: file, user_address
-router.post('/upload', upload.single('file'), async (req, res) => {
+// form-data: file, name?
+router.post('/upload', receiveFile, async (req, res) => {
   try {
-    if (!PINATA_JWT) return res.status(500).json({ error: 'Missing PINATA_JWT in env' });
+    const storage = storageProvider(req, res);
+    if (!storage) return;
+    const { db } = req.app.locals;
     const file = req.file;
-    const user_address = String(req.body?.user_address || '').toLowerCase();
+    const user_address = req.auth.address;
+    // multipart fields are only parsed after requireAuth ran, so re-check the claimed address here
+    const claimed = claimedAddress(req.body);
+    if (claimed && claimed !== user_address) return res.status(403).json({ error: 'Address does not match authenticated wallet' });
     if (!file) return res.status(400).json({ error: 'file is required (multipart/form-data)' });
-    if (!user_address) return res.status(400).json({ error: 'user_address is required' });
-
-    // Pin to Pinata
-    const fd = new FormData();
-    fd.append('file', file.buffer, { filename: file.originalname, contentType: file.mimetype });
-    const pinRes = await axios.post('https://api.pinata.cloud/pinning/pinFileToIPFS', fd, {
-      headers: {
-        Authorization: `Bearer ${PINATA_JWT}`,
-        ...fd.getHeaders(),
-      },
-      maxBodyLength: Infinity,
-      maxContentLength: Infinity,
-    });
-    const cid = pinRes?.data?.IpfsHash;
-    if (!cid) return res.status(502).json({ error: 'Pinata did not return a CID' });
-
-    // Idempotency: if same user already has this CID active, return it
-    const { data: existingRows, error: existErr } = await supabase
-      .from('storage_files')
-      .select('*')
-      .eq('user_address', user_address)
-      .eq('file_cid', cid)
-      .is('deleted_at', null)
-      .order('created_at', { ascending: false })
-      .limit(1);
-    if (existErr) return res.status(500).json({ error: existErr.message });
-    if (existingRows && existingRows.length > 0) {
-      const row = existingRows[0];
-      return res.json({ success: true, file: row, gateway_url: `${PINATA_GATEWAY_URL}/${cid}`, idempotent: true });
-    }
 
-    // Insert DB row
+    // Idempotency: if same user already has this CID active, the existing file is returned
     const displayName = (req.body && req.body.name ? String(req.body.name) : '') || file.originalname;
-    const payload = {
-      user_address,
+    const { file: row, idempotent } = await saveStoredFile(db, storage, {
+      userAddress: user_address,
       filename: displayName,
-      size_bytes: file.size,
-      content_type: file.mimetype || null,
-      file_cid: cid,
-    };
-    const { data, error } = await supabase
-      .from('storage_files')
-      .insert(payload)
-      .select('*')
-      .limit(1);
-    if (error) return res.status(500).json({ error: error.message });
-
-    const row = data?.[0] || null;
-    return res.json({ success: true, file: row, gateway_url: `${PINATA_GATEWAY_URL}/${cid}` });
+      sizeBytes: file.size,
+      contentType: file.mimetype,
+      cid: file.cid,
+      sha256: file.sha256,
+    });
+    return res.json({
+      success: true,
+      file: row,
+      ...(idempotent ? { idempotent: true } : {}),
+    });
   } catch (err) {
-    return res.status(500).json({ error: err?.response?.data?.error || err?.message || 'Upload failed' });
+    return res.status(500).json({ error: err?.message || 'Upload failed' });
+  }
+});
+
+// POST /storage/check - skip an upload whose content the user already stores
+// body: { cid } or { sha256 } (hex) of the content
+// Only the user's own files are matched: knowing a CID or hash is no proof of holding the
+// bytes, so content of other wallets is only reused by uploading it (see storage-uploads.js).
+router.post('/check', async (req, res) => {
+  try {
+    const storage = storageProvider(req, res);
+    if (!storage) return;
+    const { cid, sha256 } = req.body || {};
+    if (cid ? !isCid(cid) : !/^[0-9a-f]{64}$/i.test(String(sha256 || ''))) {
+      return res.status(400).json({ error: 'cid (CIDv0) or sha256 (hex) is required' });
+    }
+    const { db } = req.app.locals;
+    const address = req.auth.address;
+
+    const own = await db.storageFiles.findActiveContent({ cid, sha256, address });
+    if (!own) return res.json({ exists: false });
+    return res.json({ exists: true, file: own, idempotent: true });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
 // POST /storage/files - list files for a user (active by default)
 router.post('/files', async (req, res) => {
   try {
-    const { user_address, include_deleted } = req.body || {};
-    const addr = String(user_address || '').toLowerCase();
-    if (!addr) return res.status(400).json({ error: 'user_address is required' });
-    let q = supabase
-      .from('storage_files')
-      .select('*')
-      .eq('user_address', addr)
-      .order('created_at', { ascending: false });
-    if (!include_deleted) q = q.is('deleted_at', null);
-    const { data, error } = await q;
-    if (error) return res.status(500).json({ error: error.message });
-    return res.json({ files: data || [] });
+    const { db } = req.app.locals;
+    const { include_deleted } = req.body || {};
+    const files = await db.storageFiles.listByUser(req.auth.address, { includeDeleted: Boolean(include_deleted) });
+    return res.json({ files });
   } catch (err) {
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-// POST /storage/download-url
+// POST /storage/download-url - a signed link to the file's content, valid for DOWNLOAD_TOKEN_TTL_SEC
+// Body: { id } or { file_cid }, and tx_hash paying for a download of a published file with a price.
+// Given to the owner, wallets the file is shared with, buyers of its video and, once published, anyone.
 router.post('/download-url', async (req, res) => {
   try {
-    const { file_cid } = req.body || {};
-    if (!file_cid) return res.status(400).json({ error: 'file_cid is required' });
-    return res.json({ url: `${PINATA_GATEWAY_URL}/${file_cid}` });
+    const storage = storageProvider(req, res);
+    if (!storage) return;
+    const { id, file_cid, tx_hash } = req.body || {};
+    if (id == null && !file_cid) return res.status(400).json({ error: 'id or file_cid is required' });
+    const { db } = req.app.locals;
+    const { file, access } = await authorizeDownload(db, req.auth.address, { id, cid: file_cid });
+
+    let download;
+    if (access) {
+      download = await recordDownload(db, file, req.auth.address, access);
+    } else if (tx_hash) {
+      // The payment must settle this wallet's quoted download of the file
+      download = await payDownload(db, req.web3, file, req.auth.address, tx_hash);
+    } else {
+      const { quote } = await quoteDownload(db, req.web3, file, req.auth.address);
+      return res.status(402).json({
+        error: 'This file is sold per download, pay the quote and send its tx_hash',
+        code: 'PAYMENT_REQUIRED',
+        file_id: file.id,
+        price_usdc: Number(file.download_price_usdc),
+        payment: quote
+      });
+    }
+
+    const { token, expiresAt } = issueDownloadToken(file, req.auth.address, download);
+    // The recorded sha256 lets owners verify what they download. Other wallets get neither
+    // it nor the CID, which gateways would serve without the checks of a link.
+    return res.json({
+      url: `${req.baseUrl}/download/${token}`,
+      expires_at: expiresAt,
+      access: download.access,
+      ...(download.access === 'owner' ? { file_cid: file.file_cid, sha256: file.content_sha256 ?? null } : {}),
+      download,
+    });
+  } catch (err) {
+    if (err instanceof RelayError) return res.status(err.status).json(err.toJSON());
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// POST /storage/stat - whether a file's content is still pinned, and its size at the provider
+router.post('/stat', async (req, res) => {
+  try {
+    const storage = storageProvider(req, res);
+    if (!storage) return;
+    const { id } = req.body || {};
+    if (!id) return res.status(400).json({ error: 'id is required' });
+    const { db } = req.app.locals;
+    const file = await db.storageFiles.findOwned(id, req.auth.address);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+    if (file.storage_provider && file.storage_provider !== storage.name) {
+      return res.status(409).json({ error: `File is stored with ${file.storage_provider}, not ${storage.name}` });
+    }
+
+    const pin = await storage.stat(file.file_cid);
+    return res.json({ file, pinned: Boolean(pin?.pinned), size: pin?.size ?? null });
+  } catch (err) {
+    if (err instanceof StorageError) return res.status(err.status).json({ error: err.message });
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// POST /storage/quote - amount a file owes so far, and the payment quote to settle it before deletion
+router.post('/quote', async (req, res) => {
+  try {
+    const { id } = req.body || {};
+    if (!id) return res.status(400).json({ error: 'id is required' });
+    const { db } = req.app.locals;
+    const existing = await db.storageFiles.findOwned(id, req.auth.address);
+    if (!existing) return res.status(404).json({ error: 'File not found' });
+    if (existing.deleted_at) return res.status(409).json({ error: 'File already deleted' });
+
+    const { due, quote } = await quoteStorageCharge(db, req.web3, existing);
+    return res.json({ file: existing, due: serializeDue(due), payment: quote });
   } catch (err) {
+    if (err instanceof RelayError) return res.status(err.status).json(err.toJSON());
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-// POST /storage/delete - soft delete + update billing
+// POST /storage/delete - soft delete once the storage owed is paid; the content stays
+// pinned for STORAGE_RETENTION_HOURS (storage/retention.js)
+// body: { id, tx_hash? }, tx_hash settling the quote from /storage/quote
 router.post('/delete', async (req, res) => {
   try {
-    const { id, user_address, amount_usdc, tx_hash } = req.body || {};
+    const { id, tx_hash } = req.body || {};
     if (!id) return res.status(400).json({ error: 'id is required' });
-    const addr = String(user_address || '').toLowerCase();
-    if (!addr) return res.status(400).json({ error: 'user_address is required' });
-
-    // Fetch existing to compute storage_min
-    const { data: rows, error: e1 } = await supabase
-      .from('storage_files')
-      .select('id, uploaded_at')
-      .eq('id', id)
-      .eq('user_address', addr)
-      .limit(1);
-    if (e1) return res.status(500).json({ error: e1.message });
-    const existing = rows?.[0];
+    const { db } = req.app.locals;
+
+    const existing = await db.storageFiles.findOwned(id, req.auth.address);
     if (!existing) return res.status(404).json({ error: 'File not found' });
+    if (existing.deleted_at) return res.status(409).json({ error: 'File already deleted' });
 
-    const uploadedAt = new Date(existing.uploaded_at);
     const now = new Date();
-    const storage_min = minutesBetween(uploadedAt, now);
-
-    const { data, error } = await supabase
-      .from('storage_files')
-      .update({ deleted_at: now.toISOString(), amount_usdc: amount_usdc != null ? Number(amount_usdc) : null, tx_hash: tx_hash || null, storage_min })
-      .eq('id', id)
-      .eq('user_address', addr)
-      .select('*')
-      .limit(1);
-    if (error) return res.status(500).json({ error: error.message });
-    return res.json({ success: true, file: data?.[0] || null });
+    let charge = null;
+    if (tx_hash) {
+      // The payment must settle this file's quoted charge, for its exact amount
+      charge = await payStorageCharge(db, req.web3, existing, tx_hash);
+    } else {
+      const due = await accruedStorage(db, existing, now);
+      if (due.amount > 0n) {
+        return res.status(402).json({
+          error: 'Storage must be paid before deletion, request a quote from POST /storage/quote',
+          code: 'PAYMENT_REQUIRED',
+          due: serializeDue(due)
+        });
+      }
+    }
+
+    // Minutes since the paid quote was issued are not billed
+    const file = await db.storageFiles.update(existing.id, {
+      deleted_at: now.toISOString(),
+      billed_through: now.toISOString(),
+      storage_min: minutesBetween(new Date(existing.uploaded_at), now),
+      ...(charge ? { tx_hash: charge.tx_hash } : {}),
+    }, { deleted_at: null });
+    if (!file) return res.status(409).json({ error: 'File already deleted' });
+    return res.json({ success: true, file, charge });
   } catch (err) {
+    if (err instanceof RelayError) return res.status(err.status).json(err.toJSON());
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
@@ -149,75 +241,107 @@ router.post('/delete', async (req, res) => {
 // POST /storage/update - update tx or fields for UX
 router.post('/update', async (req, res) => {
   try {
-    const { id, user_address, ...fields } = req.body || {};
+    const { id, ...fields } = req.body || {};
+    // user_address/address only name the caller (see requireAuth), the owner stays
+    delete fields.user_address;
+    delete fields.address;
     if (!id) return res.status(400).json({ error: 'id is required' });
-    const addr = String(user_address || '').toLowerCase();
-    if (!addr) return res.status(400).json({ error: 'user_address is required' });
-    const { data, error } = await supabase
-      .from('storage_files')
-      .update(fields)
-      .eq('id', id)
-      .eq('user_address', addr)
-      .select('*')
-      .limit(1);
-    if (error) return res.status(500).json({ error: error.message });
-    return res.json({ success: true, file: data?.[0] || null });
+    const { db } = req.app.locals;
+    // Billing and pinning fields are only set by the server, from verified payments and the provider
+    const serverFields = ['tx_hash', 'amount_usdc', 'billed_through', 'size_bytes', 'uploaded_at', 'deleted_at', 'storage_min',
+      'file_cid', 'content_sha256', 'storage_provider', 'unpinned_at', 'published_at', 'download_price_usdc'];
+    if (serverFields.some(field => field in fields)) {
+      return res.status(400).json({ error: `${serverFields.join(', ')} cannot be updated directly` });
+    }
+    const file = await db.storageFiles.updateOwned(id, req.auth.address, fields);
+    return res.json({ success: true, file });
   } catch (err) {
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-// POST /storage/stats - totals and aggregates
+// POST /storage/stats - totals and aggregates, with the revenue of paid downloads per file
 router.post('/stats', async (req, res) => {
   try {
-    const { user_address } = req.body || {};
-    const addr = String(user_address || '').toLowerCase();
-    if (!addr) return res.status(400).json({ error: 'user_address is required' });
-    const { data: files, error } = await supabase
-      .from('storage_files')
-      .select('*')
-      .eq('user_address', addr);
-    if (error) return res.status(500).json({ error: error.message });
+    const { db } = req.app.locals;
+    const files = await db.storageFiles.listByUser(req.auth.address);
+    const sales = await db.storageDownloads.listPaidByOwner(req.auth.address);
 
     const now = new Date();
     let totalSpent = 0;
+    let accruedUnpaid = 0n;
     let totalStoredBytes = 0;
     let activeFiles = 0;
     let storageTimeMin = 0;
-    (files || []).forEach(f => {
-      const isDeleted = !!f.deleted_at;
-      if (!isDeleted) {
-        activeFiles += 1;
-        totalStoredBytes += Number(f.size_bytes || 0);
-        const mins = minutesBetween(new Date(f.uploaded_at), now);
-        storageTimeMin += mins;
-      } else {
-        totalSpent += Number(f.amount_usdc || 0);
-      }
-    });
+    for (const f of files || []) {
+      // Long-lived files are also paid by the billing cycle, so every file can have spent
+      totalSpent += Number(f.amount_usdc || 0);
+      if (f.deleted_at) continue;
+      activeFiles += 1;
+      totalStoredBytes += Number(f.size_bytes || 0);
+      storageTimeMin += minutesBetween(new Date(f.uploaded_at), now);
+      accruedUnpaid += (await accruedStorage(db, f, now)).amount;
+    }
+
+    const filenames = new Map((files || []).map(f => [String(f.id), f.filename]));
+    const revenueByFile = new Map();
+    let totalRevenue = 0n;
+    for (const sale of sales || []) {
+      const key = String(sale.file_id);
+      const entry = revenueByFile.get(key) || { file_id: sale.file_id, filename: filenames.get(key) ?? null, downloads: 0, revenue: 0n };
+      entry.downloads += 1;
+      entry.revenue += BigInt(sale.amount);
+      revenueByFile.set(key, entry);
+      totalRevenue += BigInt(sale.amount);
+    }
     return res.json({
-      totalSpentUSDC: totalSpent,
+      totalSpentUSDC: Number(totalSpent.toFixed(6)),
+      accruedUnpaidUSDC: Number(ethers.formatUnits(accruedUnpaid, 6)),
       totalStoredGB: totalStoredBytes / (1024 ** 3),
       activeFiles,
       storageTimeHours: Math.round(storageTimeMin / 60),
+      totalRevenueUSDC: Number(ethers.formatUnits(totalRevenue, 6)),
+      revenueByFile: [...revenueByFile.values()].map(({ revenue, ...entry }) => ({
+        ...entry,
+        revenueUSDC: Number(ethers.formatUnits(revenue, 6)),
+      })),
     });
   } catch (err) {
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-// POST /storage/usage - upload/delete history
+// POST /storage/usage - upload, billing, delete and download history
 router.post('/usage', async (req, res) => {
   try {
-    const { user_address } = req.body || {};
-    const addr = String(user_address || '').toLowerCase();
-    if (!addr) return res.status(400).json({ error: 'user_address is required' });
-    const { data: files, error } = await supabase
-      .from('storage_files')
-      .select('*')
-      .eq('user_address', addr)
-      .order('created_at', { ascending: false });
-    if (error) return res.status(500).json({ error: error.message });
+    const { db } = req.app.locals;
+    const files = await db.storageFiles.listByUser(req.auth.address);
+    const charges = await db.storageCharges.listByUser(req.auth.address);
+    const downloads = await db.storageDownloads.listByUser(req.auth.address);
+    const disputes = await disputeIndex(db, req.auth.address);
+    const byId = new Map((files || []).map(f => [String(f.id), f]));
+    // Charges drawn by the billing cycle; what was paid at deletion is the delete item
+    const cycleCharges = (charges || []).filter(c => c.reason === 'cycle' && c.status === 'paid');
+    const cycleSpent = new Map();
+    for (const c of cycleCharges) {
+      cycleSpent.set(String(c.file_id), (cycleSpent.get(String(c.file_id)) || 0n) + BigInt(c.amount));
+    }
+    const cycleItems = cycleCharges
+      .map((c) => {
+        const f = byId.get(String(c.file_id));
+        return {
+          id: `c-${c.id}`,
+          action: 'charge',
+          fileName: f?.filename ?? null,
+          date: new Date(c.paid_at).toISOString(),
+          duration: Number(c.minutes) / 60,
+          cost: Number(ethers.formatUnits(BigInt(c.amount), 6)),
+          fileSize: Number(c.size_bytes || 0),
+          ipfsCid: f?.file_cid ?? null,
+          txHash: c.tx_hash,
+          dispute: disputes.forTx(c.tx_hash),
+        };
+      });
     const items = (files || []).flatMap((f) => {
       const uploadItem = {
         id: `u-${f.id}`,
@@ -237,15 +361,34 @@ router.post('/usage', async (req, res) => {
           fileName: f.filename,
           date: new Date(f.deleted_at).toISOString(),
           duration: minutesBetween(new Date(f.uploaded_at), new Date(f.deleted_at)) / 60,
-          cost: Number(f.amount_usdc || 0),
+          cost: Number(ethers.formatUnits(ethers.parseUnits(String(f.amount_usdc || 0), 6) - (cycleSpent.get(String(f.id)) || 0n), 6)),
           fileSize: Number(f.size_bytes || 0),
           ipfsCid: f.file_cid,
           txHash: f.tx_hash || null,
+          dispute: disputes.forTx(f.tx_hash),
         });
       }
       return arr;
     });
-    return res.json({ history: items });
+    // Downloads of files of other wallets too, whose CIDs stay with their owners
+    const downloaded = await db.storageFiles.listByIds([...new Set(downloads.map(d => d.file_id))]);
+    const downloadedById = new Map(downloaded.map(f => [String(f.id), f]));
+    const downloadItems = downloads.map((d) => {
+      const f = downloadedById.get(String(d.file_id));
+      return {
+        id: `dl-${d.id}`,
+        action: 'download',
+        access: d.access,
+        fileName: f?.filename ?? null,
+        date: new Date(d.paid_at || d.created_at).toISOString(),
+        cost: Number(ethers.formatUnits(BigInt(d.amount), 6)),
+        fileSize: Number(f?.size_bytes || 0),
+        ipfsCid: f && f.user_address === d.user_address ? f.file_cid : null,
+        txHash: d.tx_hash,
+        dispute: disputes.forTx(d.tx_hash),
+      };
+    });
+    return res.json({ history: [...items, ...cycleItems, ...downloadItems] });
   } catch (err) {
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
@@ -0,0 +1,239 @@
+// web2-apis/streaming.js
+// Server-metered video streaming: start -> heartbeat* -> stop, billed per second watched.
+// A session started on a payment channel is paid by the cumulative vouchers sent with the
+// heartbeats; stopping it closes the channel with the latest one.
+import express from 'express';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { SERVICE_TYPES } from '../web3-apis/services.js';
+import { getEffectivePrice } from '../web3-apis/pricing.js';
+import { createQuote, getQuoteBySession, serializeQuote } from '../web3-apis/quotes.js';
+import { getDomain } from '../web3-apis/intent.js';
+import { acceptVoucher, requestClose, serializeChannel } from '../web3-apis/channels.js';
+import { RelayError } from '../web3-apis/errors.js';
+
+const router = express.Router();
+
+// Longest gap between heartbeats that is credited as watched time
+const HEARTBEAT_MAX_GAP_SEC = Number(process.env.STREAM_HEARTBEAT_MAX_GAP_SEC || 30);
+
+function getVideo(db, video_id, url) {
+  return video_id ? db.catalogVideos.findById(video_id) : db.catalogVideos.findByUrl(url);
+}
+
+// Seconds to credit since the last heartbeat, capped by the allowed gap and the video length
+function creditedSeconds(session, durationSeconds, now) {
+  const last = new Date(session.last_heartbeat_at).getTime();
+  const elapsed = Math.max(0, Math.floor((now.getTime() - last) / 1000));
+  let credited = Math.min(elapsed, HEARTBEAT_MAX_GAP_SEC);
+  if (durationSeconds) credited = Math.min(credited, Math.max(0, durationSeconds - (session.seconds_streamed || 0)));
+  return credited;
+}
+
+// Amount owed in USDC base units (6 decimals)
+function amountOwed(seconds, pricePerSecondUsdc) {
+  return ethers.parseUnits(String(pricePerSecondUsdc), 6) * BigInt(seconds);
+}
+
+// Advance seconds_streamed, guarded on last_heartbeat_at so concurrent heartbeats are not double counted.
+// `extra(seconds, now)` returns further fields to set together with the new total.
+async function accrue(db, session, durationSeconds, extra = () => ({})) {
+  const now = new Date();
+  const seconds = (session.seconds_streamed || 0) + creditedSeconds(session, durationSeconds, now);
+  return db.videoStreamSessions.update(session.id, {
+    seconds_streamed: seconds,
+    last_heartbeat_at: now.toISOString(),
+    ...extra(seconds, now),
+  }, { status: 'active', last_heartbeat_at: session.last_heartbeat_at });
+}
+
+// Quote the payer signs for a stopped session; re-issued once an unused quote expires.
+// The quote's sessionId is kept as payment_session_id so /video-stream-sessions can match the settlement.
+async function paymentQuoteFor(db, web3, session) {
+  if (session.payment_session_id) {
+    const quote = await getQuoteBySession(db, session.payment_session_id);
+    if (quote && (quote.used_at || new Date(quote.expires_at).getTime() > Date.now())) {
+      return serializeQuote(quote, await getDomain(web3));
+    }
+  }
+  const quote = await createQuote(db, web3, {
+    serviceType: SERVICE_TYPES.VIDEO_STREAM,
+    amount: amountOwed(session.seconds_streamed || 0, session.price_per_second_usdc),
+    payer: session.user_address,
+    metadata: { streamSessionId: session.session_id, videoId: session.video_id, seconds: session.seconds_streamed }
+  });
+  await db.videoStreamSessions.update(session.id, { payment_session_id: quote.sessionId }, { status: 'stopped' });
+  return quote;
+}
+
+// Reserve one of the caller's open video-stream channels for a new session; a channel pays for one session
+async function bindChannel(db, web3, address, channelId, sessionId) {
+  if (!ethers.isHexString(channelId, 32)) {
+    throw new RelayError(400, 'INVALID_CHANNEL', 'channel_id must be a 32-byte hex string');
+  }
+  const channel = await db.paymentChannels.findByChannelId(web3.chainId, channelId);
+  if (!channel || channel.payer !== address) throw new RelayError(404, 'CHANNEL_NOT_FOUND', 'Channel not found');
+  if (channel.status !== 'open') throw new RelayError(409, 'CHANNEL_NOT_OPEN', `Channel is ${channel.status}`);
+  if (channel.service_type !== SERVICE_TYPES.VIDEO_STREAM) {
+    throw new RelayError(400, 'SERVICE_MISMATCH', 'Channel was opened for a different service', { serviceType: channel.service_type });
+  }
+  const bound = await db.paymentChannels.update(channel.id, { stream_session_id: sessionId }, { status: 'open', stream_session_id: null });
+  if (!bound) throw new RelayError(409, 'CHANNEL_IN_USE', 'Channel already pays for another session');
+  return bound;
+}
+
+// Why the channel no longer covers the session, or null. Vouchers may trail the time
+// watched by one heartbeat gap, and can never go past the deposit.
+function channelShortfall(channel, owed, pricePerSecondUsdc) {
+  if (owed > BigInt(channel.deposit)) {
+    return { status: 402, code: 'CHANNEL_EXHAUSTED', error: 'Channel deposit is used up, stop and open a new channel' };
+  }
+  if (owed - BigInt(channel.voucher_amount) > amountOwed(HEARTBEAT_MAX_GAP_SEC, pricePerSecondUsdc)) {
+    return { status: 402, code: 'VOUCHER_REQUIRED', error: 'Latest voucher does not cover the time streamed' };
+  }
+  return null;
+}
+
+// POST /stream/start
+// Body: { video_id | url, channel_id? } -> { session }
+// With channel_id, the session is paid through that open channel (POST /api/channels)
+router.post('/start', async (req, res) => {
+  try {
+    const { video_id, url, channel_id } = req.body || {};
+    if (!video_id && !url) return res.status(400).json({ error: 'video_id or url required' });
+    const { db } = req.app.locals;
+    const video = await getVideo(db, video_id, url);
+    if (!video || !video.active) return res.status(404).json({ error: 'Video not found' });
+
+    // Resume an already running session for the same video instead of opening a second one
+    const running = await db.videoStreamSessions.findActiveForVideo(req.auth.address, video.id);
+    if (running) return res.json({ success: true, session: running, resumed: true });
+
+    // Catalog videos without their own price use the registry's per-second price, fixed for the session
+    const registryPrice = await getEffectivePrice(db, SERVICE_TYPES.VIDEO_STREAM);
+    const sessionId = ethers.hexlify(crypto.randomBytes(32));
+    const channel = channel_id ? await bindChannel(db, req.web3, req.auth.address, channel_id, sessionId) : null;
+    const now = new Date().toISOString();
+    const payload = {
+      user_address: req.auth.address,
+      video_id: video.id,
+      session_id: sessionId,
+      status: 'active',
+      seconds_streamed: 0,
+      price_per_second_usdc: video.price_per_second_usdc ?? registryPrice.priceUsdc,
+      // The channel settles as a payment session of its own id
+      channel_id: channel ? channel.channel_id : null,
+      payment_session_id: channel ? channel.channel_id : null,
+      started_at: now,
+      last_heartbeat_at: now,
+    };
+    let session;
+    try {
+      session = await db.videoStreamSessions.create(payload);
+    } catch (err) {
+      if (channel) await db.paymentChannels.update(channel.id, { stream_session_id: null }, { stream_session_id: sessionId });
+      throw err;
+    }
+    return res.json({
+      success: true,
+      session,
+      heartbeatIntervalSec: Math.floor(HEARTBEAT_MAX_GAP_SEC / 2),
+      channel: channel ? serializeChannel(channel) : null,
+    });
+  } catch (err) {
+    if (err instanceof RelayError) return res.status(err.status).json(err.toJSON());
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// POST /stream/heartbeat
+// Body: { session_id, voucher? } -> accumulated seconds
+// Channel sessions send their latest cumulative voucher ({ amount, signature }, see
+// POST /api/channels/:channelId/voucher); a 402 means it no longer covers the stream.
+router.post('/heartbeat', async (req, res) => {
+  try {
+    const { db } = req.app.locals;
+    const { session_id, voucher } = req.body || {};
+    const session = await db.videoStreamSessions.findBySessionId(req.auth.address, session_id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    if (session.status !== 'active') return res.status(409).json({ error: `Session is ${session.status}` });
+
+    let channel = session.channel_id ? await db.paymentChannels.findByChannelId(req.web3.chainId, session.channel_id) : null;
+    if (session.channel_id && !channel) return res.status(404).json({ error: 'Channel not found', code: 'CHANNEL_NOT_FOUND' });
+    if (channel && voucher) channel = await acceptVoucher(db, req.web3, channel, voucher);
+
+    const video = await getVideo(db, session.video_id);
+    const updated = await accrue(db, session, video?.duration_seconds);
+    if (!updated) return res.status(409).json({ error: 'Concurrent heartbeat, retry' });
+
+    const owed = amountOwed(updated.seconds_streamed, updated.price_per_second_usdc);
+    const body = {
+      success: true,
+      sessionId: updated.session_id,
+      secondsStreamed: updated.seconds_streamed,
+      accruedUSDC: ethers.formatUnits(owed, 6),
+    };
+    if (!channel) return res.json(body);
+
+    const shortfall = channelShortfall(channel, owed, updated.price_per_second_usdc);
+    const channelInfo = { owed: owed.toString(), channel: serializeChannel(channel) };
+    if (shortfall) {
+      const { status, ...error } = shortfall;
+      return res.status(status).json({ ...error, ...body, success: false, ...channelInfo });
+    }
+    return res.json({ ...body, ...channelInfo });
+  } catch (err) {
+    if (err instanceof RelayError) return res.status(err.status).json(err.toJSON());
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+// POST /stream/stop
+// Body: { session_id } -> a payment quote whose sessionId and amount the intent for /api/execute-payment must use.
+// Channel sessions get no quote: their channel is closed with its latest voucher instead
+// (right away through POST /video-stream-sessions, otherwise by the channel worker).
+router.post('/stop', async (req, res) => {
+  try {
+    const { db } = req.app.locals;
+    let session = await db.videoStreamSessions.findBySessionId(req.auth.address, req.body?.session_id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    if (session.status === 'active') {
+      const video = await getVideo(db, session.video_id);
+      const price = session.price_per_second_usdc;
+      session = await accrue(db, session, video?.duration_seconds, (seconds, now) => {
+        const amount = amountOwed(seconds, price);
+        return {
+          // Nothing watched means nothing to settle, unless a channel still has to be closed
+          status: amount > 0n || session.channel_id ? 'stopped' : 'settled',
+          stopped_at: now.toISOString(),
+          amount_usdc: Number(ethers.formatUnits(amount, 6)),
+        };
+      });
+      if (!session) return res.status(409).json({ error: 'Concurrent update, retry' });
+    }
+
+    if (session.channel_id) {
+      const channel = await db.paymentChannels.findByChannelId(req.web3.chainId, session.channel_id);
+      const closing = channel && session.status === 'stopped' ? await requestClose(db, channel) : channel;
+      return res.json({
+        success: true,
+        session,
+        secondsStreamed: session.seconds_streamed,
+        payment: null,
+        channel: closing ? serializeChannel(closing) : null,
+      });
+    }
+
+    return res.json({
+      success: true,
+      session,
+      secondsStreamed: session.seconds_streamed,
+      payment: session.status === 'stopped' ? await paymentQuoteFor(db, req.web3, session) : null,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,347 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { RelayError } from './errors.js';
+import { getDomain } from './intent.js';
+import { SERVICE_TYPES } from './services.js';
+import { getQuoteBySession, claimQuote, releaseQuote } from './quotes.js';
+import { findLiveJobBySession } from './jobs.js';
+import { submitEscrowCall } from './submit.js';
+import { UNIQUE_VIOLATION } from '../db/errors.js';
+import { ts } from '../log.js';
+
+// Spending allowances are stored in `spending_allowances`. The payer signs one
+// SpendingAllowance; every payment drawn from it is an AllowanceDraw signed by the
+// spender (the primary relayer wallet), so the payer is not prompted again.
+// `spent` counts draws that were sent, including ones still pending on-chain.
+
+// Draws are refused this close to the expiry, so they are mined before it
+const ALLOWANCE_EXPIRY_MARGIN_SEC = Number(process.env.ALLOWANCE_EXPIRY_MARGIN_SEC || 60);
+// Longest lifetime an allowance may be signed for
+const ALLOWANCE_MAX_TTL_SEC = Number(process.env.ALLOWANCE_MAX_TTL_SEC || 30 * 24 * 60 * 60);
+
+// Must match the SpendingAllowance typehash used by StreamPayEscrow.drawAllowance
+const SPENDING_ALLOWANCE_TYPES = {
+  SpendingAllowance: [
+    { name: 'payer', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'allowanceId', type: 'bytes32' },
+    { name: 'maxAmount', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'serviceTypes', type: 'string[]' }
+  ]
+};
+
+// Must match the AllowanceDraw typehash used by StreamPayEscrow.drawAllowance
+const ALLOWANCE_DRAW_TYPES = {
+  AllowanceDraw: [
+    { name: 'payer', type: 'address' },
+    { name: 'allowanceId', type: 'bytes32' },
+    { name: 'sessionId', type: 'bytes32' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'serviceType', type: 'string' }
+  ]
+};
+
+function toBigInt(value, field) {
+  try {
+    return BigInt(value);
+  } catch {
+    throw new RelayError(400, 'INVALID_ALLOWANCE', `${field} must be an integer`);
+  }
+}
+
+/**
+ * Normalize a client-supplied allowance (numeric fields as BigInt)
+ */
+function normalizeAllowance(allowance) {
+  return {
+    payer: allowance.payer,
+    spender: allowance.spender,
+    allowanceId: allowance.allowanceId,
+    maxAmount: toBigInt(allowance.maxAmount, 'maxAmount'),
+    expiry: toBigInt(allowance.expiry, 'expiry'),
+    serviceTypes: Array.isArray(allowance.serviceTypes) ? allowance.serviceTypes.map(String) : [],
+    signature: allowance.signature
+  };
+}
+
+// Contract argument for a stored allowance
+function allowanceFromRow(row) {
+  return {
+    payer: ethers.getAddress(row.payer),
+    spender: ethers.getAddress(row.spender),
+    allowanceId: row.allowance_id,
+    maxAmount: BigInt(row.max_amount),
+    expiry: BigInt(Math.floor(new Date(row.expiry).getTime() / 1000)),
+    serviceTypes: row.service_types,
+    signature: row.signature
+  };
+}
+
+/**
+ * Check a normalized allowance off-chain: well-formed, drawable by this server's
+ * spender, unexpired, not revoked and signed by the payer. Throws RelayError.
+ */
+async function preverifyAllowance(web3, allowance) {
+  if (!ethers.isAddress(allowance.payer)) {
+    throw new RelayError(400, 'INVALID_PAYER', 'payer is not a valid address');
+  }
+  if (!ethers.isHexString(allowance.allowanceId, 32)) {
+    throw new RelayError(400, 'INVALID_ALLOWANCE', 'allowanceId must be a 32-byte hex string');
+  }
+  if (!ethers.isAddress(allowance.spender) || allowance.spender.toLowerCase() !== web3.relayerWallet.address.toLowerCase()) {
+    throw new RelayError(400, 'INVALID_SPENDER', 'spender must be the address served by GET /api/allowance-params', {
+      spender: web3.relayerWallet.address
+    });
+  }
+  if (allowance.maxAmount <= 0n) {
+    throw new RelayError(400, 'INVALID_AMOUNT', 'maxAmount must be greater than zero');
+  }
+  const known = Object.values(SERVICE_TYPES);
+  if (allowance.serviceTypes.length === 0 || allowance.serviceTypes.some(t => !known.includes(t))) {
+    throw new RelayError(400, 'INVALID_SERVICE_TYPES', 'serviceTypes must list known service types', { serviceTypes: known });
+  }
+  if (!allowance.signature || !ethers.isHexString(allowance.signature)) {
+    throw new RelayError(400, 'INVALID_SIGNATURE', 'signature is required');
+  }
+
+  const { signature, ...message } = allowance;
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(await getDomain(web3), SPENDING_ALLOWANCE_TYPES, message, signature);
+  } catch {
+    throw new RelayError(401, 'INVALID_SIGNATURE', 'Signature could not be recovered');
+  }
+  if (signer.toLowerCase() !== allowance.payer.toLowerCase()) {
+    throw new RelayError(401, 'INVALID_SIGNATURE', 'Signature does not match payer', { signer });
+  }
+
+  const [block, status] = await Promise.all([
+    web3.provider.getBlock('latest'),
+    web3.contract.getAllowanceStatus(allowance.payer, allowance.allowanceId)
+  ]);
+  if (BigInt(block.timestamp) + BigInt(ALLOWANCE_EXPIRY_MARGIN_SEC) > allowance.expiry) {
+    throw new RelayError(410, 'ALLOWANCE_EXPIRED', 'Allowance expires too soon to draw from', {
+      expiry: allowance.expiry.toString(),
+      chainTime: block.timestamp
+    });
+  }
+  if (allowance.expiry > BigInt(block.timestamp) + BigInt(ALLOWANCE_MAX_TTL_SEC)) {
+    throw new RelayError(400, 'INVALID_EXPIRY', `Allowances may last at most ${ALLOWANCE_MAX_TTL_SEC} seconds`);
+  }
+  if (status.revoked) {
+    throw new RelayError(410, 'ALLOWANCE_REVOKED', 'Allowance was revoked on-chain');
+  }
+}
+
+/**
+ * Allowance rows with what is left of them. On-chain draws count even when this
+ * server did not send them; revoked and expired allowances have nothing left.
+ */
+async function allowanceBalances(web3, rows) {
+  const now = Date.now() + ALLOWANCE_EXPIRY_MARGIN_SEC * 1000;
+  return Promise.all(rows.map(async (row) => {
+    const chain = await web3.contract.getAllowanceStatus(row.payer, row.allowance_id);
+    const spent = BigInt(row.spent) > chain.spent ? BigInt(row.spent) : chain.spent;
+    const expired = new Date(row.expiry).getTime() <= now;
+    const revoked = row.status === 'revoked' || chain.revoked;
+    const max = BigInt(row.max_amount);
+    const remaining = revoked || expired || spent >= max ? 0n : max - spent;
+    return { row, spent, remaining, status: revoked ? 'revoked' : (expired ? 'expired' : row.status) };
+  }));
+}
+
+function serializeAllowance({ row, spent, remaining, status }) {
+  return {
+    allowanceId: row.allowance_id,
+    payer: row.payer,
+    spender: row.spender,
+    maxAmount: String(row.max_amount),
+    spent: spent.toString(),
+    remaining: remaining.toString(),
+    remainingUSDC: ethers.formatUnits(remaining, 6),
+    expiresAt: Math.floor(new Date(row.expiry).getTime() / 1000),
+    serviceTypes: row.service_types,
+    status,
+    createdAt: row.created_at
+  };
+}
+
+// Move `spent` by `delta`, guarded on the value read so concurrent draws cannot overspend
+async function adjustSpent(db, row, delta) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const next = BigInt(row.spent) + delta;
+    if (next > BigInt(row.max_amount)) {
+      throw new RelayError(402, 'NO_ALLOWANCE', 'Allowance was drawn down concurrently and no longer covers this payment');
+    }
+    const updated = await db.spendingAllowances.update(row.id, { spent: next.toString() }, { spent: row.spent });
+    if (updated) return updated;
+    row = await db.spendingAllowances.findById(row.id);
+  }
+  throw new RelayError(409, 'CONCURRENT_DRAW', 'Allowance is being drawn concurrently, retry');
+}
+
+/**
+ * Pay a quote from one of the payer's allowances without a new signature.
+ * `allowanceId` picks the allowance; otherwise the oldest one that allows the
+ * quoted service and still covers the amount is used.
+ * Resolves like submitEscrowCall, plus the allowance drawn from (serialized) and the quote.
+ * Throws RelayError when no allowance can pay the quote.
+ */
+async function drawFromAllowance(db, web3, { payer, sessionId, allowanceId }) {
+  const quote = await getQuoteBySession(db, sessionId);
+  if (!quote) {
+    throw new RelayError(400, 'QUOTE_REQUIRED', 'sessionId does not belong to a payment quote, request one from POST /api/quotes');
+  }
+  if (new Date(quote.expires_at).getTime() <= Date.now()) {
+    throw new RelayError(410, 'QUOTE_EXPIRED', 'Payment quote has expired, request a new one');
+  }
+  if (quote.payer && quote.payer !== payer.toLowerCase()) {
+    throw new RelayError(403, 'QUOTE_MISMATCH', 'Quote was issued to a different payer');
+  }
+  if (quote.used_at || await findLiveJobBySession(db, quote.session_id)) {
+    throw new RelayError(409, 'QUOTE_USED', 'Payment quote has already been used');
+  }
+  const amount = BigInt(quote.amount);
+
+  const rows = allowanceId
+    ? [await db.spendingAllowances.findByAllowanceId(web3.chainId, payer, allowanceId)].filter(Boolean)
+    : await db.spendingAllowances.listByPayer(web3.chainId, payer);
+  const usable = (await allowanceBalances(web3, rows))
+    .filter(a => a.status === 'active' && a.row.service_types.includes(quote.service_type))
+    .find(a => a.remaining >= amount);
+  if (!usable) {
+    throw new RelayError(402, 'NO_ALLOWANCE', 'No active allowance covers this payment', {
+      amount: amount.toString(),
+      serviceType: quote.service_type
+    });
+  }
+  const balance = await web3.contract.getBalance(payer);
+  if (balance < amount) {
+    throw new RelayError(400, 'INSUFFICIENT_BALANCE', 'Insufficient escrow balance', {
+      balance: ethers.formatUnits(balance, 6),
+      required: ethers.formatUnits(amount, 6)
+    });
+  }
+
+  // Reserve the amount and the quote before sending, and give both back if it is not sent
+  const reserved = await adjustSpent(db, usable.row, amount);
+  await claimQuote(db, quote);
+
+  const allowance = allowanceFromRow(reserved);
+  const draw = { sessionId: quote.session_id, amount, serviceType: quote.service_type };
+  try {
+    const signature = await web3.relayerWallet.signTypedData(await getDomain(web3), ALLOWANCE_DRAW_TYPES, {
+      payer: allowance.payer,
+      allowanceId: allowance.allowanceId,
+      ...draw
+    });
+    const request = await web3.contract.drawAllowance.populateTransaction(allowance, { ...draw, signature });
+    const result = await submitEscrowCall(db, web3, request, { key: payer });
+    const [balance] = await allowanceBalances(web3, [reserved]);
+    return { ...result, allowance: serializeAllowance(balance), quote };
+  } catch (error) {
+    await adjustSpent(db, reserved, -amount);
+    await releaseQuote(db, quote);
+    throw error;
+  }
+}
+
+/**
+ * EIP-712 domain, types and spender for signing a SpendingAllowance, with a fresh
+ * allowanceId and the service types an allowance may list
+ */
+async function getAllowanceParams(req, res) {
+  try {
+    const domain = await getDomain(req.web3);
+    res.json({
+      spender: req.web3.relayerWallet.address,
+      allowanceId: ethers.hexlify(crypto.randomBytes(32)),
+      serviceTypes: Object.values(SERVICE_TYPES),
+      domain: { ...domain, chainId: domain.chainId.toString() },
+      types: SPENDING_ALLOWANCE_TYPES
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register a signed spending allowance.
+ * Body: { allowance: { payer, spender, allowanceId, maxAmount, expiry, serviceTypes, signature } }
+ */
+async function createAllowance(req, res) {
+  try {
+    const { db } = req.app.locals;
+    const { web3 } = req;
+    const { allowance: body } = req.body || {};
+    if (!body?.payer || !body.allowanceId || body.maxAmount == null || body.expiry == null || !body.signature) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    const allowance = normalizeAllowance(body);
+    await preverifyAllowance(web3, allowance);
+
+    let row;
+    try {
+      row = await db.spendingAllowances.create({
+        id: crypto.randomUUID(),
+        chain_id: web3.chainId,
+        allowance_id: allowance.allowanceId.toLowerCase(),
+        payer: allowance.payer.toLowerCase(),
+        spender: allowance.spender.toLowerCase(),
+        max_amount: allowance.maxAmount.toString(),
+        expiry: new Date(Number(allowance.expiry) * 1000).toISOString(),
+        service_types: allowance.serviceTypes,
+        signature: allowance.signature
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new RelayError(409, 'ALLOWANCE_EXISTS', 'An allowance with this allowanceId is already registered');
+      }
+      throw error;
+    }
+    ts("Allowance registered:", row.allowance_id, "for", row.payer, "up to", ethers.formatUnits(allowance.maxAmount, 6), "USDC");
+    const [balance] = await allowanceBalances(web3, [row]);
+    res.status(201).json(serializeAllowance(balance));
+  } catch (error) {
+    if (error instanceof RelayError) return res.status(error.status).json(error.toJSON());
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * A wallet's allowances and the total it can still be charged without signing
+ */
+async function getAllowances(req, res) {
+  try {
+    const { db } = req.app.locals;
+    const { web3 } = req;
+    const { address } = req.params;
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+    const balances = await allowanceBalances(web3, await db.spendingAllowances.listByPayer(web3.chainId, address));
+    const remaining = balances.reduce((a, b) => a + b.remaining, 0n);
+    res.json({
+      address,
+      remaining: remaining.toString(),
+      remainingUSDC: ethers.formatUnits(remaining, 6),
+      allowances: balances.map(serializeAllowance)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export {
+  SPENDING_ALLOWANCE_TYPES,
+  ALLOWANCE_DRAW_TYPES,
+  normalizeAllowance,
+  preverifyAllowance,
+  allowanceBalances,
+  serializeAllowance,
+  drawFromAllowance,
+  getAllowanceParams,
+  createAllowance,
+  getAllowances
+};
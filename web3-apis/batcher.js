@@ -0,0 +1,66 @@
+import { preverifyPaymentIntent } from './intent.js';
+import { RelayError } from './errors.js';
+import { intentFromJson } from './jobs.js';
+
+/**
+ * Pre-verify queued jobs for one executePaymentIntentBatch call.
+ * Same-payer jobs are ordered by nonce and checked against the nonces and
+ * balance the earlier ones in the batch will consume.
+ * Returns { accepted: [{ job, intent }], rejected: [{ job, error }] }.
+ */
+async function prepareBatch(web3, jobs) {
+  const byPayer = new Map();
+  for (const job of jobs) {
+    const intent = intentFromJson(job.intent);
+    if (!byPayer.has(job.payer)) byPayer.set(job.payer, []);
+    byPayer.get(job.payer).push({ job, intent });
+  }
+
+  const accepted = [];
+  const rejected = [];
+  for (const group of byPayer.values()) {
+    group.sort((a, b) => (a.intent.nonce < b.intent.nonce ? -1 : a.intent.nonce > b.intent.nonce ? 1 : 0));
+    const pending = { count: 0, amount: 0n };
+    for (const item of group) {
+      try {
+        await preverifyPaymentIntent(web3, item.intent, pending);
+        accepted.push(item);
+        pending.count += 1;
+        pending.amount += item.intent.amount;
+      } catch (error) {
+        if (!(error instanceof RelayError)) throw error;
+        rejected.push({ job: item.job, error });
+      }
+    }
+  }
+  return { accepted, rejected };
+}
+
+/**
+ * Per-intent outcome of a settlement receipt, keyed by lowercased sessionId:
+ * { ok: true } for PaymentExecuted, { ok: false, reason } for PaymentFailed.
+ */
+function settlementResults(web3, receipt) {
+  const { contract, CONTRACT_ADDRESS } = web3;
+  const results = new Map();
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== CONTRACT_ADDRESS.toLowerCase()) continue;
+    let parsed;
+    try {
+      parsed = contract.interface.parseLog({ topics: log.topics, data: log.data });
+    } catch {
+      continue;
+    }
+    if (parsed?.name === 'PaymentExecuted') {
+      results.set(parsed.args.sessionId.toLowerCase(), { ok: true, logIndex: log.index });
+    } else if (parsed?.name === 'PaymentFailed') {
+      results.set(parsed.args.sessionId.toLowerCase(), { ok: false, reason: parsed.args.reason, logIndex: log.index });
+    }
+  }
+  return results;
+}
+
+export {
+  prepareBatch,
+  settlementResults
+};
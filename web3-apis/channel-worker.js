@@ -0,0 +1,84 @@
+import { ethers } from 'ethers';
+import { CHANNEL_EXPIRY_MARGIN_SEC, finalizeChannel, settleChannel } from './channels.js';
+import { RELAY_CONFIRM_TIMEOUT_MS } from './submit.js';
+import { ts } from '../log.js';
+import { startPoller } from '../poller.js';
+
+const CHANNEL_POLL_MS = Number(process.env.CHANNEL_POLL_MS || 15000);
+// Open channels without a new voucher for this long are settled (e.g. the viewer left)
+const CHANNEL_IDLE_TIMEOUT_SEC = Number(process.env.CHANNEL_IDLE_TIMEOUT_SEC || 300);
+// A transaction sent this long ago that is still not mined is treated as dropped
+const CHANNEL_STALE_TX_MS = 2 * RELAY_CONFIRM_TIMEOUT_MS;
+
+const age = (row, now) => now - new Date(row.updated_at).getTime();
+
+// An open channel is due once it went idle or is about to expire
+function isDue(row, now) {
+  const lastActivity = new Date(row.voucher_at || row.created_at).getTime();
+  return now - lastActivity >= CHANNEL_IDLE_TIMEOUT_SEC * 1000
+    || new Date(row.expiry).getTime() - CHANNEL_EXPIRY_MARGIN_SEC * 1000 <= now;
+}
+
+// Receipt of a channel's transaction, or null while it may still be mined
+async function staleReceipt(web3, row, txHash, now) {
+  if (age(row, now) < RELAY_CONFIRM_TIMEOUT_MS) return null;
+  const receipt = txHash ? await web3.provider.getTransactionReceipt(txHash) : null;
+  if (!receipt && age(row, now) < CHANNEL_STALE_TX_MS) return null;
+  return receipt || { status: 0 };
+}
+
+// Opening left pending by openPaymentChannel: open once the channel exists on-chain
+async function resumeOpening(db, web3, row, now) {
+  const onChain = await web3.contract.getChannel(row.channel_id);
+  if (onChain.payer !== ethers.ZeroAddress) {
+    await db.paymentChannels.update(row.id, { status: 'open' }, { status: 'opening' });
+    return;
+  }
+  const receipt = await staleReceipt(web3, row, row.open_tx_hash, now);
+  if (receipt) {
+    await db.paymentChannels.update(row.id, { status: 'failed', error: 'Opening was not mined' }, { status: 'opening' });
+  }
+}
+
+// Close left pending (or interrupted by a restart): finish it once mined, else send it again
+async function resumeSettling(db, web3, row, now) {
+  const onChain = await web3.contract.getChannel(row.channel_id);
+  if (onChain.closed) {
+    await finalizeChannel(db, web3, row, row.close_tx_hash);
+    return;
+  }
+  const receipt = await staleReceipt(web3, row, row.close_tx_hash, now);
+  if (receipt) {
+    await db.paymentChannels.update(row.id, { status: 'closing', error: 'Close was not mined' }, { status: 'settling' });
+  }
+}
+
+/**
+ * One pass over the network's live channels: settle the ones asked to close, idle or
+ * near their expiry, and pick up openings and closes left pending. `now` (ms) is the
+ * time the idle and expiry checks are made against.
+ */
+async function settleDueChannels(db, web3, { now = Date.now() } = {}) {
+  const rows = await db.paymentChannels.listByStatus(web3.chainId, ['opening', 'open', 'closing', 'settling'], { limit: 200 });
+  for (const row of rows) {
+    try {
+      if (row.status === 'opening') await resumeOpening(db, web3, row, now);
+      else if (row.status === 'settling') await resumeSettling(db, web3, row, now);
+      else if (row.status === 'closing' || isDue(row, now)) await settleChannel(db, web3, row);
+    } catch (error) {
+      ts("Channel", row.channel_id, "error:", error.message);
+    }
+  }
+}
+
+/**
+ * Background worker that settles payment channels through the relayer (see channels.js)
+ */
+function startChannelWorker({ db, web3 }) {
+  return startPoller(() => settleDueChannels(db, web3), CHANNEL_POLL_MS, { name: 'Channel worker' });
+}
+
+export {
+  settleDueChannels,
+  startChannelWorker
+};
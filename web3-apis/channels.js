@@ -0,0 +1,477 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { RelayError } from './errors.js';
+import { getDomain } from './intent.js';
+import { SERVICE_TYPES } from './services.js';
+import { submitEscrowCall } from './submit.js';
+import { verifyPaymentClaim, releasePaymentClaim } from './claims.js';
+import { UNIQUE_VIOLATION } from '../db/errors.js';
+import { ts } from '../log.js';
+
+// Payment channels are stored in `payment_channels`. The payer signs one ChannelOpen,
+// which locks a deposit in the escrow, then a Voucher for the cumulative amount owed
+// every few seconds. Only the latest voucher is kept, and only it is settled on-chain:
+// closeChannel, countersigned by the spender (the primary relayer wallet), pays it to
+// the service wallet and returns the rest of the deposit to the payer's escrow.
+//
+// Statuses: opening -> open -> closing -> settling -> closed, or failed. The channel
+// worker (channel-worker.js) closes channels that went idle or near their expiry.
+
+// Vouchers are refused, and the worker closes the channel, this close to its expiry
+const CHANNEL_EXPIRY_MARGIN_SEC = Number(process.env.CHANNEL_EXPIRY_MARGIN_SEC || 600);
+// Longest lifetime a channel may be opened for
+const CHANNEL_MAX_TTL_SEC = Number(process.env.CHANNEL_MAX_TTL_SEC || 7 * 24 * 60 * 60);
+// Closing attempts before a channel is left `failed` for an operator
+const CHANNEL_MAX_ATTEMPTS = Number(process.env.CHANNEL_MAX_ATTEMPTS || 5);
+
+// Must match the ChannelOpen typehash used by StreamPayEscrow.openChannel
+const CHANNEL_OPEN_TYPES = {
+  ChannelOpen: [
+    { name: 'payer', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'channelId', type: 'bytes32' },
+    { name: 'deposit', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'serviceType', type: 'string' }
+  ]
+};
+
+// Must match the Voucher typehash used by StreamPayEscrow.closeChannel
+const VOUCHER_TYPES = {
+  Voucher: [
+    { name: 'channelId', type: 'bytes32' },
+    { name: 'amount', type: 'uint256' }
+  ]
+};
+
+function toBigInt(value, field, code = 'INVALID_CHANNEL') {
+  try {
+    return BigInt(value);
+  } catch {
+    throw new RelayError(400, code, `${field} must be an integer`);
+  }
+}
+
+/**
+ * Normalize a client-supplied ChannelOpen (numeric fields as BigInt)
+ */
+function normalizeChannelOpen(open) {
+  return {
+    payer: open.payer,
+    spender: open.spender,
+    channelId: open.channelId,
+    deposit: toBigInt(open.deposit, 'deposit'),
+    expiry: toBigInt(open.expiry, 'expiry'),
+    serviceType: String(open.serviceType || ''),
+    signature: open.signature
+  };
+}
+
+/**
+ * Check a normalized ChannelOpen off-chain: well-formed, countersignable by this
+ * server's spender, signed by the payer, within the allowed lifetime, unused and
+ * covered by the escrow balance. Throws RelayError.
+ */
+async function preverifyChannelOpen(web3, open) {
+  if (!ethers.isAddress(open.payer)) {
+    throw new RelayError(400, 'INVALID_PAYER', 'payer is not a valid address');
+  }
+  if (!ethers.isHexString(open.channelId, 32)) {
+    throw new RelayError(400, 'INVALID_CHANNEL', 'channelId must be a 32-byte hex string');
+  }
+  if (!ethers.isAddress(open.spender) || open.spender.toLowerCase() !== web3.relayerWallet.address.toLowerCase()) {
+    throw new RelayError(400, 'INVALID_SPENDER', 'spender must be the address served by GET /api/channel-params', {
+      spender: web3.relayerWallet.address
+    });
+  }
+  if (open.deposit <= 0n) {
+    throw new RelayError(400, 'INVALID_AMOUNT', 'deposit must be greater than zero');
+  }
+  const known = Object.values(SERVICE_TYPES);
+  if (!known.includes(open.serviceType)) {
+    throw new RelayError(400, 'INVALID_SERVICE_TYPE', 'serviceType must be a known service type', { serviceTypes: known });
+  }
+  if (!open.signature || !ethers.isHexString(open.signature)) {
+    throw new RelayError(400, 'INVALID_SIGNATURE', 'signature is required');
+  }
+
+  const { signature, ...message } = open;
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(await getDomain(web3), CHANNEL_OPEN_TYPES, message, signature);
+  } catch {
+    throw new RelayError(401, 'INVALID_SIGNATURE', 'Signature could not be recovered');
+  }
+  if (signer.toLowerCase() !== open.payer.toLowerCase()) {
+    throw new RelayError(401, 'INVALID_SIGNATURE', 'Signature does not match payer', { signer });
+  }
+
+  const [block, channel, settled, balance] = await Promise.all([
+    web3.provider.getBlock('latest'),
+    web3.contract.getChannel(open.channelId),
+    web3.contract.isSessionSettled(open.channelId),
+    web3.contract.getBalance(open.payer)
+  ]);
+  if (BigInt(block.timestamp) + BigInt(CHANNEL_EXPIRY_MARGIN_SEC) >= open.expiry) {
+    throw new RelayError(410, 'CHANNEL_EXPIRED', 'Channel expires too soon to stream on', {
+      expiry: open.expiry.toString(),
+      chainTime: block.timestamp
+    });
+  }
+  if (open.expiry > BigInt(block.timestamp) + BigInt(CHANNEL_MAX_TTL_SEC)) {
+    throw new RelayError(400, 'INVALID_EXPIRY', `Channels may last at most ${CHANNEL_MAX_TTL_SEC} seconds`);
+  }
+  if (channel.payer !== ethers.ZeroAddress || settled) {
+    throw new RelayError(409, 'CHANNEL_EXISTS', 'channelId was already used on-chain');
+  }
+  if (balance < open.deposit) {
+    throw new RelayError(400, 'INSUFFICIENT_BALANCE', 'Insufficient escrow balance', {
+      balance: ethers.formatUnits(balance, 6),
+      required: ethers.formatUnits(open.deposit, 6)
+    });
+  }
+}
+
+function serializeChannel(row) {
+  const usdc = (amount) => (amount != null ? ethers.formatUnits(BigInt(amount), 6) : null);
+  return {
+    channelId: row.channel_id,
+    payer: row.payer,
+    spender: row.spender,
+    deposit: String(row.deposit),
+    depositUSDC: usdc(row.deposit),
+    serviceType: row.service_type,
+    expiresAt: Math.floor(new Date(row.expiry).getTime() / 1000),
+    status: row.status,
+    voucherAmount: String(row.voucher_amount),
+    voucherUSDC: usdc(row.voucher_amount),
+    voucherAt: row.voucher_at,
+    paid: row.paid != null ? String(row.paid) : null,
+    paidUSDC: usdc(row.paid),
+    streamSessionId: row.stream_session_id,
+    openTxHash: row.open_tx_hash,
+    closeTxHash: row.close_tx_hash,
+    error: row.error,
+    createdAt: row.created_at,
+    closedAt: row.closed_at
+  };
+}
+
+/**
+ * Store a newer voucher for an open channel. The amount must be more than the stored
+ * one (resending the stored voucher is a no-op), at most the deposit, and signed by the
+ * payer. Resolves to the updated row; throws RelayError.
+ */
+async function acceptVoucher(db, web3, row, { amount, signature }) {
+  if (row.status !== 'open') {
+    throw new RelayError(409, 'CHANNEL_NOT_OPEN', `Channel is ${row.status}`);
+  }
+  if (new Date(row.expiry).getTime() - CHANNEL_EXPIRY_MARGIN_SEC * 1000 <= Date.now()) {
+    throw new RelayError(410, 'CHANNEL_EXPIRED', 'Channel is about to expire and is being closed');
+  }
+  const value = toBigInt(amount, 'amount', 'INVALID_AMOUNT');
+  const current = BigInt(row.voucher_amount);
+  if (value === current && signature === row.voucher_signature) return row;
+  if (value <= current) {
+    throw new RelayError(409, 'VOUCHER_NOT_INCREASING', 'Voucher must be for more than the latest one', {
+      voucherAmount: current.toString()
+    });
+  }
+  if (value > BigInt(row.deposit)) {
+    throw new RelayError(400, 'EXCEEDS_DEPOSIT', 'Voucher is for more than the channel deposit', {
+      deposit: String(row.deposit)
+    });
+  }
+  if (!signature || !ethers.isHexString(signature)) {
+    throw new RelayError(400, 'INVALID_SIGNATURE', 'signature is required');
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(await getDomain(web3), VOUCHER_TYPES, { channelId: row.channel_id, amount: value }, signature);
+  } catch {
+    throw new RelayError(401, 'INVALID_SIGNATURE', 'Signature could not be recovered');
+  }
+  if (signer.toLowerCase() !== row.payer) {
+    throw new RelayError(401, 'INVALID_SIGNATURE', 'Signature does not match payer', { signer });
+  }
+
+  // Guarded on the amount read, so a concurrent smaller voucher cannot overwrite a larger one
+  const updated = await db.paymentChannels.update(row.id, {
+    voucher_amount: value.toString(),
+    voucher_signature: signature,
+    voucher_at: new Date().toISOString()
+  }, { status: 'open', voucher_amount: row.voucher_amount });
+  if (!updated) {
+    throw new RelayError(409, 'CONCURRENT_VOUCHER', 'Channel was updated concurrently, retry');
+  }
+  return updated;
+}
+
+/**
+ * Ask for an open channel to be settled by the channel worker.
+ * Resolves to the row as it now is (unchanged if it was no longer open).
+ */
+async function requestClose(db, row) {
+  if (row.status !== 'open') return row;
+  return (await db.paymentChannels.update(row.id, { status: 'closing' }, { status: 'open' }))
+    || db.paymentChannels.findById(row.id);
+}
+
+// closeChannel with the latest voucher, countersigned by the spender; past the close
+// window the voucher can no longer be settled and the deposit is returned with expireChannel
+async function closeRequest(web3, row) {
+  const [block, window] = await Promise.all([
+    web3.provider.getBlock('latest'),
+    web3.contract.CHANNEL_CLOSE_WINDOW()
+  ]);
+  const expiry = BigInt(Math.floor(new Date(row.expiry).getTime() / 1000));
+  if (BigInt(block.timestamp) > expiry + window) {
+    ts("   Channel", row.channel_id, "timed out, returning its deposit");
+    return web3.contract.expireChannel.populateTransaction(row.channel_id);
+  }
+  if (row.spender !== web3.relayerWallet.address.toLowerCase()) {
+    throw new RelayError(409, 'SPENDER_UNAVAILABLE', 'Channel was opened for a spender this server no longer holds', {
+      spender: row.spender
+    });
+  }
+  const amount = BigInt(row.voucher_amount);
+  const spenderSignature = await web3.relayerWallet.signTypedData(await getDomain(web3), VOUCHER_TYPES, {
+    channelId: row.channel_id,
+    amount
+  });
+  return web3.contract.closeChannel.populateTransaction(
+    row.channel_id,
+    amount,
+    row.voucher_signature || '0x',
+    spenderSignature
+  );
+}
+
+/**
+ * Settle the stream session a closed channel paid for, with the amount that was settled.
+ * The payment log is claimed like any reported payment, so it backs no other record.
+ */
+async function recordStreamPayment(db, web3, channel, txHash) {
+  if (!channel.stream_session_id) return;
+  const session = await db.videoStreamSessions.findBySessionId(channel.payer, channel.stream_session_id);
+  if (!session || session.status === 'settled') return;
+
+  const paid = BigInt(channel.paid || 0);
+  let claim = null;
+  if (paid > 0n && txHash) {
+    try {
+      claim = await verifyPaymentClaim(db, web3, {
+        txHash,
+        payer: channel.payer,
+        serviceType: channel.service_type,
+        amountUsdc: ethers.formatUnits(paid, 6),
+        claimedFor: 'video_stream_sessions'
+      });
+    } catch (error) {
+      ts("   Channel", channel.channel_id, "payment not claimed:", error.message);
+    }
+  }
+  const settled = await db.videoStreamSessions.update(session.id, {
+    status: 'settled',
+    amount_usdc: Number(ethers.formatUnits(paid, 6)),
+    tx_hash: claim ? claim.txHash : null,
+    stopped_at: session.stopped_at || new Date().toISOString()
+  }, { status: session.status });
+  if (!settled) await releasePaymentClaim(db, claim);
+}
+
+/**
+ * Mark a channel closed from its on-chain state and record what it paid for.
+ * Resolves to the updated row.
+ */
+async function finalizeChannel(db, web3, row, txHash) {
+  const onChain = await web3.contract.getChannel(row.channel_id);
+  const closed = await db.paymentChannels.update(row.id, {
+    status: 'closed',
+    paid: onChain.paid.toString(),
+    close_tx_hash: txHash ? txHash.toLowerCase() : row.close_tx_hash,
+    closed_at: new Date().toISOString(),
+    error: null
+  }, { status: 'settling' });
+  if (!closed) return db.paymentChannels.findById(row.id);
+  ts("Channel", closed.channel_id, "closed, paid", ethers.formatUnits(onChain.paid, 6), "USDC");
+  await recordStreamPayment(db, web3, closed, closed.close_tx_hash);
+  return closed;
+}
+
+/**
+ * Close an open or closing channel on-chain through the relayer. The channel is claimed
+ * as `settling` first, so only one close is ever in flight. A close that cannot be sent
+ * goes back to `closing` for the worker to retry, up to CHANNEL_MAX_ATTEMPTS.
+ * Resolves to the row as it now is: closed, still settling (tx pending), or not claimed.
+ */
+async function settleChannel(db, web3, row) {
+  const settling = await db.paymentChannels.update(row.id, {
+    status: 'settling',
+    attempts: (row.attempts || 0) + 1,
+    error: null
+  }, { status: row.status });
+  if (!settling) return db.paymentChannels.findById(row.id);
+
+  ts("Closing channel", row.channel_id, "with", ethers.formatUnits(BigInt(row.voucher_amount), 6), "USDC");
+  let result;
+  try {
+    const request = await closeRequest(web3, settling);
+    result = await submitEscrowCall(db, web3, request, { key: settling.payer });
+  } catch (error) {
+    ts("   CLOSE FAILED:", error.message);
+    return db.paymentChannels.update(row.id, {
+      status: settling.attempts >= CHANNEL_MAX_ATTEMPTS ? 'failed' : 'closing',
+      error: error.message
+    }, { status: 'settling' });
+  }
+  if (result.pending) {
+    ts("   Still pending:", result.hash);
+    return db.paymentChannels.update(row.id, { close_tx_hash: result.hash.toLowerCase() }, { status: 'settling' });
+  }
+  return finalizeChannel(db, web3, settling, result.receipt.hash);
+}
+
+/**
+ * EIP-712 domain, types and spender for signing a ChannelOpen and its vouchers,
+ * with a fresh channelId
+ */
+async function getChannelParams(req, res) {
+  try {
+    const domain = await getDomain(req.web3);
+    res.json({
+      spender: req.web3.relayerWallet.address,
+      channelId: ethers.hexlify(crypto.randomBytes(32)),
+      serviceTypes: Object.values(SERVICE_TYPES),
+      closeWindow: Number(await req.web3.contract.CHANNEL_CLOSE_WINDOW()),
+      domain: { ...domain, chainId: domain.chainId.toString() },
+      types: CHANNEL_OPEN_TYPES,
+      voucherTypes: VOUCHER_TYPES
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Open a payment channel: relay openChannel for a signed ChannelOpen.
+ * Body: { channel: { payer, spender, channelId, deposit, expiry, serviceType, signature } }
+ * Replies 201 once mined, or 202 if it is still pending (the channel worker completes it).
+ */
+async function openPaymentChannel(req, res) {
+  const { db } = req.app.locals;
+  const { web3 } = req;
+
+  try {
+    const { channel: body } = req.body || {};
+    if (!body?.payer || !body.channelId || body.deposit == null || body.expiry == null || !body.signature) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    const open = normalizeChannelOpen(body);
+    await preverifyChannelOpen(web3, open);
+
+    let row;
+    try {
+      row = await db.paymentChannels.create({
+        id: crypto.randomUUID(),
+        chain_id: web3.chainId,
+        channel_id: open.channelId.toLowerCase(),
+        payer: open.payer.toLowerCase(),
+        spender: open.spender.toLowerCase(),
+        deposit: open.deposit.toString(),
+        expiry: new Date(Number(open.expiry) * 1000).toISOString(),
+        service_type: open.serviceType,
+        open_signature: open.signature,
+        status: 'opening'
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new RelayError(409, 'CHANNEL_EXISTS', 'A channel with this channelId is already registered');
+      }
+      throw error;
+    }
+    ts("Opening channel", row.channel_id, "for", row.payer, "with", ethers.formatUnits(open.deposit, 6), "USDC");
+
+    let result;
+    try {
+      const request = await web3.contract.openChannel.populateTransaction(open);
+      result = await submitEscrowCall(db, web3, request, { key: open.payer });
+    } catch (error) {
+      await db.paymentChannels.update(row.id, { status: 'failed', error: error.message }, { status: 'opening' });
+      throw error;
+    }
+    if (result.pending) {
+      const pending = await db.paymentChannels.update(row.id, { open_tx_hash: result.hash.toLowerCase() });
+      return res.status(202).json({ success: true, status: 'submitted', txHash: result.hash, channel: serializeChannel(pending) });
+    }
+
+    const opened = await db.paymentChannels.update(row.id, {
+      status: 'open',
+      open_tx_hash: result.receipt.hash.toLowerCase()
+    }, { status: 'opening' });
+    ts("   Tx Hash:", result.receipt.hash, "(gas payer " + result.from + ")");
+    res.status(201).json(serializeChannel(opened));
+  } catch (error) {
+    if (error instanceof RelayError) return res.status(error.status).json(error.toJSON());
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function findChannel(req) {
+  const { channelId } = req.params;
+  if (!ethers.isHexString(channelId, 32)) {
+    throw new RelayError(400, 'INVALID_CHANNEL', 'channelId must be a 32-byte hex string');
+  }
+  const row = await req.app.locals.db.paymentChannels.findByChannelId(req.web3.chainId, channelId);
+  if (!row) throw new RelayError(404, 'CHANNEL_NOT_FOUND', 'Channel not found');
+  return row;
+}
+
+/**
+ * A channel with its latest voucher
+ */
+async function getPaymentChannel(req, res) {
+  try {
+    res.json(serializeChannel(await findChannel(req)));
+  } catch (error) {
+    if (error instanceof RelayError) return res.status(error.status).json(error.toJSON());
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Store the payer's latest cumulative voucher for a channel.
+ * Body: { amount, signature } (amount in USDC base units, covering everything owed so far)
+ */
+async function submitVoucher(req, res) {
+  try {
+    const { amount, signature } = req.body || {};
+    if (amount == null || !signature) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    const row = await acceptVoucher(req.app.locals.db, req.web3, await findChannel(req), { amount, signature });
+    res.json(serializeChannel(row));
+  } catch (error) {
+    if (error instanceof RelayError) return res.status(error.status).json(error.toJSON());
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export {
+  CHANNEL_OPEN_TYPES,
+  VOUCHER_TYPES,
+  CHANNEL_EXPIRY_MARGIN_SEC,
+  normalizeChannelOpen,
+  preverifyChannelOpen,
+  serializeChannel,
+  acceptVoucher,
+  requestClose,
+  settleChannel,
+  finalizeChannel,
+  recordStreamPayment,
+  getChannelParams,
+  openPaymentChannel,
+  getPaymentChannel,
+  submitVoucher
+};
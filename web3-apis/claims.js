@@ -0,0 +1,132 @@
+import { ethers } from 'ethers';
+import { RelayError } from './errors.js';
+import { UNIQUE_VIOLATION } from '../db/errors.js';
+import { getQuoteBySession } from './quotes.js';
+
+/**
+ * Verify a client-reported payment against the chain and mark it consumed.
+ *
+ * Fetches the receipt of `txHash`, decodes the escrow's PaymentExecuted logs and
+ * picks one whose payer, serviceType (and amount, when claimed) match. The log is
+ * then recorded in `payment_claims`, whose unique (tx_hash, log_index) key makes
+ * sure the same settlement can back only one purchase/session/record.
+ *
+ * Throws RelayError when the transaction is pending, does not match, or was already used.
+ */
+async function verifyPaymentClaim(db, web3, { txHash, payer, serviceType, amountUsdc, claimedFor }) {
+  const { provider, contract, CONTRACT_ADDRESS } = web3;
+  const hash = String(txHash || '').toLowerCase();
+  if (!ethers.isHexString(hash, 32)) {
+    throw new RelayError(400, 'INVALID_TX_HASH', 'tx_hash must be a 32-byte hex string');
+  }
+
+  const receipt = await provider.getTransactionReceipt(hash);
+  if (!receipt) {
+    throw new RelayError(409, 'TX_PENDING', 'Transaction not confirmed yet, retry once it is mined');
+  }
+  if (receipt.status !== 1) {
+    throw new RelayError(400, 'TX_FAILED', 'Transaction reverted');
+  }
+
+  const payments = [];
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== CONTRACT_ADDRESS.toLowerCase()) continue;
+    let parsed;
+    try {
+      parsed = contract.interface.parseLog({ topics: log.topics, data: log.data });
+    } catch {
+      continue;
+    }
+    if (parsed?.name === 'PaymentExecuted') payments.push({ log, args: parsed.args });
+  }
+
+  const mine = payments.filter(p => p.args.payer.toLowerCase() === String(payer).toLowerCase());
+  if (mine.length === 0) {
+    throw new RelayError(400, 'NO_PAYMENT', 'Transaction has no payment from this wallet');
+  }
+
+  const expectedTypes = [].concat(serviceType).map(t => String(t).toLowerCase());
+  const ofType = mine.filter(p => expectedTypes.includes(String(p.args.serviceType).toLowerCase()));
+  if (ofType.length === 0) {
+    throw new RelayError(400, 'SERVICE_MISMATCH', 'Payment was made for a different service', {
+      serviceType: mine[0].args.serviceType
+    });
+  }
+
+  let candidates = ofType;
+  if (amountUsdc != null) {
+    let claimed;
+    try {
+      claimed = ethers.parseUnits(String(amountUsdc), 6);
+    } catch {
+      throw new RelayError(400, 'INVALID_AMOUNT', 'amount_usdc is not a valid USDC amount');
+    }
+    candidates = ofType.filter(p => p.args.amount === claimed);
+    if (candidates.length === 0) {
+      throw new RelayError(400, 'AMOUNT_MISMATCH', 'Claimed amount does not match the settled amount', {
+        settled: ethers.formatUnits(ofType[0].args.amount, 6)
+      });
+    }
+  }
+
+  // A batch can settle several intents for one payer; claim the first unused one
+  for (const { log, args } of candidates) {
+    try {
+      await db.paymentClaims.create({
+        tx_hash: hash,
+        log_index: log.index,
+        session_id: args.sessionId.toLowerCase(),
+        payer: args.payer.toLowerCase(),
+        service_type: args.serviceType,
+        amount: args.amount.toString(),
+        claimed_for: claimedFor || null
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) continue;
+      throw error;
+    }
+    return {
+      txHash: hash,
+      logIndex: log.index,
+      sessionId: args.sessionId.toLowerCase(),
+      serviceType: args.serviceType,
+      amount: args.amount,
+      amountUsdc: Number(ethers.formatUnits(args.amount, 6))
+    };
+  }
+
+  throw new RelayError(409, 'TX_ALREADY_USED', 'This payment has already been recorded');
+}
+
+/**
+ * verifyPaymentClaim for a payment that must settle a quote of `serviceType`, issued to
+ * `payer` (or to anyone) and paid in full. Resolves to { claim, quote }: the quote's
+ * metadata says what was bought. Releases the claim and throws RelayError when the
+ * payment settled no such quote.
+ */
+async function verifyQuotedClaim(db, web3, { txHash, payer, serviceType, amountUsdc, claimedFor }) {
+  const claim = await verifyPaymentClaim(db, web3, { txHash, payer, serviceType, amountUsdc, claimedFor });
+  const quote = await getQuoteBySession(db, claim.sessionId);
+  if (!quote
+    || quote.service_type !== serviceType
+    || BigInt(quote.amount) !== claim.amount
+    || (quote.payer && quote.payer !== String(payer).toLowerCase())) {
+    await releasePaymentClaim(db, claim);
+    throw new RelayError(400, 'SESSION_MISMATCH', 'Payment did not settle a quote for this service, request one from POST /api/quotes');
+  }
+  return { claim, quote };
+}
+
+/**
+ * Undo a claim when the record it backs could not be stored
+ */
+async function releasePaymentClaim(db, claim) {
+  if (!claim) return;
+  await db.paymentClaims.remove(claim.txHash, claim.logIndex);
+}
+
+export {
+  verifyPaymentClaim,
+  verifyQuotedClaim,
+  releasePaymentClaim
+};
@@ -0,0 +1,229 @@
+import { ethers } from 'ethers';
+import { RelayError } from './errors.js';
+import { submitEscrowCall } from './submit.js';
+import { ts } from '../log.js';
+
+// Smallest deposit the relayer pays gas for
+const PERMIT_DEPOSIT_MIN_USDC = process.env.PERMIT_DEPOSIT_MIN_USDC || '1';
+
+// EIP-2612 permit, as implemented by USDC (FiatTokenV2) and OpenZeppelin's ERC20Permit
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const USDC_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function name() view returns (string)",
+  "function version() view returns (string)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
+];
+
+// Escrow address -> { token, domain } (the token and its domain never change for a deployment)
+const tokenCache = new Map();
+
+/**
+ * USDC contract used by the escrow and its EIP-712 permit domain.
+ * The domain comes from EIP-5267 eip712Domain() or, for USDC, name() and version(),
+ * and is only trusted once it hashes to the token's DOMAIN_SEPARATOR.
+ */
+async function getPermitToken(web3) {
+  const { contract, provider, CONTRACT_ADDRESS } = web3;
+  const key = CONTRACT_ADDRESS.toLowerCase();
+  if (!tokenCache.has(key)) {
+    const info = await contract.getInfo();
+    const token = new ethers.Contract(info.usdc, USDC_ABI, provider);
+    const [network, separator] = await Promise.all([provider.getNetwork(), token.DOMAIN_SEPARATOR()]);
+    let name, version;
+    try {
+      ({ name, version } = await token.eip712Domain());
+    } catch {
+      [name, version] = await Promise.all([token.name(), token.version()]);
+    }
+    const domain = { name, version, chainId: network.chainId, verifyingContract: info.usdc };
+    if (ethers.TypedDataEncoder.hashDomain(domain) !== separator) {
+      throw new Error(`Could not determine the permit domain of USDC ${info.usdc}`);
+    }
+    tokenCache.set(key, { token, domain });
+  }
+  return tokenCache.get(key);
+}
+
+function toBigInt(value, field) {
+  try {
+    return BigInt(value);
+  } catch {
+    throw new RelayError(400, 'INVALID_PERMIT', `${field} must be an integer`);
+  }
+}
+
+/**
+ * Check a permit for the escrow off-chain against the token's current nonce,
+ * chain time and the owner's USDC balance, so depositWithPermit is only sent
+ * when it will succeed. Throws RelayError on the first failed check.
+ */
+async function preverifyPermit(web3, { token, domain }, permit) {
+  if (!ethers.isAddress(permit.owner)) {
+    throw new RelayError(400, 'INVALID_OWNER', 'owner is not a valid address');
+  }
+  const minimum = ethers.parseUnits(PERMIT_DEPOSIT_MIN_USDC, 6);
+  if (permit.value < minimum) {
+    throw new RelayError(400, 'AMOUNT_TOO_SMALL', `Relayed deposits must be at least ${PERMIT_DEPOSIT_MIN_USDC} USDC`);
+  }
+  if (!permit.signature || !ethers.isHexString(permit.signature, 65)) {
+    throw new RelayError(400, 'INVALID_SIGNATURE', 'signature must be a 65-byte hex string');
+  }
+
+  const [block, nonce, balance] = await Promise.all([
+    web3.provider.getBlock('latest'),
+    token.nonces(permit.owner),
+    token.balanceOf(permit.owner)
+  ]);
+
+  if (BigInt(block.timestamp) > permit.deadline) {
+    throw new RelayError(410, 'PERMIT_EXPIRED', 'Permit expired', {
+      deadline: permit.deadline.toString(),
+      chainTime: block.timestamp
+    });
+  }
+
+  // Signed over the token's current nonce, so a used or replayed permit no longer recovers to the owner
+  const message = {
+    owner: permit.owner,
+    spender: web3.CONTRACT_ADDRESS,
+    value: permit.value,
+    nonce,
+    deadline: permit.deadline
+  };
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(domain, PERMIT_TYPES, message, permit.signature);
+  } catch {
+    throw new RelayError(401, 'INVALID_SIGNATURE', 'Signature could not be recovered');
+  }
+  if (signer.toLowerCase() !== permit.owner.toLowerCase()) {
+    throw new RelayError(401, 'INVALID_SIGNATURE', 'Permit is not signed by owner for the current token nonce', {
+      nonce: nonce.toString()
+    });
+  }
+
+  if (BigInt(balance) < permit.value) {
+    throw new RelayError(400, 'INSUFFICIENT_USDC', 'Insufficient USDC balance', {
+      balance: ethers.formatUnits(balance, 6),
+      required: ethers.formatUnits(permit.value, 6)
+    });
+  }
+}
+
+/**
+ * Permit parameters for a gasless deposit: the token domain, types and the
+ * owner's current permit nonce, ready for eth_signTypedData_v4
+ */
+async function getPermitParams(req, res) {
+  try {
+    const { address } = req.params;
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+    const { token, domain } = await getPermitToken(req.web3);
+    const nonce = await token.nonces(address);
+    res.json({
+      owner: address,
+      spender: req.web3.CONTRACT_ADDRESS,
+      nonce: nonce.toString(),
+      minimum: ethers.parseUnits(PERMIT_DEPOSIT_MIN_USDC, 6).toString(),
+      domain: { ...domain, chainId: domain.chainId.toString() },
+      types: PERMIT_TYPES
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Gasless deposit: submit depositWithPermit for the owner of a signed USDC permit
+ * (spender = escrow) and record the Deposited event in `transactions`.
+ * Body: { permit: { owner, value, deadline, signature } }
+ * Replies 200 once mined, or 202 with the tx hash if it is still pending after
+ * RELAY_CONFIRM_TIMEOUT_MS (the indexer records it when it lands).
+ */
+async function executeDeposit(req, res) {
+  const { db } = req.app.locals;
+  const { web3 } = req;
+
+  try {
+    const { permit: body } = req.body || {};
+    if (!body?.owner || body.value == null || body.deadline == null || !body.signature) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    const permit = {
+      owner: body.owner,
+      value: toBigInt(body.value, 'value'),
+      deadline: toBigInt(body.deadline, 'deadline'),
+      signature: body.signature
+    };
+
+    ts("\n" + "=".repeat(60));
+    ts("NEW DEPOSIT REQUEST");
+    ts("=".repeat(60));
+    ts("Owner:", permit.owner);
+    ts("Amount:", ethers.formatUnits(permit.value, 6), "USDC");
+
+    await preverifyPermit(web3, await getPermitToken(web3), permit);
+    ts("   Permit signature, deadline and balance OK");
+
+    const { v, r, s } = ethers.Signature.from(permit.signature);
+    const request = await web3.contract.depositWithPermit.populateTransaction(
+      permit.owner, permit.value, permit.deadline, v, r, s
+    );
+    // Same routing key as the owner's payments, so they are mined in submission order
+    const result = await submitEscrowCall(db, web3, request, { key: permit.owner });
+    if (result.pending) {
+      ts("   Still pending:", result.hash);
+      ts("=".repeat(60) + "\n");
+      return res.status(202).json({ success: true, status: 'submitted', txHash: result.hash });
+    }
+
+    const { receipt, rows } = result;
+    const deposit = rows.find(row => row.service === 'deposit') || null;
+    const balance = await web3.contract.getBalance(permit.owner);
+    ts("   Tx Hash:", receipt.hash, "(gas payer " + result.from + ")");
+    ts("   CONFIRMED in block", receipt.blockNumber);
+    ts("=".repeat(60) + "\n");
+
+    res.json({
+      success: true,
+      status: 'confirmed',
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      deposit,
+      balance: balance.toString(),
+      balanceUSDC: ethers.formatUnits(balance, 6)
+    });
+  } catch (error) {
+    if (error instanceof RelayError) {
+      ts("   REJECTED:", error.code, "-", error.message);
+      ts("=".repeat(60) + "\n");
+      return res.status(error.status).json(error.toJSON());
+    }
+    ts("\nDEPOSIT REQUEST FAILED");
+    ts("   Error:", error.message);
+    ts("=".repeat(60) + "\n");
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export {
+  PERMIT_TYPES,
+  getPermitToken,
+  preverifyPermit,
+  getPermitParams,
+  executeDeposit
+};
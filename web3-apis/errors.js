@@ -0,0 +1,22 @@
+/**
+ * Error raised when a request is rejected after checking it against the chain:
+ * a relay refused before sending a transaction, or a payment claim that does not verify.
+ * `status` is the HTTP status to reply with, `code` a stable machine-readable reason.
+ */
+class RelayError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = 'RelayError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, ...this.details };
+  }
+}
+
+export {
+  RelayError
+};
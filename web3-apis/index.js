@@ -1,5 +1,12 @@
 import express from 'express';
-import { executePayment } from './payment.js';
+import { executePayment, getPaymentJob } from './payment.js';
+import { executeDeposit, getPermitParams } from './deposit.js';
+import { executeWithdraw } from './withdraw.js';
+import { getAllowanceParams, createAllowance, getAllowances } from './allowances.js';
+import { getChannelParams, openPaymentChannel, getPaymentChannel, submitVoucher } from './channels.js';
+import { getPrices } from './pricing.js';
+import { createPaymentQuote, getPaymentQuote } from './quotes.js';
+import { selectNetwork, getNetworks } from './networks.js';
 import { 
   getNonce, 
   getBalance, 
@@ -12,8 +19,33 @@ import {
 
 const router = express.Router();
 
+// Every route runs against the network picked by chainId (query, X-Chain-Id header or body)
+router.use(selectNetwork);
+
 // Payment endpoint
 router.post('/execute-payment', executePayment);
+router.get('/payments/:jobId', getPaymentJob);
+router.get('/prices', getPrices);
+router.post('/quotes', createPaymentQuote);
+router.get('/quotes/:sessionId', getPaymentQuote);
+
+// Gasless deposit with a USDC permit
+router.post('/execute-deposit', executeDeposit);
+router.get('/permit/:address', getPermitParams);
+
+// Gasless withdrawal with a signed WithdrawIntent
+router.post('/execute-withdraw', executeWithdraw);
+
+// Spending allowances: one signature, many payments drawn by the server (see /web2/allowances)
+router.get('/allowance-params', getAllowanceParams);
+router.post('/allowances', createAllowance);
+router.get('/allowances/:address', getAllowances);
+
+// Payment channels: a locked deposit paid out by the latest cumulative voucher (see /web2/stream)
+router.get('/channel-params', getChannelParams);
+router.post('/channels', openPaymentChannel);
+router.get('/channels/:channelId', getPaymentChannel);
+router.post('/channels/:channelId/voucher', submitVoucher);
 
 // Utility endpoints
 router.get('/nonce/:address', getNonce);
@@ -21,6 +53,7 @@ router.get('/balance/:address', getBalance);
 router.get('/is-settled/:sessionId', isSessionSettled);
 router.get('/domain-separator', getDomainSeparator);
 router.get('/contract-info', getContractInfo);
+router.get('/networks', getNetworks);
 
 // Health and root endpoints
 router.get('/health', healthCheck);
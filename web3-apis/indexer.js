@@ -0,0 +1,155 @@
+import { ethers } from 'ethers';
+import { ts } from '../log.js';
+import { startPoller } from '../poller.js';
+
+const INDEXER_POLL_MS = Number(process.env.INDEXER_POLL_MS || 5000);
+// Recent blocks re-checked on every pass so rows from orphaned blocks are replaced
+const INDEXER_REORG_DEPTH = Number(process.env.INDEXER_REORG_DEPTH || 12);
+// Public Avalanche RPCs cap eth_getLogs at 2048 blocks
+const INDEXER_BATCH_BLOCKS = Number(process.env.INDEXER_BATCH_BLOCKS || 2000);
+const INDEXER_START_BLOCK = process.env.INDEXER_START_BLOCK != null ? Number(process.env.INDEXER_START_BLOCK) : null;
+
+const INDEXED_EVENTS = ['Deposited', 'Withdrawn', 'PaymentExecuted', 'Refunded'];
+
+function cursorName(web3) {
+  return `escrow:${web3.chainId}:${web3.CONTRACT_ADDRESS.toLowerCase()}`;
+}
+
+function getCursor(db, name) {
+  return db.indexerCursors.get(name);
+}
+
+function setCursor(db, name, blockNumber) {
+  return db.indexerCursors.set(name, blockNumber);
+}
+
+// address -> users.id per database, creating the user row for wallets that never signed in
+const userIdCaches = new WeakMap();
+
+async function ensureUserId(db, address) {
+  const addr = String(address).toLowerCase();
+  if (!userIdCaches.has(db)) userIdCaches.set(db, new Map());
+  const userIds = userIdCaches.get(db);
+  if (userIds.has(addr)) return userIds.get(addr);
+  const user = await db.users.upsertByAddress(addr);
+  const id = user?.id ?? null;
+  if (id != null) userIds.set(addr, id);
+  return id;
+}
+
+function parseEscrowLog(web3, log) {
+  if (log.address.toLowerCase() !== web3.CONTRACT_ADDRESS.toLowerCase()) return null;
+  try {
+    const parsed = web3.contract.interface.parseLog({ topics: log.topics, data: log.data });
+    return parsed && INDEXED_EVENTS.includes(parsed.name) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+const EVENT_SERVICES = { Deposited: 'deposit', Withdrawn: 'withdraw', Refunded: 'refund' };
+
+// Canonical transactions row for an escrow event, keyed by (tx_hash, log_index).
+// Payments and refunds carry the session they belong to.
+async function rowFromLog(db, web3, log, parsed) {
+  const { args } = parsed;
+  const isPayment = parsed.name === 'PaymentExecuted';
+  const hasSession = isPayment || parsed.name === 'Refunded';
+  const service = isPayment ? args.serviceType : EVENT_SERVICES[parsed.name];
+  return {
+    chain_id: web3.chainId,
+    user_id: await ensureUserId(db, hasSession ? args.payer : args.user),
+    service,
+    ref_id: null,
+    amount_usdc: Number(ethers.formatUnits(args.amount, 6)),
+    tx_hash: log.transactionHash.toLowerCase(),
+    log_index: log.index,
+    block_number: log.blockNumber,
+    block_hash: log.blockHash,
+    session_id: hasSession ? args.sessionId.toLowerCase() : null,
+    created_at: new Date(Number(args.timestamp) * 1000).toISOString()
+  };
+}
+
+/**
+ * Index every escrow event in one transaction right away (used when a client
+ * reports a deposit/withdraw so it shows up before the next indexer pass).
+ * Returns null if the transaction is not mined yet.
+ */
+async function indexTransaction(db, web3, txHash) {
+  const receipt = await web3.provider.getTransactionReceipt(txHash);
+  if (!receipt) return null;
+  const rows = [];
+  for (const log of receipt.logs) {
+    const parsed = parseEscrowLog(web3, log);
+    if (parsed) rows.push(await rowFromLog(db, web3, log, parsed));
+  }
+  const stored = await db.transactions.upsertIndexed(rows);
+  await completeRefundedDisputes(db, web3, rows);
+  return stored;
+}
+
+// Disputes waiting on a refund are done once its Refunded event is indexed
+async function completeRefundedDisputes(db, web3, rows) {
+  for (const row of rows) {
+    if (row.service !== 'refund') continue;
+    await db.paymentDisputes.markRefunded(web3.chainId, row.session_id, row.tx_hash);
+  }
+}
+
+// Replace indexed rows in [fromBlock, toBlock] with what the chain currently says
+async function reconcileRange(db, web3, fromBlock, toBlock, logs) {
+  const rows = [];
+  for (const log of logs) {
+    const parsed = parseEscrowLog(web3, log);
+    if (parsed) rows.push(await rowFromLog(db, web3, log, parsed));
+  }
+  const live = new Set(rows.map(r => `${r.tx_hash}:${r.log_index}`));
+
+  const existing = await db.transactions.listIndexedInRange(web3.chainId, fromBlock, toBlock);
+  const orphaned = existing.filter(r => !live.has(`${r.tx_hash}:${r.log_index}`)).map(r => r.id);
+  if (orphaned.length > 0) {
+    ts("Indexer: removing", orphaned.length, "rows from reorged blocks", fromBlock, "-", toBlock);
+    await db.transactions.removeByIds(orphaned);
+  }
+  await db.transactions.upsertIndexed(rows);
+  await completeRefundedDisputes(db, web3, rows);
+  return rows.length;
+}
+
+/**
+ * Follow StreamPayEscrow's Deposited / Withdrawn / PaymentExecuted / Refunded events from a
+ * stored block cursor into the `transactions` table. The first pass starts at
+ * INDEXER_START_BLOCK, or the head without one; every later pass, after a restart too,
+ * goes on from the cursor, re-checking its last INDEXER_REORG_DEPTH blocks.
+ */
+function startIndexer({ db, web3 }) {
+  const { provider, contract, CONTRACT_ADDRESS } = web3;
+  const name = cursorName(web3);
+  const topics = [INDEXED_EVENTS.map(e => contract.interface.getEvent(e).topicHash)];
+
+  async function tick() {
+    const head = await provider.getBlockNumber();
+    const cursor = await getCursor(db, name);
+    let from = cursor == null
+      ? INDEXER_START_BLOCK ?? head
+      : Math.max(INDEXER_START_BLOCK ?? 0, cursor - INDEXER_REORG_DEPTH + 1);
+    while (from <= head && !poller.stopped) {
+      const to = Math.min(from + INDEXER_BATCH_BLOCKS - 1, head);
+      const logs = await provider.getLogs({ address: CONTRACT_ADDRESS, fromBlock: from, toBlock: to, topics });
+      const count = await reconcileRange(db, web3, from, to, logs);
+      await setCursor(db, name, to);
+      // Re-checked blocks are re-scanned every pass; only log progress past the cursor
+      if (count > 0 && (cursor == null || to > cursor)) ts("Indexer: blocks", from, "-", to, "->", count, "events");
+      from = to + 1;
+    }
+  }
+
+  const poller = startPoller(tick, INDEXER_POLL_MS, { name: 'Indexer' });
+  return poller;
+}
+
+export {
+  startIndexer,
+  indexTransaction
+};
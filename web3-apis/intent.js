@@ -0,0 +1,239 @@
+import { ethers } from 'ethers';
+import { RelayError } from './errors.js';
+
+// Must match the PAYMENT_INTENT_TYPEHASH used by StreamPayEscrow
+const PAYMENT_INTENT_TYPES = {
+  PaymentIntent: [
+    { name: 'payer', type: 'address' },
+    { name: 'sessionId', type: 'bytes32' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+// Must match the WithdrawIntent typehash used by StreamPayEscrow.executeWithdrawIntent
+const WITHDRAW_INTENT_TYPES = {
+  WithdrawIntent: [
+    { name: 'user', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'recipient', type: 'address' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+// EIP-712 domain per contract address (name/version/chainId never change for a deployment)
+const domainCache = new Map();
+
+function toBigInt(value, field) {
+  try {
+    if (typeof value === 'string' || typeof value === 'number' || typeof value === 'bigint') {
+      return BigInt(value);
+    }
+    return BigInt(value?.toString?.() ?? 0);
+  } catch {
+    throw new RelayError(400, 'INVALID_INTENT', `${field} must be an integer`);
+  }
+}
+
+/**
+ * Normalize a client-supplied intent so numeric fields are BigInt (ethers v6)
+ */
+function normalizeIntent(paymentIntent) {
+  return {
+    payer: paymentIntent.payer,
+    sessionId: paymentIntent.sessionId,
+    amount: toBigInt(paymentIntent.amount, 'amount'),
+    deadline: toBigInt(paymentIntent.deadline, 'deadline'),
+    nonce: toBigInt(paymentIntent.nonce, 'nonce'),
+    signature: paymentIntent.signature
+  };
+}
+
+/**
+ * Normalize a client-supplied withdraw intent (numeric fields as BigInt)
+ */
+function normalizeWithdrawIntent(withdrawIntent) {
+  return {
+    user: withdrawIntent.user,
+    amount: toBigInt(withdrawIntent.amount, 'amount'),
+    recipient: withdrawIntent.recipient,
+    deadline: toBigInt(withdrawIntent.deadline, 'deadline'),
+    nonce: toBigInt(withdrawIntent.nonce, 'nonce'),
+    signature: withdrawIntent.signature
+  };
+}
+
+/**
+ * Build the StreamPayEscrow EIP-712 domain from the chain
+ */
+async function getDomain(web3) {
+  const { contract, provider, CONTRACT_ADDRESS } = web3;
+  const key = CONTRACT_ADDRESS.toLowerCase();
+  if (!domainCache.has(key)) {
+    const [network, info] = await Promise.all([provider.getNetwork(), contract.getInfo()]);
+    domainCache.set(key, {
+      name: info.name,
+      version: info.version,
+      chainId: network.chainId,
+      verifyingContract: CONTRACT_ADDRESS
+    });
+  }
+  return domainCache.get(key);
+}
+
+/**
+ * Recover the signer of a PaymentIntent against the escrow domain
+ */
+async function recoverIntentSigner(web3, intent) {
+  const domain = await getDomain(web3);
+  const { signature, ...message } = intent;
+  return ethers.verifyTypedData(domain, PAYMENT_INTENT_TYPES, message, signature);
+}
+
+/**
+ * Check a normalized intent off-chain exactly as executePaymentIntent would,
+ * so invalid intents are rejected without spending relayer gas.
+ * `pending` accounts for intents from the same payer that are queued ahead of
+ * this one but not yet mined (they advance the nonce and draw on the balance).
+ * Throws RelayError on the first failed check.
+ */
+async function preverifyPaymentIntent(web3, intent, pending = { count: 0, amount: 0n }) {
+  const { contract, provider } = web3;
+
+  if (!ethers.isAddress(intent.payer)) {
+    throw new RelayError(400, 'INVALID_PAYER', 'payer is not a valid address');
+  }
+  if (!ethers.isHexString(intent.sessionId, 32)) {
+    throw new RelayError(400, 'INVALID_SESSION_ID', 'sessionId must be a 32-byte hex string');
+  }
+  if (intent.amount <= 0n) {
+    throw new RelayError(400, 'INVALID_AMOUNT', 'amount must be greater than zero');
+  }
+  if (!intent.signature || !ethers.isHexString(intent.signature)) {
+    throw new RelayError(400, 'INVALID_SIGNATURE', 'signature is required');
+  }
+
+  // Signature
+  let signer;
+  try {
+    signer = await recoverIntentSigner(web3, intent);
+  } catch {
+    throw new RelayError(401, 'INVALID_SIGNATURE', 'Signature could not be recovered');
+  }
+  if (signer.toLowerCase() !== intent.payer.toLowerCase()) {
+    throw new RelayError(401, 'INVALID_SIGNATURE', 'Signature does not match payer', { signer });
+  }
+
+  const [block, chainNonce, balance, isSettled] = await Promise.all([
+    provider.getBlock('latest'),
+    contract.getNonce(intent.payer),
+    contract.getBalance(intent.payer),
+    contract.isSessionSettled(intent.sessionId)
+  ]);
+
+  // Deadline (compared with chain time, which is what the contract sees)
+  if (BigInt(block.timestamp) > intent.deadline) {
+    throw new RelayError(410, 'INTENT_EXPIRED', 'Intent expired', {
+      deadline: intent.deadline.toString(),
+      chainTime: block.timestamp
+    });
+  }
+
+  // Nonce
+  const expectedNonce = BigInt(chainNonce) + BigInt(pending.count);
+  if (intent.nonce !== expectedNonce) {
+    throw new RelayError(409, intent.nonce < expectedNonce ? 'NONCE_USED' : 'NONCE_TOO_HIGH', 'Invalid nonce', {
+      nonce: intent.nonce.toString(),
+      expected: expectedNonce.toString()
+    });
+  }
+
+  if (isSettled) {
+    throw new RelayError(409, 'SESSION_SETTLED', 'Session already settled');
+  }
+
+  const available = BigInt(balance) - pending.amount;
+  if (available < intent.amount) {
+    throw new RelayError(400, 'INSUFFICIENT_BALANCE', 'Insufficient escrow balance', {
+      balance: ethers.formatUnits(available > 0n ? available : 0n, 6),
+      required: ethers.formatUnits(intent.amount, 6)
+    });
+  }
+
+  return { signer };
+}
+
+/**
+ * Check a normalized withdraw intent off-chain exactly as executeWithdrawIntent
+ * would. Throws RelayError on the first failed check.
+ */
+async function preverifyWithdrawIntent(web3, intent) {
+  const { contract, provider } = web3;
+
+  if (!ethers.isAddress(intent.user)) {
+    throw new RelayError(400, 'INVALID_USER', 'user is not a valid address');
+  }
+  if (!ethers.isAddress(intent.recipient) || intent.recipient === ethers.ZeroAddress) {
+    throw new RelayError(400, 'INVALID_RECIPIENT', 'recipient is not a valid address');
+  }
+  if (intent.amount <= 0n) {
+    throw new RelayError(400, 'INVALID_AMOUNT', 'amount must be greater than zero');
+  }
+  if (!intent.signature || !ethers.isHexString(intent.signature)) {
+    throw new RelayError(400, 'INVALID_SIGNATURE', 'signature is required');
+  }
+
+  let signer;
+  try {
+    const { signature, ...message } = intent;
+    signer = ethers.verifyTypedData(await getDomain(web3), WITHDRAW_INTENT_TYPES, message, signature);
+  } catch {
+    throw new RelayError(401, 'INVALID_SIGNATURE', 'Signature could not be recovered');
+  }
+  if (signer.toLowerCase() !== intent.user.toLowerCase()) {
+    throw new RelayError(401, 'INVALID_SIGNATURE', 'Signature does not match user', { signer });
+  }
+
+  const [block, chainNonce, balance] = await Promise.all([
+    provider.getBlock('latest'),
+    contract.getNonce(intent.user),
+    contract.getBalance(intent.user)
+  ]);
+
+  if (BigInt(block.timestamp) > intent.deadline) {
+    throw new RelayError(410, 'INTENT_EXPIRED', 'Intent expired', {
+      deadline: intent.deadline.toString(),
+      chainTime: block.timestamp
+    });
+  }
+
+  const expectedNonce = BigInt(chainNonce);
+  if (intent.nonce !== expectedNonce) {
+    throw new RelayError(409, intent.nonce < expectedNonce ? 'NONCE_USED' : 'NONCE_TOO_HIGH', 'Invalid nonce', {
+      nonce: intent.nonce.toString(),
+      expected: expectedNonce.toString()
+    });
+  }
+
+  if (BigInt(balance) < intent.amount) {
+    throw new RelayError(400, 'INSUFFICIENT_BALANCE', 'Insufficient escrow balance', {
+      balance: ethers.formatUnits(balance, 6),
+      required: ethers.formatUnits(intent.amount, 6)
+    });
+  }
+
+  return { signer };
+}
+
+export {
+  PAYMENT_INTENT_TYPES,
+  WITHDRAW_INTENT_TYPES,
+  normalizeIntent,
+  normalizeWithdrawIntent,
+  getDomain,
+  recoverIntentSigner,
+  preverifyPaymentIntent,
+  preverifyWithdrawIntent
+};
@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+// Relay jobs are persisted in the `relay_jobs` table so queued and in-flight
+// payments survive a restart. Statuses: queued -> submitted -> confirmed | failed
+// The table and its unique index on live session_ids (relay_jobs_live_session_idx) are
+// created by db/migrations/002_onchain_payments.sql; db/schema.js mirrors them in memory.
+const ACTIVE_STATUSES = ['queued', 'submitted'];
+
+// Intents are stored with numeric fields as decimal strings (jsonb has no bigint)
+function intentToJson(intent) {
+  return {
+    payer: intent.payer,
+    sessionId: intent.sessionId,
+    amount: intent.amount.toString(),
+    deadline: intent.deadline.toString(),
+    nonce: intent.nonce.toString(),
+    signature: intent.signature
+  };
+}
+
+function intentFromJson(json) {
+  return {
+    payer: json.payer,
+    sessionId: json.sessionId,
+    amount: BigInt(json.amount),
+    deadline: BigInt(json.deadline),
+    nonce: BigInt(json.nonce),
+    signature: json.signature
+  };
+}
+
+// Throws DatabaseError (code UNIQUE_VIOLATION) if a live job exists for the session
+function createJob(db, { chainId, intent, serviceType, metadata }) {
+  return db.relayJobs.create({
+    id: crypto.randomUUID(),
+    chain_id: chainId,
+    session_id: intent.sessionId.toLowerCase(),
+    payer: intent.payer.toLowerCase(),
+    service_type: serviceType,
+    amount: intent.amount.toString(),
+    intent: intentToJson(intent),
+    metadata: metadata || {},
+    status: 'queued',
+    attempts: 0
+  });
+}
+
+function getJob(db, id) {
+  return db.relayJobs.findById(id);
+}
+
+function updateJob(db, id, fields) {
+  return db.relayJobs.update(id, fields);
+}
+
+// Latest job for a session that is still in flight or already succeeded
+function findLiveJobBySession(db, sessionId) {
+  return db.relayJobs.findLiveBySession(sessionId);
+}
+
+// Nonces and balances are per chain, so a payer's pending jobs are too
+function listActiveJobsForPayer(db, payer, chainId) {
+  return db.relayJobs.listForPayer(payer, chainId, ACTIVE_STATUSES);
+}
+
+function listJobsByStatus(db, chainId, status, limit = 50) {
+  return db.relayJobs.listByStatus(chainId, status, limit);
+}
+
+/**
+ * Public representation of a job for status polling
+ */
+function serializeJob(job) {
+  if (!job) return null;
+  return {
+    jobId: job.id,
+    chainId: job.chain_id,
+    status: job.status,
+    sessionId: job.session_id,
+    payer: job.payer,
+    serviceType: job.service_type,
+    amount: job.amount,
+    amountUSDC: ethers.formatUnits(BigInt(job.amount || 0), 6),
+    metadata: job.metadata || {},
+    txHash: job.tx_hash || null,
+    batchSize: job.batch_size || 1,
+    receipt: job.status === 'confirmed' ? {
+      blockNumber: job.block_number,
+      gasUsed: job.gas_used,
+      gasCostAVAX: ethers.formatEther(BigInt(job.gas_cost_wei || 0))
+    } : null,
+    error: job.error || null,
+    errorCode: job.error_code || null,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    submittedAt: job.submitted_at || null,
+    confirmedAt: job.confirmed_at || null
+  };
+}
+
+export {
+  ACTIVE_STATUSES,
+  intentFromJson,
+  createJob,
+  getJob,
+  updateJob,
+  findLiveJobBySession,
+  listActiveJobsForPayer,
+  listJobsByStatus,
+  serializeJob
+};
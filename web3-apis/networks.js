@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RelayError } from './errors.js';
+
+// Networks StreamPayEscrow can be deployed to. Every value can be overridden with
+// <ENV_PREFIX>_RPC_URL, _CONTRACT_ADDRESS, _USDC_ADDRESS, _SERVICE_WALLET,
+// _SERVICE_PRIVATE_KEY and _RELAYER_PRIVATE_KEY(S); the contract address is also read from
+// deployments/<network>.json as written by scripts/deploy.js.
+const NETWORKS = {
+  fuji: {
+    name: 'Avalanche Fuji Testnet',
+    chainId: 43113,
+    envPrefix: 'FUJI',
+    rpcUrl: 'https://api.avax-test.network/ext/bc/C/rpc',
+    usdcAddress: '0x5425890298aed601595a70AB815c96711a31Bc65',
+    serviceWallet: '0x6021e09E8Cd947701E2368D60239C04486118f18',
+    nativeSymbol: 'AVAX'
+  },
+  avalanche: {
+    name: 'Avalanche C-Chain',
+    chainId: 43114,
+    envPrefix: 'AVALANCHE',
+    rpcUrl: 'https://api.avax.network/ext/bc/C/rpc',
+    usdcAddress: '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E',
+    serviceWallet: null,
+    nativeSymbol: 'AVAX'
+  },
+  localhost: {
+    name: 'Local Hardhat Node',
+    chainId: 31337,
+    envPrefix: 'LOCALHOST',
+    rpcUrl: 'http://127.0.0.1:8545',
+    usdcAddress: null,
+    serviceWallet: null,
+    nativeSymbol: 'ETH'
+  }
+};
+
+// Network the unprefixed CONTRACT_ADDRESS / RPC_URL variables belong to, and the one
+// /api routes use when no chainId is given
+const DEFAULT_NETWORK = process.env.DEFAULT_NETWORK || 'fuji';
+
+const DEPLOYMENTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'deployments');
+
+function readDeployment(key) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(DEPLOYMENTS_DIR, `${key}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function splitKeys(value) {
+  return (value || '').split(',').map(k => k.trim()).filter(Boolean);
+}
+
+/**
+ * Resolved configuration of one registry network (env > deployments/<key>.json > defaults)
+ */
+function getNetworkConfig(key, env = process.env) {
+  const base = NETWORKS[key];
+  if (!base) {
+    throw new Error(`Unknown network "${key}" (known: ${Object.keys(NETWORKS).join(', ')})`);
+  }
+  const p = base.envPrefix;
+  const isDefault = key === DEFAULT_NETWORK;
+  const deployment = readDeployment(key);
+  const fallback = (name) => (isDefault ? env[name] : undefined);
+  return {
+    key,
+    name: base.name,
+    chainId: base.chainId,
+    envPrefix: p,
+    nativeSymbol: base.nativeSymbol,
+    rpcUrl: env[`${p}_RPC_URL`] || fallback('RPC_URL') || base.rpcUrl,
+    contractAddress: env[`${p}_CONTRACT_ADDRESS`] || fallback('CONTRACT_ADDRESS') || deployment?.contractAddress || null,
+    usdcAddress: env[`${p}_USDC_ADDRESS`] || deployment?.usdcAddress || base.usdcAddress,
+    serviceWallet: env[`${p}_SERVICE_WALLET`] || deployment?.serviceWallet || base.serviceWallet,
+    // Key of the service wallet, which signs refunds; refunds are disabled without it
+    servicePrivateKey: env[`${p}_SERVICE_PRIVATE_KEY`] || fallback('SERVICE_PRIVATE_KEY') || null,
+    relayerPrivateKeys: [...new Set([
+      env[`${p}_RELAYER_PRIVATE_KEY`] || env.RELAYER_PRIVATE_KEY,
+      ...splitKeys(env[`${p}_RELAYER_PRIVATE_KEYS`] || env.RELAYER_PRIVATE_KEYS)
+    ].filter(Boolean))]
+  };
+}
+
+/**
+ * Networks the server should serve: ENABLED_NETWORKS (comma separated), or the default network
+ */
+function enabledNetworks(env = process.env) {
+  const keys = splitKeys(env.ENABLED_NETWORKS);
+  return (keys.length > 0 ? keys : [DEFAULT_NETWORK]).map(key => getNetworkConfig(key, env));
+}
+
+/**
+ * Network context for a request, picked by `chainId` in the query string, the
+ * X-Chain-Id header or the JSON body; the default network when none is given.
+ * Contexts live in app.locals.networks (chainId -> { config, web3, relayWorker, indexer }).
+ */
+function networkFor(req) {
+  if (req.network) return req.network;
+  const { networks, defaultChainId } = req.app.locals;
+  const requested = req.query?.chainId ?? req.get('X-Chain-Id') ?? req.body?.chainId;
+  const chainId = requested != null && requested !== '' ? Number(requested) : defaultChainId;
+  const network = networks.get(chainId);
+  if (!network) {
+    throw new RelayError(400, 'UNSUPPORTED_NETWORK', `chainId ${requested} is not served here`, {
+      chainIds: [...networks.keys()]
+    });
+  }
+  req.network = network;
+  req.web3 = network.web3;
+  return network;
+}
+
+/**
+ * Middleware setting req.network / req.web3 for the selected chain
+ */
+function selectNetwork(req, res, next) {
+  try {
+    networkFor(req);
+    next();
+  } catch (error) {
+    if (error instanceof RelayError) return res.status(error.status).json(error.toJSON());
+    next(error);
+  }
+}
+
+/**
+ * Networks served by this instance
+ */
+function getNetworks(req, res) {
+  const { networks, defaultChainId } = req.app.locals;
+  res.json({
+    defaultChainId,
+    networks: [...networks.values()].map(({ config }) => ({
+      key: config.key,
+      name: config.name,
+      chainId: config.chainId,
+      contractAddress: config.contractAddress,
+      usdcAddress: config.usdcAddress,
+      serviceWallet: config.serviceWallet,
+      nativeSymbol: config.nativeSymbol
+    }))
+  });
+}
+
+export {
+  NETWORKS,
+  DEFAULT_NETWORK,
+  DEPLOYMENTS_DIR,
+  getNetworkConfig,
+  enabledNetworks,
+  networkFor,
+  selectNetwork,
+  getNetworks
+};
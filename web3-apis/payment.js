@@ -1,19 +1,83 @@
 import { ethers } from 'ethers';
+import { normalizeIntent, preverifyPaymentIntent } from './intent.js';
+import { RelayError } from './errors.js';
+import { UNIQUE_VIOLATION } from '../db/errors.js';
+import { verifyIntentQuote, claimQuote, attachQuoteJob, releaseQuote } from './quotes.js';
+import {
+  createJob,
+  getJob,
+  findLiveJobBySession,
+  listActiveJobsForPayer,
+  serializeJob
+} from './jobs.js';
+import { ts } from '../log.js';
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-// simple timestamped logger
-function ts(...args) {
-  const t = new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', hour12: false });
-  // eslint-disable-next-line no-console
-  console.log(`[${t}]`, ...args);
+/**
+ * Verify an intent against its quote and the chain, then queue a relay job for it.
+ * Returns { job, duplicate } (duplicate when the intent is already queued or settled).
+ * Throws RelayError when the intent is refused.
+ */
+async function queuePaymentIntent(db, web3, { paymentIntent, serviceType, metadata }) {
+  const normalizedIntent = normalizeIntent(paymentIntent);
+  ts("Amount:", ethers.formatUnits(normalizedIntent.amount, 6), "USDC");
+  ts("Metadata:", JSON.stringify(metadata || {}, null, 2));
+
+  // A retry of an intent that is already queued or settled returns the existing job
+  const existing = await findLiveJobBySession(db, normalizedIntent.sessionId);
+  if (existing) {
+    ts("\nDuplicate request, returning job", existing.id);
+    return { job: existing, duplicate: true };
+  }
+
+  // The sessionId must come from an unexpired quote for exactly this service and amount
+  const quote = await verifyIntentQuote(db, normalizedIntent, serviceType);
+
+  // Intents from this payer still waiting in the queue advance the nonce and reserve balance
+  const active = await listActiveJobsForPayer(db, normalizedIntent.payer, web3.chainId);
+  const pending = {
+    count: active.length,
+    amount: active.reduce((a, j) => a + BigInt(j.amount || 0), 0n)
+  };
+
+  // Verify signature, nonce, deadline, settlement and balance off-chain
+  // so the relayer never pays gas for a transaction that would revert
+  ts("\nPre-verification:");
+  await preverifyPaymentIntent(web3, normalizedIntent, pending);
+  await claimQuote(db, quote);
+  ts("   Quote, signature, nonce, deadline and balance OK");
+
+  let job;
+  try {
+    job = await createJob(db, {
+      chainId: web3.chainId,
+      intent: normalizedIntent,
+      serviceType,
+      // The quoted usage is authoritative over what the client reports
+      metadata: { ...(metadata || {}), ...(quote.metadata || {}), quoteId: quote.id }
+    });
+  } catch (error) {
+    await releaseQuote(db, quote);
+    // Unique session_id index: a concurrent request queued the same intent first
+    if (error.code !== UNIQUE_VIOLATION) throw error;
+    return { job: await findLiveJobBySession(db, normalizedIntent.sessionId), duplicate: true };
+  }
+  await attachQuoteJob(db, quote, job.id);
+
+  ts("\nQueued relay job:", job.id);
+  return { job, duplicate: false };
 }
 
 /**
- * Universal payment endpoint for all services
+ * Universal payment endpoint for all services.
+ * Verifies the intent, queues a relay job and returns 202 with the job id;
+ * the relay worker submits the transaction in the background.
  */
 async function executePayment(req, res) {
-  const startTime = Date.now();
-  const { contract, relayerWallet, provider, SERVICE_WALLET } = req.app.locals.web3;
-  
+  const { db } = req.app.locals;
+  const { web3, relayWorker } = req.network;
+
   try {
     const { paymentIntent, serviceType, metadata } = req.body;
 
@@ -28,121 +92,63 @@ async function executePayment(req, res) {
     ts("Service Type:", serviceType);
     ts("Session ID:", paymentIntent.sessionId);
     ts("Payer:", paymentIntent.payer);
-    // Normalize incoming amount for logging
-    const normalizedAmount = typeof paymentIntent.amount === 'string' || typeof paymentIntent.amount === 'number'
-      ? BigInt(paymentIntent.amount)
-      : BigInt(paymentIntent.amount?.toString?.() ?? 0);
-    ts("Amount:", ethers.formatUnits(normalizedAmount, 6), "USDC");
-    ts("Metadata:", JSON.stringify(metadata || {}, null, 2));
-
-    // Check user balance
-    const balance = await contract.getBalance(paymentIntent.payer);
-    const balanceUSDC = ethers.formatUnits(balance, 6);
-    const amountUSDC = ethers.formatUnits(normalizedAmount, 6);
-    
-    ts("\nBalance Check:");
-    ts("   User Balance:", balanceUSDC, "USDC");
-    ts("   Required:", amountUSDC, "USDC");
-
-    if (BigInt(balance) < normalizedAmount) {
-      ts("   INSUFFICIENT BALANCE");
-      return res.status(400).json({
-        error: 'Insufficient escrow balance',
-        balance: balanceUSDC,
-        required: amountUSDC
-      });
-    }
-    ts("   Sufficient balance");
 
-    // Check if already settled
-    const isSettled = await contract.isSessionSettled(paymentIntent.sessionId);
-    if (isSettled) {
-      ts("\nSession already settled");
-      return res.status(400).json({ error: 'Session already settled' });
+    let queued;
+    try {
+      queued = await queuePaymentIntent(db, web3, { paymentIntent, serviceType, metadata });
+    } catch (error) {
+      if (!(error instanceof RelayError)) throw error;
+      ts("   REJECTED:", error.code, "-", error.message);
+      ts("=".repeat(60) + "\n");
+      return res.status(error.status).json(error.toJSON());
     }
-
-    // Submit transaction (SERVER WALLET PAYS GAS)
-    ts("\nSubmitting Transaction:");
-    ts("   Gas payer:", relayerWallet.address);
-    
-    // Normalize the struct for v6 (ensure numeric fields are BigInt)
-    const normalizedIntent = {
-      payer: paymentIntent.payer,
-      sessionId: paymentIntent.sessionId,
-      amount: normalizedAmount,
-      deadline: typeof paymentIntent.deadline === 'string' || typeof paymentIntent.deadline === 'number'
-        ? BigInt(paymentIntent.deadline)
-        : BigInt(paymentIntent.deadline?.toString?.() ?? 0),
-      nonce: typeof paymentIntent.nonce === 'string' || typeof paymentIntent.nonce === 'number'
-        ? BigInt(paymentIntent.nonce)
-        : BigInt(paymentIntent.nonce?.toString?.() ?? 0),
-      signature: paymentIntent.signature
-    };
-
-    const tx = await contract.executePaymentIntent(
-      normalizedIntent,
-      serviceType
-    );
-
-    ts("   Tx Hash:", tx.hash);
-    // tx.gasPrice may be null in v6 with EIP-1559; log if available
-    const pendingGasPrice = tx.gasPrice != null ? ethers.formatUnits(tx.gasPrice, 'gwei') : 'N/A';
-    ts("   Gas Price:", pendingGasPrice, "gwei");
-
-    // Wait for confirmation
-    ts("\nWaiting for confirmation...");
-    const receipt = await tx.wait();
-
-    // Calculate costs
-    const gasUsed = receipt.gasUsed; // bigint in v6
-    // Prefer effectiveGasPrice on receipt; fallback to tx.gasPrice
-    const rxGasPrice = receipt.effectiveGasPrice ?? receipt.gasPrice ?? tx.gasPrice;
-    const gasPrice = rxGasPrice ?? 0n;
-    const gasCostAVAX = gasUsed * gasPrice; // bigint
-    const gasCostUSD = parseFloat(ethers.formatEther(gasCostAVAX)) * 40; // Assume $40/AVAX
-    const processingTime = Date.now() - startTime;
-
-    ts("\nTRANSACTION CONFIRMED");
-    ts("   Block:", receipt.blockNumber);
-    ts("   Gas Used:", gasUsed.toString());
-    ts("   Gas Cost:", ethers.formatEther(gasCostAVAX), "AVAX (~$" + gasCostUSD.toFixed(2) + ")");
-    ts("   Processing Time:", processingTime, "ms");
-    ts("\nPayment Flow:");
-    ts("   From:", paymentIntent.payer, "(escrow)");
-    ts("   To:", SERVICE_WALLET, "(service wallet)");
-    ts("   Amount:", amountUSDC, "USDC");
-    ts("   Gas Paid By:", relayerWallet.address, "(server wallet)");
     ts("=".repeat(60) + "\n");
 
-    res.json({
+    const { job, duplicate } = queued;
+    if (duplicate) {
+      return res.status(200).json({ success: true, duplicate: true, ...serializeJob(job) });
+    }
+    relayWorker?.wake();
+
+    res.status(202).json({
       success: true,
-      txHash: receipt.hash,
-      blockNumber: receipt.blockNumber,
-      gasUsed: gasUsed.toString(),
-      gasCostAVAX: ethers.formatEther(gasCostAVAX),
-      gasCostUSD: gasCostUSD.toFixed(2),
-      amountUSDC: amountUSDC,
-      serviceType,
-      metadata,
-      processingTime: processingTime + "ms"
+      ...serializeJob(job),
+      statusUrl: `/api/payments/${job.id}`
     });
 
   } catch (error) {
-    ts("\nTRANSACTION FAILED");
+    ts("\nPAYMENT REQUEST FAILED");
     ts("   Error:", error.message);
-    if (error.reason) ts("   Reason:", error.reason);
-    if (error.data?.message) ts("   Details:", error.data.message);
     ts("=".repeat(60) + "\n");
 
     res.status(500).json({
-      error: error.message,
-      reason: error.reason,
-      details: error.data?.message
+      error: error.message
     });
   }
 }
 
+/**
+ * Relay job status (queued / submitted / confirmed / failed)
+ */
+async function getPaymentJob(req, res) {
+  try {
+    const { db } = req.app.locals;
+    const { jobId } = req.params;
+    if (!UUID_RE.test(jobId)) {
+      return res.status(400).json({ error: 'Invalid job id' });
+    }
+    const job = await getJob(db, jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(serializeJob(job));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
 export {
-  executePayment
+  queuePaymentIntent,
+  executePayment,
+  getPaymentJob
 };
-
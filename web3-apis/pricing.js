@@ -0,0 +1,150 @@
+import { ethers } from 'ethers';
+import { RelayError } from './errors.js';
+import { SERVICE_TYPES } from './services.js';
+
+// Billing units: what one `price` buys
+const UNITS = {
+  CALL: 'call',
+  SECOND: 'second',
+  GB_MINUTE: 'gb_minute',
+  PURCHASE: 'purchase'
+};
+
+const BYTES_PER_GB = 1024n ** 3n;
+
+// Built-in schedule, used for service types with no row in effect in `service_prices`
+const DEFAULT_PRICES = [
+  { serviceType: SERVICE_TYPES.AI, unit: UNITS.CALL, priceUsdc: '0.02' },
+  { serviceType: SERVICE_TYPES.VIDEO_STREAM, unit: UNITS.SECOND, priceUsdc: '0.0001' },
+  { serviceType: SERVICE_TYPES.VIDEO_PURCHASE, unit: UNITS.PURCHASE, priceUsdc: '0.04' },
+  { serviceType: SERVICE_TYPES.STORAGE, unit: UNITS.GB_MINUTE, priceUsdc: '0.00001' }
+].map(p => ({ ...p, effectiveFrom: new Date(0).toISOString(), source: 'default' }));
+
+const PRICES_CACHE_MS = Number(process.env.PRICES_CACHE_MS || 30000);
+
+let cache = { at: 0, rows: null };
+
+function toPrice(row) {
+  return {
+    serviceType: row.service_type,
+    unit: row.unit,
+    priceUsdc: String(row.price_usdc),
+    effectiveFrom: new Date(row.effective_from).toISOString(),
+    source: 'registry'
+  };
+}
+
+// All registry rows (past, current and scheduled), oldest first
+async function loadPrices(db) {
+  if (cache.rows && Date.now() - cache.at < PRICES_CACHE_MS) return cache.rows;
+  const rows = await db.servicePrices.listAll();
+  cache = { at: Date.now(), rows: rows.map(toPrice) };
+  return cache.rows;
+}
+
+/**
+ * Price schedule as of `at`: the price in effect for every known service type,
+ * plus registry rows that take effect later.
+ */
+async function getPriceSchedule(db, at = new Date()) {
+  const rows = await loadPrices(db);
+  const now = at.getTime();
+  const current = new Map(DEFAULT_PRICES.map(p => [p.serviceType, p]));
+  const scheduled = [];
+  for (const row of rows) {
+    if (new Date(row.effectiveFrom).getTime() <= now) current.set(row.serviceType, row);
+    else scheduled.push(row);
+  }
+  const withBaseUnits = p => ({ ...p, price: ethers.parseUnits(p.priceUsdc, 6).toString() });
+  return {
+    current: [...current.values()].map(withBaseUnits),
+    scheduled: scheduled.map(withBaseUnits)
+  };
+}
+
+/**
+ * Price in effect for one service type, or null if the service type is unknown
+ */
+async function getEffectivePrice(db, serviceType, at = new Date()) {
+  const { current } = await getPriceSchedule(db, at);
+  return current.find(p => p.serviceType === serviceType) || null;
+}
+
+function usageInt(metadata, field, { required = true, min = 0 } = {}) {
+  const value = metadata?.[field];
+  if (value == null && !required) return null;
+  const n = Number(value);
+  if (!Number.isSafeInteger(n) || n < min) {
+    throw new RelayError(400, 'INVALID_USAGE', `metadata.${field} must be an integer >= ${min}`);
+  }
+  return BigInt(n);
+}
+
+// Per-second price of a catalog video, when it overrides the registry
+async function videoPricePerSecond(db, videoId) {
+  if (videoId == null) return null;
+  const video = await db.catalogVideos.findById(videoId);
+  return video?.price_per_second_usdc ?? null;
+}
+
+/**
+ * Amount in USDC base units owed for the usage described in `metadata`:
+ *   call:      { calls = 1 }
+ *   second:    { seconds, videoId? }
+ *   gb_minute: { sizeBytes, minutes } (rounded up to the next base unit)
+ *   purchase:  { videoId } of a catalog video
+ * Throws RelayError for unknown service types or incomplete usage.
+ */
+async function priceUsage(db, serviceType, metadata = {}) {
+  const price = await getEffectivePrice(db, serviceType);
+  if (!price) {
+    throw new RelayError(400, 'UNKNOWN_SERVICE_TYPE', `Unknown serviceType "${serviceType}"`, {
+      serviceTypes: Object.values(SERVICE_TYPES)
+    });
+  }
+  const unitPrice = ethers.parseUnits(price.priceUsdc, 6);
+
+  switch (price.unit) {
+    case UNITS.CALL:
+      return unitPrice * (usageInt(metadata, 'calls', { required: false, min: 1 }) ?? 1n);
+    case UNITS.SECOND: {
+      const seconds = usageInt(metadata, 'seconds');
+      const override = await videoPricePerSecond(db, metadata?.videoId);
+      return (override != null ? ethers.parseUnits(String(override), 6) : unitPrice) * seconds;
+    }
+    case UNITS.GB_MINUTE: {
+      const usage = unitPrice * usageInt(metadata, 'sizeBytes') * usageInt(metadata, 'minutes');
+      return (usage + BYTES_PER_GB - 1n) / BYTES_PER_GB;
+    }
+    case UNITS.PURCHASE: {
+      // The quote names the video, which /video-purchases records the payment for
+      const videoId = usageInt(metadata, 'videoId', { min: 1 });
+      if (!(await db.catalogVideos.findById(videoId))) {
+        throw new RelayError(404, 'VIDEO_NOT_FOUND', `No catalog video ${videoId}`);
+      }
+      return unitPrice;
+    }
+    default:
+      throw new Error(`Unsupported billing unit "${price.unit}" for ${serviceType}`);
+  }
+}
+
+/**
+ * Current price list
+ */
+async function getPrices(req, res) {
+  try {
+    const { db } = req.app.locals;
+    res.json(await getPriceSchedule(db));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export {
+  UNITS,
+  getPriceSchedule,
+  getEffectivePrice,
+  priceUsage,
+  getPrices
+};
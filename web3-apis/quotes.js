@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { RelayError } from './errors.js';
+import { getDomain } from './intent.js';
+import { priceUsage } from './pricing.js';
+
+// Payment quotes are persisted in `payment_quotes`. The quote's sessionId is what
+// the payer puts in the PaymentIntent, so the amount and service are fixed by the
+// server before the user signs.
+
+const QUOTE_TTL_SEC = Number(process.env.QUOTE_TTL_SEC || 300);
+
+/**
+ * sessionId committed to by a quote:
+ * keccak256(abi.encode("StreamPayQuote", chainId, escrow, salt, serviceType, amount, expiresAt))
+ */
+function quoteSessionId({ chainId, verifyingContract, salt, serviceType, amount, expiresAt }) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ['string', 'uint256', 'address', 'bytes32', 'string', 'uint256', 'uint256'],
+    ['StreamPayQuote', chainId, verifyingContract, salt, serviceType, amount, expiresAt]
+  ));
+}
+
+function serializeQuote(quote, domain) {
+  const expiresAt = Math.floor(new Date(quote.expires_at).getTime() / 1000);
+  return {
+    quoteId: quote.id,
+    sessionId: quote.session_id,
+    serviceType: quote.service_type,
+    amount: String(quote.amount),
+    amountUSDC: ethers.formatUnits(BigInt(quote.amount), 6),
+    metadata: quote.metadata || {},
+    payer: quote.payer,
+    salt: quote.salt,
+    expiresAt,
+    chainId: domain ? domain.chainId.toString() : undefined,
+    contract: domain ? domain.verifyingContract : undefined,
+    signer: quote.signer,
+    // EIP-191 signature of the sessionId bytes by `signer`
+    signature: quote.signature,
+    used: Boolean(quote.used_at)
+  };
+}
+
+/**
+ * Store and sign a quote for `amount` (USDC base units) of `serviceType`.
+ * `payer`, when given, is the only wallet allowed to settle it.
+ */
+async function createQuote(db, web3, { serviceType, amount, metadata, payer, ttlSec = QUOTE_TTL_SEC }) {
+  const domain = await getDomain(web3);
+  const salt = ethers.hexlify(crypto.randomBytes(32));
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSec;
+  const sessionId = quoteSessionId({ ...domain, salt, serviceType, amount, expiresAt });
+  const signature = await web3.relayerWallet.signMessage(ethers.getBytes(sessionId));
+
+  const quote = await db.paymentQuotes.create({
+    id: crypto.randomUUID(),
+    session_id: sessionId.toLowerCase(),
+    service_type: serviceType,
+    amount: amount.toString(),
+    metadata: metadata || {},
+    payer: payer ? payer.toLowerCase() : null,
+    salt,
+    expires_at: new Date(expiresAt * 1000).toISOString(),
+    signer: web3.relayerWallet.address,
+    signature
+  });
+  return serializeQuote(quote, domain);
+}
+
+function getQuoteBySession(db, sessionId) {
+  return db.paymentQuotes.findBySessionId(sessionId);
+}
+
+/**
+ * Check that an intent pays exactly what an unexpired quote asks for.
+ * A quote stays reusable only while no job for it is live, which the caller
+ * checks first (findLiveJobBySession); claimQuote then marks it used.
+ */
+async function verifyIntentQuote(db, intent, serviceType) {
+  const quote = await getQuoteBySession(db, intent.sessionId);
+  if (!quote) {
+    throw new RelayError(400, 'QUOTE_REQUIRED', 'sessionId does not belong to a payment quote, request one from POST /api/quotes');
+  }
+  if (new Date(quote.expires_at).getTime() <= Date.now()) {
+    throw new RelayError(410, 'QUOTE_EXPIRED', 'Payment quote has expired, request a new one');
+  }
+  if (quote.service_type !== serviceType) {
+    throw new RelayError(400, 'QUOTE_MISMATCH', 'serviceType does not match the quote', { quoted: quote.service_type });
+  }
+  if (BigInt(quote.amount) !== intent.amount) {
+    throw new RelayError(400, 'QUOTE_MISMATCH', 'Amount does not match the quote', {
+      quoted: String(quote.amount),
+      quotedUSDC: ethers.formatUnits(BigInt(quote.amount), 6)
+    });
+  }
+  if (quote.payer && quote.payer !== String(intent.payer).toLowerCase()) {
+    throw new RelayError(403, 'QUOTE_MISMATCH', 'Quote was issued to a different payer');
+  }
+  return quote;
+}
+
+/**
+ * Mark a quote used. Guarded on the used_at value read by verifyIntentQuote so
+ * only one request can take it (a quote whose earlier job failed can be retried).
+ */
+async function claimQuote(db, quote) {
+  const claimed = await db.paymentQuotes.update(quote.id, { used_at: new Date().toISOString() }, { used_at: quote.used_at ?? null });
+  if (!claimed) {
+    throw new RelayError(409, 'QUOTE_USED', 'Payment quote has already been used');
+  }
+  return claimed;
+}
+
+async function attachQuoteJob(db, quote, jobId) {
+  await db.paymentQuotes.update(quote.id, { job_id: jobId });
+}
+
+// Undo claimQuote when no job could be queued (pass the quote as read before claiming)
+async function releaseQuote(db, quote) {
+  await db.paymentQuotes.update(quote.id, { used_at: quote.used_at ?? null });
+}
+
+/**
+ * Quote a payment for the usage described in `metadata`
+ */
+async function createPaymentQuote(req, res) {
+  try {
+    const { db } = req.app.locals;
+    const { web3 } = req;
+    const { serviceType, metadata, payer } = req.body || {};
+    if (!serviceType) {
+      return res.status(400).json({ error: 'serviceType is required' });
+    }
+    if (payer && !ethers.isAddress(payer)) {
+      return res.status(400).json({ error: 'Invalid payer address' });
+    }
+    const amount = await priceUsage(db, serviceType, metadata || {});
+    const quote = await createQuote(db, web3, { serviceType, amount, metadata, payer });
+    res.status(201).json(quote);
+  } catch (error) {
+    if (error instanceof RelayError) return res.status(error.status).json(error.toJSON());
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Quote lookup by sessionId
+ */
+async function getPaymentQuote(req, res) {
+  try {
+    const { db } = req.app.locals;
+    const { web3 } = req;
+    const { sessionId } = req.params;
+    if (!ethers.isHexString(sessionId, 32)) {
+      return res.status(400).json({ error: 'Invalid sessionId' });
+    }
+    const quote = await getQuoteBySession(db, sessionId);
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    res.json(serializeQuote(quote, await getDomain(web3)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export {
+  quoteSessionId,
+  createQuote,
+  getQuoteBySession,
+  serializeQuote,
+  verifyIntentQuote,
+  claimQuote,
+  attachQuoteJob,
+  releaseQuote,
+  createPaymentQuote,
+  getPaymentQuote
+};
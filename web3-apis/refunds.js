@@ -0,0 +1,88 @@
+import { ethers } from 'ethers';
+import { RelayError } from './errors.js';
+import { RELAY_CONFIRM_TIMEOUT_MS, submitEscrowCall } from './submit.js';
+import { ts } from '../log.js';
+
+const ALLOWANCE_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 value) returns (bool)"
+];
+
+/**
+ * On-chain record of a settled session: { payer, amount, refunded, refundable },
+ * or null if the session was never settled on this escrow
+ */
+async function getSettlement(web3, sessionId) {
+  const { payer, amount, refunded } = await web3.contract.getSettlement(sessionId);
+  if (payer === ethers.ZeroAddress) return null;
+  return { payer, amount, refunded, refundable: amount - refunded };
+}
+
+// Service wallet pool, provided its key belongs to the escrow's service wallet
+async function getServiceRelayer(web3) {
+  const { serviceRelayer } = web3;
+  if (!serviceRelayer) {
+    throw new RelayError(503, 'REFUNDS_DISABLED', 'No service wallet key is configured for this network');
+  }
+  const info = await web3.contract.getInfo();
+  if (serviceRelayer.primary.address.toLowerCase() !== info.service.toLowerCase()) {
+    throw new RelayError(503, 'REFUNDS_DISABLED', 'The configured service key is not the escrow service wallet', {
+      serviceWallet: info.service
+    });
+  }
+  return { serviceRelayer, token: new ethers.Contract(info.usdc, ALLOWANCE_ABI, web3.provider) };
+}
+
+/**
+ * Refund `amount` (base units) of a settled session into its payer's escrow.
+ * refund() may only be sent by the service wallet and pulls the USDC from it, so the
+ * escrow is approved first whenever the service wallet's allowance falls short.
+ * Resolves like submitEscrowCall; throws RelayError when the refund cannot be sent.
+ */
+async function relayRefund(db, web3, { sessionId, amount }) {
+  const { serviceRelayer, token } = await getServiceRelayer(web3);
+  const service = serviceRelayer.primary.address;
+
+  const settlement = await getSettlement(web3, sessionId);
+  if (!settlement) {
+    throw new RelayError(404, 'SESSION_NOT_SETTLED', 'Session was never settled on this escrow');
+  }
+  if (amount <= 0n || amount > settlement.refundable) {
+    throw new RelayError(400, 'EXCEEDS_REFUNDABLE', 'Refund must be more than 0 and at most the unrefunded amount', {
+      refundable: settlement.refundable.toString(),
+      refundableUSDC: ethers.formatUnits(settlement.refundable, 6)
+    });
+  }
+
+  const [balance, allowance] = await Promise.all([
+    token.balanceOf(service),
+    token.allowance(service, web3.CONTRACT_ADDRESS)
+  ]);
+  if (balance < amount) {
+    throw new RelayError(409, 'INSUFFICIENT_SERVICE_FUNDS', 'Service wallet holds too little USDC for this refund', {
+      balance: ethers.formatUnits(balance, 6)
+    });
+  }
+  if (allowance < amount) {
+    ts("   Approving the escrow to pull refunds from", service);
+    const approval = await token.approve.populateTransaction(web3.CONTRACT_ADDRESS, ethers.MaxUint256);
+    let receipt;
+    try {
+      receipt = await (await serviceRelayer.sendTransaction(approval)).wait(RELAY_CONFIRM_TIMEOUT_MS);
+    } catch (error) {
+      throw new RelayError(502, 'APPROVAL_FAILED', error.reason || error.shortMessage || error.message);
+    }
+    if (receipt.status !== 1) {
+      throw new RelayError(502, 'APPROVAL_FAILED', 'Approval reverted', { txHash: receipt.hash });
+    }
+  }
+
+  const request = await web3.contract.refund.populateTransaction(sessionId, amount);
+  return submitEscrowCall(db, web3, request, { relayer: serviceRelayer });
+}
+
+export {
+  getSettlement,
+  relayRefund
+};
@@ -0,0 +1,306 @@
+import { ethers } from 'ethers';
+import { preverifyPaymentIntent } from './intent.js';
+import { RelayError } from './errors.js';
+import { intentFromJson, listJobsByStatus, updateJob } from './jobs.js';
+import { prepareBatch, settlementResults } from './batcher.js';
+import { ts } from '../log.js';
+import { startPoller } from '../poller.js';
+
+const RELAY_POLL_MS = Number(process.env.RELAY_POLL_MS || 2000);
+const RELAY_CONFIRM_TIMEOUT_MS = Number(process.env.RELAY_CONFIRM_TIMEOUT_MS || 120000);
+const RELAY_CONCURRENCY = Number(process.env.RELAY_CONCURRENCY || 4);
+// Batching is opt-in: it needs a StreamPayEscrow deployment with executePaymentIntentBatch
+const RELAY_BATCH_WINDOW_MS = Number(process.env.RELAY_BATCH_WINDOW_MS || 0);
+const RELAY_BATCH_MAX = Number(process.env.RELAY_BATCH_MAX || 20);
+
+/**
+ * Background worker that drains `relay_jobs`.
+ * Jobs left `submitted` (e.g. by a previous process) are tracked until mined,
+ * queued jobs are sent through the relayer pool, up to RELAY_CONCURRENCY at a
+ * time and at most one per payer so a payer's intent nonces settle in order.
+ * With RELAY_BATCH_WINDOW_MS set, queued jobs are collected for that long and
+ * settled together through executePaymentIntentBatch.
+ */
+function startRelayWorker({ db, web3 }) {
+  const { contract, provider, relayer, chainId } = web3;
+  const activeJobs = new Set();
+  const activePayers = new Set();
+  let batchTimer = null;
+
+  async function confirmJob(job, receipt) {
+    // Batch transactions share gas across their intents
+    const gasPrice = receipt.gasPrice ?? 0n;
+    const gasCost = (receipt.gasUsed * gasPrice) / BigInt(job.batch_size || 1);
+    const gasFields = {
+      block_number: receipt.blockNumber,
+      gas_used: receipt.gasUsed.toString(),
+      gas_cost_wei: gasCost.toString()
+    };
+    if (receipt.status !== 1) {
+      ts("Relay job", job.id, "REVERTED in block", receipt.blockNumber);
+      await updateJob(db, job.id, {
+        status: 'failed',
+        ...gasFields,
+        error: 'Transaction reverted',
+        error_code: 'REVERTED'
+      });
+      return;
+    }
+    // A batch skips invalid intents with PaymentFailed instead of reverting
+    const result = settlementResults(web3, receipt).get(String(job.session_id).toLowerCase());
+    if (result && !result.ok) {
+      ts("Relay job", job.id, "FAILED in batch:", result.reason);
+      await updateJob(db, job.id, {
+        status: 'failed',
+        tx_hash: receipt.hash,
+        ...gasFields,
+        error: result.reason,
+        error_code: 'BATCH_ITEM_FAILED'
+      });
+      return;
+    }
+    ts("Relay job", job.id, "CONFIRMED");
+    ts("   Block:", receipt.blockNumber);
+    ts("   Gas Used:", receipt.gasUsed.toString());
+    ts("   Gas Cost:", ethers.formatEther(gasCost), "AVAX");
+    await updateJob(db, job.id, {
+      status: 'confirmed',
+      tx_hash: receipt.hash,
+      ...gasFields,
+      confirmed_at: new Date().toISOString()
+    });
+  }
+
+  // Wait for a submitted transaction; leaves the job `submitted` if it is still pending
+  async function awaitReceipt(job, sent) {
+    try {
+      const receipt = await sent.wait(RELAY_CONFIRM_TIMEOUT_MS);
+      if (receipt) await confirmJob(job, receipt);
+    } catch (error) {
+      ts("Relay job", job.id, "still pending:", error.shortMessage || error.message);
+    }
+  }
+
+  // The relayer re-broadcasts stuck transactions with higher fees under a new hash
+  function onReplaced(job) {
+    return (hash) => updateJob(db, job.id, { tx_hash: hash });
+  }
+
+  async function resumeJob(job) {
+    const sent = await relayer.track(job.tx_hash, { onReplaced: onReplaced(job) });
+    if (sent) {
+      await awaitReceipt(job, sent);
+    } else {
+      // Dropped from the mempool
+      await recoverUnsentJob(job);
+    }
+  }
+
+  // A job marked submitted without a live tx (crashed around sendTransaction, or
+  // dropped): find the settlement on-chain if it happened, otherwise re-queue it
+  async function recoverUnsentJob(job) {
+    const intent = intentFromJson(job.intent);
+    const settled = await contract.isSessionSettled(intent.sessionId);
+    if (!settled) {
+      ts("Relay job", job.id, "was never sent, re-queueing");
+      await updateJob(db, job.id, { status: 'queued' });
+      return;
+    }
+    const filter = contract.filters.PaymentExecuted(intent.payer, intent.sessionId);
+    const logs = await contract.queryFilter(filter, job.submit_block ?? 0);
+    const log = logs[0];
+    const receipt = log ? await provider.getTransactionReceipt(log.transactionHash) : null;
+    if (receipt) {
+      await confirmJob(job, receipt);
+    } else {
+      await updateJob(db, job.id, {
+        status: 'failed',
+        error: 'Session settled by another transaction',
+        error_code: 'SESSION_SETTLED'
+      });
+    }
+  }
+
+  async function processJob(job) {
+    const intent = intentFromJson(job.intent);
+    ts("\nProcessing relay job", job.id);
+    ts("   Service Type:", job.service_type);
+    ts("   Session ID:", intent.sessionId);
+    ts("   Payer:", intent.payer);
+
+    // Chain state may have moved since the job was accepted
+    try {
+      await preverifyPaymentIntent(web3, intent);
+    } catch (error) {
+      if (!(error instanceof RelayError)) throw error;
+      ts("   REJECTED:", error.code, "-", error.message);
+      await updateJob(db, job.id, { status: 'failed', error: error.message, error_code: error.code });
+      return;
+    }
+
+    const submitBlock = await provider.getBlockNumber();
+    await updateJob(db, job.id, {
+      status: 'submitted',
+      submit_block: submitBlock,
+      submitted_at: new Date().toISOString(),
+      attempts: (job.attempts || 0) + 1
+    });
+
+    let sent;
+    try {
+      const request = await contract.executePaymentIntent.populateTransaction(intent, job.service_type);
+      sent = await relayer.sendTransaction(request, { key: intent.payer, onReplaced: onReplaced(job) });
+      ts("   Gas payer:", sent.from, "(nonce " + sent.nonce + ")");
+    } catch (error) {
+      ts("   SUBMIT FAILED:", error.shortMessage || error.message);
+      await updateJob(db, job.id, {
+        status: 'failed',
+        error: error.reason || error.shortMessage || error.message,
+        error_code: 'SUBMIT_FAILED'
+      });
+      return;
+    }
+
+    ts("   Tx Hash:", sent.hash);
+    await updateJob(db, job.id, { tx_hash: sent.hash });
+    await awaitReceipt(job, sent);
+  }
+
+  // Settle several queued jobs in one executePaymentIntentBatch transaction
+  async function processBatch(jobs) {
+    const { accepted, rejected } = await prepareBatch(web3, jobs);
+    for (const { job, error } of rejected) {
+      ts("Relay job", job.id, "REJECTED:", error.code, "-", error.message);
+      await updateJob(db, job.id, { status: 'failed', error: error.message, error_code: error.code });
+    }
+    if (accepted.length === 0) return;
+    if (accepted.length === 1) {
+      await processJob(accepted[0].job);
+      return;
+    }
+
+    ts("\nProcessing relay batch of", accepted.length, "intents");
+    const submitBlock = await provider.getBlockNumber();
+    const batchJobs = [];
+    for (const { job } of accepted) {
+      batchJobs.push(await updateJob(db, job.id, {
+        status: 'submitted',
+        submit_block: submitBlock,
+        submitted_at: new Date().toISOString(),
+        attempts: (job.attempts || 0) + 1,
+        batch_size: accepted.length
+      }));
+    }
+
+    let sent;
+    try {
+      const request = await contract.executePaymentIntentBatch.populateTransaction(
+        accepted.map(a => a.intent),
+        accepted.map(a => a.job.service_type)
+      );
+      sent = await relayer.sendTransaction(request, {
+        onReplaced: (hash) => Promise.all(batchJobs.map(job => updateJob(db, job.id, { tx_hash: hash })))
+      });
+      ts("   Gas payer:", sent.from, "(nonce " + sent.nonce + ")");
+    } catch (error) {
+      ts("   BATCH SUBMIT FAILED:", error.shortMessage || error.message);
+      for (const job of batchJobs) {
+        await updateJob(db, job.id, {
+          status: 'failed',
+          error: error.reason || error.shortMessage || error.message,
+          error_code: 'SUBMIT_FAILED'
+        });
+      }
+      return;
+    }
+
+    ts("   Tx Hash:", sent.hash);
+    for (const job of batchJobs) {
+      await updateJob(db, job.id, { tx_hash: sent.hash });
+    }
+    let receipt;
+    try {
+      receipt = await sent.wait(RELAY_CONFIRM_TIMEOUT_MS);
+    } catch (error) {
+      ts("Relay batch still pending:", error.shortMessage || error.message);
+      return;
+    }
+    for (const job of batchJobs) {
+      await confirmJob(job, receipt);
+    }
+  }
+
+  // Collect for RELAY_BATCH_WINDOW_MS, then settle up to RELAY_BATCH_MAX eligible jobs together
+  async function flushBatch() {
+    batchTimer = null;
+    if (poller.stopped) return;
+    const queued = await listJobsByStatus(db, chainId, 'queued', RELAY_BATCH_MAX * 2);
+    const jobs = queued
+      .filter(job => !activeJobs.has(job.id) && !activePayers.has(job.payer))
+      .slice(0, RELAY_BATCH_MAX);
+    if (jobs.length === 0) return;
+    for (const job of jobs) {
+      activeJobs.add(job.id);
+      activePayers.add(job.payer);
+    }
+    processBatch(jobs)
+      .catch((error) => ts("Relay batch error:", error.message))
+      .finally(() => {
+        for (const job of jobs) {
+          activeJobs.delete(job.id);
+          activePayers.delete(job.payer);
+        }
+        poller.wake();
+      });
+  }
+
+  function run(job, fn) {
+    activeJobs.add(job.id);
+    activePayers.add(job.payer);
+    fn(job)
+      .catch((error) => ts("Relay job", job.id, "error:", error.message))
+      .finally(() => {
+        activeJobs.delete(job.id);
+        activePayers.delete(job.payer);
+        poller.wake();
+      });
+  }
+
+  // Start as many jobs as capacity allows, skipping payers that already have one in flight
+  function dispatch(jobs, fn) {
+    for (const job of jobs) {
+      if (activeJobs.size >= RELAY_CONCURRENCY || poller.stopped) return;
+      if (activeJobs.has(job.id) || activePayers.has(job.payer)) continue;
+      run(job, fn);
+    }
+  }
+
+  async function tick() {
+    const submitted = await listJobsByStatus(db, chainId, 'submitted');
+    dispatch(submitted, (job) => (job.tx_hash ? resumeJob(job) : recoverUnsentJob(job)));
+    const queued = await listJobsByStatus(db, chainId, 'queued');
+    if (RELAY_BATCH_WINDOW_MS > 0) {
+      const waiting = queued.some(job => !activeJobs.has(job.id) && !activePayers.has(job.payer));
+      if (waiting && !batchTimer && activeJobs.size < RELAY_CONCURRENCY) {
+        batchTimer = setTimeout(() => flushBatch().catch((error) => ts("Relay batch error:", error.message)), RELAY_BATCH_WINDOW_MS);
+      }
+    } else {
+      dispatch(queued, processJob);
+    }
+  }
+
+  const poller = startPoller(tick, RELAY_POLL_MS, { name: 'Relay worker' });
+
+  return {
+    // Process the queue now instead of waiting for the next poll
+    wake: poller.wake,
+    stop() {
+      poller.stop();
+      clearTimeout(batchTimer);
+    }
+  };
+}
+
+export {
+  startRelayWorker
+};
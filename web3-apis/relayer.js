@@ -0,0 +1,276 @@
+import { ethers } from 'ethers';
+import { ts } from '../log.js';
+
+const RELAYER_REPLACE_AFTER_MS = Number(process.env.RELAYER_REPLACE_AFTER_MS || 60000);
+const RELAYER_FEE_BUMP_PERCENT = Number(process.env.RELAYER_FEE_BUMP_PERCENT || 15);
+const RELAYER_MONITOR_MS = Number(process.env.RELAYER_MONITOR_MS || 5000);
+const RELAYER_MAX_FEE_GWEI = process.env.RELAYER_MAX_FEE_GWEI ? Number(process.env.RELAYER_MAX_FEE_GWEI) : null;
+
+function maxBigInt(a, b) {
+  return a > b ? a : b;
+}
+
+/**
+ * Relayer transaction manager over a pool of relayer keys.
+ *
+ * Each account gets nonces assigned locally (serialized per account), so
+ * concurrent sends never collide. Pending transactions are monitored and
+ * re-broadcast with the same nonce and bumped EIP-1559 fees once they have
+ * been pending for `replaceAfterMs`.
+ */
+function createRelayerPool({
+  provider,
+  privateKeys,
+  replaceAfterMs = RELAYER_REPLACE_AFTER_MS,
+  feeBumpPercent = RELAYER_FEE_BUMP_PERCENT,
+  monitorMs = RELAYER_MONITOR_MS
+}) {
+  if (!privateKeys?.length) throw new Error('Relayer pool needs at least one private key');
+  if (feeBumpPercent < 10) throw new Error('Fee bump must be at least 10% for nodes to accept a replacement');
+
+  const accounts = privateKeys.map((key) => ({
+    wallet: new ethers.Wallet(key, provider),
+    nextNonce: null,
+    lock: Promise.resolve(),
+    pending: new Map() // nonce -> entry
+  }));
+  const byAddress = new Map(accounts.map(a => [a.wallet.address.toLowerCase(), a]));
+  let chainId = null;
+  let monitorTimer = null;
+  let monitoring = false;
+
+  // Run fn with the account's nonce lock held
+  function withLock(account, fn) {
+    const run = account.lock.then(fn, fn);
+    account.lock = run.catch(() => {});
+    return run;
+  }
+
+  // Stick a routing key (e.g. payer address) to one account so that its
+  // transactions are mined in submission order; otherwise use the least busy
+  function pick(key) {
+    if (key) {
+      const idx = Number(BigInt(ethers.id(String(key).toLowerCase())) % BigInt(accounts.length));
+      return accounts[idx];
+    }
+    return accounts.reduce((best, a) => (a.pending.size < best.pending.size ? a : best), accounts[0]);
+  }
+
+  async function getChainId() {
+    if (chainId == null) chainId = (await provider.getNetwork()).chainId;
+    return chainId;
+  }
+
+  async function currentFees() {
+    const fee = await provider.getFeeData();
+    const maxFeePerGas = fee.maxFeePerGas ?? fee.gasPrice;
+    const maxPriorityFeePerGas = fee.maxPriorityFeePerGas ?? fee.gasPrice;
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  async function broadcast(account, entry) {
+    const signed = await account.wallet.signTransaction({
+      ...entry.request,
+      type: 2,
+      nonce: entry.nonce,
+      maxFeePerGas: entry.fees.maxFeePerGas,
+      maxPriorityFeePerGas: entry.fees.maxPriorityFeePerGas
+    });
+    const response = await provider.broadcastTransaction(signed);
+    entry.hashes.push(response.hash);
+    entry.sentAt = Date.now();
+    return response.hash;
+  }
+
+  function trackEntry(account, entry) {
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    // Avoid unhandled rejections when nobody is waiting on this entry
+    entry.promise.catch(() => {});
+    account.pending.set(entry.nonce, entry);
+    startMonitor();
+    return handleFor(account, entry);
+  }
+
+  function handleFor(account, entry) {
+    return {
+      from: account.wallet.address,
+      nonce: entry.nonce,
+      get hash() {
+        return entry.hashes[entry.hashes.length - 1];
+      },
+      get hashes() {
+        return [...entry.hashes];
+      },
+      // Resolves with the receipt of whichever broadcast gets mined
+      wait(timeoutMs) {
+        if (!timeoutMs) return entry.promise;
+        let timer;
+        const timeout = new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Timed out waiting for transaction')), timeoutMs);
+        });
+        return Promise.race([entry.promise, timeout]).finally(() => clearTimeout(timer));
+      }
+    };
+  }
+
+  /**
+   * Sign and broadcast a transaction request ({ to, data, value? }) from the pool.
+   * `key` pins the request to an account; `onReplaced(hash)` is called after a fee bump.
+   */
+  async function sendTransaction(request, { key, onReplaced } = {}) {
+    const account = pick(key);
+    const from = account.wallet.address;
+    return withLock(account, async () => {
+      if (account.nextNonce == null) {
+        account.nextNonce = await provider.getTransactionCount(from, 'pending');
+      }
+      const [gasLimit, fees, id] = await Promise.all([
+        request.gasLimit ?? provider.estimateGas({ ...request, from }),
+        currentFees(),
+        getChainId()
+      ]);
+      const entry = {
+        nonce: account.nextNonce,
+        request: { to: request.to, data: request.data, value: request.value ?? 0n, gasLimit, chainId: id },
+        fees,
+        hashes: [],
+        sentAt: null,
+        onReplaced
+      };
+      try {
+        await broadcast(account, entry);
+      } catch (error) {
+        // The nonce may or may not have been consumed: resync from the chain next time
+        account.nextNonce = null;
+        throw error;
+      }
+      account.nextNonce += 1;
+      return trackEntry(account, entry);
+    });
+  }
+
+  /**
+   * Resume monitoring a transaction sent by this pool before a restart.
+   * Returns null if the transaction is neither mined nor known to the node (dropped).
+   */
+  async function track(hash, { onReplaced } = {}) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) {
+      return { from: receipt.from, hash, hashes: [hash], wait: async () => receipt };
+    }
+    const tx = await provider.getTransaction(hash);
+    if (!tx) return null;
+    const account = byAddress.get(tx.from.toLowerCase());
+    if (!account) {
+      return { from: tx.from, hash, hashes: [hash], wait: (timeoutMs) => provider.waitForTransaction(hash, 1, timeoutMs) };
+    }
+    const existing = account.pending.get(tx.nonce);
+    if (existing) return handleFor(account, existing);
+    return trackEntry(account, {
+      nonce: tx.nonce,
+      request: { to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit, chainId: tx.chainId },
+      fees: {
+        maxFeePerGas: tx.maxFeePerGas ?? tx.gasPrice,
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas ?? tx.gasPrice
+      },
+      hashes: [hash],
+      sentAt: Date.now(),
+      onReplaced
+    });
+  }
+
+  async function replace(account, entry) {
+    const current = await currentFees();
+    const bump = (v) => (v * BigInt(100 + feeBumpPercent) + 99n) / 100n;
+    let maxFeePerGas = maxBigInt(bump(entry.fees.maxFeePerGas), current.maxFeePerGas);
+    const maxPriorityFeePerGas = maxBigInt(bump(entry.fees.maxPriorityFeePerGas), current.maxPriorityFeePerGas);
+    if (RELAYER_MAX_FEE_GWEI != null) {
+      const cap = ethers.parseUnits(String(RELAYER_MAX_FEE_GWEI), 'gwei');
+      if (entry.fees.maxFeePerGas >= cap) return;
+      if (maxFeePerGas > cap) maxFeePerGas = cap;
+    }
+    entry.fees = { maxFeePerGas, maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas };
+    try {
+      const hash = await broadcast(account, entry);
+      ts("Relayer", account.wallet.address, "replaced nonce", entry.nonce, "->", hash,
+        "(maxFee", ethers.formatUnits(maxFeePerGas, 'gwei'), "gwei)");
+      await entry.onReplaced?.(hash);
+    } catch (error) {
+      // Usually "nonce too low": the previous broadcast got mined meanwhile
+      ts("Relayer replacement failed for nonce", entry.nonce, ":", error.shortMessage || error.message);
+    }
+  }
+
+  async function checkPending() {
+    for (const account of accounts) {
+      if (account.pending.size === 0) continue;
+      const minedNonce = await provider.getTransactionCount(account.wallet.address, 'latest');
+      for (const entry of [...account.pending.values()]) {
+        let receipt = null;
+        for (const hash of entry.hashes) {
+          receipt = await provider.getTransactionReceipt(hash);
+          if (receipt) break;
+        }
+        if (receipt) {
+          account.pending.delete(entry.nonce);
+          entry.resolve(receipt);
+        } else if (minedNonce > entry.nonce) {
+          // Nonce consumed but none of our hashes has a receipt (yet): re-check next round,
+          // unless the node has forgotten every broadcast
+          const known = await Promise.all(entry.hashes.map(h => provider.getTransaction(h)));
+          if (known.every(tx => !tx)) {
+            account.pending.delete(entry.nonce);
+            entry.reject(new Error(`Nonce ${entry.nonce} was used by an unknown transaction`));
+          }
+        } else if (Date.now() - entry.sentAt >= replaceAfterMs) {
+          await replace(account, entry);
+        }
+      }
+    }
+  }
+
+  function startMonitor() {
+    if (monitorTimer) return;
+    monitorTimer = setInterval(async () => {
+      if (monitoring) return;
+      monitoring = true;
+      try {
+        await checkPending();
+      } catch (error) {
+        ts("Relayer monitor error:", error.message);
+      } finally {
+        monitoring = false;
+        if (accounts.every(a => a.pending.size === 0)) {
+          clearInterval(monitorTimer);
+          monitorTimer = null;
+        }
+      }
+    }, monitorMs);
+  }
+
+  return {
+    wallets: accounts.map(a => a.wallet),
+    primary: accounts[0].wallet,
+    sendTransaction,
+    track,
+    // Snapshot for health reporting
+    status() {
+      return accounts.map(a => ({
+        address: a.wallet.address,
+        nextNonce: a.nextNonce,
+        pending: a.pending.size
+      }));
+    },
+    stop() {
+      clearInterval(monitorTimer);
+      monitorTimer = null;
+    }
+  };
+}
+
+export {
+  createRelayerPool
+};
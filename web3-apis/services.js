@@ -0,0 +1,12 @@
+// serviceType strings carried in PaymentIntent settlements (PaymentExecuted.serviceType)
+const SERVICE_TYPES = {
+  AI: 'ai',
+  VIDEO_STREAM: 'video-stream',
+  VIDEO_PURCHASE: 'video-purchase',
+  STORAGE: 'storage',
+  STORAGE_DOWNLOAD: 'storage-download'
+};
+
+export {
+  SERVICE_TYPES
+};
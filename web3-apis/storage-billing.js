@@ -0,0 +1,269 @@
+import { ethers } from 'ethers';
+import { RelayError } from './errors.js';
+import { SERVICE_TYPES } from './services.js';
+import { priceUsage } from './pricing.js';
+import { createQuote, getQuoteBySession, serializeQuote } from './quotes.js';
+import { getDomain } from './intent.js';
+import { allowanceBalances, drawFromAllowance } from './allowances.js';
+import { verifyPaymentClaim, releasePaymentClaim } from './claims.js';
+import { UNIQUE_VIOLATION } from '../db/errors.js';
+import { ts } from '../log.js';
+import { startPoller } from '../poller.js';
+
+// Stored files are billed by size_bytes x whole minutes stored, at the registry's storage
+// rate (gb_minute, see pricing.js). A file is paid up to `billed_through`; every billed
+// period is a row in `storage_charges`, paid through a quote: before deletion by the
+// owner (POST /web2/storage/quote, then /storage/delete with the tx), or by the billing
+// cycle, which draws the charges of long-lived files from the owner's storage allowance.
+
+// Files are charged by the billing cycle once they have gone this long unpaid
+const STORAGE_BILLING_CYCLE_MIN = Number(process.env.STORAGE_BILLING_CYCLE_MIN || 24 * 60);
+const STORAGE_BILLING_POLL_MS = Number(process.env.STORAGE_BILLING_POLL_MS || 10 * 60 * 1000);
+
+function minutesBetween(a, b) {
+  const diffMs = Math.max(0, b.getTime() - a.getTime());
+  return Math.floor(diffMs / 60000);
+}
+
+const usdcToBaseUnits = (amount) => ethers.parseUnits(String(amount ?? 0), 6);
+
+/**
+ * Storage a file has accrued since it was last paid for, up to `until` (or its deletion):
+ * { from, to, minutes, amount }, amount in USDC base units. Only whole minutes are billed,
+ * so `to` stops at the last one and the rest carries over.
+ */
+async function accruedStorage(db, file, until = new Date()) {
+  const from = new Date(file.billed_through || file.uploaded_at);
+  const end = file.deleted_at ? new Date(file.deleted_at) : until;
+  const minutes = minutesBetween(from, end);
+  const amount = minutes > 0
+    ? await priceUsage(db, SERVICE_TYPES.STORAGE, { sizeBytes: Number(file.size_bytes || 0), minutes })
+    : 0n;
+  return { from, to: new Date(from.getTime() + minutes * 60000), minutes, amount };
+}
+
+function serializeDue(due) {
+  return {
+    from: due.from.toISOString(),
+    to: due.to.toISOString(),
+    minutes: due.minutes,
+    amount: due.amount.toString(),
+    amountUSDC: ethers.formatUnits(due.amount, 6)
+  };
+}
+
+// Move a file's paid period to the end of a paid charge and add the charge to its total
+async function recordPaidCharge(db, charge) {
+  const file = await db.storageFiles.findById(charge.file_id);
+  if (!file || new Date(file.billed_through || file.uploaded_at).getTime() !== new Date(charge.period_start).getTime()) return file;
+  const total = usdcToBaseUnits(file.amount_usdc) + BigInt(charge.amount);
+  return db.storageFiles.update(file.id, {
+    billed_through: new Date(charge.period_end).toISOString(),
+    amount_usdc: Number(ethers.formatUnits(total, 6))
+  }, { billed_through: file.billed_through });
+}
+
+// Mark a charge paid by the PaymentExecuted log `claim` and advance its file
+async function markChargePaid(db, charge, claim) {
+  const paid = await db.storageCharges.update(charge.id, {
+    status: 'paid',
+    tx_hash: claim.txHash,
+    error: null,
+    paid_at: new Date().toISOString()
+  }, { status: charge.status });
+  if (!paid) return null;
+  await recordPaidCharge(db, paid);
+  return paid;
+}
+
+/**
+ * A file's charges that are still quoted or being paid. Quotes that expired unpaid are
+ * given up, and billing-cycle draws that were mined since are completed (or failed).
+ */
+async function openCharges(db, web3, fileId, now = new Date()) {
+  const open = [];
+  for (const charge of await db.storageCharges.listOpenForFile(fileId)) {
+    if (charge.status === 'quoted') {
+      const quote = charge.quote_session_id ? await getQuoteBySession(db, charge.quote_session_id) : null;
+      if (!quote || (!quote.used_at && new Date(quote.expires_at).getTime() <= now.getTime())) {
+        await db.storageCharges.update(charge.id, { status: 'expired' }, { status: 'quoted' });
+        continue;
+      }
+    } else if (charge.status === 'submitted') {
+      const receipt = await web3.provider.getTransactionReceipt(charge.tx_hash);
+      if (receipt?.status === 1) {
+        const claim = await verifyPaymentClaim(db, web3, {
+          txHash: charge.tx_hash,
+          payer: charge.user_address,
+          serviceType: SERVICE_TYPES.STORAGE,
+          amountUsdc: ethers.formatUnits(BigInt(charge.amount), 6),
+          claimedFor: 'storage_charges'
+        });
+        await markChargePaid(db, charge, claim);
+        continue;
+      }
+      if (receipt) {
+        await db.storageCharges.update(charge.id, { status: 'failed', error: 'Transaction reverted' }, { status: 'submitted' });
+        continue;
+      }
+    }
+    open.push(charge);
+  }
+  return open;
+}
+
+// New charge for the period a file has accrued; null when another charge bills it already
+async function createCharge(db, web3, file, due, reason) {
+  let charge;
+  try {
+    charge = await db.storageCharges.create({
+      file_id: file.id,
+      user_address: file.user_address,
+      chain_id: web3.chainId,
+      period_start: due.from.toISOString(),
+      period_end: due.to.toISOString(),
+      minutes: due.minutes,
+      size_bytes: Number(file.size_bytes || 0),
+      amount: due.amount.toString(),
+      reason,
+      status: 'quoted'
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) return null;
+    throw error;
+  }
+  const quote = await createQuote(db, web3, {
+    serviceType: SERVICE_TYPES.STORAGE,
+    amount: due.amount,
+    payer: file.user_address,
+    metadata: { fileId: file.id, chargeId: charge.id, sizeBytes: charge.size_bytes, minutes: due.minutes }
+  });
+  charge = await db.storageCharges.update(charge.id, { quote_session_id: quote.sessionId });
+  return { charge, quote };
+}
+
+/**
+ * Quote what a file owes up to now, to be paid before it is deleted.
+ * An unexpired quote for the file is served again. Resolves to { due, charge, quote },
+ * with a null charge and quote when nothing is owed. Throws RelayError when a charge
+ * for the file is still being paid.
+ */
+async function quoteStorageCharge(db, web3, file, { now = new Date() } = {}) {
+  const due = await accruedStorage(db, file, now);
+  const open = await openCharges(db, web3, file.id, now);
+  const quoted = open.find(c => c.status === 'quoted');
+  if (quoted) {
+    const quote = await getQuoteBySession(db, quoted.quote_session_id);
+    return { due, charge: quoted, quote: serializeQuote(quote, await getDomain(web3)) };
+  }
+  if (open.length > 0) {
+    throw new RelayError(409, 'CHARGE_PENDING', 'A storage charge for this file is still being paid, retry shortly');
+  }
+  if (due.amount === 0n) return { due, charge: null, quote: null };
+
+  const created = await createCharge(db, web3, file, due, 'delete');
+  if (!created) {
+    throw new RelayError(409, 'CHARGE_PENDING', 'A storage charge for this file is still being paid, retry shortly');
+  }
+  return { due, ...created };
+}
+
+/**
+ * Settle a file's quoted charge with the reported payment `txHash`, which must be the
+ * verified, unused settlement of that charge's quote.
+ * Resolves to the paid charge; throws RelayError.
+ */
+async function payStorageCharge(db, web3, file, txHash) {
+  const charge = (await openCharges(db, web3, file.id)).find(c => c.status === 'quoted');
+  if (!charge) {
+    throw new RelayError(409, 'NO_CHARGE', 'No storage charge is quoted for this file, request one from POST /storage/quote');
+  }
+  const claim = await verifyPaymentClaim(db, web3, {
+    txHash,
+    payer: file.user_address,
+    serviceType: SERVICE_TYPES.STORAGE,
+    amountUsdc: ethers.formatUnits(BigInt(charge.amount), 6),
+    claimedFor: 'storage_charges'
+  });
+  if (claim.sessionId !== charge.quote_session_id) {
+    await releasePaymentClaim(db, claim);
+    throw new RelayError(400, 'SESSION_MISMATCH', 'Payment was made for a different storage charge');
+  }
+  const paid = await markChargePaid(db, charge, claim);
+  if (!paid) {
+    await releasePaymentClaim(db, claim);
+    throw new RelayError(409, 'CHARGE_PENDING', 'Storage charge was settled concurrently');
+  }
+  return paid;
+}
+
+// Charge a long-lived file from its owner's storage allowance on this network, if one covers it
+async function chargeFromAllowance(db, web3, file, now) {
+  const due = await accruedStorage(db, file, now);
+  if (due.amount === 0n) return null;
+  const allowances = await allowanceBalances(web3, await db.spendingAllowances.listByPayer(web3.chainId, file.user_address));
+  const covered = allowances.some(a => a.status === 'active'
+    && a.row.service_types.includes(SERVICE_TYPES.STORAGE)
+    && a.remaining >= due.amount);
+  if (!covered) return null;
+  if ((await openCharges(db, web3, file.id, now)).length > 0) return null;
+
+  const created = await createCharge(db, web3, file, due, 'cycle');
+  if (!created) return null;
+  const { charge, quote } = created;
+
+  let result;
+  try {
+    result = await drawFromAllowance(db, web3, { payer: file.user_address, sessionId: quote.sessionId });
+  } catch (error) {
+    await db.storageCharges.update(charge.id, { status: 'failed', error: error.message }, { status: 'quoted' });
+    throw error;
+  }
+  if (result.pending) {
+    // Completed by openCharges once mined
+    return db.storageCharges.update(charge.id, { status: 'submitted', tx_hash: result.hash.toLowerCase() });
+  }
+  const claim = await verifyPaymentClaim(db, web3, {
+    txHash: result.receipt.hash,
+    payer: file.user_address,
+    serviceType: SERVICE_TYPES.STORAGE,
+    amountUsdc: ethers.formatUnits(due.amount, 6),
+    claimedFor: 'storage_charges'
+  });
+  ts("Storage: charged file", file.id, ethers.formatUnits(due.amount, 6), "USDC for", due.minutes, "minutes");
+  return markChargePaid(db, charge, claim);
+}
+
+/**
+ * One billing cycle: charge files unpaid for STORAGE_BILLING_CYCLE_MIN or longer to their
+ * owners' storage allowances. Files whose owner has none keep accruing, and are paid when
+ * deleted. `now` is the time billed up to.
+ */
+async function billStorageCycle(db, web3, { now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - STORAGE_BILLING_CYCLE_MIN * 60000);
+  const files = await db.storageFiles.listActiveBilledBefore(cutoff.toISOString(), { limit: 200 });
+  for (const file of files) {
+    try {
+      await chargeFromAllowance(db, web3, file, now);
+    } catch (error) {
+      ts("Storage: charging file", file.id, "failed:", error.message);
+    }
+  }
+}
+
+/**
+ * Background worker running the storage billing cycle on one network
+ */
+function startStorageBilling({ db, web3 }) {
+  return startPoller(() => billStorageCycle(db, web3), STORAGE_BILLING_POLL_MS, { name: 'Storage billing' });
+}
+
+export {
+  minutesBetween,
+  accruedStorage,
+  serializeDue,
+  quoteStorageCharge,
+  payStorageCharge,
+  billStorageCycle,
+  startStorageBilling
+};
@@ -0,0 +1,40 @@
+import { RelayError } from './errors.js';
+import { indexTransaction } from './indexer.js';
+
+const RELAY_CONFIRM_TIMEOUT_MS = Number(process.env.RELAY_CONFIRM_TIMEOUT_MS || 120000);
+
+/**
+ * Send an escrow call from the relayer pool, wait for it and index its events into
+ * `transactions`. Used for relayed deposits, withdrawals and refunds, which settle in a
+ * single transaction without a relay job.
+ * `key` pins the call to the relayer account that also sends the user's payments;
+ * `relayer` sends from another pool (the service wallet's, for refunds).
+ * Resolves to { receipt, rows } once mined, or { pending: true, hash } if it is still
+ * pending after RELAY_CONFIRM_TIMEOUT_MS (the indexer records it when it lands).
+ * Throws RelayError if the call cannot be sent or reverts.
+ */
+async function submitEscrowCall(db, web3, request, { key, relayer = web3.relayer } = {}) {
+  let sent;
+  try {
+    sent = await relayer.sendTransaction(request, { key });
+  } catch (error) {
+    throw new RelayError(502, 'SUBMIT_FAILED', error.reason || error.shortMessage || error.message);
+  }
+
+  let receipt;
+  try {
+    receipt = await sent.wait(RELAY_CONFIRM_TIMEOUT_MS);
+  } catch {
+    return { pending: true, hash: sent.hash, from: sent.from };
+  }
+  if (receipt.status !== 1) {
+    throw new RelayError(502, 'REVERTED', 'Transaction reverted', { txHash: receipt.hash });
+  }
+  const rows = await indexTransaction(db, web3, receipt.hash);
+  return { receipt, rows, from: sent.from };
+}
+
+export {
+  RELAY_CONFIRM_TIMEOUT_MS,
+  submitEscrowCall
+};
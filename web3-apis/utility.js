@@ -5,7 +5,7 @@ import { ethers } from 'ethers';
  */
 async function getNonce(req, res) {
   try {
-    const { contract } = req.app.locals.web3;
+    const { contract } = req.web3;
     const nonce = await contract.getNonce(req.params.address);
     res.json({ 
       address: req.params.address,
@@ -21,7 +21,7 @@ async function getNonce(req, res) {
  */
 async function getBalance(req, res) {
   try {
-    const { contract } = req.app.locals.web3;
+    const { contract } = req.web3;
     const balance = await contract.getBalance(req.params.address);
     res.json({
       address: req.params.address,
@@ -38,7 +38,7 @@ async function getBalance(req, res) {
  */
 async function isSessionSettled(req, res) {
   try {
-    const { contract } = req.app.locals.web3;
+    const { contract } = req.web3;
     const sessionId = req.params.sessionId;
     const isSettled = await contract.isSessionSettled(sessionId);
     res.json({ 
@@ -55,7 +55,7 @@ async function isSessionSettled(req, res) {
  */
 async function getDomainSeparator(req, res) {
   try {
-    const { contract } = req.app.locals.web3;
+    const { contract } = req.web3;
     const domainSeparator = await contract.getDomainSeparator();
     res.json({ domainSeparator });
   } catch (error) {
@@ -68,7 +68,7 @@ async function getDomainSeparator(req, res) {
  */
 async function getContractInfo(req, res) {
   try {
-    const { contract, CONTRACT_ADDRESS } = req.app.locals.web3;
+    const { contract, CONTRACT_ADDRESS, network } = req.web3;
     const info = await contract.getInfo();
     res.json({
       contractAddress: CONTRACT_ADDRESS,
@@ -76,8 +76,8 @@ async function getContractInfo(req, res) {
       serviceWallet: info.service,
       name: info.name,
       version: info.version,
-      network: "Avalanche Fuji Testnet",
-      chainId: 43113
+      network: network.name,
+      chainId: network.chainId
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -89,9 +89,13 @@ async function getContractInfo(req, res) {
  */
 async function healthCheck(req, res) {
   try {
-    const { contract, relayerWallet, provider, CONTRACT_ADDRESS, RPC_URL } = req.app.locals.web3;
+    const { contract, relayerWallet, relayer, provider, CONTRACT_ADDRESS, RPC_URL, network } = req.web3;
     const relayerBalance = await provider.getBalance(relayerWallet.address);
     const info = await contract.getInfo();
+    const pool = await Promise.all(relayer.status().map(async (r) => ({
+      ...r,
+      balanceAVAX: ethers.formatEther(await provider.getBalance(r.address))
+    })));
     
     res.json({
       status: 'ok',
@@ -99,7 +103,8 @@ async function healthCheck(req, res) {
       relayer: {
         address: relayerWallet.address,
         balanceAVAX: ethers.formatEther(relayerBalance),
-        role: "Pays gas for transactions"
+        role: "Pays gas for transactions",
+        pool
       },
       service: {
         address: info.service,
@@ -112,8 +117,10 @@ async function healthCheck(req, res) {
         version: info.version
       },
       network: {
-        name: "Avalanche Fuji Testnet",
-        chainId: 43113,
+        key: network.key,
+        name: network.name,
+        chainId: network.chainId,
+        nativeSymbol: network.nativeSymbol,
         rpcUrl: RPC_URL
       }
     });
@@ -135,11 +142,26 @@ function rootEndpoint(req, res) {
     version: "1.0.0",
     endpoints: {
       payment: "POST /api/execute-payment",
+      paymentStatus: "GET /api/payments/:jobId",
+      prices: "GET /api/prices",
+      quote: "POST /api/quotes",
+      quoteStatus: "GET /api/quotes/:sessionId",
+      deposit: "POST /api/execute-deposit",
+      permit: "GET /api/permit/:address",
+      withdraw: "POST /api/execute-withdraw",
+      allowanceParams: "GET /api/allowance-params",
+      allowance: "POST /api/allowances",
+      allowances: "GET /api/allowances/:address",
+      channelParams: "GET /api/channel-params",
+      channel: "POST /api/channels",
+      channelStatus: "GET /api/channels/:channelId",
+      voucher: "POST /api/channels/:channelId/voucher",
       nonce: "GET /api/nonce/:address",
       balance: "GET /api/balance/:address",
       isSettled: "GET /api/is-settled/:sessionId",
       domainSeparator: "GET /api/domain-separator",
       contractInfo: "GET /api/contract-info",
+      networks: "GET /api/networks",
       health: "GET /health"
     }
   });
@@ -0,0 +1,84 @@
+import { ethers } from 'ethers';
+import { normalizeWithdrawIntent, preverifyWithdrawIntent } from './intent.js';
+import { RelayError } from './errors.js';
+import { listActiveJobsForPayer } from './jobs.js';
+import { submitEscrowCall } from './submit.js';
+import { ts } from '../log.js';
+
+/**
+ * Gasless withdrawal: relay executeWithdrawIntent for a signed WithdrawIntent and
+ * record the Withdrawn event in `transactions`, next to self-submitted withdrawals.
+ * Body: { withdrawIntent: { user, amount, recipient, deadline, nonce, signature } }
+ * The nonce is the one from GET /api/nonce/:address, shared with payment intents.
+ * Replies 200 once mined, or 202 with the tx hash if it is still pending.
+ */
+async function executeWithdraw(req, res) {
+  const { db } = req.app.locals;
+  const { web3 } = req;
+
+  try {
+    const { withdrawIntent } = req.body || {};
+    if (!withdrawIntent?.user || !withdrawIntent.recipient || !withdrawIntent.signature) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    const intent = normalizeWithdrawIntent(withdrawIntent);
+
+    ts("\n" + "=".repeat(60));
+    ts("NEW WITHDRAW REQUEST");
+    ts("=".repeat(60));
+    ts("User:", intent.user);
+    ts("Recipient:", intent.recipient);
+    ts("Amount:", ethers.formatUnits(intent.amount, 6), "USDC");
+
+    // Queued payments will consume the next nonces, so this intent could never be relayed in order
+    const active = await listActiveJobsForPayer(db, intent.user, web3.chainId);
+    if (active.length > 0) {
+      throw new RelayError(409, 'PAYMENTS_PENDING', 'Payments from this wallet are still being relayed, retry once they settle', {
+        pending: active.length
+      });
+    }
+
+    await preverifyWithdrawIntent(web3, intent);
+    ts("   Signature, nonce, deadline and balance OK");
+
+    const request = await web3.contract.executeWithdrawIntent.populateTransaction(intent);
+    const result = await submitEscrowCall(db, web3, request, { key: intent.user });
+    if (result.pending) {
+      ts("   Still pending:", result.hash);
+      ts("=".repeat(60) + "\n");
+      return res.status(202).json({ success: true, status: 'submitted', txHash: result.hash });
+    }
+
+    const { receipt, rows } = result;
+    const withdrawal = rows.find(row => row.service === 'withdraw') || null;
+    const balance = await web3.contract.getBalance(intent.user);
+    ts("   Tx Hash:", receipt.hash, "(gas payer " + result.from + ")");
+    ts("   CONFIRMED in block", receipt.blockNumber);
+    ts("=".repeat(60) + "\n");
+
+    res.json({
+      success: true,
+      status: 'confirmed',
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      recipient: intent.recipient,
+      withdrawal,
+      balance: balance.toString(),
+      balanceUSDC: ethers.formatUnits(balance, 6)
+    });
+  } catch (error) {
+    if (error instanceof RelayError) {
+      ts("   REJECTED:", error.code, "-", error.message);
+      ts("=".repeat(60) + "\n");
+      return res.status(error.status).json(error.toJSON());
+    }
+    ts("\nWITHDRAW REQUEST FAILED");
+    ts("   Error:", error.message);
+    ts("=".repeat(60) + "\n");
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export {
+  executeWithdraw
+};
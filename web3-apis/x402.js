@@ -0,0 +1,220 @@
+import { ethers } from 'ethers';
+import { RelayError } from './errors.js';
+import { PAYMENT_INTENT_TYPES, getDomain } from './intent.js';
+import { priceUsage } from './pricing.js';
+import { createQuote, getQuoteBySession } from './quotes.js';
+import { queuePaymentIntent } from './payment.js';
+import { getJob, listActiveJobsForPayer } from './jobs.js';
+import { verifyPaymentClaim, releasePaymentClaim } from './claims.js';
+import { networkFor } from './networks.js';
+import { ts } from '../log.js';
+
+const X402_VERSION = 1;
+const X402_SCHEME = 'streampay-intent';
+// How long a paid request waits for its payment to be mined before giving up with 504
+const X402_SETTLE_TIMEOUT_MS = Number(process.env.X402_SETTLE_TIMEOUT_MS || 60000);
+const X402_POLL_MS = Number(process.env.X402_POLL_MS || 500);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function encodeHeader(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64');
+}
+
+// X-PAYMENT is base64 JSON: { x402Version, scheme, payload: { paymentIntent } }
+function decodePaymentHeader(header) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(header), 'base64').toString('utf8'));
+  } catch {
+    throw new RelayError(400, 'INVALID_PAYMENT_HEADER', 'X-PAYMENT must be base64-encoded JSON');
+  }
+  const paymentIntent = decoded?.payload?.paymentIntent;
+  if (decoded?.scheme !== X402_SCHEME || !paymentIntent) {
+    throw new RelayError(400, 'INVALID_PAYMENT_HEADER', `X-PAYMENT must carry a ${X402_SCHEME} payload with a paymentIntent`);
+  }
+  return paymentIntent;
+}
+
+// Requests are bound to the route they were quoted for, not to its query string
+function resourceOf(req) {
+  return `${req.method} ${req.baseUrl}${req.path}`;
+}
+
+/**
+ * 402 body: what to sign to pay for this request.
+ * The quote fixes sessionId and amount; `nonce` is filled in when the payer is known.
+ */
+async function paymentRequirements(req, { db, web3 }, { serviceType, usage, error }) {
+  const payer = req.auth?.address || null;
+  const amount = await priceUsage(db, serviceType, usage);
+  const quote = await createQuote(db, web3, {
+    serviceType,
+    amount,
+    payer,
+    metadata: { ...usage, resource: resourceOf(req) }
+  });
+  const domain = await getDomain(web3);
+
+  let nonce = null;
+  if (payer) {
+    const [onChain, active] = await Promise.all([
+      web3.contract.getNonce(payer),
+      listActiveJobsForPayer(db, payer, web3.chainId)
+    ]);
+    nonce = (onChain + BigInt(active.length)).toString();
+  }
+
+  return {
+    x402Version: X402_VERSION,
+    error,
+    accepts: [{
+      scheme: X402_SCHEME,
+      network: domain.chainId.toString(),
+      resource: quote.metadata.resource,
+      serviceType,
+      maxAmountRequired: quote.amount,
+      amountUSDC: quote.amountUSDC,
+      sessionId: quote.sessionId,
+      expiresAt: quote.expiresAt,
+      nonce,
+      payTo: web3.SERVICE_WALLET,
+      domain: {
+        name: domain.name,
+        version: domain.version,
+        chainId: domain.chainId.toString(),
+        verifyingContract: domain.verifyingContract
+      },
+      types: PAYMENT_INTENT_TYPES,
+      quote
+    }]
+  };
+}
+
+// Poll the relay job until it is mined or failed
+async function waitForJob(db, relayWorker, jobId) {
+  const until = Date.now() + X402_SETTLE_TIMEOUT_MS;
+  relayWorker?.wake();
+  for (;;) {
+    const job = await getJob(db, jobId);
+    if (job.status === 'confirmed' || job.status === 'failed') return job;
+    if (Date.now() >= until) return job;
+    await sleep(X402_POLL_MS);
+  }
+}
+
+/**
+ * Express middleware charging for the route it protects (HTTP 402 / x402 style).
+ *
+ *   router.get('/paid', requirePayment({ serviceType: 'ai', usage: req => ({ calls: 1 }) }), handler)
+ *
+ * Without an X-PAYMENT header it replies 402 with a fresh quote to sign. With one,
+ * the intent is relayed through the escrow and the handler runs once it is mined,
+ * with `req.payment` set and an X-PAYMENT-RESPONSE header carrying the settlement.
+ * Each settlement unlocks one request; it is released again if the handler fails with 5xx.
+ */
+function requirePayment({ serviceType, usage = () => ({}) }) {
+  return async function x402(req, res, next) {
+    const { db } = req.app.locals;
+    let web3, relayWorker;
+    try {
+      ({ web3, relayWorker } = networkFor(req));
+      const requestUsage = await usage(req);
+      const header = req.get('X-PAYMENT');
+      if (!header) {
+        return res.status(402).json(await paymentRequirements(req, { db, web3 }, {
+          serviceType,
+          usage: requestUsage,
+          error: 'X-PAYMENT header is required'
+        }));
+      }
+
+      const paymentIntent = decodePaymentHeader(header);
+      if (req.auth?.address && String(paymentIntent.payer).toLowerCase() !== req.auth.address) {
+        throw new RelayError(403, 'PAYER_MISMATCH', 'Payment intent is not from the signed-in wallet');
+      }
+
+      // The quote must have been issued for this route and still price this request the same
+      const quote = await getQuoteBySession(db, paymentIntent.sessionId);
+      const expected = await priceUsage(db, serviceType, requestUsage);
+      if (quote && (quote.metadata?.resource !== resourceOf(req) || BigInt(quote.amount) !== expected)) {
+        return res.status(402).json(await paymentRequirements(req, { db, web3 }, {
+          serviceType,
+          usage: requestUsage,
+          error: 'Payment was quoted for a different request'
+        }));
+      }
+
+      ts("x402:", resourceOf(req), "paid by", paymentIntent.payer);
+      const { job } = await queuePaymentIntent(db, web3, {
+        paymentIntent,
+        serviceType,
+        metadata: { resource: resourceOf(req) }
+      });
+      const settled = await waitForJob(db, relayWorker, job.id);
+
+      if (settled.status === 'failed') {
+        return res.status(402).json(await paymentRequirements(req, { db, web3 }, {
+          serviceType,
+          usage: requestUsage,
+          error: `Payment failed: ${settled.error || settled.error_code}`
+        }));
+      }
+      if (settled.status !== 'confirmed') {
+        // Retrying with the same X-PAYMENT header picks the job up again
+        return res.status(504).json({
+          error: 'Payment not mined yet, retry with the same X-PAYMENT header',
+          jobId: settled.id,
+          statusUrl: `/api/payments/${settled.id}`
+        });
+      }
+
+      // One settlement pays for one request
+      const claim = await verifyPaymentClaim(db, web3, {
+        txHash: settled.tx_hash,
+        payer: settled.payer,
+        serviceType,
+        amountUsdc: ethers.formatUnits(BigInt(settled.amount), 6),
+        claimedFor: resourceOf(req)
+      });
+      res.on('finish', () => {
+        if (res.statusCode >= 500) releasePaymentClaim(db, claim).catch(() => {});
+      });
+
+      req.payment = {
+        jobId: settled.id,
+        payer: settled.payer,
+        sessionId: settled.session_id,
+        serviceType,
+        amount: BigInt(settled.amount),
+        txHash: settled.tx_hash,
+        claim
+      };
+      res.set('X-PAYMENT-RESPONSE', encodeHeader({
+        success: true,
+        transaction: settled.tx_hash,
+        network: (await getDomain(web3)).chainId.toString(),
+        payer: settled.payer,
+        jobId: settled.id
+      }));
+      next();
+    } catch (error) {
+      if (error instanceof RelayError) {
+        if (error.code === 'TX_ALREADY_USED') {
+          return res.status(402).json(await paymentRequirements(req, { db, web3 }, {
+            serviceType,
+            usage: await usage(req),
+            error: 'Payment has already been used for another request'
+          }));
+        }
+        return res.status(error.status).json(error.toJSON());
+      }
+      next(error);
+    }
+  };
+}
+
+export {
+  X402_SCHEME,
+  requirePayment
+};